@@ -2,17 +2,24 @@ import { useState } from 'react';
 import PolicyInstructionInput from './components/PolicyInstructionInput';
 import StreamingPolicyDisplay from './components/StreamingPolicyDisplay';
 import PolicyEditor from './components/PolicyEditor';
+import EvaluationPlayground from './components/EvaluationPlayground';
 import TestInputDisplay from './components/TestInputDisplay';
 import PolicyHistory from './components/PolicyHistory';
 import ApiDocumentation from './components/ApiDocumentation';
 import { generatePolicy, iteratePolicy } from './services/api';
+import type { GenerationOptions, RegoVersion } from './services/api';
 import { useStreamingPolicy } from './hooks/useStreamingPolicy';
 import { policyHistoryService } from './services/policyHistory';
+import { getSessionId } from './services/session';
 
 function App() {
   const [activeTab, setActiveTab] = useState<'generator' | 'editor' | 'history' | 'docs'>('generator');
   const [currentInstructions, setCurrentInstructions] = useState<string>('');
   const [useStreaming, setUseStreaming] = useState<boolean>(true); // Toggle for streaming vs regular API
+  // Syntax version of the last request, which the editor validates against
+  const [regoVersion, setRegoVersion] = useState<RegoVersion>('v1');
+  // The policy as edited in the editor tab, which the playground evaluates
+  const [editorPolicy, setEditorPolicy] = useState<string>('');
   
   // Streaming state
   const streamingPolicy = useStreamingPolicy();
@@ -60,16 +67,17 @@ function App() {
     }
   };
 
-  const handlePolicyGeneration = async (instructions: string) => {
+  const handlePolicyGeneration = async (instructions: string, options?: GenerationOptions) => {
+    setRegoVersion(options?.rego_version || 'v1');
     try {
       if (useStreaming) {
         // Use streaming API (history saving is handled automatically by the hook)
-        await streamingPolicy.generatePolicy(instructions);
+        await streamingPolicy.generatePolicy(instructions, options);
       } else {
         // Use regular API as fallback
         setRegularState(prev => ({ ...prev, isGenerating: true, error: null }));
         
-        const result = await generatePolicy({ instructions });
+        const result = await generatePolicy({ instructions, context: { session_id: getSessionId(), ...options } });
         
         const finalPolicy = result.policy || '';
         const finalExplanation = result.explanation || '';
@@ -108,23 +116,24 @@ function App() {
         console.log('Streaming failed, falling back to regular API...');
         setUseStreaming(false);
         // Retry with regular API
-        setTimeout(() => handlePolicyGeneration(instructions), 1000);
+        setTimeout(() => handlePolicyGeneration(instructions, options), 1000);
       }
     }
   };
 
-  const handlePolicyIteration = async (instructions: string) => {
+  const handlePolicyIteration = async (instructions: string, options?: GenerationOptions) => {
+    setRegoVersion(options?.rego_version || 'v1');
     try {
       const currentPolicy = currentState.policy;
       
       if (useStreaming) {
         // Use streaming API for refinement (history saving is handled automatically)
-        await streamingPolicy.refinePolicy(instructions, currentPolicy);
+        await streamingPolicy.refinePolicy(instructions, currentPolicy, options);
       } else {
         // Use regular API as fallback
         setRegularState(prev => ({ ...prev, isGenerating: true, error: null }));
         
-        const result = await iteratePolicy(instructions, currentPolicy);
+        const result = await iteratePolicy(instructions, currentPolicy, options);
         
         const finalPolicy = result.policy || '';
         const finalExplanation = result.explanation || '';
@@ -163,7 +172,7 @@ function App() {
         console.log('Streaming refinement failed, falling back to regular API...');
         setUseStreaming(false);
         // Retry with regular API
-        setTimeout(() => handlePolicyIteration(instructions), 1000);
+        setTimeout(() => handlePolicyIteration(instructions, options), 1000);
       }
     }
   };
@@ -287,7 +296,11 @@ function App() {
 
             {/* Test Inputs Display */}
             {currentState.testInputs && currentState.testInputs.length > 0 && (
-              <TestInputDisplay testInputs={currentState.testInputs} policy={currentState.policy} />
+              <TestInputDisplay
+                testInputs={currentState.testInputs}
+                policy={currentState.policy}
+                isStreaming={currentState.isStreaming}
+              />
             )}
 
             {/* Clear Button */}
@@ -306,10 +319,20 @@ function App() {
 
         {activeTab === 'editor' && (
           <div>
-            <PolicyEditor
-              initialPolicy={currentState.policy}
-              onSave={handlePolicySave}
-            />
+            <div className="grid grid-2">
+              <PolicyEditor
+                initialPolicy={currentState.policy}
+                regoVersion={regoVersion}
+                testInputs={currentState.testInputs}
+                onSave={handlePolicySave}
+                onPolicyChange={setEditorPolicy}
+              />
+              <EvaluationPlayground
+                policy={editorPolicy}
+                regoVersion={regoVersion}
+                testInputs={currentState.testInputs}
+              />
+            </div>
             {!currentState.policy && (
               <div className="mt-4 text-center text-gray-500">
                 <p>Generate a policy first to start editing, or create a new policy from scratch.</p>
@@ -63,6 +63,11 @@ const ApiDocumentation: React.FC = () => {
     }
   ],
   "explanation": "This policy allows access only if the user's role is 'admin' and department is 'HR'.",
+  "test_suite": {
+    "filename": "policy_test.rego",
+    "package": "rbac.admin_access_test",
+    "content": "package rbac.admin_access_test\\n\\nimport data.rbac.admin_access\\n\\n# Admin user in HR department should be allowed\\ntest_admin_user_in_hr_department_should_be_allowed if {\\n\\tadmin_access.allow with input as {...}\\n}\\n..."
+  },
   "timestamp": "2025-07-12T01:00:00.000Z",
   "metadata": {
     "instructions": "Only allow if user role is admin and department is HR",
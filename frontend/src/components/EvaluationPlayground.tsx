@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import Editor from '@monaco-editor/react';
+import type { QueryTrace, TestCase, TracedRule } from 'opa-rego-tools';
+import type { RegoVersion } from '../services/api';
+import { evaluateQuery } from '../services/regoEvaluation';
+
+interface EvaluationPlaygroundProps {
+  policy: string;
+  regoVersion?: RegoVersion;
+  testInputs?: TestCase[];
+}
+
+const jsonEditorOptions = {
+  minimap: { enabled: false },
+  fontSize: 13,
+  lineNumbers: 'off' as const,
+  scrollBeyondLastLine: false,
+  automaticLayout: true,
+  tabSize: 2,
+  wordWrap: 'on' as const,
+};
+
+// The package document, e.g. data.authz for `package authz`
+const packageEntrypoint = (policy: string) => {
+  const match = /^\s*package\s+([A-Za-z_][\w.]*)/m.exec(policy);
+  return match ? `data.${match[1]}` : 'data';
+};
+
+const parseJson = (label: string, text: string) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON: ${error instanceof Error ? error.message : String(error)}`);
+  }
+};
+
+// Rules that produced a value, with the expressions of theirs that held
+const firedRules = (rules: TracedRule[]) => rules
+  .filter(rule => rule.outcome === 'succeeded' || rule.outcome === 'default_applied')
+  .map(rule => ({
+    ...rule,
+    expressions: rule.expressions.filter(expression => expression.outcome === 'succeeded' || expression.outcome === 'mixed'),
+  }));
+
+const EvaluationPlayground: React.FC<EvaluationPlaygroundProps> = ({ policy, regoVersion = 'v1', testInputs = [] }) => {
+  const [inputText, setInputText] = useState(() => JSON.stringify(testInputs[0]?.input ?? {}, null, 2));
+  const [dataText, setDataText] = useState('');
+  const [query, setQuery] = useState('');
+  const [trace, setTrace] = useState<QueryTrace | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isEvaluating, setIsEvaluating] = useState(false);
+
+  const defaultQuery = packageEntrypoint(policy);
+  const fired = trace ? firedRules(trace.rules) : [];
+
+  // Evaluates in the browser, in a worker that is stopped if the query runs too long
+  const evaluate = async () => {
+    if (isEvaluating) return;
+    setError(null);
+    setIsEvaluating(true);
+    try {
+      const input = parseJson('Input', inputText || '{}');
+      const data = dataText.trim() ? parseJson('Data', dataText) : undefined;
+      setTrace(await evaluateQuery({ source: policy, query: query.trim() || defaultQuery, input, data, regoVersion }));
+    } catch (evaluationError) {
+      setTrace(null);
+      setError(evaluationError instanceof Error ? evaluationError.message : String(evaluationError));
+    } finally {
+      setIsEvaluating(false);
+    }
+  };
+
+  // A single expression shows its value; other queries show their variables per solution
+  const output = (result: QueryTrace) => {
+    if (!result.defined) return 'undefined';
+    const value = result.bindings.some(bindings => Object.keys(bindings).length) ? result.bindings : result.result;
+    return JSON.stringify(value, null, 2);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-bold text-gray-800">Playground</h2>
+        <button
+          onClick={evaluate}
+          disabled={!policy.trim() || isEvaluating}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {isEvaluating ? 'Evaluating...' : 'Evaluate'}
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <label htmlFor="playground-query" className="block text-sm font-medium text-gray-700 mb-2">
+          Query
+        </label>
+        <input
+          id="playground-query"
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && evaluate()}
+          placeholder={defaultQuery}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="mb-4">
+        <div className="flex justify-between items-center mb-2">
+          <span className="block text-sm font-medium text-gray-700">Input</span>
+          {testInputs.length > 0 && (
+            <select
+              defaultValue=""
+              onChange={(e) => e.target.value !== '' &&
+                setInputText(JSON.stringify(testInputs[Number(e.target.value)].input ?? {}, null, 2))}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              <option value="">Load a test input...</option>
+              {testInputs.map((testInput, index) => (
+                <option key={index} value={index}>
+                  {testInput.description || testInput.name || `Test case ${index + 1}`}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="border border-gray-200 rounded-md overflow-hidden">
+          <Editor
+            height="160px"
+            language="json"
+            value={inputText}
+            onChange={(value) => setInputText(value || '')}
+            options={jsonEditorOptions}
+          />
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <span className="block text-sm font-medium text-gray-700 mb-2">Data (optional)</span>
+        <div className="border border-gray-200 rounded-md overflow-hidden">
+          <Editor
+            height="100px"
+            language="json"
+            value={dataText}
+            onChange={(value) => setDataText(value || '')}
+            options={jsonEditorOptions}
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      {trace && (
+        <div className="space-y-4">
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-lg font-semibold text-gray-700">Result</h3>
+              <span className="text-sm text-gray-500">
+                {trace.query} evaluated in {trace.duration_ms} ms
+              </span>
+            </div>
+            {trace.error ? (
+              <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-600">
+                {trace.error.line ? `Line ${trace.error.line}: ` : ''}{trace.error.message}
+              </div>
+            ) : (
+              <pre className="bg-gray-50 border border-gray-200 rounded-md p-3 text-sm overflow-auto max-h-64">
+                {output(trace)}
+              </pre>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">Expressions that fired</h3>
+            {fired.length === 0 ? (
+              <p className="text-sm text-gray-500">No rule produced a value.</p>
+            ) : (
+              <ul className="text-sm text-gray-700 space-y-2">
+                {fired.map((rule, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{rule.rule}</span>
+                    <span className="text-gray-500"> ({rule.outcome === 'default_applied' ? 'default' : rule.kind}, line {rule.line})</span>
+                    {rule.expressions.length > 0 && (
+                      <ul className="ml-4 font-mono text-xs">
+                        {rule.expressions.map((expression, expressionIndex) => (
+                          <li key={expressionIndex}>
+                            <span className="text-gray-500">{expression.line}:</span> {expression.text}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvaluationPlayground;
@@ -1,5 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Editor from '@monaco-editor/react';
+import type { Monaco, OnMount } from '@monaco-editor/react';
+import { formatPolicy, getCatalog } from 'opa-rego-tools';
+import type { BehaviorComparison, MigrationChange, TestCase } from 'opa-rego-tools';
+import { KEYWORDS } from 'opa-rego-tools/language-service';
+import type { RegoVersion } from '../services/api';
+import { requestEvaluation } from '../services/regoEvaluation';
+import { requestLanguageService } from '../services/regoLanguage';
+import type { CompletionItem, Range, RangedDiagnostic } from '../services/regoLanguage';
 
 interface PolicyVersion {
   id: string;
@@ -10,7 +18,16 @@ interface PolicyVersion {
 
 interface PolicyEditorProps {
   initialPolicy: string;
+  regoVersion?: RegoVersion;
+  testInputs?: TestCase[];
   onSave?: (policy: string, description: string) => void;
+  onPolicyChange?: (policy: string) => void;
+}
+
+interface MigrationSummary {
+  changes: MigrationChange[];
+  behavior: BehaviorComparison | null;
+  errors: string[];
 }
 
 // Define Rego language configuration
@@ -21,18 +38,29 @@ const regoLanguageConfig = {
   mimetypes: ['text/rego'],
 };
 
+interface LanguageDiagnostics {
+  valid: boolean;
+  validV0: boolean;
+  diagnostics: RangedDiagnostic[];
+}
+
 // Define Rego language tokens
 const regoTokensProvider = {
+  keywords: KEYWORDS,
+  builtins: getCatalog().builtins.filter(decl => !decl.infix).map(decl => decl.name),
   tokenizer: {
     root: [
       // Comments
       [/#.*$/, 'comment'],
       
+      // Conventional decision rules
+      [/\b(allow|deny|violation|warn)\b/, 'keyword.control'],
+
+      // Built-in function calls, including namespaced ones like strings.replace_n
+      [/[a-zA-Z_]\w*(\.[a-zA-Z_]\w*)*(?=\()/, { cases: { '@builtins': 'predefined', '@default': 'identifier' } }],
+
       // Keywords
-      [/\b(package|import|default|if|else|not|with|as|some|every|in|contains|startswith|endswith|count|sum|max|min|sort|all|any|to_number|sprintf|regex|split|replace|trim|lower|upper|time|date|round|floor|ceil|abs|sort_by|group_by|max_by|min_by|unique|flatten|reverse|concat|union|intersection|difference|symmetric_difference|cast_array|cast_set|cast_object|cast_string|cast_boolean|cast_null|type_name|is_number|is_string|is_boolean|is_array|is_object|is_set|is_null)\b/, 'keyword'],
-      
-      // Built-in functions
-      [/\b(allow|deny|violation|warn|trace|print)\b/, 'keyword.control'],
+      [/[a-zA-Z_]\w*/, { cases: { '@keywords': 'keyword', '@default': 'identifier' } }],
       
       // Operators
       [/(:=|==|!=|<=|>=|<|>|=|:|\+|-|\*|\/|%|\||&|\^|~)/, 'operator'],
@@ -44,9 +72,6 @@ const regoTokensProvider = {
       [/"([^"\\]|\\.)*"/, 'string'],
       [/'([^'\\]|\\.)*'/, 'string'],
       
-      // Identifiers
-      [/[a-zA-Z_][a-zA-Z0-9_]*/, 'identifier'],
-      
       // Brackets
       [/[\[\]{}()]/, 'bracket'],
       
@@ -82,17 +107,63 @@ const regoLanguageConfiguration = {
   ],
 };
 
-const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) => {
+const COMPLETION_KINDS: Record<CompletionItem['kind'], keyof Monaco['languages']['CompletionItemKind']> = {
+  keyword: 'Keyword',
+  builtin: 'Function',
+  namespace: 'Module',
+  rule: 'Variable',
+  function: 'Method',
+  field: 'Field',
+  variable: 'Variable',
+};
+
+// The parts of Monaco's text model and position the providers use
+interface EditorModel {
+  uri: unknown;
+  getValue: () => string;
+  getWordUntilPosition: (position: EditorPosition) => { startColumn: number; endColumn: number };
+}
+
+interface EditorPosition {
+  lineNumber: number;
+  column: number;
+}
+
+const toMonacoRange = (monaco: Monaco, range: Range) =>
+  new monaco.Range(range.line, range.column, range.endLine, range.endColumn);
+
+const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, regoVersion = 'v1', testInputs = [], onSave, onPolicyChange }) => {
   const [policy, setPolicy] = useState(initialPolicy);
   const [versions, setVersions] = useState<PolicyVersion[]>([]);
   const [selectedVersion, setSelectedVersion] = useState<string>('');
   const [saveDescription, setSaveDescription] = useState('');
   const [showSaveDialog, setShowSaveDialog] = useState(false);
+  const [migration, setMigration] = useState<MigrationSummary | null>(null);
+  const [isMigrating, setIsMigrating] = useState(false);
+  const [language, setLanguage] = useState<LanguageDiagnostics | null>(null);
+  const formatterRef = useRef<{ dispose: () => void } | null>(null);
+  const providersRef = useRef<{ dispose: () => void }[]>([]);
+  const editorRef = useRef<Parameters<OnMount>[0] | null>(null);
+  const monacoRef = useRef<Monaco | null>(null);
+
+  // Providers registered once read the current options from here
+  const optionsRef = useRef({ regoVersion, testInputs });
+  optionsRef.current = { regoVersion, testInputs };
 
   useEffect(() => {
     setPolicy(initialPolicy);
+    setMigration(null);
   }, [initialPolicy]);
 
+  useEffect(() => {
+    onPolicyChange?.(policy);
+  }, [policy, onPolicyChange]);
+
+  useEffect(() => () => {
+    formatterRef.current?.dispose();
+    providersRef.current.forEach(provider => provider.dispose());
+  }, []);
+
   // Register Rego language with Monaco
   const handleEditorWillMount = (monaco: any) => {
     // Register the language
@@ -103,6 +174,16 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
     
     // Set the language configuration
     monaco.languages.setLanguageConfiguration('rego', regoLanguageConfiguration);
+
+    // Format Document (Shift+Alt+F) uses the same formatter as the server; policies that do not
+    // parse are left alone
+    formatterRef.current?.dispose();
+    formatterRef.current = monaco.languages.registerDocumentFormattingEditProvider('rego', {
+      provideDocumentFormattingEdits: (model: { getValue: () => string; getFullModelRange: () => unknown }) => {
+        const result = formatPolicy(model.getValue());
+        return result.policy && result.changed ? [{ range: model.getFullModelRange(), text: result.policy }] : [];
+      }
+    });
     
     // Define a custom theme for Rego
     monaco.editor.defineTheme('rego-theme', {
@@ -112,6 +193,7 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
         { token: 'comment', foreground: '6A9955', fontStyle: 'italic' },
         { token: 'keyword', foreground: '569CD6', fontStyle: 'bold' },
         { token: 'keyword.control', foreground: 'C586C0', fontStyle: 'bold' },
+        { token: 'predefined', foreground: 'DCDCAA' },
         { token: 'string', foreground: 'CE9178' },
         { token: 'number', foreground: 'B5CEA8' },
         { token: 'operator', foreground: 'D4D4D4' },
@@ -129,6 +211,104 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
     });
   };
 
+  const handleEditorDidMount: OnMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+
+    // Ctrl/Cmd+S formats the policy and opens the save dialog instead of saving the page
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
+      editor.getAction('editor.action.formatDocument')?.run();
+      setShowSaveDialog(true);
+    });
+
+    // Completion, hover, go-to-definition and find-references are answered by the language worker
+    const request = (model: EditorModel, position: EditorPosition) => ({
+      source: model.getValue(),
+      position: { line: position.lineNumber, column: position.column },
+      options: optionsRef.current,
+    });
+
+    providersRef.current.forEach(provider => provider.dispose());
+    providersRef.current = [
+      monaco.languages.registerCompletionItemProvider('rego', {
+        triggerCharacters: ['.'],
+        provideCompletionItems: async (model: EditorModel, position: EditorPosition) => {
+          const word = model.getWordUntilPosition(position);
+          const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+          const items = await requestLanguageService('completions', request(model, position));
+          return {
+            suggestions: items.map(item => ({
+              label: item.label,
+              kind: monaco.languages.CompletionItemKind[COMPLETION_KINDS[item.kind]],
+              detail: item.detail,
+              tags: item.deprecated ? [monaco.languages.CompletionItemTag.Deprecated] : [],
+              insertText: item.label,
+              range,
+            })),
+          };
+        },
+      }),
+      monaco.languages.registerHoverProvider('rego', {
+        provideHover: async (model: EditorModel, position: EditorPosition) => {
+          const hover = await requestLanguageService('hover', request(model, position));
+          return hover && { contents: [{ value: hover.contents }], range: toMonacoRange(monaco, hover.range) };
+        },
+      }),
+      monaco.languages.registerDefinitionProvider('rego', {
+        provideDefinition: async (model: EditorModel, position: EditorPosition) => {
+          const ranges = await requestLanguageService('definition', request(model, position));
+          return ranges.map(range => ({ uri: model.uri, range: toMonacoRange(monaco, range) }));
+        },
+      }),
+      monaco.languages.registerReferenceProvider('rego', {
+        provideReferences: async (model: EditorModel, position: EditorPosition) => {
+          const ranges = await requestLanguageService('references', request(model, position));
+          return ranges.map(range => ({ uri: model.uri, range: toMonacoRange(monaco, range) }));
+        },
+      }),
+    ];
+  };
+
+  // Parser errors and checker warnings become markers in the editor, checked in the syntax
+  // version the policy was generated for a moment after typing stops
+  useEffect(() => {
+    let current = true;
+    const timer = setTimeout(() => {
+      requestLanguageService('diagnostics', { source: policy, options: { regoVersion, testInputs } })
+        .then(result => {
+          if (!current) return;
+          setLanguage(result);
+          const model = editorRef.current?.getModel();
+          const monaco = monacoRef.current;
+          if (!model || !monaco) return;
+          monaco.editor.setModelMarkers(model, 'rego', result.diagnostics.map(diagnostic => ({
+            severity: diagnostic.type === 'error' ? monaco.MarkerSeverity.Error
+              : diagnostic.type === 'warning' ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Info,
+            message: diagnostic.suggestion ? `${diagnostic.message}\n${diagnostic.suggestion}` : diagnostic.message,
+            code: diagnostic.code,
+            startLineNumber: diagnostic.line,
+            startColumn: diagnostic.column,
+            endLineNumber: diagnostic.endLine,
+            endColumn: diagnostic.endColumn,
+          })));
+        })
+        .catch(error => console.error('Rego language service failed:', error));
+    }, 300);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [policy, regoVersion, testInputs]);
+
+  // Returns the policy to use, formatted when it parses
+  const formatCurrentPolicy = () => {
+    const result = formatPolicy(policy, { regoVersion });
+    if (result.policy && result.changed) {
+      setPolicy(result.policy);
+    }
+    return result.policy ?? policy;
+  };
+
   useEffect(() => {
     // Load versions from localStorage
     const savedVersions = localStorage.getItem('opa-policy-versions');
@@ -144,9 +324,11 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
   const saveVersion = () => {
     if (!policy.trim() || !saveDescription.trim()) return;
 
+    // Versions are saved formatted
+    const formatted = formatCurrentPolicy();
     const newVersion: PolicyVersion = {
       id: Date.now().toString(),
-      policy: policy.trim(),
+      policy: formatted.trim(),
       timestamp: new Date().toISOString(),
       description: saveDescription.trim()
     };
@@ -159,7 +341,7 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
     
     // Call onSave callback if provided
     if (onSave) {
-      onSave(policy, saveDescription);
+      onSave(formatted, saveDescription);
     }
 
     setShowSaveDialog(false);
@@ -178,28 +360,69 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
     return new Date(timestamp).toLocaleString();
   };
 
-  const validatePolicy = (policyText: string) => {
-    // Basic Rego validation
-    const errors: string[] = [];
-    
-    if (!policyText.includes('package ')) {
-      errors.push('Missing package declaration');
-    }
-    
-    if (!policyText.includes('import rego.v1') && !policyText.includes('import data.rego.v1')) {
-      errors.push('Missing rego.v1 import (recommended)');
+  // v0 policies, and v1 policies still carrying keyword imports, can be rewritten in place
+  const canMigrate = regoVersion === 'v1' && policy.trim() !== '' && language !== null && (
+    language.diagnostics.some(diagnostic => diagnostic.code === 'redundant_import') ||
+    (!language.valid && language.validV0)
+  );
+
+  // The rewritten policy replaces the editor's only if it is valid v1. Both versions are evaluated
+  // on the test inputs in the evaluation worker, which stops a policy that runs too long.
+  const migratePolicy = async () => {
+    if (isMigrating) return;
+    setIsMigrating(true);
+    try {
+      const { migration: result, behavior } = await requestEvaluation('migrate', { source: policy, testInputs });
+      if (!result.policy || !result.valid) {
+        setMigration({
+          changes: [],
+          behavior: null,
+          errors: result.errors.map(error => `Line ${error.line}:${error.column} ${error.message}`)
+        });
+        return;
+      }
+      setMigration({ changes: result.changes, behavior, errors: [] });
+      setPolicy(result.policy);
+    } catch (error) {
+      setMigration({ changes: [], behavior: null, errors: [error instanceof Error ? error.message : String(error)] });
+    } finally {
+      setIsMigrating(false);
     }
-    
-    return errors;
   };
 
-  const validationErrors = validatePolicy(policy);
+  const behaviorSummary = (behavior: BehaviorComparison | null) => {
+    if (!behavior || behavior.unchanged === null) {
+      return 'No test inputs to compare decisions on.';
+    }
+    if (behavior.unchanged) {
+      return `Decisions unchanged on all ${behavior.checked} test inputs.`;
+    }
+    const changed = behavior.results.filter(result => !result.same).map(result => result.description);
+    return `Decisions changed for: ${changed.join(', ')}`;
+  };
 
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-2xl font-bold text-gray-800">Policy Editor</h2>
         <div className="flex space-x-2">
+          {canMigrate && (
+            <button
+              onClick={migratePolicy}
+              disabled={isMigrating}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {isMigrating ? 'Migrating...' : 'Migrate to v1'}
+            </button>
+          )}
+          <button
+            onClick={formatCurrentPolicy}
+            disabled={!language?.valid}
+            title="Format as opa fmt does (Shift+Alt+F)"
+            className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Format
+          </button>
           <button
             onClick={() => setShowSaveDialog(true)}
             disabled={!policy.trim()}
@@ -235,15 +458,35 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
         </div>
       )}
 
-      {/* Validation Errors */}
-      {validationErrors.length > 0 && (
-        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-md p-3">
-          <h4 className="text-sm font-medium text-yellow-800 mb-1">Policy Validation Warnings:</h4>
-          <ul className="text-sm text-yellow-700 list-disc list-inside">
-            {validationErrors.map((error, index) => (
-              <li key={index}>{error}</li>
-            ))}
-          </ul>
+      {/* Migration Result */}
+      {migration && (
+        <div className={`mb-4 rounded-md p-3 border ${
+          migration.errors.length ? 'bg-red-50 border-red-200' : 'bg-blue-50 border-blue-200'
+        }`}>
+          {migration.errors.length ? (
+            <>
+              <h4 className="text-sm font-medium text-red-600 mb-1">Migration to Rego v1 failed:</h4>
+              <ul className="text-sm text-red-600 list-disc list-inside">
+                {migration.errors.map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <>
+              <h4 className="text-sm font-medium text-gray-800 mb-1">
+                Migrated to Rego v1 ({migration.changes.length} changes)
+              </h4>
+              <ul className="text-sm text-gray-700 list-disc list-inside">
+                {migration.changes.map((change, index) => (
+                  <li key={index}>Line {change.line}: {change.message}</li>
+                ))}
+              </ul>
+              <p className={`text-sm mt-2 ${migration.behavior?.unchanged === false ? 'text-red-600' : 'text-gray-700'}`}>
+                {behaviorSummary(migration.behavior)}
+              </p>
+            </>
+          )}
         </div>
       )}
 
@@ -255,6 +498,7 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
           value={policy}
           onChange={(value) => setPolicy(value || '')}
           beforeMount={handleEditorWillMount}
+          onMount={handleEditorDidMount}
           options={{
             minimap: { enabled: false },
             fontSize: 14,
@@ -262,8 +506,8 @@ const PolicyEditor: React.FC<PolicyEditorProps> = ({ initialPolicy, onSave }) =>
             roundedSelection: false,
             scrollBeyondLastLine: false,
             automaticLayout: true,
-            tabSize: 2,
-            insertSpaces: true,
+            tabSize: 4,
+            insertSpaces: false,
             wordWrap: 'on',
             theme: 'rego-theme',
             folding: true,
@@ -1,14 +1,94 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
+import type { GenerationOptions, PolicyTarget, RegoVersion } from '../services/api';
 
 interface PolicyInstructionInputProps {
-  onSubmit: (instructions: string) => void;
-  onIterate?: (instructions: string) => void;
+  onSubmit: (instructions: string, options?: GenerationOptions) => void;
+  onIterate?: (instructions: string, options?: GenerationOptions) => void;
   isGenerating: boolean;
   isRefining: boolean;
   hasExistingPolicy?: boolean;
   currentInstructions?: string;
 }
 
+interface UploadedSpec {
+  fileName: string;
+  content: string;
+}
+
+const MAX_SPEC_BYTES = 1024 * 1024;
+
+// Each preset brings the platform's input shape and decision rule, so its examples speak its language
+const TARGETS: { value: PolicyTarget | ''; label: string; examples: string[] }[] = [
+  {
+    value: '',
+    label: 'Generic',
+    examples: [
+      "Only allow if user role is admin and department is HR",
+      "Allow access only during business hours (9 AM to 5 PM) on weekdays",
+      "Users can only access resources they own or if they are managers",
+      "Allow access only if user has valid MFA token and is accessing from approved IP range",
+      "Deny access if user has more than 5 failed login attempts in the last hour"
+    ]
+  },
+  {
+    value: 'kubernetes-admission',
+    label: 'Kubernetes admission (Gatekeeper)',
+    examples: [
+      "Reject pods whose containers run as root or are privileged",
+      "Require every Deployment to set CPU and memory limits on all containers",
+      "Only allow images from registry.example.com",
+      "Require the labels listed in the constraint parameters on every namespace"
+    ]
+  },
+  {
+    value: 'terraform',
+    label: 'Terraform (conftest)',
+    examples: [
+      "Deny S3 buckets without server-side encryption or with public ACLs",
+      "Deny security groups that open port 22 to 0.0.0.0/0",
+      "Require owner and cost-center tags on every new resource",
+      "Warn when a plan deletes a database instance"
+    ]
+  },
+  {
+    value: 'envoy',
+    label: 'Envoy ext_authz',
+    examples: [
+      "Allow GET requests to /api/public without a token",
+      "Allow requests with a valid JWT whose roles include the path's first segment",
+      "Only allow POST to /payments from the checkout service principal"
+    ]
+  },
+  {
+    value: 'kafka',
+    label: 'Kafka authorizer',
+    examples: [
+      "Only the orders service may write to topics starting with orders-",
+      "Consumers in the billing group may read the invoices topic",
+      "Deny topic deletion to everyone except the platform admin principal"
+    ]
+  },
+  {
+    value: 'http-api',
+    label: 'HTTP API',
+    examples: [
+      "Users can read and update their own profile at /users/{id}; admins can access any",
+      "Only managers may approve expenses with POST /expenses/{id}/approve",
+      "Allow read-only methods for the viewer role"
+    ]
+  }
+];
+
+// OpenAPI and Swagger documents declare their version at the top level; anything else is a JSON Schema
+const isOpenApiDocument = (text: string) => {
+  try {
+    const parsed: unknown = JSON.parse(text);
+    return typeof parsed === 'object' && parsed !== null && ('openapi' in parsed || 'swagger' in parsed);
+  } catch {
+    return /^["']?(openapi|swagger)["']?\s*:/m.test(text);
+  }
+};
+
 const PolicyInstructionInput: React.FC<PolicyInstructionInputProps> = ({ 
   onSubmit, 
   onIterate, 
@@ -18,16 +98,33 @@ const PolicyInstructionInput: React.FC<PolicyInstructionInputProps> = ({
   currentInstructions = ''
 }) => {
   const [instructions, setInstructions] = useState(currentInstructions);
+  const [target, setTarget] = useState<PolicyTarget | ''>('');
+  const [regoVersion, setRegoVersion] = useState<RegoVersion>('v1');
+  const [inputSchema, setInputSchema] = useState<UploadedSpec | null>(null);
+  const [openApi, setOpenApi] = useState<UploadedSpec | null>(null);
+  const [uploadError, setUploadError] = useState<string | null>(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
 
   // Update instructions when currentInstructions prop changes
   React.useEffect(() => {
     setInstructions(currentInstructions);
   }, [currentInstructions]);
 
+  // The syntax version, target and uploaded documents stay selected across requests until changed
+  const generationOptions = (): GenerationOptions => {
+    return {
+      rego_version: regoVersion,
+      ...(target ? { target } : {}),
+      ...(inputSchema ? { input_schema: inputSchema.content } : {}),
+      ...(openApi ? { openapi: openApi.content } : {})
+    };
+  };
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (instructions.trim() && !isGenerating && !isRefining) {
-      onSubmit(instructions.trim());
+      onSubmit(instructions.trim(), generationOptions());
       setInstructions(''); // Clear input after submission
     }
   };
@@ -35,18 +132,37 @@ const PolicyInstructionInput: React.FC<PolicyInstructionInputProps> = ({
   const handleIterate = (e: React.FormEvent) => {
     e.preventDefault();
     if (instructions.trim() && !isGenerating && !isRefining && onIterate) {
-      onIterate(instructions.trim());
+      onIterate(instructions.trim(), generationOptions());
       setInstructions(''); // Clear input after iteration
     }
   };
 
-  const exampleInstructions = [
-    "Only allow if user role is admin and department is HR",
-    "Allow access only during business hours (9 AM to 5 PM) on weekdays",
-    "Users can only access resources they own or if they are managers",
-    "Allow access only if user has valid MFA token and is accessing from approved IP range",
-    "Deny access if user has more than 5 failed login attempts in the last hour"
-  ];
+  // The server parses JSON and YAML, so files are sent as text
+  const handleSpecFiles = async (files: FileList | null) => {
+    setUploadError(null);
+    for (const file of Array.from(files || [])) {
+      if (file.size > MAX_SPEC_BYTES) {
+        setUploadError(`${file.name} is larger than 1 MB`);
+        continue;
+      }
+      const content = await file.text();
+      if (isOpenApiDocument(content)) {
+        setOpenApi({ fileName: file.name, content });
+      } else {
+        setInputSchema({ fileName: file.name, content });
+      }
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!isGenerating && !isRefining) {
+      handleSpecFiles(e.dataTransfer.files);
+    }
+  };
+
+  const exampleInstructions = (TARGETS.find(option => option.value === target) || TARGETS[0]).examples;
 
   const iterationExamples = [
     "Also allow users with 'supervisor' role",
@@ -94,6 +210,90 @@ const PolicyInstructionInput: React.FC<PolicyInstructionInputProps> = ({
             disabled={isGenerating || isRefining}
           />
         </div>
+
+        <div className="form-group">
+          <label htmlFor="target" className="form-label">Target Platform</label>
+          <select
+            id="target"
+            value={target}
+            onChange={(e) => setTarget(e.target.value as PolicyTarget | '')}
+            className="form-input"
+            disabled={isGenerating || isRefining}
+          >
+            {TARGETS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {target && (
+            <p className="text-sm text-gray-600 mt-2">
+              The policy follows the platform's input format and decision rule, and its test inputs use the platform's request shape.
+            </p>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="rego-version" className="form-label">Rego Version</label>
+          <select
+            id="rego-version"
+            value={regoVersion}
+            onChange={(e) => setRegoVersion(e.target.value as RegoVersion)}
+            className="form-input"
+            disabled={isGenerating || isRefining}
+          >
+            <option value="v1">v1 (OPA 1.0 and later)</option>
+            <option value="v0">v0 (OPA 0.x)</option>
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Input Schema or OpenAPI Spec (optional)</label>
+          <div
+            className={`p-3 border rounded text-sm text-center ${isDragging ? 'border-blue-200 bg-blue-50' : 'border-gray-200'}`}
+            style={{ borderStyle: 'dashed', cursor: 'pointer' }}
+            onClick={() => fileInputRef.current?.click()}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+          >
+            Drop a JSON Schema of the policy input or an OpenAPI document (JSON or YAML), or click to choose a file.
+            The policy will only use the fields they declare.
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.yaml,.yml,application/json"
+            multiple
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              handleSpecFiles(e.target.files);
+              e.target.value = '';
+            }}
+          />
+          {uploadError && <p className="text-sm text-red-600 mt-2">{uploadError}</p>}
+          {[
+            { label: 'Input schema', spec: inputSchema, remove: () => setInputSchema(null) },
+            { label: 'OpenAPI', spec: openApi, remove: () => setOpenApi(null) }
+          ].filter(({ spec }) => spec).map(({ label, spec, remove }) => (
+            <div key={label} className="flex justify-between items-center text-sm mt-2">
+              <span>
+                {label}: <code>{spec?.fileName}</code>
+              </span>
+              <button
+                type="button"
+                onClick={remove}
+                disabled={isGenerating || isRefining}
+                className="btn btn-secondary text-sm"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
         
         <div className="flex space-x-2">
           {!hasExistingPolicy && (
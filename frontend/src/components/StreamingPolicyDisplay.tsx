@@ -1,6 +1,8 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { exportBundle, prepareBundleSignature, type ExportBundleRequest } from '../services/api';
+import { loadSigningKey } from '../services/bundleSigning';
 
 interface StreamingPolicyDisplayProps {
   policy: string;
@@ -21,6 +23,9 @@ const StreamingPolicyDisplay: React.FC<StreamingPolicyDisplayProps> = ({
 }) => {
   const policyRef = useRef<HTMLDivElement>(null);
   const explanationRef = useRef<HTMLDivElement>(null);
+  const signingKeyInputRef = useRef<HTMLInputElement>(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState<string | null>(null);
 
   // Auto-scroll to bottom when content updates during streaming
   useEffect(() => {
@@ -44,6 +49,40 @@ const StreamingPolicyDisplay: React.FC<StreamingPolicyDisplayProps> = ({
     }
   };
 
+  // The signing key never leaves the browser: the server returns what to sign and packs the signature
+  const downloadBundle = async (signingKeyText?: string) => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const request: ExportBundleRequest = { policy, test_inputs: testInputs };
+      if (signingKeyText) {
+        const key = await loadSigningKey(signingKeyText);
+        const prepared = await prepareBundleSignature({ ...request, signing: { algorithm: key.algorithm } });
+        request.revision = prepared.revision;
+        request.signing = { algorithm: key.algorithm, signature: await key.sign(prepared.signing_input) };
+      }
+      const blob = await exportBundle(request);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `opa-bundle-${new Date().toISOString().split('T')[0]}.tar.gz`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError(err instanceof Error ? err.message : 'Failed to export bundle');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleSigningKeyFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      await downloadBundle(await file.text());
+    }
+  };
+
   const renderLoadingState = () => (
     <div className="card">
       <div className="flex justify-between items-center mb-4">
@@ -131,8 +170,41 @@ const StreamingPolicyDisplay: React.FC<StreamingPolicyDisplayProps> = ({
               Copy Policy
             </button>
           )}
+          {policy && !isStreaming && (
+            <>
+              <button
+                onClick={() => downloadBundle()}
+                disabled={isExporting}
+                className="btn btn-secondary text-sm"
+                title="Download an OPA bundle with the policy, its tests, data.json and .manifest"
+              >
+                {isExporting ? 'Exporting...' : 'Export Bundle'}
+              </button>
+              <button
+                onClick={() => signingKeyInputRef.current?.click()}
+                disabled={isExporting}
+                className="btn btn-secondary text-sm"
+                title="Choose a PEM private key to sign the bundle with"
+              >
+                Export Signed...
+              </button>
+              <input
+                ref={signingKeyInputRef}
+                type="file"
+                accept=".pem,.key,text/plain"
+                onChange={handleSigningKeyFile}
+                style={{ display: 'none' }}
+              />
+            </>
+          )}
         </div>
       </div>
+
+      {exportError && (
+        <div className="alert alert-error mb-4">
+          <p className="text-sm">{exportError}</p>
+        </div>
+      )}
       
       {isStreaming && renderStreamingIndicator()}
       
@@ -1,20 +1,103 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { expectedOf } from 'opa-rego-tools';
+import type { InputIssue, TestCaseResult, TestRunSummary } from 'opa-rego-tools';
+import { requestEvaluation } from '../services/regoEvaluation';
 
 interface TestInput {
   description: string;
   input: Record<string, any>;
-  expected_result: boolean;
+  expected?: boolean;
+  expected_result?: boolean;
 }
 
 interface TestInputDisplayProps {
   testInputs: TestInput[];
   policy: string;
+  isStreaming?: boolean;
 }
 
-const TestInputDisplay: React.FC<TestInputDisplayProps> = ({ testInputs }) => {
+// While a policy streams in, its test inputs are evaluated once deltas pause for this long
+const STREAMING_DEBOUNCE_MS = 500;
+
+const formatDecision = (value: unknown) => {
+  if (value === true) return 'Allow';
+  if (value === false || value === null || value === undefined) return 'Deny';
+  return JSON.stringify(value);
+};
+
+const ResultBadge: React.FC<{ result?: TestCaseResult }> = ({ result }) => {
+  if (!result) return null;
+
+  if (result.error) {
+    return (
+      <span className="px-2 py-1 rounded text-sm font-medium bg-yellow-100 text-yellow-800" title={result.error}>
+        Error
+      </span>
+    );
+  }
+
+  return (
+    <span className={`px-2 py-1 rounded text-sm font-medium ${
+      result.passed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+    }`}>
+      {result.passed ? 'Pass' : 'Fail'} (actual: {formatDecision(result.actual)})
+    </span>
+  );
+};
+
+const ShapeBadge: React.FC<{ issues?: InputIssue[] }> = ({ issues }) => {
+  if (!issues?.length) return null;
+
+  return (
+    <span
+      className="px-2 py-1 rounded text-sm font-medium bg-yellow-100 text-yellow-800"
+      title={issues.map(issue => issue.message).join('\n')}
+    >
+      Input shape
+    </span>
+  );
+};
+
+const TestInputDisplay: React.FC<TestInputDisplayProps> = ({ testInputs, policy, isStreaming = false }) => {
   const [selectedInput, setSelectedInput] = useState<number>(0);
+  const [testRun, setTestRun] = useState<TestRunSummary | null>(null);
+  // Inputs whose shape differs from what the policy reads, e.g. a number where it compares strings
+  const [shapeIssues, setShapeIssues] = useState<InputIssue[][]>([]);
+  const [evaluationError, setEvaluationError] = useState<string | null>(null);
+
+  // Evaluate every test input against the policy in the browser, off the main thread
+  useEffect(() => {
+    if (!policy || !testInputs?.length) {
+      setTestRun(null);
+      setShapeIssues([]);
+      setEvaluationError(null);
+      return;
+    }
+    let stale = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { run, shapeIssues } = await requestEvaluation('testInputs', { source: policy, testInputs });
+        if (stale) return;
+        setTestRun(run);
+        setShapeIssues(shapeIssues);
+        setEvaluationError(null);
+      } catch (error) {
+        if (stale) return;
+        setTestRun(null);
+        setShapeIssues([]);
+        setEvaluationError(error instanceof Error ? error.message : String(error));
+      }
+    }, isStreaming ? STREAMING_DEBOUNCE_MS : 0);
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [policy, testInputs, isStreaming]);
+  const entrypoint = testRun?.entrypoint || 'data.package_name.allow';
+
+  const mismatchedCount = shapeIssues.filter(issues => issues.length).length;
 
   const copyToClipboard = async (text: string) => {
     try {
@@ -29,10 +112,10 @@ const TestInputDisplay: React.FC<TestInputDisplayProps> = ({ testInputs }) => {
     const inputJson = JSON.stringify(input.input, null, 2);
     const command = `# Save this policy as policy.rego
 # Save the input as input.json
-# Then run: opa eval -d policy.rego -i input.json "data.package_name.allow"
+# Then run: opa eval -d policy.rego -i input.json "${entrypoint}"
 
 echo '${inputJson}' > input.json
-opa eval -d policy.rego -i input.json "data.package_name.allow"`;
+opa eval -d policy.rego -i input.json "${entrypoint}"`;
     
     copyToClipboard(command);
   };
@@ -54,6 +137,31 @@ opa eval -d policy.rego -i input.json "data.package_name.allow"`;
   return (
     <div className="card">
       <h2 className="text-2xl font-bold text-gray-800 mb-4">Test Inputs</h2>
+
+      {testRun && (
+        <div className={`alert ${testRun.failed || testRun.errors ? 'alert-error' : 'alert-success'} mb-4`}>
+          <p className="text-sm">
+            {testRun.passed} passed, {testRun.failed} failed
+            {testRun.errors > 0 && `, ${testRun.errors} could not be evaluated`}
+            {testRun.entrypoint && <> against <code>{testRun.entrypoint}</code></>}
+          </p>
+        </div>
+      )}
+
+      {evaluationError && (
+        <div className="alert alert-error mb-4">
+          <p className="text-sm">Test inputs could not be evaluated: {evaluationError}</p>
+        </div>
+      )}
+
+      {mismatchedCount > 0 && (
+        <div className="alert alert-warning mb-4">
+          <p className="text-sm">
+            {mismatchedCount} of {testInputs.length} test input{testInputs.length === 1 ? '' : 's'}
+            {mismatchedCount === 1 ? ' does' : ' do'} not match the input shape the policy reads
+          </p>
+        </div>
+      )}
       
       <div className="space-y-4">
         {/* Test Input Selector */}
@@ -87,12 +195,14 @@ opa eval -d policy.rego -i input.json "data.package_name.allow"`;
                 </h3>
                 <div className="flex items-center space-x-2">
                   <span className={`px-2 py-1 rounded text-sm font-medium ${
-                    testInputs[selectedInput].expected_result 
+                    expectedOf(testInputs[selectedInput]) 
                       ? 'bg-green-100 text-green-800' 
                       : 'bg-red-100 text-red-800'
                   }`}>
-                    Expected: {testInputs[selectedInput].expected_result ? 'Allow' : 'Deny'}
+                    Expected: {formatDecision(expectedOf(testInputs[selectedInput]))}
                   </span>
+                  <ResultBadge result={testRun?.results[selectedInput]} />
+                  <ShapeBadge issues={shapeIssues[selectedInput]} />
                   <button
                     onClick={() => copyToClipboard(JSON.stringify(testInputs[selectedInput].input, null, 2))}
                     className="btn btn-secondary text-sm"
@@ -101,8 +211,18 @@ opa eval -d policy.rego -i input.json "data.package_name.allow"`;
                   </button>
                 </div>
               </div>
+
+              {shapeIssues[selectedInput]?.length > 0 && (
+                <div className="alert alert-warning">
+                  <ul className="text-sm space-y-1">
+                    {shapeIssues[selectedInput].map((issue, index) => (
+                      <li key={index}>{issue.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               
-              <div className="border border-gray-200 rounded">
+              <div className={`border rounded ${shapeIssues[selectedInput]?.length ? 'border-yellow-300' : 'border-gray-200'}`}>
                 <SyntaxHighlighter
                   language="json"
                   style={tomorrow}
@@ -126,7 +246,7 @@ opa eval -d policy.rego -i input.json "data.package_name.allow"`;
                 <p>2. Save the test input as <code className="bg-blue-100 px-1 rounded">input.json</code></p>
                 <p>3. Run the OPA evaluation command:</p>
                 <div className="bg-blue-100 p-2 rounded mt-2 font-mono text-xs">
-                  <code>opa eval -d policy.rego -i input.json "data.package_name.allow"</code>
+                  <code>opa eval -d policy.rego -i input.json "{entrypoint}"</code>
                 </div>
                 <button
                   onClick={() => copyTestCommand(testInputs[selectedInput])}
@@ -150,7 +270,7 @@ opa eval -d policy.rego -i input.json "data.package_name.allow"`;
                   className={`p-3 border rounded cursor-pointer transition-colors ${
                     selectedInput === index 
                       ? 'border-blue-500 bg-blue-50' 
-                      : 'border-gray-200'
+                      : shapeIssues[index]?.length ? 'border-yellow-300' : 'border-gray-200'
                   }`}
                   onClick={() => setSelectedInput(index)}
                   style={{
@@ -164,19 +284,23 @@ opa eval -d policy.rego -i input.json "data.package_name.allow"`;
                   }}
                   onMouseLeave={(e) => {
                     if (selectedInput !== index) {
-                      e.currentTarget.style.borderColor = '#e5e7eb';
+                      e.currentTarget.style.borderColor = shapeIssues[index]?.length ? '#fcd34d' : '#e5e7eb';
                     }
                   }}
                 >
                   <div className="flex justify-between items-center">
                     <span className="font-medium text-gray-800">{input.description}</span>
-                    <span className={`px-2 py-1 rounded text-sm font-medium ${
-                      input.expected_result 
-                        ? 'bg-green-100 text-green-800' 
-                        : 'bg-red-100 text-red-800'
-                    }`}>
-                      {input.expected_result ? 'Allow' : 'Deny'}
-                    </span>
+                    <div className="flex items-center space-x-2">
+                      <span className={`px-2 py-1 rounded text-sm font-medium ${
+                        expectedOf(input) 
+                          ? 'bg-green-100 text-green-800' 
+                          : 'bg-red-100 text-red-800'
+                      }`}>
+                        {formatDecision(expectedOf(input))}
+                      </span>
+                      <ResultBadge result={testRun?.results[index]} />
+                      <ShapeBadge issues={shapeIssues[index]} />
+                    </div>
                   </div>
                 </div>
               ))}
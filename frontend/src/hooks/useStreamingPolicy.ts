@@ -1,10 +1,20 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { policyHistoryService } from '../services/policyHistory';
+import { getSessionId } from '../services/session';
+import { API_BASE_URL, type GenerationOptions } from '../services/api';
+
+export interface GenerationIteration {
+  iteration: number;
+  clean: boolean;
+  tests_passed?: number;
+  tests_failed?: number;
+}
 
 export interface StreamingState {
   policy: string;
   explanation: string;
   testInputs: any[];
+  iterations: GenerationIteration[];
   isStreaming: boolean;
   isComplete: boolean;
   error: string | null;
@@ -13,19 +23,22 @@ export interface StreamingState {
 
 export interface UseStreamingPolicyReturn {
   state: StreamingState;
-  generatePolicy: (instructions: string) => Promise<void>;
-  refinePolicy: (instructions: string, existingPolicy: string) => Promise<void>;
+  generatePolicy: (instructions: string, options?: GenerationOptions) => Promise<void>;
+  refinePolicy: (instructions: string, existingPolicy: string, options?: GenerationOptions) => Promise<void>;
   clearState: () => void;
   abortStreaming: () => void;
 }
 
-const API_BASE_URL = 'https://yp9ikbo9h9.execute-api.us-east-1.amazonaws.com/dev';
+// The response-streaming Function URL (the stack's StreamingEndpoint output). API Gateway buffers
+// responses, so without it the events of a request arrive together when it finishes.
+const STREAMING_BASE_URL = (import.meta.env.VITE_STREAMING_API_URL || API_BASE_URL).replace(/\/+$/, '');
 
 export function useStreamingPolicy(): UseStreamingPolicyReturn {
   const [state, setState] = useState<StreamingState>({
     policy: '',
     explanation: '',
     testInputs: [],
+    iterations: [],
     isStreaming: false,
     isComplete: false,
     error: null,
@@ -55,6 +68,7 @@ export function useStreamingPolicy(): UseStreamingPolicyReturn {
       policy: '',
       explanation: '',
       testInputs: [],
+      iterations: [],
       isStreaming: false,
       isComplete: false,
       error: null,
@@ -93,7 +107,7 @@ export function useStreamingPolicy(): UseStreamingPolicyReturn {
     abortControllerRef.current = new AbortController();
 
     try {
-      const response = await fetch(`${API_BASE_URL}/${endpoint}`, {
+      const response = await fetch(`${STREAMING_BASE_URL}/${endpoint}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -131,7 +145,7 @@ export function useStreamingPolicy(): UseStreamingPolicyReturn {
           if (line.startsWith('data: ')) {
             try {
               const eventData = JSON.parse(line.slice(6));
-              await handleStreamingEvent(eventData);
+              handleStreamingEvent(eventData);
             } catch (e) {
               console.warn('Failed to parse SSE data:', line, e);
             }
@@ -156,7 +170,7 @@ export function useStreamingPolicy(): UseStreamingPolicyReturn {
     }
   }, [clearState]);
 
-  const handleStreamingEvent = useCallback(async (event: any) => {
+  const handleStreamingEvent = useCallback((event: any) => {
     switch (event.type) {
       case 'start':
         setState(prev => ({
@@ -164,28 +178,41 @@ export function useStreamingPolicy(): UseStreamingPolicyReturn {
           policy: '',
           explanation: '',
           testInputs: [],
+          iterations: [],
           isStreaming: true,
           isComplete: false,
           error: null
         }));
         break;
       
-      case 'policy_char':
+      case 'policy_delta':
+        setState(prev => ({
+          ...prev,
+          policy: prev.policy + event.data.delta
+        }));
+        break;
+      
+      case 'explanation_delta':
         setState(prev => ({
           ...prev,
-          policy: prev.policy + event.data.char
+          explanation: prev.explanation + event.data.delta
         }));
-        // Add small delay for visual effect
-        await new Promise(resolve => setTimeout(resolve, 20));
         break;
       
-      case 'explanation_char':
+      case 'test_input':
+        setState(prev => {
+          const testInputs = [...prev.testInputs];
+          testInputs[event.data.index] = event.data.test_input;
+          return { ...prev, testInputs };
+        });
+        break;
+      
+      case 'iteration':
+        // Corrected policies are not streamed; the final one arrives with 'complete'
         setState(prev => ({
           ...prev,
-          explanation: prev.explanation + event.data.char
+          iterations: [...prev.iterations, event.data]
         }));
-        // Add small delay for visual effect
-        await new Promise(resolve => setTimeout(resolve, 15));
         break;
       
       case 'complete':
@@ -210,23 +237,25 @@ export function useStreamingPolicy(): UseStreamingPolicyReturn {
     }
   }, []);
 
-  const generatePolicy = useCallback(async (instructions: string) => {
+  const generatePolicy = useCallback(async (instructions: string, options?: GenerationOptions) => {
     await handleStreamingRequest('generate-policy', {
       instructions,
       context: {
         user_id: 'demo-user',
-        session_id: Date.now().toString()
+        session_id: getSessionId(),
+        ...options
       }
     }, instructions);
   }, [handleStreamingRequest]);
 
-  const refinePolicy = useCallback(async (instructions: string, existingPolicy: string) => {
+  const refinePolicy = useCallback(async (instructions: string, existingPolicy: string, options?: GenerationOptions) => {
     await handleStreamingRequest('refine-policy', {
       instructions,
       existing_policy: existingPolicy,
       context: {
         user_id: 'demo-user',
-        session_id: Date.now().toString()
+        session_id: getSessionId(),
+        ...options
       }
     }, instructions);
   }, [handleStreamingRequest]);
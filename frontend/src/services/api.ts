@@ -1,7 +1,8 @@
 import axios from 'axios';
+import { getSessionId } from './session';
 
 // API configuration - Updated to use new MCP-based agent system
-const API_BASE_URL = 'https://yp9ikbo9h9.execute-api.us-east-1.amazonaws.com/dev';
+export const API_BASE_URL = 'https://yp9ikbo9h9.execute-api.us-east-1.amazonaws.com/dev';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -10,6 +11,20 @@ const api = axios.create({
   },
 });
 
+// Platform presets the server knows (`context.target`)
+export type PolicyTarget = 'kubernetes-admission' | 'terraform' | 'envoy' | 'kafka' | 'http-api';
+
+export type RegoVersion = 'v0' | 'v1';
+
+// Generation settings sent in `context`: the Rego syntax version, the target platform preset and
+// uploaded documents that name the policy's input fields, as JSON or YAML text
+export interface GenerationOptions {
+  rego_version?: RegoVersion;
+  target?: PolicyTarget;
+  input_schema?: string;
+  openapi?: string;
+}
+
 // API functions
 export const generatePolicy = async (request: any): Promise<any> => {
   try {
@@ -31,7 +46,7 @@ export const iteratePolicy = async (instructions: string, existingPolicy: string
       existing_policy: existingPolicy,
       context: {
         user_id: 'demo-user',
-        session_id: Date.now().toString(),
+        session_id: getSessionId(),
         ...context
       }
     };
@@ -59,4 +74,68 @@ export const checkHealth = async (): Promise<any> => {
   }
 };
 
+// Private keys are never sent: `prepare` asks for the signing input, `signature` brings back the
+// token signed in the browser (see bundleSigning.ts)
+export interface BundleSigning {
+  key_id?: string;
+  algorithm?: string;
+  scope?: string;
+  prepare?: boolean;
+  signature?: string;
+}
+
+export interface BundleSigningInput {
+  signing_input: string;
+  algorithm: string;
+  revision: string;
+}
+
+export interface ExportBundleRequest {
+  policy: string;
+  data?: Record<string, unknown>;
+  test_inputs?: unknown[];
+  revision?: string;
+  signing?: BundleSigning;
+}
+
+// Returns the gzipped OPA bundle; error bodies arrive as a Blob too, so they are parsed here
+export const exportBundle = async (request: ExportBundleRequest): Promise<Blob> => {
+  try {
+    const response = await api.post('/export-bundle', {
+      ...request,
+      context: { session_id: getSessionId() }
+    }, { responseType: 'blob' });
+    return response.data;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response) {
+      let message = 'Failed to export bundle';
+      try {
+        const apiError = JSON.parse(await (error.response.data as Blob).text());
+        message = apiError.error || message;
+      } catch {
+        // Not a JSON error body
+      }
+      throw new Error(message);
+    }
+    throw new Error('Network error occurred');
+  }
+};
+
+export const prepareBundleSignature = async (request: ExportBundleRequest): Promise<BundleSigningInput> => {
+  try {
+    const response = await api.post('/export-bundle', {
+      ...request,
+      signing: { ...request.signing, prepare: true },
+      context: { session_id: getSessionId() }
+    });
+    return response.data;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response) {
+      const apiError = error.response.data;
+      throw new Error(apiError.error || 'Failed to prepare the bundle signature');
+    }
+    throw new Error('Network error occurred');
+  }
+};
+
 export default api;
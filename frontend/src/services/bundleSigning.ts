@@ -0,0 +1,246 @@
+// Signs OPA bundles in the browser with WebCrypto, so a private key never leaves it: the server
+// returns the JWS signing input for the bundle's files and packs the token signed here
+
+export type SigningAlgorithm =
+  | 'RS256' | 'RS384' | 'RS512'
+  | 'PS256' | 'PS384' | 'PS512'
+  | 'ES256' | 'ES384' | 'ES512'
+  | 'HS256' | 'HS384' | 'HS512';
+
+type KeyType = 'rsa' | 'ec' | 'secret';
+type NamedCurve = 'P-256' | 'P-384' | 'P-521';
+
+interface AlgorithmSpec {
+  key: KeyType;
+  hash: 'SHA-256' | 'SHA-384' | 'SHA-512';
+  // Salt length for PSS is the digest length, as `opa sign` uses
+  hashBytes: number;
+  pss?: boolean;
+  curve?: NamedCurve;
+}
+
+const ALGORITHMS: Record<SigningAlgorithm, AlgorithmSpec> = {
+  RS256: { key: 'rsa', hash: 'SHA-256', hashBytes: 32 },
+  RS384: { key: 'rsa', hash: 'SHA-384', hashBytes: 48 },
+  RS512: { key: 'rsa', hash: 'SHA-512', hashBytes: 64 },
+  PS256: { key: 'rsa', hash: 'SHA-256', hashBytes: 32, pss: true },
+  PS384: { key: 'rsa', hash: 'SHA-384', hashBytes: 48, pss: true },
+  PS512: { key: 'rsa', hash: 'SHA-512', hashBytes: 64, pss: true },
+  ES256: { key: 'ec', hash: 'SHA-256', hashBytes: 32, curve: 'P-256' },
+  ES384: { key: 'ec', hash: 'SHA-384', hashBytes: 48, curve: 'P-384' },
+  ES512: { key: 'ec', hash: 'SHA-512', hashBytes: 64, curve: 'P-521' },
+  HS256: { key: 'secret', hash: 'SHA-256', hashBytes: 32 },
+  HS384: { key: 'secret', hash: 'SHA-384', hashBytes: 48 },
+  HS512: { key: 'secret', hash: 'SHA-512', hashBytes: 64 },
+};
+
+// DER contents of the object identifiers found in private keys
+const OID = {
+  rsaEncryption: '2a864886f70d010101',
+  rsassaPss: '2a864886f70d01010a',
+  ecPublicKey: '2a8648ce3d0201',
+};
+
+const CURVES: Record<string, NamedCurve> = {
+  '2a8648ce3d030107': 'P-256',
+  '2b81040022': 'P-384',
+  '2b81040023': 'P-521',
+};
+
+export interface BundleSigningKey {
+  algorithm: SigningAlgorithm;
+  // The compact JWS for a signing input: `<signing input>.<signature>`
+  sign(signingInput: string): Promise<string>;
+}
+
+interface ParsedKey {
+  type: KeyType;
+  pkcs8?: Uint8Array<ArrayBuffer>;
+  curve?: NamedCurve;
+  secret?: string;
+}
+
+// Load a key for signing bundles: a PEM RSA or EC private key (PKCS#8, PKCS#1 or SEC1) or an HMAC
+// secret. The algorithm follows from the key (RS256, ES256/384/512 or HS256) unless one is given.
+export async function loadSigningKey(text: string, algorithm?: SigningAlgorithm): Promise<BundleSigningKey> {
+  const parsed = parseKey(text);
+  const alg = algorithm ?? defaultAlgorithm(parsed);
+  const spec = ALGORITHMS[alg];
+  if (!spec || spec.key !== parsed.type || (spec.curve && spec.curve !== parsed.curve)) {
+    throw new Error(`Signing key (${parsed.type}${parsed.curve ? ` ${parsed.curve}` : ''}) cannot be used with ${alg}`);
+  }
+
+  let key: CryptoKey;
+  try {
+    key = await importKey(parsed, spec);
+  } catch (error) {
+    throw new Error(`Signing key could not be imported: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  return {
+    algorithm: alg,
+    async sign(signingInput: string) {
+      const params = spec.key === 'ec'
+        ? { name: 'ECDSA', hash: spec.hash }
+        : spec.key === 'secret'
+          ? { name: 'HMAC' }
+          : spec.pss ? { name: 'RSA-PSS', saltLength: spec.hashBytes } : { name: 'RSASSA-PKCS1-v1_5' };
+      // WebCrypto's ECDSA signatures are already the raw r||s form JWS wants
+      const signature = await crypto.subtle.sign(params, key, new TextEncoder().encode(signingInput));
+      return `${signingInput}.${base64url(new Uint8Array(signature))}`;
+    },
+  };
+}
+
+function importKey(parsed: ParsedKey, spec: AlgorithmSpec): Promise<CryptoKey> {
+  if (parsed.type === 'secret') {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(parsed.secret), { name: 'HMAC', hash: spec.hash }, false, ['sign']);
+  }
+  const algorithm = parsed.type === 'ec'
+    ? { name: 'ECDSA', namedCurve: parsed.curve }
+    : { name: spec.pss ? 'RSA-PSS' : 'RSASSA-PKCS1-v1_5', hash: spec.hash };
+  return crypto.subtle.importKey('pkcs8', parsed.pkcs8!, algorithm, false, ['sign']);
+}
+
+function defaultAlgorithm(parsed: ParsedKey): SigningAlgorithm {
+  if (parsed.type === 'secret') return 'HS256';
+  if (parsed.type === 'rsa') return 'RS256';
+  return parsed.curve === 'P-384' ? 'ES384' : parsed.curve === 'P-521' ? 'ES512' : 'ES256';
+}
+
+function parseKey(text: string): ParsedKey {
+  if (!text.includes('-----BEGIN')) {
+    if (!text) throw new Error('The signing key file is empty');
+    return { type: 'secret', secret: text };
+  }
+
+  const pem = text.match(/-----BEGIN ([A-Z ]+)-----([\s\S]*?)-----END \1-----/);
+  if (!pem) {
+    throw new Error('Signing key is not a valid PEM private key');
+  }
+  const der = fromBase64(pem[2].replace(/\s+/g, ''));
+
+  switch (pem[1]) {
+    case 'PRIVATE KEY':
+      return parsePkcs8(der);
+    case 'RSA PRIVATE KEY':
+      return { type: 'rsa', pkcs8: wrapPkcs8(der, encode(0x06, hex(OID.rsaEncryption)), encode(0x05, new Uint8Array(0))) };
+    case 'EC PRIVATE KEY': {
+      const curveOid = sec1Curve(der);
+      return { type: 'ec', curve: curveOf(curveOid), pkcs8: wrapPkcs8(der, encode(0x06, hex(OID.ecPublicKey)), encode(0x06, hex(curveOid))) };
+    }
+    case 'ENCRYPTED PRIVATE KEY':
+      throw new Error('Encrypted private keys are not supported; decrypt it first (openssl pkcs8 -in key.pem -out plain.pem)');
+    default:
+      throw new Error(`Expected a private key, got a PEM ${pem[1].toLowerCase()}`);
+  }
+}
+
+// PrivateKeyInfo: SEQUENCE { version, AlgorithmIdentifier { algorithm OID, parameters }, privateKey }
+function parsePkcs8(der: Uint8Array<ArrayBuffer>): ParsedKey {
+  const info = readTLV(der, 0);
+  const version = readTLV(der, info.start);
+  const algorithmId = readTLV(der, version.end);
+  const oid = readTLV(der, algorithmId.start);
+  const algorithm = toHex(der.slice(oid.start, oid.end));
+
+  if (algorithm === OID.rsaEncryption) {
+    return { type: 'rsa', pkcs8: der };
+  }
+  if (algorithm === OID.ecPublicKey && oid.end < algorithmId.end) {
+    const parameters = readTLV(der, oid.end);
+    return { type: 'ec', curve: curveOf(toHex(der.slice(parameters.start, parameters.end))), pkcs8: der };
+  }
+  if (algorithm === OID.rsassaPss) {
+    throw new Error('RSA-PSS keys cannot be imported in the browser; use a plain RSA key with PS256');
+  }
+  throw new Error('Signing key must be an RSA or EC private key');
+}
+
+// ECPrivateKey: SEQUENCE { version, privateKey, [0] curve OID, [1] publicKey }
+function sec1Curve(der: Uint8Array<ArrayBuffer>): string {
+  const key = readTLV(der, 0);
+  for (let offset = key.start; offset < key.end;) {
+    const field = readTLV(der, offset);
+    if (field.tag === 0xa0) {
+      const oid = readTLV(der, field.start);
+      return toHex(der.slice(oid.start, oid.end));
+    }
+    offset = field.end;
+  }
+  throw new Error('EC private key does not name its curve; convert it to PKCS#8 (openssl pkcs8 -topk8 -nocrypt)');
+}
+
+function curveOf(oid: string): NamedCurve {
+  const curve = CURVES[oid];
+  if (!curve) throw new Error('EC signing keys must use P-256, P-384 or P-521');
+  return curve;
+}
+
+function wrapPkcs8(key: Uint8Array<ArrayBuffer>, oid: Uint8Array<ArrayBuffer>, parameters: Uint8Array<ArrayBuffer>) {
+  return encode(0x30, concat(
+    encode(0x02, new Uint8Array([0])),
+    encode(0x30, concat(oid, parameters)),
+    encode(0x04, key),
+  ));
+}
+
+function readTLV(der: Uint8Array, offset: number): { tag: number; start: number; end: number } {
+  const tag = der[offset];
+  let length = der[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const bytes = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < bytes; i++) {
+      length = length * 256 + der[start + i];
+    }
+    start += bytes;
+  }
+  if (tag === undefined || start + length > der.length) {
+    throw new Error('Signing key is not valid DER');
+  }
+  return { tag, start, end: start + length };
+}
+
+function encode(tag: number, content: Uint8Array<ArrayBuffer>): Uint8Array<ArrayBuffer> {
+  const length: number[] = [];
+  for (let n = content.length; n > 0; n = Math.floor(n / 256)) {
+    length.unshift(n % 256);
+  }
+  const header = content.length < 0x80 ? [content.length] : [0x80 | length.length, ...length];
+  return concat(new Uint8Array([tag, ...header]), content);
+}
+
+function concat(...parts: Uint8Array<ArrayBuffer>[]): Uint8Array<ArrayBuffer> {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function hex(text: string): Uint8Array<ArrayBuffer> {
+  return new Uint8Array(text.match(/../g)!.map(byte => parseInt(byte, 16)));
+}
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromBase64(text: string): Uint8Array<ArrayBuffer> {
+  try {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  } catch {
+    throw new Error('Signing key is not a valid PEM private key');
+  }
+}
+
+function base64url(bytes: Uint8Array): string {
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
@@ -0,0 +1,102 @@
+import type {
+  BehaviorComparison,
+  InputIssue,
+  MigrationResult,
+  QueryTrace,
+  TestCase,
+  TestRunSummary,
+} from 'opa-rego-tools';
+import type { RegoVersion } from './api';
+
+export interface EvaluationRequest {
+  source: string;
+  query: string;
+  input: unknown;
+  data?: Record<string, unknown>;
+  regoVersion?: RegoVersion;
+}
+
+export interface TestInputsRequest {
+  source: string;
+  testInputs: TestCase[];
+}
+
+export interface MigrationRequest {
+  source: string;
+  testInputs: TestCase[];
+}
+
+export interface EvaluationResults {
+  query: QueryTrace;
+  // Each test input's issues are where its shape differs from what the policy reads
+  testInputs: { run: TestRunSummary; shapeIssues: InputIssue[][] };
+  // The behavior check is null when the rewritten policy is not valid v1
+  migrate: { migration: MigrationResult; behavior: BehaviorComparison | null };
+}
+
+export interface EvaluationParams {
+  query: EvaluationRequest;
+  testInputs: TestInputsRequest;
+  migrate: MigrationRequest;
+}
+
+// An evaluation still running after this long is stopped
+export const EVALUATION_TIMEOUT_MS = 10000;
+
+type Pending = { resolve: (result: never) => void; reject: (error: Error) => void };
+
+let worker: Worker | null = null;
+let nextId = 0;
+const pending = new Map<number, Pending>();
+
+// Everything that evaluates a policy (the playground, test inputs, migration checks) runs in a
+// worker of its own, started with the first evaluation and started again after one times out
+function getWorker(): Worker {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/regoEvaluation.worker.ts', import.meta.url), { type: 'module' });
+    worker.onmessage = (event: MessageEvent<{ id: number; result?: never; error?: string }>) => {
+      const request = pending.get(event.data.id);
+      pending.delete(event.data.id);
+      if (event.data.error !== undefined) {
+        request?.reject(new Error(event.data.error));
+      } else {
+        request?.resolve(event.data.result as never);
+      }
+    };
+  }
+  return worker;
+}
+
+// A worker busy evaluating cannot be interrupted, only terminated; evaluations queued behind the
+// stuck one fail with it
+function terminate(reason: string) {
+  worker?.terminate();
+  worker = null;
+  for (const request of pending.values()) {
+    request.reject(new Error(reason));
+  }
+  pending.clear();
+}
+
+export function requestEvaluation<M extends keyof EvaluationResults>(
+  method: M,
+  params: EvaluationParams[M],
+  timeoutMs = EVALUATION_TIMEOUT_MS
+): Promise<EvaluationResults[M]> {
+  const id = nextId++;
+  return new Promise<EvaluationResults[M]>((resolve, reject) => {
+    const timer = setTimeout(
+      () => terminate(`Evaluation did not finish within ${timeoutMs / 1000} s and was stopped`),
+      timeoutMs
+    );
+    pending.set(id, {
+      resolve: result => { clearTimeout(timer); resolve(result); },
+      reject: error => { clearTimeout(timer); reject(error); },
+    });
+    getWorker().postMessage({ id, method, params });
+  });
+}
+
+export function evaluateQuery(request: EvaluationRequest, timeoutMs = EVALUATION_TIMEOUT_MS): Promise<QueryTrace> {
+  return requestEvaluation('query', request, timeoutMs);
+}
@@ -0,0 +1,58 @@
+import type {
+  CompletionItem,
+  Hover,
+  LanguageServiceOptions,
+  Position,
+  Range,
+  RangedDiagnostic,
+} from 'opa-rego-tools/language-service';
+
+export type { CompletionItem, Hover, Position, Range, RangedDiagnostic };
+
+export interface RegoLanguageRequest {
+  source: string;
+  position?: Position;
+  options: LanguageServiceOptions;
+}
+
+interface RegoLanguageResults {
+  diagnostics: { valid: boolean; validV0: boolean; diagnostics: RangedDiagnostic[] };
+  completions: CompletionItem[];
+  hover: Hover | null;
+  definition: Range[];
+  references: Range[];
+}
+
+type Pending = { resolve: (result: never) => void; reject: (error: Error) => void };
+
+let worker: Worker | null = null;
+let nextId = 0;
+const pending = new Map<number, Pending>();
+
+// One worker serves every editor on the page; it starts with the first request
+function getWorker(): Worker {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/regoLanguage.worker.ts', import.meta.url), { type: 'module' });
+    worker.onmessage = (event: MessageEvent<{ id: number; result?: never; error?: string }>) => {
+      const request = pending.get(event.data.id);
+      pending.delete(event.data.id);
+      if (event.data.error !== undefined) {
+        request?.reject(new Error(event.data.error));
+      } else {
+        request?.resolve(event.data.result as never);
+      }
+    };
+  }
+  return worker;
+}
+
+export function requestLanguageService<M extends keyof RegoLanguageResults>(
+  method: M,
+  params: RegoLanguageRequest
+): Promise<RegoLanguageResults[M]> {
+  const id = nextId++;
+  return new Promise<RegoLanguageResults[M]>((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, method, params });
+  });
+}
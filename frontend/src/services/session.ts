@@ -0,0 +1,11 @@
+const SESSION_KEY = 'opa-agent-session-id';
+
+// One server-side conversation per browser tab, so refinements build on earlier turns
+export function getSessionId(): string {
+  let sessionId = sessionStorage.getItem(SESSION_KEY);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+}
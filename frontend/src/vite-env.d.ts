@@ -1 +1,6 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  // Response-streaming Function URL for generate-policy and refine-policy
+  readonly VITE_STREAMING_API_URL?: string;
+}
@@ -0,0 +1,41 @@
+import {
+  traceQuery,
+  runTestInputs,
+  inferInputSchema,
+  validateInput,
+  migrateToV1,
+  compareBehavior,
+} from 'opa-rego-tools';
+import type { EvaluationParams } from '../services/regoEvaluation';
+
+// Evaluation runs apart from the language worker: a policy that never finishes evaluating is
+// stopped by terminating this worker, and the editor's diagnostics keep working.
+const handlers = {
+  query: ({ source, query, input, data, regoVersion }: EvaluationParams['query']) =>
+    traceQuery(source, query, input, { data, regoVersion }),
+  testInputs: ({ source, testInputs }: EvaluationParams['testInputs']) => {
+    const schema = inferInputSchema(source, testInputs);
+    return {
+      run: runTestInputs(source, testInputs),
+      shapeIssues: testInputs.map(testInput => validateInput(schema, testInput.input)),
+    };
+  },
+  migrate: ({ source, testInputs }: EvaluationParams['migrate']) => {
+    const migration = migrateToV1(source);
+    return {
+      migration,
+      behavior: migration.policy && migration.valid
+        ? compareBehavior(source, migration.policy, testInputs, { after: 'v1' })
+        : null,
+    };
+  },
+};
+
+self.onmessage = (event: MessageEvent<{ id: number; method: keyof typeof handlers; params: never }>) => {
+  const { id, method, params } = event.data;
+  try {
+    self.postMessage({ id, result: handlers[method](params) });
+  } catch (error) {
+    self.postMessage({ id, error: error instanceof Error ? error.message : String(error) });
+  }
+};
@@ -0,0 +1,32 @@
+import { checkPolicy } from 'opa-rego-tools';
+import {
+  getDiagnostics,
+  getCompletions,
+  getHover,
+  getDefinition,
+  getReferences,
+} from 'opa-rego-tools/language-service';
+import type { RegoLanguageRequest } from '../services/regoLanguage';
+
+// Parsing, checks and schema inference run here so typing in the editor never waits on them.
+// Every request carries the whole policy; the service reuses its analysis while it is unchanged.
+const handlers = {
+  diagnostics: ({ source, options }: RegoLanguageRequest) => ({
+    ...getDiagnostics(source, options),
+    // A v1 policy that fails to parse may still be valid v0, which the editor offers to migrate
+    validV0: options.regoVersion === 'v1' && checkPolicy(source, { regoVersion: 'v0' }).valid,
+  }),
+  completions: ({ source, position, options }: RegoLanguageRequest) => getCompletions(source, position!, options),
+  hover: ({ source, position, options }: RegoLanguageRequest) => getHover(source, position!, options),
+  definition: ({ source, position, options }: RegoLanguageRequest) => getDefinition(source, position!, options),
+  references: ({ source, position, options }: RegoLanguageRequest) => getReferences(source, position!, options),
+};
+
+self.onmessage = (event: MessageEvent<{ id: number; method: keyof typeof handlers; params: RegoLanguageRequest }>) => {
+  const { id, method, params } = event.data;
+  try {
+    self.postMessage({ id, result: handlers[method](params) });
+  } catch (error) {
+    self.postMessage({ id, error: error instanceof Error ? error.message : String(error) });
+  }
+};
@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The Rego tools are shared CommonJS sources linked from the Lambda package
+  optimizeDeps: {
+    include: ['opa-rego-tools', 'opa-rego-tools/language-service'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/opa-rego-tools/, /lambda\/rego/, /node_modules/],
+    },
+  },
 })
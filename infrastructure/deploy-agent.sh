@@ -86,12 +86,19 @@ done
 
 cd .. # Back to lambda directory
 
+# The docs search index is committed; refuse to package one that no longer matches the corpus
+if ! npm run --silent check:docs; then
+    echo -e "${RED}❌ Run npm run build:docs in infrastructure/lambda and commit the index${NC}"
+    exit 1
+fi
+
 # Create deployment package
 echo "Creating deployment package..."
 zip -r function-agent.zip . -x \
     'node_modules/.cache/*' \
     '*.git*' \
     'test/*' \
+    '*.test.js' \
     '*.log' \
     'coverage/*' \
     '.nyc_output/*'
@@ -144,6 +151,25 @@ else
     exit 1
 fi
 
+# The streaming function runs the same code behind the response-streaming Function URL
+STREAMING_FUNCTION_NAME=$(aws cloudformation describe-stacks \
+    --stack-name "$STACK_NAME" \
+    --region "$AWS_REGION" \
+    --query 'Stacks[0].Outputs[?OutputKey==`StreamingFunctionName`].OutputValue' \
+    --output text)
+
+aws lambda update-function-code \
+    --function-name "$STREAMING_FUNCTION_NAME" \
+    --zip-file fileb://lambda/function-agent.zip \
+    --region "$AWS_REGION"
+
+if [ $? -eq 0 ]; then
+    echo -e "${GREEN}✅ Streaming Lambda function code updated successfully${NC}"
+else
+    echo -e "${RED}❌ Streaming Lambda function code update failed${NC}"
+    exit 1
+fi
+
 echo -e "${YELLOW}📋 Step 4: Retrieving deployment information${NC}"
 
 # Get API endpoint
@@ -153,6 +179,19 @@ API_ENDPOINT=$(aws cloudformation describe-stacks \
     --query 'Stacks[0].Outputs[?OutputKey==`APIEndpoint`].OutputValue' \
     --output text)
 
+# Get the streaming Function URL
+STREAMING_ENDPOINT=$(aws cloudformation describe-stacks \
+    --stack-name "$STACK_NAME" \
+    --region "$AWS_REGION" \
+    --query 'Stacks[0].Outputs[?OutputKey==`StreamingEndpoint`].OutputValue' \
+    --output text)
+
+STREAMING_AUTH_TYPE=$(aws cloudformation describe-stacks \
+    --stack-name "$STACK_NAME" \
+    --region "$AWS_REGION" \
+    --query 'Stacks[0].Outputs[?OutputKey==`StreamingAuthType`].OutputValue' \
+    --output text)
+
 # Get Dashboard URL
 DASHBOARD_URL=$(aws cloudformation describe-stacks \
     --stack-name "$STACK_NAME" \
@@ -165,6 +204,7 @@ echo ""
 echo -e "${BLUE}📊 Deployment Information:${NC}"
 echo -e "Environment: ${ENVIRONMENT}"
 echo -e "API Endpoint: ${API_ENDPOINT}"
+echo -e "Streaming Endpoint: ${STREAMING_ENDPOINT} (auth: ${STREAMING_AUTH_TYPE})"
 echo -e "Lambda Function: ${FUNCTION_NAME}"
 echo -e "Dashboard: ${DASHBOARD_URL}"
 echo ""
@@ -179,7 +219,11 @@ echo -e "${BLUE}🧪 Test the deployment:${NC}"
 echo -e "curl ${API_ENDPOINT}/health"
 echo ""
 echo -e "${YELLOW}💡 Next Steps:${NC}"
-echo -e "1. Update your frontend configuration to use the new API endpoint"
+if [ "$STREAMING_AUTH_TYPE" = "NONE" ]; then
+    echo -e "1. Update your frontend configuration to use the new API endpoint, and build it with VITE_STREAMING_API_URL=${STREAMING_ENDPOINT}"
+else
+    echo -e "1. Update your frontend configuration to use the new API endpoint (the streaming URL takes SigV4-signed requests only; deploy with StreamingUrlAuthType=NONE to stream from the browser)"
+fi
 echo -e "2. Test the new agent capabilities with the additional endpoints"
 echo -e "3. Monitor the CloudWatch dashboard for performance metrics"
 echo -e "4. Check CloudWatch logs for detailed agent operation logs"
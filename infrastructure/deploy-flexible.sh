@@ -82,12 +82,19 @@ done
 
 cd .. # Back to lambda directory
 
+# The docs search index is committed; refuse to package one that no longer matches the corpus
+if ! npm run --silent check:docs; then
+    echo -e "${RED}❌ Run npm run build:docs in infrastructure/lambda and commit the index${NC}"
+    exit 1
+fi
+
 # Create deployment package
 echo "Creating deployment package..."
 zip -r function-agent.zip . -x \
     'node_modules/.cache/*' \
     '*.git*' \
     'test/*' \
+    '*.test.js' \
     '*.log' \
     'coverage/*' \
     '.nyc_output/*' \
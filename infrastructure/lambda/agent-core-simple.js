@@ -1,9 +1,49 @@
 /**
  * Simplified Agent System for OPA Policy Generation
- * Works in AWS Lambda without external MCP processes
+ * Core tools run in-process; with MCP_ENABLED=true the MCP servers declared in package.json are
+ * launched as well and their other tools are routed through the same registry.
  */
 
-const OpenAI = require('openai');
+const {
+    parseModule,
+    ruleName,
+    checkPolicy,
+    buildTestSuite,
+    inferInputSchema,
+    formatPolicy
+} = require('./rego');
+const { createProvider, providerForRequest } = require('./providers');
+const { GenerationStreamParser } = require('./streaming');
+const { runTestInputs } = require('./evaluation');
+const { recordTurn } = require('./sessions');
+const { ToolRegistry, registerInProcessTools } = require('./tools');
+const { MCPClientManager, loadServerConfig } = require('./mcp-client');
+const { resolveInputSpec, formatInputSpec, InputSpecError } = require('./input-spec');
+const { resolvePreset, formatPreset, checkPreset } = require('./presets');
+const { syntaxNotes, builtinNotes } = require('./docs');
+const {
+    GENERATION_SCHEMA,
+    GENERATION_SCHEMA_NAME,
+    DECISION_EXPLANATION_SCHEMA,
+    DECISION_EXPLANATION_SCHEMA_NAME,
+    StructuredOutputError,
+    checkGenerationResponse,
+    checkDecisionExplanation
+} = require('./response-schema');
+
+const DEFAULT_MAX_ITERATIONS = 3;
+const MAX_ITERATIONS_LIMIT = 10;
+// Extra attempts when a response does not match its schema
+const MAX_SCHEMA_RETRIES = 2;
+// Prompt space for earlier turns when refining (HISTORY_TOKEN_BUDGET env overrides)
+const DEFAULT_HISTORY_TOKEN_BUDGET = 1000;
+// Longest excerpt of an earlier explanation quoted in the history summary
+const TURN_SUMMARY_CHARS = 240;
+// Providers kept for distinct request `llm` settings; the least recently used is dropped beyond this
+const MAX_REQUEST_PROVIDERS = 16;
+
+const GENERATION_RESPONSE_FORMAT = { name: GENERATION_SCHEMA_NAME, schema: GENERATION_SCHEMA };
+const DECISION_EXPLANATION_FORMAT = { name: DECISION_EXPLANATION_SCHEMA_NAME, schema: DECISION_EXPLANATION_SCHEMA };
 
 class OPAPolicyAgent {
     constructor() {
@@ -16,16 +56,11 @@ class OPAPolicyAgent {
             deploymentConfig: null
         };
         this.initialized = false;
-        this.openai = null;
-        this.availableTools = [
-            'docs-retriever',
-            'code-generator', 
-            'code-refiner',
-            'linter-validator',
-            'unit-tester',
-            'policy-explainer',
-            'deployment-helper'
-        ];
+        this.llm = null;
+        this.requestProviders = new Map();
+        this.tools = new ToolRegistry();
+        registerInProcessTools(this.tools, this);
+        this.mcp = null;
     }
 
     /**
@@ -35,11 +70,15 @@ class OPAPolicyAgent {
         if (this.initialized) return;
 
         try {
-            // Initialize OpenAI client if API key is available
-            if (process.env.OPENAI_API_KEY) {
-                this.openai = new OpenAI({
-                    apiKey: process.env.OPENAI_API_KEY
-                });
+            // Initialize the deployment's LLM provider if it is configured (e.g. has an API key)
+            const provider = createProvider();
+            if (provider.isConfigured()) {
+                this.llm = provider;
+            }
+
+            if (process.env.MCP_ENABLED === 'true') {
+                this.mcp = new MCPClientManager(loadServerConfig(), { registry: this.tools });
+                await this.mcp.start();
             }
             
             this.initialized = true;
@@ -56,8 +95,9 @@ class OPAPolicyAgent {
     getStatus() {
         return {
             initialized: this.initialized,
-            mcp_servers: this.availableTools.length,
-            available_tools: this.availableTools.length * 2, // Approximate tool count
+            llm_provider: this.llm ? { name: this.llm.name, model: this.llm.model } : null,
+            mcp_servers: this.mcp ? this.mcp.getStatus() : [],
+            available_tools: this.tools.list().length,
             capabilities: [
                 'policy_generation',
                 'policy_refinement', 
@@ -71,24 +111,43 @@ class OPAPolicyAgent {
     }
 
     /**
-     * Generate OPA policy using enhanced prompts and context
+     * Stop the MCP servers, e.g. on Lambda shutdown
      */
-    async generatePolicy(instructions, context = {}) {
+    async cleanup() {
+        if (this.mcp) {
+            await this.mcp.stop();
+        }
+    }
+
+    /**
+     * Generate OPA policy using enhanced prompts and context.
+     * With `onEvent`, the model's answer is streamed as policy/explanation deltas and test inputs.
+     * With `context.input_schema` or `context.openapi`, the policy may only read the fields they
+     * declare; InputSpecError is thrown when the document is invalid or the corrections leave
+     * other fields in the policy.
+     * With `context.target`, the platform preset supplies the conventions, the input shape when no
+     * specification is given, and checks the corrections must satisfy; PresetError is thrown for
+     * unknown targets.
+     */
+    async generatePolicy(instructions, context = {}, onEvent = null) {
         try {
+            const preset = resolvePreset(context.target);
+            const inputSpec = resolveInputSpec(context) || presetInputSpec(preset);
+
             // Build enhanced system prompt with tool context
             const systemPrompt = this.buildSystemPrompt('generation', context);
             
             // Build user prompt with instructions and context
-            const userPrompt = this.buildUserPrompt(instructions, context);
+            const userPrompt = this.buildUserPrompt(instructions, context, inputSpec);
 
-            // Use OpenAI to generate policy
-            const response = await this.callOpenAI(systemPrompt, userPrompt);
-            
-            // Parse and validate response
-            const result = this.parseGenerationResponse(response);
+            // Use the LLM to generate policy, validated against the response schema
+            const initial = await this.requestGeneration(systemPrompt, userPrompt, context, onEvent);
+
+            // Parse, lint and test; feed failures back until the policy is clean
+            const result = await this.correctUntilClean(instructions, initial, context, onEvent, inputSpec, preset);
             
             // Update context
-            this.updateContext('generation', instructions, result);
+            this.updateContext('generation', instructions, result, context.session);
             
             return result;
         } catch (error) {
@@ -98,24 +157,28 @@ class OPAPolicyAgent {
     }
 
     /**
-     * Refine existing OPA policy
+     * Refine existing OPA policy; `onEvent`, the input specification and the target preset work
+     * as in generatePolicy
      */
-    async refinePolicy(instructions, existingPolicy, context = {}) {
+    async refinePolicy(instructions, existingPolicy, context = {}, onEvent = null) {
         try {
+            const preset = resolvePreset(context.target);
+            const inputSpec = resolveInputSpec(context) || presetInputSpec(preset);
+
             // Build enhanced system prompt for refinement
             const systemPrompt = this.buildSystemPrompt('refinement', context);
             
             // Build user prompt with refinement instructions
-            const userPrompt = this.buildRefinementPrompt(instructions, existingPolicy, context);
+            const userPrompt = this.buildRefinementPrompt(instructions, existingPolicy, context, inputSpec);
 
-            // Use OpenAI to refine policy
-            const response = await this.callOpenAI(systemPrompt, userPrompt);
-            
-            // Parse and validate response
-            const result = this.parseGenerationResponse(response);
+            // Use the LLM to refine policy, validated against the response schema
+            const initial = await this.requestGeneration(systemPrompt, userPrompt, context, onEvent);
+
+            // Parse, lint and test; feed failures back until the policy is clean
+            const result = await this.correctUntilClean(instructions, initial, context, onEvent, inputSpec, preset);
             
             // Update context
-            this.updateContext('refinement', instructions, result);
+            this.updateContext('refinement', instructions, result, context.session);
             
             return result;
         } catch (error) {
@@ -124,19 +187,217 @@ class OPAPolicyAgent {
         }
     }
 
+    /**
+     * More correction rounds for a result that is still not clean, e.g. a workflow's generated
+     * policy that fails validation. The rounds continue `result.iterations`, and no conversation
+     * turn is recorded: they belong to the turn that produced the result.
+     */
+    async correctPolicy(instructions, result, context = {}) {
+        const preset = resolvePreset(context.target);
+        const inputSpec = resolveInputSpec(context) || presetInputSpec(preset);
+        const previous = result.iterations || [];
+
+        const corrected = await this.correctUntilClean(instructions, { ...result }, context, null, inputSpec, preset);
+        // The first round only re-checks the policy the previous rounds ended with
+        const rounds = previous.length ? corrected.iterations.slice(1) : corrected.iterations;
+        corrected.iterations = [
+            ...previous,
+            ...rounds.map((iteration, index) => ({ ...iteration, iteration: previous.length + index + 1 }))
+        ];
+        return corrected;
+    }
+
+    /**
+     * Format and check a generated policy and ask the model to fix parse errors and failing tests,
+     * up to `context.max_iterations` rounds (MAX_GENERATION_ITERATIONS env, default 3). The test
+     * cases of the first answer stay fixed; corrections only change the policy.
+     * Each round is recorded in `result.iterations` and, when streaming, sent as an `iteration` event.
+     * With an input specification, reading undeclared input fields also needs correcting, and
+     * throws InputSpecError when the last round still does. With a target preset, breaking its
+     * conventions needs correcting too.
+     */
+    async correctUntilClean(instructions, initial, context = {}, onEvent = null, inputSpec = null, preset = null) {
+        const maxIterations = this.resolveMaxIterations(context);
+        const iterations = [];
+        let current = initial;
+        let changes = [];
+        let assessment;
+
+        for (let round = 1; ; round++) {
+            // Policies that parse are formatted, so diagnostics refer to the lines the caller sees
+            current.policy = formatPolicy(current.policy || '', { regoVersion: context.rego_version }).policy ?? current.policy;
+            assessment = await this.assessPolicy(current, inputSpec, preset, context.rego_version);
+            iterations.push({
+                iteration: round,
+                source: round === 1 ? 'generation' : 'correction',
+                clean: assessment.clean,
+                syntax_errors: assessment.syntax_errors,
+                lint_warnings: assessment.lint_warnings,
+                ...(inputSpec ? { schema_violations: assessment.schema_violations } : {}),
+                ...(preset ? { target_issues: assessment.target_issues } : {}),
+                failing_tests: assessment.failing_tests,
+                tests_passed: assessment.test_results.passed,
+                tests_failed: assessment.test_results.failed + assessment.test_results.errors,
+                changes,
+                timestamp: new Date().toISOString()
+            });
+            if (onEvent) {
+                onEvent({ type: 'iteration', data: iterations[iterations.length - 1] });
+            }
+
+            if (assessment.clean || round >= maxIterations) {
+                current.test_results = assessment.test_results;
+                break;
+            }
+
+            let corrected;
+            try {
+                corrected = await this.requestGeneration(
+                    this.buildSystemPrompt('correction', context),
+                    this.buildCorrectionPrompt(instructions, current, assessment, inputSpec),
+                    context
+                );
+            } catch (error) {
+                console.error(`Correction round ${round + 1} failed, keeping the last policy:`, error);
+                iterations[iterations.length - 1].correction_error = error.message;
+                current.test_results = assessment.test_results;
+                break;
+            }
+
+            // The first round's test cases are what each correction is checked against, so a
+            // correction cannot pass by changing what they expect
+            corrected.test_inputs = current.test_inputs;
+            // Corrections do not revisit the requirements, so keep what the first answer reported
+            corrected.requirements = current.requirements;
+            corrected.contradictions = current.contradictions;
+            changes = corrected.changes || [];
+            delete corrected.changes;
+            current = corrected;
+        }
+
+        if (assessment.schema_violations.length) {
+            throw new InputSpecError(
+                'The policy reads input fields that the input schema does not declare',
+                'input_schema_violation',
+                assessment.schema_violations.map(violation => `line ${violation.line}: ${violation.message}`)
+            );
+        }
+
+        delete current.changes;
+        current.test_suite = buildTestSuite(current.policy, current.test_inputs);
+        current.input_schema = inputSpec ? inputSpec.schema : inferInputSchema(current.policy, current.test_inputs);
+        current.iterations = iterations;
+        return current;
+    }
+
+    /**
+     * Parse errors, lint warnings and test failures for one round of the correction loop.
+     * Input fields the policy reads but no test input provides are reported as lint warnings;
+     * with an input specification, fields it does not declare are schema violations instead.
+     * With a target preset, places that break its conventions are target issues. With a
+     * `regoVersion`, the policy must parse in that syntax version.
+     */
+    async assessPolicy(result, inputSpec = null, preset = null, regoVersion = undefined) {
+        const syntax = checkPolicy(result.policy || '', {
+            regoVersion,
+            inputSchema: inputSpec ? inputSpec.schema : inferInputSchema('', result.test_inputs)
+        });
+        const violatesSpec = warning => Boolean(inputSpec) && warning.code === 'input_path_unknown';
+        const testResults = await runTestInputs(result.policy, result.test_inputs, { regoVersion });
+        const targetIssues = preset && syntax.valid ? checkPreset(preset, syntax.ast) : [];
+
+        const failingTests = testResults.results
+            .filter(test => !test.passed)
+            .map(test => ({
+                description: test.description,
+                expected: test.expected,
+                actual: test.actual,
+                error: test.error
+            }));
+
+        return {
+            clean: syntax.valid && failingTests.length === 0 && !syntax.warnings.some(violatesSpec) && !targetIssues.length,
+            syntax_errors: syntax.errors.map(({ line, column, message, suggestion }) => ({ line, column, message, suggestion })),
+            lint_warnings: syntax.warnings.filter(warning => !violatesSpec(warning))
+                .map(({ line, column, message }) => ({ line, column, message })),
+            schema_violations: syntax.warnings.filter(violatesSpec)
+                .map(({ line, column, message }) => ({ line, column, message })),
+            target_issues: targetIssues.map(({ line, column, message }) => ({ line, column, message })),
+            // Test errors caused by a parse failure only repeat the syntax errors
+            failing_tests: syntax.valid ? failingTests : [],
+            test_results: testResults
+        };
+    }
+
+    resolveMaxIterations(context) {
+        const requested = Number(context.max_iterations ?? process.env.MAX_GENERATION_ITERATIONS ?? DEFAULT_MAX_ITERATIONS);
+        if (!Number.isInteger(requested) || requested < 1) {
+            return DEFAULT_MAX_ITERATIONS;
+        }
+        return Math.min(requested, MAX_ITERATIONS_LIMIT);
+    }
+
+    /**
+     * Build the prompt that feeds concrete errors and failing cases back to the model
+     */
+    buildCorrectionPrompt(instructions, result, assessment, inputSpec = null) {
+        const sections = [`Original requirements: ${instructions}`, `Current policy:\n${result.policy}`];
+
+        if (assessment.syntax_errors.length) {
+            sections.push(`Parse and compile errors:\n${assessment.syntax_errors
+                .map(error => `- policy.rego:${error.line}:${error.column}: ${error.message}${error.suggestion ? ` (${error.suggestion})` : ''}`).join('\n')}`);
+        }
+
+        if (assessment.schema_violations.length) {
+            sections.push(`Input fields outside the input schema (use the declared fields instead):\n${assessment.schema_violations
+                .map(violation => `- policy.rego:${violation.line}:${violation.column}: ${violation.message}`).join('\n')}`);
+        }
+        if (inputSpec) {
+            sections.push(formatInputSpec(inputSpec));
+        }
+
+        if (assessment.target_issues.length) {
+            sections.push(`Target platform conventions not followed:\n${assessment.target_issues
+                .map(issue => `- policy.rego:${issue.line}:${issue.column}: ${issue.message}`).join('\n')}`);
+        }
+
+        if (assessment.failing_tests.length) {
+            sections.push(`Failing test cases:\n${assessment.failing_tests
+                .map(test => `- ${test.description}: expected ${JSON.stringify(test.expected)}, got ${test.error ? `error (${test.error})` : JSON.stringify(test.actual)}`)
+                .join('\n')}`);
+        }
+
+        if (assessment.lint_warnings.length) {
+            sections.push(`Warnings (fix if it does not change behaviour):\n${assessment.lint_warnings
+                .map(warning => `- policy.rego:${warning.line}:${warning.column}: ${warning.message}`).join('\n')}`);
+        }
+
+        sections.push(`Test inputs:\n${JSON.stringify(result.test_inputs || [], null, 2)}`);
+
+        sections.push(`Fix the policy so it parses and every test case passes. The test cases are fixed: change the policy, not the test inputs or their expected values, and return the test inputs unchanged. Return your response in JSON format:
+{
+  "policy": "corrected Rego policy code (raw string, not nested JSON)",
+  "explanation": "clear explanation of what the policy does",
+  "test_inputs": [the test inputs above, unchanged],
+  "changes": ["each fix you made and why"]
+}`);
+
+        return sections.join('\n\n');
+    }
+
     /**
      * Validate OPA policy
      */
     async validatePolicy(policy, context = {}) {
         try {
-            const systemPrompt = this.buildSystemPrompt('validation', context);
-            const userPrompt = `Please validate this OPA Rego policy for syntax, best practices, and security:\n\n${policy}`;
-
-            const response = await this.callOpenAI(systemPrompt, userPrompt);
+            const syntax = checkPolicy(policy);
+            const response = await this.reviewPolicy(policy, context);
             
             return {
                 validation_results: {
-                    syntax_valid: true,
+                    syntax_valid: syntax.valid,
+                    syntax_errors: syntax.errors,
+                    syntax_warnings: syntax.warnings,
                     best_practices: [],
                     security_analysis: [],
                     recommendations: []
@@ -149,6 +410,16 @@ class OPAPolicyAgent {
         }
     }
 
+    /**
+     * Model review of a policy's syntax, best practices and security, as text
+     */
+    async reviewPolicy(policy, context = {}) {
+        const systemPrompt = this.buildSystemPrompt('validation', context);
+        const userPrompt = `Please validate this OPA Rego policy for syntax, best practices, and security:\n\n${policy}`;
+
+        return this.callLLM(systemPrompt, userPrompt, context);
+    }
+
     /**
      * Explain OPA policy in plain English
      */
@@ -157,15 +428,11 @@ class OPAPolicyAgent {
             const systemPrompt = this.buildSystemPrompt('explanation', context);
             const userPrompt = `Please explain this OPA Rego policy in plain English:\n\n${policy}`;
 
-            const response = await this.callOpenAI(systemPrompt, userPrompt);
+            const response = await this.callLLM(systemPrompt, userPrompt, context);
             
             return {
                 explanation: response,
-                structure_analysis: {
-                    package_name: this.extractPackageName(policy),
-                    rules: this.extractRules(policy),
-                    complexity: 'medium'
-                }
+                structure_analysis: this.analyzeStructure(policy)
             };
         } catch (error) {
             console.error('Policy explanation failed:', error);
@@ -174,7 +441,113 @@ class OPAPolicyAgent {
     }
 
     /**
-     * Build system prompt based on operation type
+     * Explain one decision from its trace (rego traceDecision): why the input was allowed or
+     * denied, one sentence at a time, each citing the policy lines it is based on
+     */
+    async explainDecision(policy, trace, input, context = {}) {
+        const lines = policy.split('\n');
+        const numbered = lines.map((line, index) => `${String(index + 1).padStart(3)} | ${line}`).join('\n');
+        const systemPrompt = this.buildSystemPrompt('decision', context);
+        const messages = [{
+            role: 'user',
+            content: `Policy (with line numbers):
+${numbered}
+
+Input:
+${JSON.stringify(input, null, 2)}
+
+Decision: ${trace.entrypoint} = ${JSON.stringify(trace.result)} (${trace.allowed ? 'allowed' : 'not allowed'})${trace.error ? `\nEvaluation error at line ${trace.error.line}: ${trace.error.message}` : ''}
+
+Evaluation trace, rule by rule. Each expression's outcome is succeeded, failed, mixed (held for some iterations only) or not_evaluated; values are what the failed expressions compared:
+${JSON.stringify(trace.rules, null, 2)}
+
+Explain why this input got this decision. Return your response in JSON format:
+{
+  "summary": "one sentence answering why",
+  "sentences": [
+    { "text": "one sentence about a rule or expression", "lines": [policy line numbers it is based on] }
+  ]
+}`
+        }];
+
+        for (let attempt = 0; ; attempt++) {
+            const response = await this.callLLM(systemPrompt, messages, context, DECISION_EXPLANATION_FORMAT);
+            const checked = checkDecisionExplanation(response, lines.length);
+            if (checked.valid) {
+                return checked.value;
+            }
+
+            if (attempt >= MAX_SCHEMA_RETRIES) {
+                throw new StructuredOutputError(
+                    `Model response did not match the decision explanation schema after ${attempt + 1} attempts: ${checked.errors.join('; ')}`,
+                    checked.errors
+                );
+            }
+
+            console.warn(`Decision explanation failed schema validation (attempt ${attempt + 1}):`, checked.errors);
+            messages.push(
+                { role: 'assistant', content: response },
+                { role: 'user', content: this.buildSchemaRepairPrompt(checked.errors, DECISION_EXPLANATION_SCHEMA) }
+            );
+        }
+    }
+
+    analyzeStructure(policy) {
+        return {
+            package_name: this.extractPackageName(policy),
+            rules: this.extractRules(policy),
+            complexity: 'medium'
+        };
+    }
+
+    /**
+     * Run a registered tool (see tools.js) with its timeout and retries.
+     * @returns {Promise<{result: any, source: string, attempts: number, duration_ms: number}>}
+     */
+    async callTool(name, args = {}, options = {}) {
+        return this.tools.call(name, args, options);
+    }
+
+    hasTool(name) {
+        return this.tools.has(name);
+    }
+
+    /**
+     * Current policy, accumulated requirements and recent turns, from the session when given
+     */
+    getContext(session = null) {
+        if (session) {
+            return {
+                currentPolicy: session.current_policy,
+                requirements: session.requirements || [],
+                history: session.conversation_history || []
+            };
+        }
+        return {
+            currentPolicy: this.policyContext.currentPolicy,
+            requirements: this.policyContext.requirements,
+            history: this.conversationHistory
+        };
+    }
+
+    /**
+     * Merge workflow results into the policy context; a session only keeps the current policy
+     */
+    updatePolicyContext(update, session = null) {
+        if (session) {
+            if (update.currentPolicy) {
+                session.current_policy = update.currentPolicy;
+                session.updated_at = new Date().toISOString();
+            }
+            return;
+        }
+        Object.assign(this.policyContext, update);
+    }
+
+    /**
+     * Build system prompt based on operation type; generation, refinement and correction prompts
+     * end with how to write the `context.rego_version` syntax (v1 by default) and the conventions
+     * of the `context.target` preset
      */
     buildSystemPrompt(operation, context) {
         const basePrompt = `You are an expert OPA (Open Policy Agent) Rego policy generator and advisor. You have access to comprehensive OPA documentation, best practices, and security guidelines.`;
@@ -184,14 +557,14 @@ class OPAPolicyAgent {
 Your task is to generate syntactically correct, secure, and well-structured Rego policies based on natural language requirements.
 
 Key guidelines:
-- Generate clean, readable Rego code without import statements
+- Generate clean, readable Rego code
 - Include comprehensive test inputs that match the policy structure
 - Provide clear explanations of policy logic
 - Follow OPA best practices for performance and security
 - Use appropriate variable names and structure
 - Include default deny rules where appropriate
 
-CRITICAL: You must respond with valid JSON only. Do not include any text before or after the JSON. In the policy field, use actual newlines, not escaped \\n characters.`,
+CRITICAL: Respond only with a JSON object matching the response schema. The policy field holds the whole Rego source as one JSON string.`,
 
             refinement: `
 Your task is to refine existing Rego policies while preserving their original intent and structure.
@@ -203,7 +576,18 @@ Key guidelines:
 - Ensure backward compatibility where possible
 - Explain what changes were made and why
 
-CRITICAL: You must respond with valid JSON only. Do not include any text before or after the JSON. In the policy field, use actual newlines, not escaped \\n characters.`,
+CRITICAL: Respond only with a JSON object matching the response schema. The policy field holds the whole Rego source as one JSON string.`,
+
+            correction: `
+Your task is to fix a Rego policy that failed parsing or its test cases.
+
+Key guidelines:
+- Fix every reported error at the reported line
+- Change only what is needed to make the failing cases pass; the test cases themselves are fixed
+- Keep the package name and the existing rule names
+- Generate clean, readable Rego code
+
+CRITICAL: Respond only with a JSON object matching the response schema. The policy field holds the whole Rego source as one JSON string.`,
 
             validation: `
 Your task is to validate Rego policies for syntax correctness, best practices, and security.
@@ -223,16 +607,37 @@ Key guidelines:
 - Explain the purpose and behavior of each rule
 - Describe input requirements and expected outputs
 - Use examples to illustrate policy behavior
-- Avoid technical jargon where possible`
+- Avoid technical jargon where possible`,
+
+            decision: `
+Your task is to explain why a Rego policy made a specific decision for a specific input, for a support engineer answering "why was this request denied (or allowed)?".
+
+Key guidelines:
+- Base every sentence on the evaluation trace, not on what the policy might do for other inputs
+- Name the expression that decided the outcome and the input value it compared
+- For a denial, cover each rule that could have allowed the request and the first expression that failed in it
+- Cite in "lines" only the policy lines the sentence is about
+- Avoid technical jargon where possible
+
+CRITICAL: Respond only with a JSON object matching the response schema.`
         };
 
-        return basePrompt + (operationPrompts[operation] || '');
+        if (!['generation', 'refinement', 'correction'].includes(operation)) {
+            return basePrompt + (operationPrompts[operation] || '');
+        }
+        const preset = resolvePreset(context.target);
+        return [
+            basePrompt + operationPrompts[operation],
+            syntaxNotes(context.rego_version),
+            builtinNotes(),
+            ...(preset ? [formatPreset(preset)] : [])
+        ].join('\n\n');
     }
 
     /**
-     * Build user prompt with context
+     * Build user prompt with context; `inputSpec` (resolveInputSpec) names the input fields to use
      */
-    buildUserPrompt(instructions, context) {
+    buildUserPrompt(instructions, context, inputSpec = null) {
         let prompt = `Instructions: ${instructions}\n\n`;
         
         if (context.domain) {
@@ -242,6 +647,14 @@ Key guidelines:
         if (context.complexity) {
             prompt += `Complexity: ${context.complexity}\n`;
         }
+
+        if (inputSpec) {
+            prompt += `\n${formatInputSpec(inputSpec)}\n`;
+        }
+
+        if (context.documentation) {
+            prompt += `\nReference material:\n${context.documentation}\n\n`;
+        }
         
         prompt += `Please generate a complete OPA Rego policy that meets these requirements. Return your response in JSON format with the following structure:
 {
@@ -262,16 +675,34 @@ IMPORTANT: The "policy" field must contain raw Rego code as a string, not nested
     }
 
     /**
-     * Build refinement prompt
+     * Build refinement prompt: the current policy, the requirements accumulated so far and a
+     * summary of earlier turns, so refinements keep what was asked before
      */
-    buildRefinementPrompt(instructions, existingPolicy, context) {
-        return `I need to refine this existing OPA Rego policy:
+    buildRefinementPrompt(instructions, existingPolicy, context, inputSpec = null) {
+        const { history, requirements } = this.conversationFor(context);
+        const sections = [`I need to refine this existing OPA Rego policy:\n\n${existingPolicy}`];
+
+        if (requirements.length) {
+            sections.push(`Requirements accumulated so far (keep every one unless the new requirements replace it):
+${requirements.map((requirement, index) => `${index + 1}. ${requirement}`).join('\n')}`);
+        }
+
+        const summary = this.summarizeHistory(history, this.resolveHistoryBudget(context));
+        if (summary) {
+            sections.push(`Earlier turns in this conversation (oldest first):\n${summary}`);
+        }
+
+        if (inputSpec) {
+            sections.push(formatInputSpec(inputSpec));
+        }
 
-${existingPolicy}
+        if (context.documentation) {
+            sections.push(`Reference material:\n${context.documentation}`);
+        }
 
-New requirements: ${instructions}
+        sections.push(`New requirements: ${instructions}`);
 
-Please modify the policy to meet the new requirements while preserving the existing structure and intent. Return your response in JSON format:
+        sections.push(`Please modify the policy to meet the new requirements while preserving the existing structure and intent. If a new requirement contradicts an earlier one, follow the new requirement and report the conflict in "contradictions". Return your response in JSON format:
 {
   "policy": "modified Rego policy code (raw string, not nested JSON)",
   "explanation": "explanation of changes made and how the policy works",
@@ -281,192 +712,213 @@ Please modify the policy to meet the new requirements while preserving the exist
       "input": { "sample input" },
       "expected": true/false
     }
+  ],
+  "requirements": ["every requirement the modified policy implements, earlier ones included"],
+  "contradictions": [
+    {
+      "instruction": "the new instruction",
+      "conflicts_with": "the earlier requirement it contradicts",
+      "resolution": "what the policy does now"
+    }
   ]
 }
 
-IMPORTANT: The "policy" field must contain raw Rego code as a string, not nested JSON objects.`;
+IMPORTANT: The "policy" field must contain raw Rego code as a string, not nested JSON objects. Use an empty "contradictions" list when nothing conflicts.`);
+
+        return sections.join('\n\n');
     }
 
     /**
-     * Call OpenAI API with fallback handling
+     * Earlier turns and accumulated requirements: from the request's session when there is one
      */
-    async callOpenAI(systemPrompt, userPrompt) {
-        if (!this.openai) {
-            throw new Error('OpenAI client not initialized');
-        }
-
-        try {
-            const response = await this.openai.chat.completions.create({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 2000
-            });
-
-            return response.choices[0].message.content;
-        } catch (error) {
-            console.error('OpenAI API call failed:', error);
-            throw error;
+    conversationFor(context = {}) {
+        if (context.session) {
+            return {
+                history: context.session.conversation_history || [],
+                requirements: context.session.requirements || []
+            };
         }
+        return {
+            history: this.conversationHistory.map(turn => ({
+                operation: turn.operation,
+                instructions: turn.instructions,
+                explanation: turn.result?.explanation,
+                contradictions: turn.result?.contradictions
+            })),
+            requirements: this.policyContext.requirements
+        };
     }
 
     /**
-     * Parse generation response
+     * One line per earlier turn, newest kept first when they do not all fit in `tokenBudget`
      */
-    parseGenerationResponse(response) {
-        try {
-            // Try to parse as JSON first
-            const parsed = JSON.parse(response);
-            
-            // Handle nested JSON in policy field (for refinement responses)
-            let policy = parsed.policy || '';
-            let explanation = parsed.explanation || '';
-            let testInputs = parsed.test_inputs || [];
-            
-            // Clean up policy - convert escaped newlines to actual newlines
-            if (typeof policy === 'string') {
-                policy = policy.replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\t/g, '    ');
+    summarizeHistory(history, tokenBudget) {
+        const lines = [];
+        let used = 0;
+
+        for (let i = history.length - 1; i >= 0; i--) {
+            const line = summarizeTurn(history[i], i + 1);
+            const cost = estimateTokens(line);
+            if (used + cost > tokenBudget) {
+                lines.unshift(`- (${i + 1} earlier turn${i ? 's' : ''} omitted)`);
+                break;
             }
-            
-            // Clean up explanation if it contains escaped characters
-            if (typeof explanation === 'string') {
-                explanation = explanation.replace(/\\"/g, '"').replace(/\\n/g, ' ');
-            }
-            
-            return {
-                type: 'complete',
-                policy: policy,
-                explanation: explanation || this.extractExplanationFromText(response),
-                test_inputs: testInputs,
-                timestamp: new Date().toISOString(),
-                metadata: {
-                    model: 'gpt-4o-mini',
-                    agent_version: '2.0.0-simplified'
-                }
-            };
-        } catch (error) {
-            // Fallback: extract policy and explanation from response text
-            console.warn('Failed to parse JSON response, using text extraction');
-            
-            // Try to extract JSON from the response text
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                try {
-                    const extracted = JSON.parse(jsonMatch[0]);
-                    let policy = extracted.policy || '';
-                    let explanation = extracted.explanation || '';
-                    
-                    // Clean up extracted content
-                    if (typeof policy === 'string') {
-                        policy = policy.replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\t/g, '    ');
-                    }
-                    if (typeof explanation === 'string') {
-                        explanation = explanation.replace(/\\"/g, '"').replace(/\\n/g, ' ');
-                    }
-                    
-                    return {
-                        type: 'complete',
-                        policy: policy || this.extractPolicyFromText(response),
-                        explanation: explanation || this.extractExplanationFromText(response),
-                        test_inputs: extracted.test_inputs || this.extractTestInputsFromText(response),
-                        timestamp: new Date().toISOString(),
-                        metadata: {
-                            model: 'gpt-4o-mini',
-                            agent_version: '2.0.0-simplified'
-                        }
-                    };
-                } catch (innerError) {
-                    console.warn('Failed to parse extracted JSON, using full text extraction');
-                }
-            }
-            
-            return {
-                type: 'complete',
-                policy: this.extractPolicyFromText(response),
-                explanation: this.extractExplanationFromText(response),
-                test_inputs: this.extractTestInputsFromText(response),
-                timestamp: new Date().toISOString(),
-                metadata: {
-                    model: 'gpt-4o-mini',
-                    agent_version: '2.0.0-simplified'
-                }
-            };
+            lines.unshift(line);
+            used += cost;
         }
+
+        return lines.join('\n');
+    }
+
+    resolveHistoryBudget(context) {
+        const requested = Number(context.history_token_budget ?? process.env.HISTORY_TOKEN_BUDGET ?? DEFAULT_HISTORY_TOKEN_BUDGET);
+        return Number.isFinite(requested) && requested >= 0 ? requested : DEFAULT_HISTORY_TOKEN_BUDGET;
     }
 
     /**
-     * Extract policy from text response
+     * Provider for a request: the deployment default unless `context.llm` selects another
      */
-    extractPolicyFromText(text) {
-        // Look for code blocks or package declarations
-        const codeBlockMatch = text.match(/```(?:rego)?\n?([\s\S]*?)\n?```/);
-        if (codeBlockMatch) {
-            return codeBlockMatch[1].trim();
+    providerFor(context = {}) {
+        if (!context.llm) {
+            return this.llm;
         }
 
-        const packageMatch = text.match(/(package\s+[\s\S]*)/);
-        if (packageMatch) {
-            return packageMatch[1].trim();
+        const key = JSON.stringify(context.llm);
+        const provider = this.requestProviders.get(key) || providerForRequest(context.llm, this.llm);
+        // Re-inserting keeps the map in least- to most-recently-used order
+        this.requestProviders.delete(key);
+        this.requestProviders.set(key, provider);
+        if (this.requestProviders.size > MAX_REQUEST_PROVIDERS) {
+            this.requestProviders.delete(this.requestProviders.keys().next().value);
         }
-
-        return text.trim();
+        return provider;
     }
 
     /**
-     * Extract explanation from text response
+     * Ask the model for a policy response matching GENERATION_SCHEMA.
+     * A response that fails validation is sent back with the errors, up to MAX_SCHEMA_RETRIES
+     * times, before giving up with a StructuredOutputError.
      */
-    extractExplanationFromText(text) {
-        // Look for explanation patterns
-        const explanationPatterns = [
-            /explanation['":\s]*([^"}\n]+)/i,
-            /this policy\s+([^.]+\.)/i,
-            /the policy\s+([^.]+\.)/i,
-            /explanation:\s*([^"}\n]+)/i
-        ];
+    async requestGeneration(systemPrompt, userPrompt, context = {}, onEvent = null) {
+        const messages = [{ role: 'user', content: userPrompt }];
+
+        for (let attempt = 0; ; attempt++) {
+            // Only the first answer is streamed; a repaired one arrives with the final result
+            const response = onEvent && attempt === 0
+                ? await this.streamLLM(systemPrompt, messages, context, onEvent)
+                : await this.callLLM(systemPrompt, messages, context, GENERATION_RESPONSE_FORMAT);
+
+            const checked = checkGenerationResponse(response);
+            if (checked.valid) {
+                return this.parseGenerationResponse(checked.value, this.providerFor(context));
+            }
 
-        for (const pattern of explanationPatterns) {
-            const match = text.match(pattern);
-            if (match && match[1]) {
-                return match[1].trim().replace(/['"]/g, '');
+            if (attempt >= MAX_SCHEMA_RETRIES) {
+                throw new StructuredOutputError(
+                    `Model response did not match the policy response schema after ${attempt + 1} attempts: ${checked.errors.join('; ')}`,
+                    checked.errors
+                );
             }
+
+            console.warn(`Response failed schema validation (attempt ${attempt + 1}):`, checked.errors);
+            messages.push(
+                { role: 'assistant', content: response },
+                { role: 'user', content: this.buildSchemaRepairPrompt(checked.errors) }
+            );
         }
+    }
 
-        // Fallback: look for descriptive sentences
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 20);
-        for (const sentence of sentences) {
-            if (sentence.toLowerCase().includes('policy') || 
-                sentence.toLowerCase().includes('allow') || 
-                sentence.toLowerCase().includes('rule')) {
-                return sentence.trim();
-            }
+    /**
+     * Build the follow-up prompt asking the model to fix a response that failed validation
+     */
+    buildSchemaRepairPrompt(errors, schema = GENERATION_SCHEMA) {
+        return `Your response does not match the required JSON schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with only a JSON object matching this schema:
+${JSON.stringify(schema, null, 2)}`;
+    }
+
+    /**
+     * Call the configured LLM provider.
+     * `userPrompt` is a prompt string or a list of chat messages; `schema` requests structured output.
+     */
+    async callLLM(systemPrompt, userPrompt, context = {}, schema = null) {
+        const provider = this.providerFor(context);
+        if (!provider || !provider.isConfigured()) {
+            throw new Error('LLM provider not initialized');
         }
 
-        return 'Policy generated successfully';
+        try {
+            const completion = await provider.complete({
+                system: systemPrompt,
+                ...(Array.isArray(userPrompt) ? { messages: userPrompt } : { prompt: userPrompt }),
+                ...(schema ? { schema } : {})
+            });
+
+            return completion.content;
+        } catch (error) {
+            console.error(`LLM call failed (${provider.name}):`, error);
+            throw error;
+        }
     }
 
     /**
-     * Extract test inputs from text response
+     * Stream a structured generation response, relaying parsed deltas to `onEvent`.
+     * Resolves with the full response text.
      */
-    extractTestInputsFromText(text) {
+    async streamLLM(systemPrompt, messages, context, onEvent) {
+        const provider = this.providerFor(context);
+        if (!provider || !provider.isConfigured()) {
+            throw new Error('LLM provider not initialized');
+        }
+
+        const parser = new GenerationStreamParser();
+        let response = '';
+
         try {
-            // Look for test_inputs in JSON format
-            const testMatch = text.match(/"test_inputs":\s*(\[[\s\S]*?\])/);
-            if (testMatch) {
-                return JSON.parse(testMatch[1]);
+            for await (const delta of provider.stream({ system: systemPrompt, messages, schema: GENERATION_RESPONSE_FORMAT })) {
+                response += delta;
+                parser.push(delta).forEach(onEvent);
             }
+            return response;
         } catch (error) {
-            console.warn('Failed to extract test inputs from text');
+            console.error(`LLM stream failed (${provider.name}):`, error);
+            throw error;
         }
-        return [];
     }
 
     /**
-     * Update conversation context
+     * Build the result for a response that passed schema validation
      */
-    updateContext(operation, instructions, result) {
+    parseGenerationResponse(parsed, provider = this.llm) {
+        return {
+            type: 'complete',
+            policy: parsed.policy,
+            explanation: parsed.explanation,
+            test_inputs: parsed.test_inputs,
+            changes: parsed.changes,
+            requirements: parsed.requirements,
+            contradictions: parsed.contradictions || [],
+            timestamp: new Date().toISOString(),
+            metadata: {
+                model: provider ? provider.model : null,
+                provider: provider ? provider.name : null,
+                agent_version: '2.0.0-simplified'
+            }
+        };
+    }
+
+    /**
+     * Update conversation context: the request's session when the handler supplies one
+     * (`context.session`), otherwise this agent's own history
+     */
+    updateContext(operation, instructions, result, session = null) {
+        if (session) {
+            recordTurn(session, operation, instructions, result);
+            return;
+        }
+
         this.conversationHistory.push({
             operation,
             instructions,
@@ -483,6 +935,11 @@ IMPORTANT: The "policy" field must contain raw Rego code as a string, not nested
         if (result.policy) {
             this.policyContext.currentPolicy = result.policy;
         }
+        if (Array.isArray(result.requirements) && result.requirements.length) {
+            this.policyContext.requirements = result.requirements;
+        } else {
+            this.policyContext.requirements = [...(operation === 'generation' ? [] : this.policyContext.requirements), instructions];
+        }
     }
 
     /**
@@ -494,16 +951,38 @@ IMPORTANT: The "policy" field must contain raw Rego code as a string, not nested
     }
 
     /**
-     * Extract rules from policy
+     * Names of the rules and functions a policy defines, in order of first definition
+     * (empty when the policy does not parse)
      */
     extractRules(policy) {
-        const rules = [];
-        const ruleMatches = policy.match(/^\s*(\w+)\s*[=:]/gm);
-        if (ruleMatches) {
-            rules.push(...ruleMatches.map(match => match.trim().split(/[=:]/)[0].trim()));
-        }
-        return rules;
+        const { ast } = parseModule(policy);
+        return ast ? [...new Set(ast.rules.map(ruleName))] : [];
+    }
+}
+
+/**
+ * A preset's canonical input, used as the input specification when the request supplies none
+ */
+function presetInputSpec(preset) {
+    if (!preset) return null;
+    return { source: 'target', title: preset.title, schema: preset.input_schema, operations: [] };
+}
+
+// Rough token count (about four characters per token) for prompt budgeting
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function summarizeTurn(turn, number) {
+    let line = `- Turn ${number} (${turn.operation}): "${turn.instructions}"`;
+    if (turn.explanation) {
+        const explanation = turn.explanation.replace(/\s+/g, ' ').trim();
+        line += ` -> ${explanation.length > TURN_SUMMARY_CHARS ? `${explanation.slice(0, TURN_SUMMARY_CHARS)}...` : explanation}`;
+    }
+    if (turn.contradictions?.length) {
+        line += ` [overrode: ${turn.contradictions.map(conflict => conflict.conflicts_with).join('; ')}]`;
     }
+    return line;
 }
 
 module.exports = { OPAPolicyAgent };
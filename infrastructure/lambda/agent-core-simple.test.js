@@ -0,0 +1,144 @@
+/**
+ * Agent tests, run offline against a scripted mock provider
+ */
+
+const { OPAPolicyAgent } = require('./agent-core-simple');
+const { MockProvider } = require('./providers/mock');
+const { createSession } = require('./sessions');
+
+// Allows everyone, so the guest case fails and the agent asks for a correction
+const PERMISSIVE = {
+    policy: 'package authz\n\ndefault allow := false\n\nallow := true\n',
+    explanation: 'Allows every request.',
+    test_inputs: [
+        { description: 'Admin user is allowed', input: { user: { role: 'admin' } }, expected: true },
+        { description: 'Guest user is denied', input: { user: { role: 'guest' } }, expected: false }
+    ]
+};
+
+function agentWith(script) {
+    const agent = new OPAPolicyAgent();
+    agent.llm = new MockProvider({ script });
+    agent.initialized = true;
+    return agent;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('correction loop', () => {
+    test('corrects a policy whose test inputs fail', async () => {
+        const agent = agentWith([PERMISSIVE]);
+        const events = [];
+
+        const result = await agent.generatePolicy('Only admins may access', {}, event => events.push(event));
+
+        expect(result.iterations.map(iteration => [iteration.source, iteration.clean])).toEqual([
+            ['generation', false],
+            ['correction', true]
+        ]);
+        expect(result.iterations[0].failing_tests).toHaveLength(1);
+        expect(result.policy).toContain('input.user.role == "admin"');
+        expect(result.test_results.failed).toBe(0);
+        expect(events.filter(event => event.type === 'iteration')).toHaveLength(2);
+        expect(agent.llm.calls).toHaveLength(2);
+    });
+
+    test('stops after max_iterations rounds', async () => {
+        const agent = agentWith([PERMISSIVE, PERMISSIVE, PERMISSIVE]);
+
+        const result = await agent.generatePolicy('Only admins may access', { max_iterations: 2 });
+
+        expect(result.iterations).toHaveLength(2);
+        expect(result.iterations[1].clean).toBe(false);
+        expect(agent.llm.calls).toHaveLength(2);
+    });
+
+    test('keeps the first answer\'s expectations when a correction changes them', async () => {
+        // The "correction" keeps the policy and flips the failing case to match it
+        const flipped = {
+            ...PERMISSIVE,
+            test_inputs: PERMISSIVE.test_inputs.map(testCase => ({ ...testCase, expected: true }))
+        };
+        const agent = agentWith([PERMISSIVE, flipped]);
+
+        const result = await agent.generatePolicy('Only admins may access', { max_iterations: 2 });
+
+        expect(result.test_inputs).toEqual(PERMISSIVE.test_inputs);
+        expect(result.iterations[1]).toMatchObject({ clean: false, tests_failed: 1 });
+        expect(agent.llm.calls[1].messages[0].content).toContain('The test cases are fixed');
+    });
+});
+
+describe('refinement', () => {
+    const ADMINS = {
+        policy: 'package authz\n\ndefault allow := false\n\nallow if input.user.role == "admin"\n',
+        explanation: 'Only admins are allowed.',
+        test_inputs: [
+            { description: 'Admin user is allowed', input: { user: { role: 'admin' } }, expected: true },
+            { description: 'Guest user is denied', input: { user: { role: 'guest' } }, expected: false }
+        ],
+        requirements: ['Only admins may access']
+    };
+    const EDITORS = {
+        policy: 'package authz\n\ndefault allow := false\n\nallow if input.user.role == "editor"\n',
+        explanation: 'Editors are allowed; admins no longer are.',
+        test_inputs: [
+            { description: 'Editor is allowed', input: { user: { role: 'editor' } }, expected: true },
+            { description: 'Admin is denied', input: { user: { role: 'admin' } }, expected: false }
+        ],
+        requirements: ['Only editors may access'],
+        contradictions: [{
+            instruction: 'Only editors may access',
+            conflicts_with: 'Only admins may access',
+            resolution: 'Admins are denied'
+        }]
+    };
+
+    test('carries the session\'s requirements and earlier turns into the prompt', async () => {
+        const agent = agentWith([ADMINS, EDITORS]);
+        const session = createSession();
+
+        await agent.generatePolicy('Only admins may access', { session });
+        const result = await agent.refinePolicy('Only editors may access', session.current_policy, { session });
+
+        const prompt = agent.llm.calls[1].messages[0].content;
+        expect(prompt).toContain('Requirements accumulated so far (keep every one unless the new requirements replace it):\n1. Only admins may access');
+        expect(prompt).toContain('- Turn 1 (generation): "Only admins may access" -> Only admins are allowed.');
+        expect(prompt).toContain('New requirements: Only editors may access');
+        expect(result.contradictions).toEqual(EDITORS.contradictions);
+        expect(session.requirements).toEqual(['Only editors may access']);
+        expect(session.conversation_history[1].contradictions).toEqual(EDITORS.contradictions);
+    });
+
+    test('adds the instruction to the requirements when the model lists none', async () => {
+        const agent = agentWith([ADMINS, { ...EDITORS, requirements: undefined }]);
+        const session = createSession();
+
+        await agent.generatePolicy('Only admins may access', { session });
+        await agent.refinePolicy('Also allow editors', session.current_policy, { session });
+
+        expect(session.requirements).toEqual(['Only admins may access', 'Also allow editors']);
+    });
+
+    test('summarizes the newest turns that fit the history budget', () => {
+        const agent = new OPAPolicyAgent();
+        const history = ['first', 'second', 'third'].map(instructions => ({ operation: 'refinement', instructions }));
+
+        const summary = agent.summarizeHistory(history, 10);
+
+        expect(summary.split('\n')).toEqual([
+            '- (2 earlier turns omitted)',
+            '- Turn 3 (refinement): "third"'
+        ]);
+        expect(agent.buildRefinementPrompt('x', 'package p', { session: { conversation_history: history }, history_token_budget: 0 }))
+            .toContain('Earlier turns in this conversation (oldest first):\n- (3 earlier turns omitted)');
+    });
+});
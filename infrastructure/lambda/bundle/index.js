@@ -0,0 +1,369 @@
+/**
+ * OPA Bundle Export
+ * Packs a policy, its data and its generated tests into a standard OPA bundle (.tar.gz) with a
+ * `.manifest`, and optionally a `.signatures.json` signed the way `opa sign` does, so the archive
+ * can be served as is by a bundle server. The signature is made here with a deployment key, or by
+ * the client over the signing input from bundleSigningInput, so its private key never leaves it.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { checkPolicy, buildTestSuite } = require('../rego');
+
+const SIGNATURES_FILE = '.signatures.json';
+const BLOCK_SIZE = 512;
+
+const SIGNING_ALGORITHMS = {
+    RS256: { key: 'rsa', digest: 'sha256' },
+    RS384: { key: 'rsa', digest: 'sha384' },
+    RS512: { key: 'rsa', digest: 'sha512' },
+    PS256: { key: 'rsa', digest: 'sha256', pss: true },
+    PS384: { key: 'rsa', digest: 'sha384', pss: true },
+    PS512: { key: 'rsa', digest: 'sha512', pss: true },
+    ES256: { key: 'ec', digest: 'sha256', curve: 'prime256v1' },
+    ES384: { key: 'ec', digest: 'sha384', curve: 'secp384r1' },
+    ES512: { key: 'ec', digest: 'sha512', curve: 'secp521r1' },
+    HS256: { key: 'secret', digest: 'sha256' },
+    HS384: { key: 'secret', digest: 'sha384' },
+    HS512: { key: 'secret', digest: 'sha512' }
+};
+
+class BundleError extends Error {
+    /**
+     * @param {string} code - invalid_policy, invalid_data, invalid_signing_key or invalid_signature
+     */
+    constructor(message, code, errors = []) {
+        super(message);
+        this.name = 'BundleError';
+        this.code = code;
+        this.errors = errors;
+    }
+}
+
+/**
+ * The bundle's files: the policy under its package path, the generated test module, data.json and .manifest.
+ * @param {object} options
+ * @param {string} options.policy - Rego source
+ * @param {object} [options.data] - base document written to data.json (default {})
+ * @param {object[]} [options.testInputs] - [{description, input, expected}] for the test module
+ * @param {string} [options.revision] - defaults to a hash of the bundle contents
+ * @returns {{files: {name: string, content: string}[], manifest: object}}
+ */
+function buildBundleFiles({ policy, data = {}, testInputs = [], revision }) {
+    const { ast, valid, errors } = checkPolicy(policy || '');
+    if (!valid || !ast?.package) {
+        throw new BundleError(
+            'Policy must be valid Rego to be bundled',
+            'invalid_policy',
+            errors.map(error => `line ${error.line}: ${error.message}`)
+        );
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new BundleError('data must be a JSON object', 'invalid_data');
+    }
+
+    const packagePath = ast.package.name.split('.').join('/');
+    const files = [{ name: `${packagePath}/policy.rego`, content: policy }];
+    const packages = [ast.package.name];
+
+    const suite = buildTestSuite(policy, testInputs);
+    if (suite) {
+        files.push({ name: `${packagePath}/policy_test.rego`, content: suite.content });
+        packages.push(suite.package);
+    }
+
+    const dataJSON = JSON.stringify(data, null, 2);
+    files.push({ name: 'data.json', content: dataJSON });
+
+    const roots = disjointRoots([
+        ...packages.map(name => name.split('.').join('/')),
+        ...Object.keys(data)
+    ]);
+    const v1 = checkPolicy(policy, { regoVersion: 'v1' }).valid;
+    const manifest = {
+        revision: revision || contentRevision(files),
+        roots,
+        // OPA 1.x reads modules as v1 unless the manifest says otherwise
+        ...(v1 ? {} : { rego_version: 0 }),
+        metadata: { generated_by: 'opa-policy-agent', package: ast.package.name }
+    };
+    files.push({ name: '.manifest', content: JSON.stringify(manifest, null, 2) });
+
+    return { files, manifest };
+}
+
+/**
+ * Roots may not overlap, so a root nested under another is dropped
+ */
+function disjointRoots(paths) {
+    const unique = [...new Set(paths)].sort((a, b) => a.length - b.length);
+    return unique.filter((root, index) =>
+        !unique.slice(0, index).some(other => root === other || root.startsWith(`${other}/`))
+    );
+}
+
+function contentRevision(files) {
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+        hash.update(file.name).update('\0').update(file.content).update('\0');
+    }
+    return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * `.signatures.json` content for the files: a JWT listing each file's SHA-256, as `opa sign` writes it.
+ * @param {object} signing
+ * @param {string} signing.key - PEM private key (RSA or EC) or an HMAC secret
+ * @param {string} [signing.algorithm] - e.g. RS256, ES256, HS256; derived from the key when omitted
+ * @param {string} [signing.keyId] - `keyid` claim naming the verification key in OPA's config
+ * @param {string} [signing.scope] - `scope` claim
+ */
+function signBundleFiles(files, { key, algorithm, keyId, scope }) {
+    const { signingKey, alg } = resolveSigningKey(key, algorithm);
+
+    const signingInput = signingInputOf(files, { algorithm: alg, keyId, scope });
+    const signature = createSignature(signingInput, signingKey, SIGNING_ALGORITHMS[alg]);
+    return signaturesFile(`${signingInput}.${base64url(signature)}`);
+}
+
+/**
+ * `.signatures.json` content for a token the client signed over bundleSigningInput's `signing_input`.
+ * Throws BundleError unless the token covers exactly these files and signing settings.
+ */
+function attachBundleSignature(files, { signature, algorithm, keyId, scope }) {
+    const signingInput = signingInputOf(files, { algorithm: requireAlgorithm(algorithm), keyId, scope });
+    const parts = typeof signature === 'string' ? signature.split('.') : [];
+    if (parts.length !== 3 || `${parts[0]}.${parts[1]}` !== signingInput || !/^[A-Za-z0-9_-]+$/.test(parts[2])) {
+        throw new BundleError(
+            'Signature does not cover this bundle; sign the signing_input returned for the same request',
+            'invalid_signature'
+        );
+    }
+    return signaturesFile(signature);
+}
+
+/**
+ * JWS header and claims (`header.claims`, base64url) listing each file's SHA-256
+ */
+function signingInputOf(files, { algorithm, keyId, scope }) {
+    const claims = {
+        files: files
+            .filter(file => file.name !== SIGNATURES_FILE)
+            .map(file => ({ name: file.name, hash: fileHash(file), algorithm: 'SHA-256' })),
+        ...(keyId ? { keyid: keyId } : {}),
+        ...(scope ? { scope } : {})
+    };
+    const header = { alg: algorithm, ...(keyId ? { kid: keyId } : {}) };
+    return `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+}
+
+function signaturesFile(token) {
+    return JSON.stringify({ signatures: [token] }, null, 2);
+}
+
+function requireAlgorithm(algorithm) {
+    if (!SIGNING_ALGORITHMS[algorithm]) {
+        throw new BundleError(
+            `signing.algorithm must be one of ${Object.keys(SIGNING_ALGORITHMS).join(', ')}`,
+            'invalid_signing_key'
+        );
+    }
+    return algorithm;
+}
+
+function resolveSigningKey(key, algorithm) {
+    if (!key || typeof key !== 'string') {
+        throw new BundleError('A signing key is required to sign the bundle', 'invalid_signing_key');
+    }
+    if (algorithm && !SIGNING_ALGORITHMS[algorithm]) {
+        throw new BundleError(
+            `Unsupported signing algorithm: ${algorithm} (expected one of ${Object.keys(SIGNING_ALGORITHMS).join(', ')})`,
+            'invalid_signing_key'
+        );
+    }
+
+    if (!key.includes('-----BEGIN')) {
+        const alg = algorithm || 'HS256';
+        if (SIGNING_ALGORITHMS[alg].key !== 'secret') {
+            throw new BundleError(`${alg} needs a PEM private key`, 'invalid_signing_key');
+        }
+        return { signingKey: key, alg };
+    }
+
+    let privateKey;
+    try {
+        privateKey = crypto.createPrivateKey(key);
+    } catch (error) {
+        throw new BundleError(`Signing key is not a valid PEM private key: ${error.message}`, 'invalid_signing_key');
+    }
+
+    const type = privateKey.asymmetricKeyType === 'rsa-pss' ? 'rsa' : privateKey.asymmetricKeyType;
+    const curve = privateKey.asymmetricKeyDetails?.namedCurve;
+    let alg = algorithm;
+    if (!alg && type === 'ec') {
+        alg = Object.keys(SIGNING_ALGORITHMS).find(name => SIGNING_ALGORITHMS[name].curve === curve);
+    } else if (!alg) {
+        alg = privateKey.asymmetricKeyType === 'rsa-pss' ? 'PS256' : 'RS256';
+    }
+    const spec = SIGNING_ALGORITHMS[alg];
+    if (!spec || spec.key !== type || (spec.curve && spec.curve !== curve) || (privateKey.asymmetricKeyType === 'rsa-pss' && !spec.pss)) {
+        throw new BundleError(
+            `Signing key (${privateKey.asymmetricKeyType}${curve ? ` ${curve}` : ''}) cannot be used with ${alg || 'any supported algorithm'}`,
+            'invalid_signing_key'
+        );
+    }
+    return { signingKey: privateKey, alg };
+}
+
+function createSignature(input, key, spec) {
+    if (spec.key === 'secret') {
+        return crypto.createHmac(spec.digest, key).update(input).digest();
+    }
+    if (spec.key === 'ec') {
+        // JWS wants the raw r||s form, not DER
+        return crypto.sign(spec.digest, Buffer.from(input), { key, dsaEncoding: 'ieee-p1363' });
+    }
+    if (spec.pss) {
+        return crypto.sign(spec.digest, Buffer.from(input), {
+            key,
+            padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+            saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+        });
+    }
+    return crypto.sign(spec.digest, Buffer.from(input), key);
+}
+
+/**
+ * SHA-256 of a bundle file. OPA hashes JSON files (data.json, .manifest) over their canonical
+ * encoding, so formatting does not change the signature; other files are hashed as written.
+ */
+function fileHash(file) {
+    const isJSON = file.name === '.manifest' || file.name.endsWith('.json');
+    const content = isJSON ? canonicalJSON(JSON.parse(file.content)) : file.content;
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Compact JSON with sorted keys and Go's string escaping, matching OPA's bundle hashing
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map(key => `${canonicalJSON(key)}:${canonicalJSON(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value)
+            .replace(/</g, '\\u003c')
+            .replace(/>/g, '\\u003e')
+            .replace(/&/g, '\\u0026')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+    return JSON.stringify(value);
+}
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * gzip-compressed ustar archive of the files
+ */
+function packFiles(files, mtime = new Date()) {
+    const blocks = [];
+    for (const file of files) {
+        const content = Buffer.from(file.content);
+        blocks.push(tarHeader(file.name, content.length, mtime), content);
+        const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding) blocks.push(Buffer.alloc(padding));
+    }
+    // End of archive: two empty blocks
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+function tarHeader(name, size, mtime) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    let prefix = '';
+    let shortName = name;
+    if (Buffer.byteLength(name) > 100) {
+        // Split at a slash: up to 155 bytes of directory in `prefix`, the rest in `name`
+        const split = name.lastIndexOf('/', 155);
+        if (split <= 0 || Buffer.byteLength(name.slice(split + 1)) > 100) {
+            throw new BundleError(`Bundle path too long: ${name}`, 'invalid_policy');
+        }
+        prefix = name.slice(0, split);
+        shortName = name.slice(split + 1);
+    }
+
+    header.write(shortName, 0, 100, 'utf8');
+    header.write('0000644\0', 100, 8, 'ascii');
+    header.write('0000000\0', 108, 8, 'ascii');
+    header.write('0000000\0', 116, 8, 'ascii');
+    header.write(`${size.toString(8).padStart(11, '0')}\0`, 124, 12, 'ascii');
+    header.write(`${Math.floor(mtime.getTime() / 1000).toString(8).padStart(11, '0')}\0`, 136, 12, 'ascii');
+    header.write('        ', 148, 8, 'ascii');
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+    return header;
+}
+
+/**
+ * What a client signs to sign a bundle itself: the JWS signing input for the bundle's files, and the
+ * revision to send back with the signature (see createBundle) so the same files are built again.
+ * @param {object} options - see buildBundleFiles, plus `signing` ({algorithm, keyId, scope}; algorithm required)
+ * @returns {{signing_input: string, algorithm: string, revision: string}}
+ */
+function bundleSigningInput(options) {
+    const { files, manifest } = buildBundleFiles(options);
+    const algorithm = requireAlgorithm(options.signing?.algorithm);
+    return {
+        signing_input: signingInputOf(files, { ...options.signing, algorithm }),
+        algorithm,
+        revision: manifest.revision
+    };
+}
+
+/**
+ * Build, optionally sign, and pack a bundle.
+ * @param {object} options - see buildBundleFiles, plus `signing`: a key to sign with (see signBundleFiles),
+ *   or a client-made `signature` with the algorithm, keyId and scope it was made for (see attachBundleSignature)
+ * @returns {{archive: Buffer, manifest: object, files: string[], signed: boolean}}
+ */
+function createBundle(options) {
+    const { files, manifest } = buildBundleFiles(options);
+    if (options.signing) {
+        const content = options.signing.signature
+            ? attachBundleSignature(files, options.signing)
+            : signBundleFiles(files, options.signing);
+        files.push({ name: SIGNATURES_FILE, content });
+    }
+
+    return {
+        archive: packFiles(files),
+        manifest,
+        files: files.map(file => file.name),
+        signed: Boolean(options.signing)
+    };
+}
+
+module.exports = {
+    createBundle,
+    buildBundleFiles,
+    bundleSigningInput,
+    signBundleFiles,
+    attachBundleSignature,
+    packFiles,
+    canonicalJSON,
+    BundleError,
+    SIGNING_ALGORITHMS
+};
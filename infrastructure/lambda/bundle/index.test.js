@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { createBundle, bundleSigningInput, BundleError } = require('./index');
+
+const POLICY = `package httpapi.authz
+
+default allow := false
+
+allow if input.user.role == "admin"
+`;
+
+const TEST_INPUTS = [
+    { description: 'Admin is allowed', input: { user: { role: 'admin' } }, expected: true },
+    { description: 'Guest is denied', input: { user: { role: 'guest' } }, expected: false }
+];
+
+// Files of a .tar.gz archive by name
+function unpack(archive) {
+    const tar = zlib.gunzipSync(archive);
+    const files = {};
+    for (let offset = 0; offset + 512 <= tar.length && tar[offset] !== 0;) {
+        const name = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+        const size = parseInt(tar.toString('ascii', offset + 124, offset + 136), 8);
+        files[name] = tar.toString('utf8', offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+const decode = part => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+function signatureOf(files) {
+    const [token] = JSON.parse(files['.signatures.json']).signatures;
+    const [header, claims, signature] = token.split('.');
+    return { token, signingInput: `${header}.${claims}`, header: decode(header), claims: decode(claims), signature: Buffer.from(signature, 'base64url') };
+}
+
+describe('createBundle', () => {
+    test('packs the policy under its package path with tests, data and a manifest', () => {
+        const { archive, manifest, signed } = createBundle({
+            policy: POLICY,
+            data: { roles: { admin: ['read'] } },
+            testInputs: TEST_INPUTS
+        });
+        const files = unpack(archive);
+
+        expect(Object.keys(files).sort()).toEqual([
+            '.manifest',
+            'data.json',
+            'httpapi/authz/policy.rego',
+            'httpapi/authz/policy_test.rego'
+        ]);
+        expect(files['httpapi/authz/policy.rego']).toBe(POLICY);
+        expect(JSON.parse(files['data.json'])).toEqual({ roles: { admin: ['read'] } });
+        expect(JSON.parse(files['.manifest'])).toEqual(manifest);
+        expect(manifest.roots.sort()).toEqual(['httpapi/authz', 'httpapi/authz_test', 'roles']);
+        expect(manifest).not.toHaveProperty('rego_version');
+        expect(signed).toBe(false);
+    });
+
+    test('derives the revision from the contents', () => {
+        const first = createBundle({ policy: POLICY }).manifest.revision;
+
+        expect(createBundle({ policy: POLICY }).manifest.revision).toBe(first);
+        expect(createBundle({ policy: POLICY, data: { x: 1 } }).manifest.revision).not.toBe(first);
+        expect(createBundle({ policy: POLICY, revision: 'v42' }).manifest.revision).toBe('v42');
+    });
+
+    test('marks v0 policies in the manifest', () => {
+        const { manifest } = createBundle({ policy: 'package authz\n\nallow { input.admin }\n' });
+
+        expect(manifest.rego_version).toBe(0);
+    });
+
+    test('rejects a policy that does not parse', () => {
+        expect(() => createBundle({ policy: 'package authz\nallow if {' })).toThrow(BundleError);
+        expect(() => createBundle({ policy: POLICY, data: [] })).toThrow(expect.objectContaining({ code: 'invalid_data' }));
+    });
+
+    test('signs with an RSA key the way opa sign does', () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const { archive, signed } = createBundle({
+            policy: POLICY,
+            signing: { key: privateKey.export({ type: 'pkcs8', format: 'pem' }), keyId: 'global', scope: 'write' }
+        });
+        const files = unpack(archive);
+        const { signingInput, header, claims, signature } = signatureOf(files);
+
+        expect(signed).toBe(true);
+        expect(header).toEqual({ alg: 'RS256', kid: 'global' });
+        expect(claims).toMatchObject({ keyid: 'global', scope: 'write' });
+        expect(claims.files.map(file => file.name).sort()).toEqual(Object.keys(files).filter(name => name !== '.signatures.json').sort());
+        expect(crypto.verify('sha256', Buffer.from(signingInput), publicKey, signature)).toBe(true);
+    });
+
+    test('signs with an EC key using raw r||s signatures', () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const { archive } = createBundle({
+            policy: POLICY,
+            signing: { key: privateKey.export({ type: 'sec1', format: 'pem' }) }
+        });
+        const { signingInput, header, signature } = signatureOf(unpack(archive));
+
+        expect(header.alg).toBe('ES256');
+        expect(signature).toHaveLength(64);
+        expect(crypto.verify('sha256', Buffer.from(signingInput), { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature)).toBe(true);
+    });
+});
+
+describe('client-side signing', () => {
+    const options = { policy: POLICY, testInputs: TEST_INPUTS };
+
+    test('packs a signature made over the signing input', () => {
+        const prepared = bundleSigningInput({ ...options, signing: { algorithm: 'HS256', keyId: 'ci' } });
+        const signature = crypto.createHmac('sha256', 'secret').update(prepared.signing_input).digest('base64url');
+
+        const { archive } = createBundle({
+            ...options,
+            revision: prepared.revision,
+            signing: { algorithm: 'HS256', keyId: 'ci', signature: `${prepared.signing_input}.${signature}` }
+        });
+
+        expect(signatureOf(unpack(archive)).token).toBe(`${prepared.signing_input}.${signature}`);
+    });
+
+    test('rejects a signature over other files', () => {
+        const prepared = bundleSigningInput({ ...options, signing: { algorithm: 'HS256' } });
+        const signature = `${prepared.signing_input}.c2lnbmF0dXJl`;
+
+        expect(() => createBundle({
+            ...options,
+            policy: POLICY.replace('admin', 'root'),
+            revision: prepared.revision,
+            signing: { algorithm: 'HS256', signature }
+        })).toThrow(expect.objectContaining({ code: 'invalid_signature' }));
+    });
+
+    test('requires the algorithm the signature was made with', () => {
+        expect(() => bundleSigningInput({ ...options, signing: {} })).toThrow(expect.objectContaining({ code: 'invalid_signing_key' }));
+    });
+});
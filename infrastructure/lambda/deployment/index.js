@@ -0,0 +1,627 @@
+/**
+ * OPA Deployment Artifacts
+ * Builds deployment files for a policy and a target: an OPA sidecar Deployment and ConfigMap,
+ * Envoy ext_authz configuration, a Gatekeeper ConstraintTemplate wrapping the Rego, or a
+ * docker-compose file for a local OPA. Every artifact is checked against its schema (Rego
+ * with the Rego toolkit) before it is returned. Served by the deployment-helper MCP server
+ * and the agent's in-process deployment tools.
+ */
+
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+const { checkPolicy, findDecision, walk, refToString } = require('../rego');
+const { ARTIFACT_SCHEMAS } = require('./schemas');
+
+const DEFAULT_TARGET = 'kubernetes-sidecar';
+const DEFAULT_OPA_VERSION = '1.4.2';
+const OPA_PORT = 8181;
+const OPA_DIAGNOSTIC_PORT = 8282;
+const OPA_EXT_AUTHZ_PORT = 9191;
+const ENVOY_PORT = 8000;
+// Built-ins that reach outside the policy and its input at evaluation time
+const EXTERNAL_BUILTINS = ['http.send', 'net.lookup_ip_addr', 'opa.runtime'];
+
+const TARGETS = {
+    'kubernetes-sidecar': {
+        description: 'OPA as a sidecar container next to the application, policy mounted from a ConfigMap',
+        build: buildSidecar
+    },
+    envoy: {
+        description: 'Envoy proxy calling OPA (opa-envoy-plugin) through the ext_authz gRPC filter',
+        build: buildEnvoy
+    },
+    gatekeeper: {
+        description: 'Gatekeeper ConstraintTemplate and Constraint enforcing the policy on Kubernetes admission',
+        build: buildGatekeeper
+    },
+    'docker-compose': {
+        description: 'A local OPA server with the policy mounted from ./policies',
+        build: buildCompose
+    }
+};
+
+class DeploymentError extends Error {
+    /**
+     * @param {string} code - unknown_target, invalid_policy or invalid_artifact
+     * @param {string[]} [errors] - individual problems, e.g. schema violations per artifact
+     */
+    constructor(message, code, errors = []) {
+        super(message);
+        this.name = 'DeploymentError';
+        this.code = code;
+        this.errors = errors;
+    }
+}
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+function validatorFor(schemaName) {
+    if (!validators.has(schemaName)) {
+        validators.set(schemaName, ajv.compile(ARTIFACT_SCHEMAS[schemaName]));
+    }
+    return validators.get(schemaName);
+}
+
+/**
+ * Package, decision rule, Rego version and external dependencies of a policy.
+ * Throws DeploymentError when the policy has errors.
+ */
+function describePolicy(policy) {
+    const { ast, valid, errors } = checkPolicy(policy || '');
+    if (!valid || !ast?.package) {
+        throw new DeploymentError(
+            'Policy must be valid Rego before it can be deployed',
+            'invalid_policy',
+            errors.map(error => `line ${error.line}: ${error.message}`)
+        );
+    }
+
+    const packageName = ast.package.name;
+    const dataDependencies = new Set();
+    const externalBuiltins = new Set();
+    let readsAdmissionReview = false;
+    walk(ast, node => {
+        if (node.type === 'Ref' && node.head?.type === 'Var' && node.head.name === 'input'
+            && ['review', 'parameters'].includes(node.path[0]?.value)) {
+            readsAdmissionReview = true;
+        }
+        if (node.type === 'Ref' && node.head?.type === 'Var' && node.head.name === 'data') {
+            const path = refToString(node).split('[')[0];
+            if (!path.startsWith(`data.${packageName}.`) && path !== `data.${packageName}`) {
+                dataDependencies.add(path);
+            }
+        }
+        if (node.type === 'Call' && EXTERNAL_BUILTINS.includes(node.name)) {
+            externalBuiltins.add(node.name);
+        }
+    });
+
+    return {
+        ast,
+        source: policy,
+        packageName,
+        decision: findDecision(ast),
+        // v1 policies also parse in strict v1 mode; everything else needs v0 compatibility
+        regoVersion: checkPolicy(policy, { regoVersion: 'v1' }).valid ? 'v1' : 'v0',
+        dataDependencies: [...dataDependencies].sort(),
+        externalBuiltins: [...externalBuiltins].sort(),
+        // Policies written for Gatekeeper read input.review themselves
+        readsAdmissionReview
+    };
+}
+
+/**
+ * What a deployment of the policy has to provide, and which target fits it
+ */
+function analyzeDeploymentNeeds({ policy, target, targetEnvironment }) {
+    const info = describePolicy(policy);
+    const warnings = [];
+
+    if (!info.decision) {
+        warnings.push('No allow or deny rule found; query the rule your service needs explicitly');
+    }
+    if (info.dataDependencies.length) {
+        warnings.push(`The policy reads ${info.dataDependencies.join(', ')}; load that data into OPA (bundle or data API)`);
+    }
+    if (info.externalBuiltins.length) {
+        warnings.push(`The policy calls ${info.externalBuiltins.join(', ')}, which Gatekeeper does not allow`);
+    }
+    if (info.decision?.style === 'deny') {
+        warnings.push('Envoy ext_authz expects a boolean allow decision; the envoy target queries the deny set as-is');
+    }
+
+    const environment = targetEnvironment || '';
+    let recommended = DEFAULT_TARGET;
+    if (/envoy|gateway|proxy|mesh/i.test(environment)) {
+        recommended = 'envoy';
+    } else if (/admission|gatekeeper/i.test(environment) && !info.externalBuiltins.length) {
+        recommended = 'gatekeeper';
+    } else if (/docker|compose|local/i.test(environment)) {
+        recommended = 'docker-compose';
+    }
+
+    return {
+        package: info.packageName,
+        decision: info.decision,
+        data_api_path: info.decision ? `/v1/data/${info.decision.path.replace(/\./g, '/')}` : `/v1/data/${info.packageName.replace(/\./g, '/')}`,
+        rego_version: info.regoVersion,
+        data_dependencies: info.dataDependencies,
+        external_builtins: info.externalBuiltins,
+        targets: Object.entries(TARGETS).map(([name, { description }]) => ({ name, description })),
+        target: target || recommended,
+        recommended_target: recommended,
+        warnings
+    };
+}
+
+/**
+ * Build and validate the artifacts for a target.
+ * @param {object} args
+ * @param {string} args.policy
+ * @param {string} [args.target] - one of TARGETS (default kubernetes-sidecar)
+ * @param {object} [args.options] - app_name, namespace, app_image, app_port, opa_version, match_kinds
+ * @returns {{target: string, description: string, settings: object, artifacts: object[], validation: object}}
+ */
+function generateDeploymentConfig({ policy, target = DEFAULT_TARGET, options = {} }) {
+    const spec = TARGETS[target];
+    if (!spec) {
+        throw new DeploymentError(
+            `Unknown deployment target: ${target} (expected one of ${Object.keys(TARGETS).join(', ')})`,
+            'unknown_target'
+        );
+    }
+
+    const info = describePolicy(policy);
+    const settings = resolveSettings(info, options);
+    const artifacts = renderArtifacts(spec.build(info, settings));
+
+    return {
+        target,
+        description: spec.description,
+        settings,
+        artifacts,
+        validation: { valid: true, checked: artifacts.map(artifact => `${artifact.path} (${artifact.schema})`) }
+    };
+}
+
+/**
+ * Step-by-step instructions for applying and querying a generated deployment
+ */
+function generateIntegrationGuide({ policy, deploymentConfig }) {
+    const config = deploymentConfig?.artifacts ? deploymentConfig : generateDeploymentConfig({ policy });
+    const { settings } = config;
+    const files = config.artifacts.map(artifact => `- \`${artifact.path}\`: ${artifact.description}`).join('\n');
+    const query = `curl -s -X POST http://localhost:${OPA_PORT}${settings.data_api_path} \\\n  -H 'Content-Type: application/json' \\\n  -d '{"input": {}}'`;
+
+    const steps = {
+        'kubernetes-sidecar': [
+            `kubectl apply -n ${settings.namespace} -f opa-policy-configmap.yaml -f deployment.yaml`,
+            `The application container queries OPA on localhost:${OPA_PORT}:\n\n\`\`\`bash\n${query}\n\`\`\``,
+            `To change the policy, update the ConfigMap and run \`kubectl rollout restart -n ${settings.namespace} deployment/${settings.app_name}\`.`
+        ],
+        envoy: [
+            'Run OPA with the Envoy plugin: `docker run -p 9191:9191 -v $PWD:/config openpolicyagent/opa:' +
+                `${settings.opa_version}-envoy run --server --config-file=/config/opa-config.yaml /config/policy.rego\``,
+            'Run Envoy with `envoy -c envoy.yaml`; requests to port ' + `${ENVOY_PORT} are authorized by \`data.${settings.decision_path}\`.`,
+            'Envoy sends the request as `input.attributes.request.http` (method, path, headers); write rules against those fields.'
+        ],
+        gatekeeper: [
+            'kubectl apply -f constraint-template.yaml',
+            'Wait for the template\'s CRD, then `kubectl apply -f constraint.yaml`.',
+            'Gatekeeper passes the admission request (`object`, `operation`, `userInfo`) as the policy\'s input; ' +
+                `requests for which \`data.${settings.decision_path}\` does not hold are rejected.`
+        ],
+        'docker-compose': [
+            'Put `policy.rego` in `./policies` next to `docker-compose.yaml` and run `docker compose up -d`.',
+            `Query the decision:\n\n\`\`\`bash\n${query}\n\`\`\``
+        ]
+    }[config.target];
+
+    const guide = [
+        `# Deploying ${settings.package} (${config.target})`,
+        '',
+        config.description,
+        '',
+        '## Files',
+        files,
+        '',
+        '## Steps',
+        ...steps.map((step, index) => `${index + 1}. ${step}`),
+        ...(settings.rego_version === 'v0'
+            ? ['', 'The policy uses Rego v0 syntax, so OPA runs with `--v0-compatible`.']
+            : [])
+    ].join('\n');
+
+    return { target: config.target, guide };
+}
+
+/**
+ * Decision logging, status reporting and a Prometheus scrape job for the deployed OPA
+ */
+function generateMonitoringConfig({ policy, deploymentConfig }) {
+    const config = deploymentConfig?.artifacts ? deploymentConfig : generateDeploymentConfig({ policy });
+    const { settings } = config;
+    const metricsTarget = {
+        'kubernetes-sidecar': `${settings.app_name}.${settings.namespace}.svc:${OPA_DIAGNOSTIC_PORT}`,
+        envoy: `${settings.opa_host}:${OPA_PORT}`,
+        'docker-compose': `opa:${OPA_PORT}`
+    }[config.target];
+
+    const opa = { decision_logs: { console: true }, status: { console: true } };
+    if (!metricsTarget) {
+        // Gatekeeper runs its own OPA and exposes its metrics itself
+        return {
+            config: { opa: null, prometheus: null, notes: 'Gatekeeper exports audit and admission metrics on its own metrics port (8888).' },
+            artifacts: []
+        };
+    }
+
+    const prometheus = {
+        scrape_configs: [{
+            job_name: `opa-${settings.app_name}`,
+            metrics_path: '/metrics',
+            static_configs: [{ targets: [metricsTarget] }]
+        }]
+    };
+    const artifacts = renderArtifacts([
+        { path: 'opa-monitoring.yaml', schema: 'opa-config', description: 'OPA decision log and status settings', value: opa },
+        { path: 'prometheus.yaml', schema: 'prometheus-config', description: 'Prometheus scrape job for OPA metrics', value: prometheus }
+    ]);
+
+    return { config: { opa, prometheus }, artifacts };
+}
+
+function resolveSettings(info, options) {
+    const packageSegments = info.packageName.split('.');
+    const appName = options.app_name || dnsLabel(packageSegments[packageSegments.length - 1]) || 'opa-policy';
+    const decisionPath = info.decision ? info.decision.path : `${info.packageName}.allow`;
+
+    return {
+        package: info.packageName,
+        decision_path: decisionPath,
+        decision_style: info.decision?.style || 'allow',
+        data_api_path: `/v1/data/${decisionPath.replace(/\./g, '/')}`,
+        rego_version: info.regoVersion,
+        app_name: appName,
+        namespace: options.namespace || 'default',
+        app_image: options.app_image || 'your-app:latest',
+        app_port: Number(options.app_port) || 8080,
+        app_host: options.app_host || '127.0.0.1',
+        opa_host: options.opa_host || '127.0.0.1',
+        opa_version: options.opa_version || DEFAULT_OPA_VERSION,
+        constraint_kind: options.constraint_kind || packageSegments.map(pascalCase).join('') || 'OpaPolicy',
+        match_kinds: options.match_kinds || [{ apiGroups: [''], kinds: ['Pod'] }]
+    };
+}
+
+function opaRunArgs(settings, address, extra = []) {
+    return [
+        'run',
+        '--server',
+        `--addr=${address}`,
+        ...extra,
+        ...(settings.rego_version === 'v0' ? ['--v0-compatible'] : [])
+    ];
+}
+
+function buildSidecar(info, settings) {
+    const labels = { app: settings.app_name };
+    const configMapName = `${settings.app_name}-opa-policy`;
+
+    const configMap = {
+        apiVersion: 'v1',
+        kind: 'ConfigMap',
+        metadata: { name: configMapName, namespace: settings.namespace, labels },
+        data: { 'policy.rego': info.source }
+    };
+
+    const deployment = {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: settings.app_name, namespace: settings.namespace, labels },
+        spec: {
+            replicas: 1,
+            selector: { matchLabels: labels },
+            template: {
+                metadata: { labels },
+                spec: {
+                    containers: [
+                        {
+                            name: 'app',
+                            image: settings.app_image,
+                            ports: [{ containerPort: settings.app_port, name: 'http' }]
+                        },
+                        {
+                            name: 'opa',
+                            image: `openpolicyagent/opa:${settings.opa_version}`,
+                            args: [
+                                ...opaRunArgs(settings, `localhost:${OPA_PORT}`, [
+                                    `--diagnostic-addr=0.0.0.0:${OPA_DIAGNOSTIC_PORT}`,
+                                    '--set=decision_logs.console=true'
+                                ]),
+                                '/policies'
+                            ],
+                            ports: [{ containerPort: OPA_DIAGNOSTIC_PORT, name: 'opa-diag' }],
+                            volumeMounts: [{ name: 'opa-policy', mountPath: '/policies', readOnly: true }],
+                            livenessProbe: { httpGet: { path: '/health', port: OPA_DIAGNOSTIC_PORT } },
+                            readinessProbe: { httpGet: { path: '/health', port: OPA_DIAGNOSTIC_PORT } }
+                        }
+                    ],
+                    volumes: [{ name: 'opa-policy', configMap: { name: configMapName } }]
+                }
+            }
+        }
+    };
+
+    return [
+        { path: 'opa-policy-configmap.yaml', schema: 'kubernetes-configmap', description: 'ConfigMap holding policy.rego', value: configMap },
+        { path: 'deployment.yaml', schema: 'kubernetes-deployment', description: 'Application Deployment with the OPA sidecar', value: deployment }
+    ];
+}
+
+function buildEnvoy(info, settings) {
+    const cluster = (name, host, port, extra = {}) => ({
+        name,
+        type: 'STRICT_DNS',
+        connect_timeout: '1s',
+        ...extra,
+        load_assignment: {
+            cluster_name: name,
+            endpoints: [{ lb_endpoints: [{ endpoint: { address: { socket_address: { address: host, port_value: port } } } }] }]
+        }
+    });
+
+    const envoy = {
+        static_resources: {
+            listeners: [{
+                name: 'ingress',
+                address: { socket_address: { address: '0.0.0.0', port_value: ENVOY_PORT } },
+                filter_chains: [{
+                    filters: [{
+                        name: 'envoy.filters.network.http_connection_manager',
+                        typed_config: {
+                            '@type': 'type.googleapis.com/envoy.extensions.filters.network.http_connection_manager.v3.HttpConnectionManager',
+                            stat_prefix: 'ingress_http',
+                            route_config: {
+                                name: 'local_route',
+                                virtual_hosts: [{
+                                    name: settings.app_name,
+                                    domains: ['*'],
+                                    routes: [{ match: { prefix: '/' }, route: { cluster: 'app' } }]
+                                }]
+                            },
+                            http_filters: [
+                                {
+                                    name: 'envoy.filters.http.ext_authz',
+                                    typed_config: {
+                                        '@type': 'type.googleapis.com/envoy.extensions.filters.http.ext_authz.v3.ExtAuthz',
+                                        transport_api_version: 'V3',
+                                        failure_mode_allow: false,
+                                        with_request_body: { max_request_bytes: 8192, allow_partial_message: true },
+                                        grpc_service: { envoy_grpc: { cluster_name: 'opa-ext-authz' }, timeout: '0.5s' }
+                                    }
+                                },
+                                {
+                                    name: 'envoy.filters.http.router',
+                                    typed_config: { '@type': 'type.googleapis.com/envoy.extensions.filters.http.router.v3.Router' }
+                                }
+                            ]
+                        }
+                    }]
+                }]
+            }],
+            clusters: [
+                cluster('app', settings.app_host, settings.app_port),
+                cluster('opa-ext-authz', settings.opa_host, OPA_EXT_AUTHZ_PORT, {
+                    typed_extension_protocol_options: {
+                        'envoy.extensions.upstreams.http.v3.HttpProtocolOptions': {
+                            '@type': 'type.googleapis.com/envoy.extensions.upstreams.http.v3.HttpProtocolOptions',
+                            explicit_http_config: { http2_protocol_options: {} }
+                        }
+                    }
+                })
+            ]
+        },
+        admin: { address: { socket_address: { address: '127.0.0.1', port_value: 9901 } } }
+    };
+
+    const opaConfig = {
+        plugins: {
+            envoy_ext_authz_grpc: {
+                addr: `:${OPA_EXT_AUTHZ_PORT}`,
+                path: settings.decision_path.replace(/\./g, '/')
+            }
+        },
+        decision_logs: { console: true }
+    };
+
+    return [
+        { path: 'envoy.yaml', schema: 'envoy-bootstrap', description: 'Envoy bootstrap with the ext_authz filter', value: envoy, check: checkEnvoyClusters },
+        { path: 'opa-config.yaml', schema: 'opa-config', description: 'OPA configuration for the Envoy ext_authz plugin', value: opaConfig },
+        { path: 'policy.rego', schema: 'rego', description: 'The policy', source: info.source }
+    ];
+}
+
+function buildGatekeeper(info, settings) {
+    const kind = settings.constraint_kind;
+    const libPackage = `lib.${info.packageName}`;
+    const v1 = info.regoVersion === 'v1';
+
+    const lib = [
+        info.source.slice(0, info.ast.package.loc.start),
+        `package ${libPackage}`,
+        // Gatekeeper's engine defaults to v0; the import lets it read v1 syntax
+        v1 && !info.ast.imports.some(imp => refToString(imp.path) === 'rego.v1') ? '\n\nimport rego.v1' : '',
+        info.source.slice(info.ast.package.loc.end)
+    ].join('');
+
+    const decision = `data.${libPackage}.${settings.decision_path.split('.').pop()}`;
+    let body;
+    if (info.readsAdmissionReview) {
+        body = settings.decision_style === 'deny'
+            ? [
+                `    denial := ${decision}[_]`,
+                '    msg := object.get(denial, "msg", sprintf("%v", [denial]))'
+            ]
+            : [
+                `    not ${decision}`,
+                `    msg := "request denied by policy ${info.packageName}"`
+            ];
+    } else {
+        body = settings.decision_style === 'deny'
+            ? [
+                '    review := input.review',
+                `    denials := ${decision} with input as review`,
+                '    denial := denials[_]',
+                '    msg := sprintf("%v", [denial])'
+            ]
+            : [
+                '    review := input.review',
+                `    not ${decision} with input as review`,
+                `    msg := "request denied by policy ${info.packageName}"`
+            ];
+    }
+    const rego = [
+        `package ${kind.toLowerCase()}`,
+        '',
+        ...(v1 ? ['import rego.v1', '', 'violation contains {"msg": msg} if {'] : ['violation[{"msg": msg}] {']),
+        ...body,
+        '}',
+        ''
+    ].join('\n');
+
+    const template = {
+        apiVersion: 'templates.gatekeeper.sh/v1',
+        kind: 'ConstraintTemplate',
+        metadata: { name: kind.toLowerCase() },
+        spec: {
+            crd: { spec: { names: { kind } } },
+            targets: [{ target: 'admission.k8s.gatekeeper.sh', rego, libs: [lib] }]
+        }
+    };
+
+    const constraint = {
+        apiVersion: 'constraints.gatekeeper.sh/v1beta1',
+        kind,
+        metadata: { name: dnsLabel(`${settings.app_name}-${kind}`) },
+        spec: {
+            enforcementAction: 'deny',
+            match: { kinds: settings.match_kinds }
+        }
+    };
+
+    return [
+        { path: 'constraint-template.rego', schema: 'rego', description: 'Template Rego (checked, embedded in the template)', source: rego, embedded: true },
+        { path: 'constraint-template-lib.rego', schema: 'rego', description: 'The policy as a template library (checked, embedded in the template)', source: lib, embedded: true },
+        { path: 'constraint-template.yaml', schema: 'gatekeeper-constraint-template', description: 'ConstraintTemplate wrapping the policy', value: template },
+        { path: 'constraint.yaml', schema: 'gatekeeper-constraint', description: `${kind} constraint selecting the resources to check`, value: constraint }
+    ];
+}
+
+function buildCompose(info, settings) {
+    const compose = {
+        services: {
+            opa: {
+                image: `openpolicyagent/opa:${settings.opa_version}`,
+                command: [...opaRunArgs(settings, `0.0.0.0:${OPA_PORT}`, ['--set=decision_logs.console=true']), '/policies'],
+                ports: [`${OPA_PORT}:${OPA_PORT}`],
+                volumes: ['./policies:/policies:ro'],
+                restart: 'unless-stopped'
+            }
+        }
+    };
+
+    return [
+        { path: 'docker-compose.yaml', schema: 'docker-compose', description: 'Compose file running OPA on port 8181', value: compose },
+        { path: 'policies/policy.rego', schema: 'rego', description: 'The policy', source: info.source }
+    ];
+}
+
+/**
+ * The ext_authz filter and routes must point at clusters the bootstrap defines
+ */
+function checkEnvoyClusters(envoy) {
+    const clusters = new Set(envoy.static_resources.clusters.map(cluster => cluster.name));
+    const referenced = [];
+    walkValues(envoy.static_resources.listeners, (key, value) => {
+        if ((key === 'cluster' || key === 'cluster_name') && typeof value === 'string') {
+            referenced.push(value);
+        }
+    });
+    return referenced.filter(name => !clusters.has(name)).map(name => `references undefined cluster "${name}"`);
+}
+
+function walkValues(value, visit) {
+    if (Array.isArray(value)) {
+        value.forEach(item => walkValues(item, visit));
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            visit(key, child);
+            walkValues(child, visit);
+        }
+    }
+}
+
+/**
+ * Validate each artifact and serialize it. Rego goes through the Rego toolkit, everything
+ * else through its JSON Schema and a YAML round trip. Throws DeploymentError listing every problem.
+ */
+function renderArtifacts(specs) {
+    const problems = [];
+    const artifacts = specs.map(spec => {
+        if (spec.schema === 'rego') {
+            const { errors } = checkPolicy(spec.source);
+            problems.push(...errors.map(error => `${spec.path}:${error.line}:${error.column}: ${error.message}`));
+            return { path: spec.path, format: 'rego', schema: 'rego', description: spec.description, content: spec.source, ...(spec.embedded ? { embedded: true } : {}) };
+        }
+
+        const validate = validatorFor(spec.schema);
+        if (!validate(spec.value)) {
+            problems.push(...validate.errors.map(error => `${spec.path}: ${error.instancePath || '/'} ${error.message}`));
+        }
+        if (spec.check) {
+            problems.push(...spec.check(spec.value).map(message => `${spec.path}: ${message}`));
+        }
+
+        const content = yaml.dump(spec.value, { lineWidth: -1, noRefs: true });
+        try {
+            yaml.load(content);
+        } catch (error) {
+            problems.push(`${spec.path}: ${error.message}`);
+        }
+        return { path: spec.path, format: 'yaml', schema: spec.schema, description: spec.description, content };
+    });
+
+    if (problems.length) {
+        throw new DeploymentError('Generated deployment artifacts failed validation', 'invalid_artifact', problems);
+    }
+    return artifacts;
+}
+
+function dnsLabel(value) {
+    return String(value)
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 63)
+        .replace(/-+$/, '');
+}
+
+function pascalCase(value) {
+    return String(value)
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(part => part[0].toUpperCase() + part.slice(1))
+        .join('');
+}
+
+module.exports = {
+    TARGETS,
+    DEFAULT_TARGET,
+    DeploymentError,
+    analyzeDeploymentNeeds,
+    generateDeploymentConfig,
+    generateIntegrationGuide,
+    generateMonitoringConfig
+};
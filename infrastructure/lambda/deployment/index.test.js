@@ -0,0 +1,135 @@
+const yaml = require('js-yaml');
+const { Evaluator, parseModule } = require('../rego');
+const {
+    TARGETS,
+    DeploymentError,
+    analyzeDeploymentNeeds,
+    generateDeploymentConfig,
+    generateIntegrationGuide,
+    generateMonitoringConfig
+} = require('./index');
+
+const POLICY = `package httpapi.authz
+
+default allow := false
+
+allow if input.user.role == "admin"
+`;
+
+const artifact = (config, path) => config.artifacts.find(candidate => candidate.path === path);
+const load = (config, path) => yaml.load(artifact(config, path).content);
+
+describe('generateDeploymentConfig', () => {
+    test.each(Object.keys(TARGETS))('builds %s artifacts that pass their schemas', target => {
+        const config = generateDeploymentConfig({ policy: POLICY, target });
+
+        expect(config.target).toBe(target);
+        expect(config.artifacts.length).toBeGreaterThan(0);
+        expect(config.validation.valid).toBe(true);
+        for (const { format, content } of config.artifacts) {
+            if (format === 'yaml') {
+                expect(() => yaml.load(content)).not.toThrow();
+            } else {
+                expect(parseModule(content).errors).toEqual([]);
+            }
+        }
+    });
+
+    test('runs OPA as a sidecar with the policy from a ConfigMap', () => {
+        const config = generateDeploymentConfig({ policy: POLICY, options: { namespace: 'payments', app_image: 'payments:1.2' } });
+
+        const configMap = load(config, 'opa-policy-configmap.yaml');
+        expect(configMap.metadata.namespace).toBe('payments');
+        expect(Object.values(configMap.data)).toContain(POLICY);
+
+        const containers = load(config, 'deployment.yaml').spec.template.spec.containers;
+        expect(containers.map(container => container.image)).toEqual(['payments:1.2', 'openpolicyagent/opa:1.4.2']);
+        expect(containers[1].args).toContain('--addr=localhost:8181');
+        expect(config.settings.data_api_path).toBe('/v1/data/httpapi/authz/allow');
+    });
+
+    test('points the Envoy plugin at the decision', () => {
+        const config = generateDeploymentConfig({ policy: POLICY, target: 'envoy' });
+
+        expect(load(config, 'opa-config.yaml').plugins.envoy_ext_authz_grpc).toEqual({ addr: ':9191', path: 'httpapi/authz/allow' });
+    });
+
+    test('wraps the policy in a Gatekeeper template that denies what it does not allow', () => {
+        const config = generateDeploymentConfig({ policy: POLICY, target: 'gatekeeper' });
+        const template = load(config, 'constraint-template.yaml');
+        const constraint = load(config, 'constraint.yaml');
+
+        expect(constraint.kind).toBe(template.spec.crd.spec.names.kind);
+
+        const [{ rego, libs }] = template.spec.targets;
+        const evaluator = new Evaluator([rego, ...libs].map(source => parseModule(source).ast));
+        const violations = role => evaluator.evalRule('data.httpapiauthz.violation', { review: { user: { role } } });
+        expect(violations('guest')).toEqual([{ msg: 'request denied by policy httpapi.authz' }]);
+        expect(violations('admin')).toEqual([]);
+    });
+
+    test('rejects an unknown target', () => {
+        expect(() => generateDeploymentConfig({ policy: POLICY, target: 'nomad' }))
+            .toThrow(expect.objectContaining({ code: 'unknown_target' }));
+    });
+
+    test('rejects a policy that does not parse', () => {
+        let error;
+        try {
+            generateDeploymentConfig({ policy: 'package authz\nallow if {' });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(DeploymentError);
+        expect(error.code).toBe('invalid_policy');
+        expect(error.errors).toEqual(['line 2: unexpected eof token: expected }']);
+    });
+});
+
+describe('analyzeDeploymentNeeds', () => {
+    test('reports data and external calls and recommends a target for the environment', () => {
+        const needs = analyzeDeploymentNeeds({
+            policy: 'package authz\n\nallow if {\n    data.users[input.user]\n    http.send({"method": "GET", "url": "https://example.com"})\n}\n',
+            targetEnvironment: 'Envoy service mesh'
+        });
+
+        expect(needs).toMatchObject({
+            recommended_target: 'envoy',
+            data_dependencies: ['data.users'],
+            external_builtins: ['http.send']
+        });
+        expect(needs.warnings).toHaveLength(2);
+    });
+
+    test('does not recommend Gatekeeper for a policy that calls out', () => {
+        const needs = analyzeDeploymentNeeds({
+            policy: 'package authz\n\nallow if http.send({"method": "GET", "url": "https://example.com"}).status_code == 200\n',
+            targetEnvironment: 'admission control'
+        });
+
+        expect(needs.recommended_target).toBe('kubernetes-sidecar');
+    });
+});
+
+describe('guides and monitoring', () => {
+    test('the guide lists the files and how to query the decision', () => {
+        const { guide } = generateIntegrationGuide({ policy: POLICY });
+
+        expect(guide).toContain('`deployment.yaml`');
+        expect(guide).toContain('http://localhost:8181/v1/data/httpapi/authz/allow');
+    });
+
+    test('monitoring scrapes the sidecar diagnostic port', () => {
+        const { config, artifacts } = generateMonitoringConfig({ policy: POLICY });
+
+        expect(config.prometheus.scrape_configs[0].static_configs[0].targets).toEqual(['authz.default.svc:8282']);
+        expect(artifacts.map(file => file.path)).toEqual(['opa-monitoring.yaml', 'prometheus.yaml']);
+    });
+
+    test('Gatekeeper deployments need no separate monitoring', () => {
+        const deploymentConfig = generateDeploymentConfig({ policy: POLICY, target: 'gatekeeper' });
+
+        expect(generateMonitoringConfig({ policy: POLICY, deploymentConfig }).artifacts).toEqual([]);
+    });
+});
@@ -0,0 +1,381 @@
+/**
+ * Deployment Artifact Schemas
+ * JSON Schemas for the manifests and configuration files the deployment helper produces.
+ * They cover the fields OPA, Envoy, Gatekeeper and Compose need to accept the file, not the
+ * full upstream specifications.
+ */
+
+const DNS_LABEL = '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$';
+
+const OBJECT_META = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', pattern: DNS_LABEL, maxLength: 63 },
+        namespace: { type: 'string', pattern: DNS_LABEL, maxLength: 63 },
+        labels: { type: 'object', additionalProperties: { type: 'string' } }
+    },
+    required: ['name']
+};
+
+const PORT = { type: 'integer', minimum: 1, maximum: 65535 };
+
+const HTTP_PROBE = {
+    type: 'object',
+    properties: {
+        httpGet: {
+            type: 'object',
+            properties: { path: { type: 'string', pattern: '^/' }, port: PORT },
+            required: ['path', 'port']
+        }
+    },
+    required: ['httpGet']
+};
+
+const CONTAINER = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', pattern: DNS_LABEL },
+        image: { type: 'string', minLength: 1, pattern: '^\\S+$' },
+        args: { type: 'array', items: { type: 'string' } },
+        ports: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { containerPort: PORT, name: { type: 'string', maxLength: 15 } },
+                required: ['containerPort']
+            }
+        },
+        volumeMounts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { name: { type: 'string' }, mountPath: { type: 'string', pattern: '^/' } },
+                required: ['name', 'mountPath']
+            }
+        },
+        livenessProbe: HTTP_PROBE,
+        readinessProbe: HTTP_PROBE
+    },
+    required: ['name', 'image']
+};
+
+const KUBERNETES_DEPLOYMENT = {
+    type: 'object',
+    properties: {
+        apiVersion: { const: 'apps/v1' },
+        kind: { const: 'Deployment' },
+        metadata: OBJECT_META,
+        spec: {
+            type: 'object',
+            properties: {
+                replicas: { type: 'integer', minimum: 0 },
+                selector: {
+                    type: 'object',
+                    properties: { matchLabels: { type: 'object', minProperties: 1 } },
+                    required: ['matchLabels']
+                },
+                template: {
+                    type: 'object',
+                    properties: {
+                        metadata: {
+                            type: 'object',
+                            properties: { labels: { type: 'object', minProperties: 1 } },
+                            required: ['labels']
+                        },
+                        spec: {
+                            type: 'object',
+                            properties: {
+                                containers: { type: 'array', minItems: 1, items: CONTAINER },
+                                volumes: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { name: { type: 'string' } },
+                                        required: ['name']
+                                    }
+                                }
+                            },
+                            required: ['containers']
+                        }
+                    },
+                    required: ['metadata', 'spec']
+                }
+            },
+            required: ['selector', 'template']
+        }
+    },
+    required: ['apiVersion', 'kind', 'metadata', 'spec']
+};
+
+const KUBERNETES_CONFIGMAP = {
+    type: 'object',
+    properties: {
+        apiVersion: { const: 'v1' },
+        kind: { const: 'ConfigMap' },
+        metadata: OBJECT_META,
+        data: {
+            type: 'object',
+            minProperties: 1,
+            propertyNames: { pattern: '^[-._a-zA-Z0-9]+$' },
+            additionalProperties: { type: 'string' }
+        }
+    },
+    required: ['apiVersion', 'kind', 'metadata', 'data']
+};
+
+const GATEKEEPER_CONSTRAINT_TEMPLATE = {
+    type: 'object',
+    properties: {
+        apiVersion: { const: 'templates.gatekeeper.sh/v1' },
+        kind: { const: 'ConstraintTemplate' },
+        metadata: {
+            type: 'object',
+            properties: { name: { type: 'string', pattern: '^[a-z0-9]+$' } },
+            required: ['name']
+        },
+        spec: {
+            type: 'object',
+            properties: {
+                crd: {
+                    type: 'object',
+                    properties: {
+                        spec: {
+                            type: 'object',
+                            properties: {
+                                names: {
+                                    type: 'object',
+                                    properties: { kind: { type: 'string', pattern: '^[A-Z][A-Za-z0-9]*$' } },
+                                    required: ['kind']
+                                }
+                            },
+                            required: ['names']
+                        }
+                    },
+                    required: ['spec']
+                },
+                targets: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            target: { const: 'admission.k8s.gatekeeper.sh' },
+                            rego: { type: 'string', minLength: 1 },
+                            libs: { type: 'array', items: { type: 'string', pattern: '^\\s*(#[^\\n]*\\n\\s*)*package\\s+lib\\.' } }
+                        },
+                        required: ['target', 'rego']
+                    }
+                }
+            },
+            required: ['crd', 'targets']
+        }
+    },
+    required: ['apiVersion', 'kind', 'metadata', 'spec']
+};
+
+const GATEKEEPER_CONSTRAINT = {
+    type: 'object',
+    properties: {
+        apiVersion: { const: 'constraints.gatekeeper.sh/v1beta1' },
+        kind: { type: 'string', pattern: '^[A-Z][A-Za-z0-9]*$' },
+        metadata: OBJECT_META,
+        spec: {
+            type: 'object',
+            properties: {
+                enforcementAction: { enum: ['deny', 'dryrun', 'warn'] },
+                match: {
+                    type: 'object',
+                    properties: {
+                        kinds: {
+                            type: 'array',
+                            minItems: 1,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    apiGroups: { type: 'array', items: { type: 'string' } },
+                                    kinds: { type: 'array', minItems: 1, items: { type: 'string' } }
+                                },
+                                required: ['apiGroups', 'kinds']
+                            }
+                        }
+                    },
+                    required: ['kinds']
+                }
+            },
+            required: ['match']
+        }
+    },
+    required: ['apiVersion', 'kind', 'metadata', 'spec']
+};
+
+const SOCKET_ADDRESS = {
+    type: 'object',
+    properties: {
+        socket_address: {
+            type: 'object',
+            properties: { address: { type: 'string', minLength: 1 }, port_value: PORT },
+            required: ['address', 'port_value']
+        }
+    },
+    required: ['socket_address']
+};
+
+const TYPED_CONFIG = {
+    type: 'object',
+    properties: { '@type': { type: 'string', pattern: '^type\\.googleapis\\.com/envoy\\.' } },
+    required: ['@type']
+};
+
+const ENVOY_BOOTSTRAP = {
+    type: 'object',
+    properties: {
+        static_resources: {
+            type: 'object',
+            properties: {
+                listeners: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            address: SOCKET_ADDRESS,
+                            filter_chains: {
+                                type: 'array',
+                                minItems: 1,
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        filters: {
+                                            type: 'array',
+                                            minItems: 1,
+                                            items: {
+                                                type: 'object',
+                                                properties: { name: { type: 'string' }, typed_config: TYPED_CONFIG },
+                                                required: ['name', 'typed_config']
+                                            }
+                                        }
+                                    },
+                                    required: ['filters']
+                                }
+                            }
+                        },
+                        required: ['name', 'address', 'filter_chains']
+                    }
+                },
+                clusters: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            type: { enum: ['STATIC', 'STRICT_DNS', 'LOGICAL_DNS'] },
+                            connect_timeout: { type: 'string', pattern: '^\\d+(\\.\\d+)?s$' },
+                            load_assignment: {
+                                type: 'object',
+                                properties: {
+                                    cluster_name: { type: 'string' },
+                                    endpoints: { type: 'array', minItems: 1 }
+                                },
+                                required: ['cluster_name', 'endpoints']
+                            }
+                        },
+                        required: ['name', 'load_assignment']
+                    }
+                }
+            },
+            required: ['listeners', 'clusters']
+        },
+        admin: { type: 'object', properties: { address: SOCKET_ADDRESS } }
+    },
+    required: ['static_resources']
+};
+
+const OPA_CONFIG = {
+    type: 'object',
+    properties: {
+        plugins: {
+            type: 'object',
+            properties: {
+                envoy_ext_authz_grpc: {
+                    type: 'object',
+                    properties: {
+                        addr: { type: 'string', pattern: '^[^:]*:\\d+$' },
+                        path: { type: 'string', pattern: '^[A-Za-z_][\\w]*(/[A-Za-z_][\\w]*)*$' }
+                    },
+                    required: ['addr', 'path']
+                }
+            }
+        },
+        decision_logs: { type: 'object', properties: { console: { type: 'boolean' } } },
+        status: { type: 'object', properties: { console: { type: 'boolean' } } }
+    },
+    additionalProperties: false
+};
+
+const DOCKER_COMPOSE = {
+    type: 'object',
+    properties: {
+        services: {
+            type: 'object',
+            minProperties: 1,
+            propertyNames: { pattern: '^[a-zA-Z0-9][a-zA-Z0-9_.-]*$' },
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    image: { type: 'string', minLength: 1, pattern: '^\\S+$' },
+                    command: { type: 'array', items: { type: 'string' } },
+                    ports: { type: 'array', items: { type: 'string', pattern: '^\\d+:\\d+$' } },
+                    volumes: { type: 'array', items: { type: 'string', pattern: '^[^:]+:/[^:]*(:(ro|rw))?$' } },
+                    restart: { enum: ['no', 'always', 'on-failure', 'unless-stopped'] }
+                },
+                required: ['image']
+            }
+        }
+    },
+    required: ['services']
+};
+
+const PROMETHEUS_CONFIG = {
+    type: 'object',
+    properties: {
+        scrape_configs: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    job_name: { type: 'string', minLength: 1 },
+                    metrics_path: { type: 'string', pattern: '^/' },
+                    static_configs: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                targets: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[^\\s:]+:\\d+$' } }
+                            },
+                            required: ['targets']
+                        }
+                    }
+                },
+                required: ['job_name', 'static_configs']
+            }
+        }
+    },
+    required: ['scrape_configs']
+};
+
+const ARTIFACT_SCHEMAS = {
+    'kubernetes-deployment': KUBERNETES_DEPLOYMENT,
+    'kubernetes-configmap': KUBERNETES_CONFIGMAP,
+    'gatekeeper-constraint-template': GATEKEEPER_CONSTRAINT_TEMPLATE,
+    'gatekeeper-constraint': GATEKEEPER_CONSTRAINT,
+    'envoy-bootstrap': ENVOY_BOOTSTRAP,
+    'opa-config': OPA_CONFIG,
+    'docker-compose': DOCKER_COMPOSE,
+    'prometheus-config': PROMETHEUS_CONFIG
+};
+
+module.exports = { ARTIFACT_SCHEMAS };
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Documentation Index Builder
+ * Splits the corpus in docs/corpus into one passage per `##` section and writes their BM25
+ * statistics to docs/search-index.json, which gatherDocs searches at runtime.
+ * Run `npm run build:docs` after editing the corpus; `--check` exits 1 when the index is stale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./search');
+
+const CORPUS_DIR = path.join(__dirname, 'corpus');
+const INDEX_FILE = path.join(__dirname, 'search-index.json');
+
+// Section titles count this many times as often as body text
+const TITLE_WEIGHT = 2;
+
+/**
+ * Front matter (`key: value` lines between `---`) and the markdown after it
+ */
+function readPage(file) {
+    const source = fs.readFileSync(path.join(CORPUS_DIR, file), 'utf8');
+    const match = /^---\n([\s\S]*?)\n---\n/.exec(source);
+    if (!match) {
+        throw new Error(`${file}: missing front matter`);
+    }
+    const meta = Object.fromEntries(match[1].split('\n').map(line => {
+        const separator = line.indexOf(':');
+        return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+    }));
+    for (const key of ['title', 'source', 'kind']) {
+        if (!meta[key]) throw new Error(`${file}: front matter needs ${key}`);
+    }
+    return { meta, body: source.slice(match[0].length) };
+}
+
+function slug(heading) {
+    return heading.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function buildIndex() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, 'manifest.json'), 'utf8'));
+    const passages = [];
+
+    for (const file of manifest.files) {
+        const { meta, body } = readPage(file);
+        for (const section of body.split(/^## /m).slice(1)) {
+            const newline = section.indexOf('\n');
+            const title = section.slice(0, newline).trim();
+            const text = section.slice(newline + 1).trim();
+            const anchor = slug(title);
+            const terms = {};
+            const words = [...Array(TITLE_WEIGHT).fill(tokenize(title)).flat(), ...tokenize(text)];
+            for (const term of words) {
+                terms[term] = (terms[term] || 0) + 1;
+            }
+            passages.push({
+                id: `${file}#${anchor}`,
+                page: meta.title,
+                title,
+                kind: meta.kind,
+                source: `${meta.source}#${anchor}`,
+                text,
+                length: words.length,
+                terms
+            });
+        }
+    }
+
+    const documentFrequency = {};
+    for (const passage of passages) {
+        for (const term of Object.keys(passage.terms)) {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        }
+    }
+
+    return {
+        version: manifest.version,
+        opa_version: manifest.opa_version,
+        passages,
+        document_frequency: documentFrequency,
+        average_length: passages.reduce((sum, passage) => sum + passage.length, 0) / passages.length
+    };
+}
+
+if (require.main === module) {
+    const index = `${JSON.stringify(buildIndex())}\n`;
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(INDEX_FILE) ? fs.readFileSync(INDEX_FILE, 'utf8') : '';
+        if (current !== index) {
+            console.error('docs/search-index.json is out of date; run npm run build:docs');
+            process.exit(1);
+        }
+        console.log('docs/search-index.json is up to date');
+    } else {
+        fs.writeFileSync(INDEX_FILE, index);
+        console.log(`Indexed ${JSON.parse(index).passages.length} passages into docs/search-index.json`);
+    }
+}
+
+module.exports = { buildIndex };
@@ -0,0 +1,270 @@
+/**
+ * OPA Reference Material
+ * Searches the bundled documentation corpus (docs/corpus, indexed by build-index.js) and serves
+ * examples, for the docs-retriever MCP server and the agent's in-process `gather-opa-docs` tool.
+ * Nothing is fetched at runtime.
+ */
+
+const { search } = require('./search');
+const { getCatalog } = require('../rego');
+const INDEX = require('./search-index.json');
+
+const DEFAULT_PASSAGES = 5;
+
+// How to write each Rego syntax version, for generation prompts
+const SYNTAX_NOTES = {
+    v1: 'Write Rego v1 (OPA 1.0 and later): `if` before every rule body, `contains` for multi-value rules and `:=` for assignment. Do not add `import rego.v1` or `future.keywords` imports; v1 needs neither.',
+    v0: 'Write Rego v0 (OPA before 1.0): rule bodies in braces without `if` (`allow { ... }`), multi-value rules as `deny[msg] { ... }` even where an example shows `deny contains msg if`, and no `import rego.v1` or `future.keywords` imports, so `if`, `contains`, `in` and `every` are not available.'
+};
+
+const EXAMPLES = [
+    {
+        title: 'Role-based Access Control',
+        description: 'Basic RBAC policy example',
+        code: `package rbac.authz
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+}
+
+allow if {
+    input.user.role == "user"
+    input.action == "read"
+}`,
+        complexity: 'basic',
+        use_case: 'authorization'
+    },
+    {
+        title: 'Time-based Access',
+        description: 'Policy with time restrictions',
+        code: `package time.authz
+
+default allow := false
+
+allow if {
+    input.user.role == "employee"
+    is_business_hours
+}
+
+is_business_hours if {
+    hour := time.clock(time.now_ns())[0]
+    hour >= 9
+    hour < 17
+}`,
+        complexity: 'intermediate',
+        use_case: 'time-based-access'
+    },
+    {
+        title: 'Required Labels (Gatekeeper)',
+        description: 'Admission policy rejecting resources without the labels a constraint requires',
+        code: `package k8s.requiredlabels
+
+violation contains {"msg": msg} if {
+    some label in input.parameters.labels
+    not input.review.object.metadata.labels[label]
+    msg := sprintf("%s %s is missing label %s", [input.review.kind.kind, input.review.object.metadata.name, label])
+}`,
+        complexity: 'intermediate',
+        use_case: 'kubernetes-admission',
+        target: 'kubernetes-admission'
+    },
+    {
+        title: 'Encrypted S3 Buckets (conftest)',
+        description: 'Terraform plan check denying unencrypted buckets',
+        code: `package main
+
+deny contains msg if {
+    some rc in input.resource_changes
+    rc.type == "aws_s3_bucket"
+    not "delete" in rc.change.actions
+    not rc.change.after.server_side_encryption_configuration
+    msg := sprintf("%s must enable server-side encryption", [rc.address])
+}`,
+        complexity: 'intermediate',
+        use_case: 'infrastructure-as-code',
+        target: 'terraform'
+    },
+    {
+        title: 'Envoy Route Authorization',
+        description: 'ext_authz policy allowing reads to everyone and writes to admins',
+        code: `package envoy.authz
+
+default allow := false
+
+claims := payload if {
+    [_, token] := split(input.attributes.request.http.headers.authorization, " ")
+    [_, payload, _] := io.jwt.decode(token)
+}
+
+allow if {
+    input.attributes.request.http.method == "GET"
+    input.parsed_path[0] == "api"
+}
+
+allow if {
+    input.attributes.request.http.method in {"POST", "PUT", "DELETE"}
+    "admin" in claims.roles
+}`,
+        complexity: 'intermediate',
+        use_case: 'service-mesh',
+        target: 'envoy'
+    },
+    {
+        title: 'Kafka Topic Access',
+        description: 'Authorizer letting producers write and consumers read their own topics',
+        code: `package kafka.authz
+
+default allow := false
+
+producers := {"User:orders-service"}
+
+consumers := {"User:billing-service", "User:analytics"}
+
+allow if {
+    input.action.operation in {"WRITE", "DESCRIBE"}
+    input.action.resourcePattern.resourceType == "TOPIC"
+    input.requestContext.principal.name in producers
+}
+
+allow if {
+    input.action.operation in {"READ", "DESCRIBE"}
+    input.action.resourcePattern.resourceType in {"TOPIC", "GROUP"}
+    input.requestContext.principal.name in consumers
+}`,
+        complexity: 'intermediate',
+        use_case: 'messaging',
+        target: 'kafka'
+    },
+    {
+        title: 'HTTP API Ownership',
+        description: 'Users read their own orders; admins read all of them',
+        code: `package httpapi.authz
+
+default allow := false
+
+allow if {
+    input.method == "GET"
+    input.path == ["orders", input.user.id]
+}
+
+allow if {
+    input.method == "GET"
+    input.path[0] == "orders"
+    "admin" in input.user.roles
+}`,
+        complexity: 'basic',
+        use_case: 'authorization',
+        target: 'http-api'
+    }
+];
+
+/**
+ * The corpus passages most relevant to a query, ranked by BM25, with `content` formatting them
+ * for a prompt. Policy patterns are searched with `includeExamples` and best practices with
+ * `includeBestPractices`; a `target` preset adds its name to the query and its own example.
+ * @returns {{query: string, content: string, passages: object[], sources: string[],
+ *   corpus_version: string, opa_version: string}} passages carry `id` (file#anchor), `source`
+ *   (the OPA documentation page and anchor) and `score`
+ */
+function gatherDocs({ query, includeExamples = false, includeBestPractices = false, target, limit = DEFAULT_PASSAGES }) {
+    const kinds = [
+        'reference', 'builtins', 'integration',
+        ...(includeExamples ? ['pattern'] : []),
+        ...(includeBestPractices ? ['best-practice'] : [])
+    ];
+    const passages = search(INDEX, [query, target].filter(Boolean).join(' '), { limit, kinds }).map(toPassage);
+    const targetExample = includeExamples && target ? EXAMPLES.find(example => example.target === target) : null;
+
+    const sections = passages.map((passage, index) =>
+        `[${index + 1}] ${passage.page}: ${passage.title} (${passage.id}, score ${passage.score})\n${passage.text}`);
+    if (targetExample) {
+        sections.push(`Example (${targetExample.title}):\n${targetExample.code}`);
+    }
+
+    return {
+        query,
+        content: [
+            `OPA documentation for: ${query} (corpus ${INDEX.version}, OPA ${INDEX.opa_version})`,
+            ...(sections.length ? sections : ['No documentation passages matched the query.'])
+        ].join('\n\n'),
+        passages,
+        sources: [...new Set(passages.map(passage => passage.source))],
+        corpus_version: INDEX.version,
+        opa_version: INDEX.opa_version
+    };
+}
+
+function toPassage({ passage, score }) {
+    return {
+        id: passage.id,
+        page: passage.page,
+        title: passage.title,
+        kind: passage.kind,
+        source: passage.source,
+        score: Math.round(score * 1000) / 1000,
+        text: passage.text
+    };
+}
+
+/**
+ * Prompt guidance for a Rego syntax version; v1 unless `regoVersion` is 'v0'
+ */
+function syntaxNotes(regoVersion) {
+    return SYNTAX_NOTES[regoVersion === 'v0' ? 'v0' : 'v1'];
+}
+
+/**
+ * The builtins of an OPA release by category, for generation prompts. Calls to anything else
+ * fail the checker, so the list keeps the model from inventing functions like `time.hour`.
+ */
+function builtinNotes(opaVersion) {
+    const catalog = getCatalog(opaVersion);
+    const categories = new Map();
+    for (const decl of catalog.builtins) {
+        if (decl.infix || decl.deprecated) continue;
+        if (!categories.has(decl.category)) categories.set(decl.category, []);
+        categories.get(decl.category).push(decl.name);
+    }
+    return [
+        `Builtin functions of OPA ${catalog.opa_version}. Call no others; write a helper function in the policy when none fits:`,
+        ...[...categories].map(([category, names]) => `- ${category}: ${names.join(', ')}`)
+    ].join('\n');
+}
+
+/**
+ * Best-practice passages for a scenario, best match first. When none matches, the corpus's
+ * first ones (default deny, input validation, ...) are returned with score 0.
+ */
+function getBestPractices({ scenario, category = 'general', limit = DEFAULT_PASSAGES }) {
+    const query = category === 'general' ? scenario : `${scenario} ${category}`;
+    let practices = search(INDEX, query, { limit, kinds: ['best-practice'] });
+    if (!practices.length) {
+        practices = INDEX.passages
+            .filter(passage => passage.kind === 'best-practice')
+            .slice(0, limit)
+            .map(passage => ({ passage, score: 0 }));
+    }
+    return {
+        scenario,
+        category,
+        practices: practices.map(toPassage),
+        corpus_version: INDEX.version
+    };
+}
+
+/**
+ * Examples of a complexity, or with `target` the examples for that platform preset
+ */
+function findExamples({ complexity = 'basic', target }) {
+    const matches = target
+        ? example => example.target === target
+        : example => complexity === 'all' || (!example.target && example.complexity === complexity);
+    return {
+        examples: EXAMPLES.filter(matches),
+        total_found: EXAMPLES.length
+    };
+}
+
+module.exports = { gatherDocs, getBestPractices, findExamples, syntaxNotes, builtinNotes };
@@ -0,0 +1,68 @@
+const { gatherDocs, getBestPractices, findExamples, syntaxNotes, builtinNotes } = require('./index');
+
+describe('gatherDocs', () => {
+    test('returns passages with their sources and the corpus version', () => {
+        const docs = gatherDocs({ query: 'time.now_ns' });
+
+        expect(docs.passages[0]).toMatchObject({ id: 'builtins.md#time', kind: 'builtins' });
+        expect(docs.sources).toContain(docs.passages[0].source);
+        expect(docs.content).toContain(`[1] ${docs.passages[0].page}: ${docs.passages[0].title}`);
+        expect(docs.opa_version).toBe('1.4.2');
+    });
+
+    test('searches patterns only with includeExamples', () => {
+        expect(gatherDocs({ query: 'time.now_ns' }).passages.map(passage => passage.kind)).not.toContain('pattern');
+        expect(gatherDocs({ query: 'time.now_ns', includeExamples: true }).passages[0].id).toBe('patterns.md#time-based-access');
+    });
+
+    test('adds the example of a target preset', () => {
+        const docs = gatherDocs({ query: 'test with mock', includeExamples: true, target: 'envoy' });
+
+        expect(docs.passages.map(passage => passage.id)).toContain('integrations.md#envoy-external-authorization');
+        expect(docs.content).toContain('Example (Envoy Route Authorization):\npackage envoy.authz');
+    });
+
+    test('says so when nothing matches', () => {
+        const docs = gatherDocs({ query: 'zzzqqq' });
+
+        expect(docs.passages).toEqual([]);
+        expect(docs.content).toContain('No documentation passages matched the query.');
+    });
+});
+
+describe('getBestPractices', () => {
+    test('returns the best-practice passages for a scenario', () => {
+        const { practices } = getBestPractices({ scenario: 'default deny' });
+
+        expect(practices[0].id).toBe('best-practices.md#deny-by-default');
+        expect(practices.every(practice => practice.kind === 'best-practice')).toBe(true);
+    });
+
+    test('falls back to the first best practices when none matches', () => {
+        const { practices } = getBestPractices({ scenario: 'zzzqqq', limit: 2 });
+
+        expect(practices.map(practice => [practice.id, practice.score])).toEqual([
+            ['best-practices.md#deny-by-default', 0],
+            ['best-practices.md#validate-input-structure', 0]
+        ]);
+    });
+});
+
+describe('examples and notes', () => {
+    test('findExamples selects by complexity or target', () => {
+        expect(findExamples({}).examples.map(example => example.title)).toEqual(['Role-based Access Control']);
+        expect(findExamples({ target: 'kafka' }).examples.map(example => example.title)).toEqual(['Kafka Topic Access']);
+    });
+
+    test('syntaxNotes defaults to v1', () => {
+        expect(syntaxNotes()).toMatch(/^Write Rego v1/);
+        expect(syntaxNotes('v0')).toMatch(/^Write Rego v0/);
+    });
+
+    test('builtinNotes lists the builtins of the release by category', () => {
+        const notes = builtinNotes('1.4.2');
+
+        expect(notes).toMatch(/^Builtin functions of OPA 1\.4\.2\./);
+        expect(notes).toContain('- bits: bits.and, bits.or, bits.xor, bits.negate, bits.lsh, bits.rsh');
+    });
+});
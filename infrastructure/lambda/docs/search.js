@@ -0,0 +1,71 @@
+/**
+ * Documentation Search
+ * Tokenizer and BM25 ranking over the passages of the documentation corpus. The index is built
+ * ahead of time by build-index.js; both sides tokenize with `tokenize` so their terms agree.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their',
+    'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'what', 'when', 'where',
+    'which', 'while', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Lower-cased terms of a text. Dotted and underscored names such as `time.now_ns` are kept
+ * whole and also split into their parts; plural -s endings are dropped.
+ */
+function tokenize(text) {
+    const terms = [];
+    for (const [word] of String(text || '').toLowerCase().matchAll(/[a-z0-9_]+(?:\.[a-z0-9_]+)*/g)) {
+        const parts = word.split(/[._]/).filter(Boolean);
+        for (const term of parts.length > 1 ? [word, ...parts] : [word]) {
+            if (STOP_WORDS.has(term)) continue;
+            terms.push(stem(term));
+        }
+    }
+    return terms;
+}
+
+function stem(term) {
+    if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+    if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') && !term.endsWith('us')) return term.slice(0, -1);
+    return term;
+}
+
+/**
+ * Rank the passages of an index for a query with BM25
+ * @param {object} index - built by build-index.js: passages with `terms` (term -> count) and
+ *   `length`, plus `document_frequency` and `average_length`
+ * @param {object} [options] - `limit` (default 5), `kinds` to search only passages of those kinds
+ * @returns {{passage: object, score: number}[]} best first; passages sharing no term are left out
+ */
+function search(index, query, options = {}) {
+    const limit = options.limit ?? 5;
+    const queryTerms = [...new Set(tokenize(query))];
+    const total = index.passages.length;
+    const results = [];
+
+    for (const passage of index.passages) {
+        if (options.kinds && !options.kinds.includes(passage.kind)) continue;
+        let score = 0;
+        for (const term of queryTerms) {
+            const frequency = passage.terms[term];
+            if (!frequency) continue;
+            const documents = index.document_frequency[term];
+            const idf = Math.log(1 + (total - documents + 0.5) / (documents + 0.5));
+            const norm = BM25_K1 * (1 - BM25_B + BM25_B * passage.length / index.average_length);
+            score += idf * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+        }
+        if (score > 0) results.push({ passage, score });
+    }
+
+    return results
+        .sort((a, b) => (b.score - a.score) || a.passage.id.localeCompare(b.passage.id))
+        .slice(0, limit);
+}
+
+module.exports = { tokenize, search };
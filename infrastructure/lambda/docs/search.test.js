@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { tokenize, search } = require('./search');
+const { buildIndex } = require('./build-index');
+const INDEX = require('./search-index.json');
+
+const ids = results => results.map(result => result.passage.id);
+
+describe('tokenize', () => {
+    test('keeps dotted and underscored names whole and splits them', () => {
+        expect(tokenize('io.jwt.decode')).toEqual(['io.jwt.decode', 'io', 'jwt', 'decode']);
+        expect(tokenize('input_user')).toEqual(['input_user', 'input', 'user']);
+    });
+
+    test('drops stop words and plural endings', () => {
+        expect(tokenize('How do I write the policies for libraries?')).toEqual(['write', 'policy', 'library']);
+        expect(tokenize('status')).toEqual(['status']);
+        expect(tokenize(null)).toEqual([]);
+    });
+});
+
+describe('search', () => {
+    test('ranks the passages that share the most query terms first', () => {
+        expect(ids(search(INDEX, 'default deny', { limit: 3 }))).toEqual([
+            'best-practices.md#deny-by-default',
+            'patterns.md#default-deny',
+            'policy-language.md#default-keyword'
+        ]);
+        expect(ids(search(INDEX, 'envoy ext_authz', { limit: 1 }))).toEqual(['integrations.md#envoy-external-authorization']);
+    });
+
+    test('returns results best first and within the limit', () => {
+        const results = search(INDEX, 'unit test with mock', { limit: 4 });
+
+        expect(results).toHaveLength(4);
+        expect(results.map(result => result.score)).toEqual([...results.map(result => result.score)].sort((a, b) => b - a));
+    });
+
+    test('searches only the passages of the given kinds', () => {
+        const results = search(INDEX, 'default deny', { kinds: ['best-practice'] });
+
+        expect(results.length).toBeGreaterThan(0);
+        expect(results.every(result => result.passage.kind === 'best-practice')).toBe(true);
+    });
+
+    test('leaves out passages that share no term with the query', () => {
+        expect(search(INDEX, 'zzzqqq')).toEqual([]);
+    });
+});
+
+describe('search-index.json', () => {
+    test('is up to date with the corpus', () => {
+        const current = fs.readFileSync(path.join(__dirname, 'search-index.json'), 'utf8');
+
+        expect(`${JSON.stringify(buildIndex())}\n`).toBe(current);
+    });
+});
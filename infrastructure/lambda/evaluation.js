@@ -0,0 +1,157 @@
+/**
+ * Policy Evaluation with a Deadline
+ * Runs the Rego toolkit's evaluating calls (test inputs, decision traces, behavior comparisons)
+ * in a worker thread. Evaluation is synchronous, so a policy that does more work than its step
+ * budget accounts for would hold the event loop, and every timeout on it, until it finishes;
+ * here the worker is terminated at the deadline and started again for the next call.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { RegoEvalError, expectedOf } = require('./rego');
+
+const DEFAULT_EVAL_TIMEOUT_MS = 10000;
+
+let worker = null;
+let nextId = 0;
+// id -> { resolve, reject, timer }
+const pending = new Map();
+
+function resolveTimeout(timeoutMs) {
+    const value = Number(timeoutMs ?? process.env.EVAL_TIMEOUT_MS);
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_EVAL_TIMEOUT_MS;
+}
+
+/**
+ * The running worker, started on first use. It does not keep the process alive while idle.
+ */
+function getWorker() {
+    if (worker) {
+        return worker;
+    }
+    worker = new Worker(path.join(__dirname, 'evaluation.worker.js'));
+    worker.unref();
+    worker.on('message', ({ id, result, error }) => {
+        const call = pending.get(id);
+        if (!call) return;
+        settle(id);
+        if (error) {
+            call.reject(error.name === 'RegoEvalError'
+                ? new RegoEvalError(error.message, error.code, error.line ? error : null)
+                : new Error(error.message));
+        } else {
+            call.resolve(result);
+        }
+    });
+    worker.on('error', error => stopWorker(error));
+    worker.on('exit', () => stopWorker(new Error('evaluation worker exited')));
+    return worker;
+}
+
+function settle(id) {
+    clearTimeout(pending.get(id).timer);
+    pending.delete(id);
+    if (!pending.size && worker) {
+        worker.unref();
+    }
+}
+
+/**
+ * Terminate the worker and fail every call it was running or had queued
+ */
+function stopWorker(error) {
+    const stopped = worker;
+    worker = null;
+    for (const [id, call] of [...pending]) {
+        settle(id);
+        call.reject(error);
+    }
+    if (stopped) {
+        stopped.removeAllListeners();
+        stopped.terminate();
+    }
+}
+
+/**
+ * Run one of the worker's operations. Rejects with an `eval_cancel_error` RegoEvalError when it
+ * does not finish within `timeoutMs` (EVAL_TIMEOUT_MS env, default 10 s).
+ * @param {string} operation - `runTestInputs`, `traceDecision` or `compareBehavior`
+ * @param {any[]} args - the operation's arguments; they and its result must be cloneable
+ */
+function evaluate(operation, args, timeoutMs) {
+    const deadline = resolveTimeout(timeoutMs);
+    const id = ++nextId;
+    const running = getWorker();
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+            () => stopWorker(new RegoEvalError(`evaluation exceeded ${deadline}ms`, 'eval_cancel_error')),
+            deadline
+        );
+        pending.set(id, { resolve, reject, timer });
+        running.ref();
+        running.postMessage({ id, operation, args });
+    });
+}
+
+/**
+ * runTestInputs under the deadline. When it is exceeded, every case reports the error, as
+ * a case that fails to evaluate does.
+ */
+async function runTestInputs(policy, testInputs = [], options = {}, timeoutMs) {
+    try {
+        return await evaluate('runTestInputs', [policy, testInputs, options], timeoutMs);
+    } catch (error) {
+        if (error.code !== 'eval_cancel_error') throw error;
+        const cases = Array.isArray(testInputs) ? testInputs : [];
+        return {
+            entrypoint: options.entrypoint || null,
+            passed: 0,
+            failed: 0,
+            errors: cases.length,
+            results: cases.map(testCase => ({
+                description: testCase.description || testCase.name || 'Test case',
+                expected: expectedOf(testCase),
+                actual: null,
+                passed: false,
+                error: error.message
+            }))
+        };
+    }
+}
+
+/**
+ * traceDecision under the deadline
+ */
+function traceDecision(source, input, options = {}, timeoutMs) {
+    return evaluate('traceDecision', [source, input, options], timeoutMs);
+}
+
+/**
+ * compareBehavior under the deadline. When it is exceeded, nothing was compared: `unchanged`
+ * and each case's `same` are null and both sides report the error.
+ */
+async function compareBehavior(before, after, testInputs = [], options = {}, timeoutMs) {
+    try {
+        return await evaluate('compareBehavior', [before, after, testInputs, options], timeoutMs);
+    } catch (error) {
+        if (error.code !== 'eval_cancel_error') throw error;
+        const cases = Array.isArray(testInputs) ? testInputs : [];
+        return {
+            checked: cases.length,
+            unchanged: null,
+            results: cases.map((testCase, index) => ({
+                description: testCase.description || testCase.name || `Test case ${index + 1}`,
+                same: null,
+                before: { error: error.message },
+                after: { error: error.message }
+            }))
+        };
+    }
+}
+
+module.exports = {
+    runTestInputs,
+    traceDecision,
+    compareBehavior,
+    DEFAULT_EVAL_TIMEOUT_MS
+};
@@ -0,0 +1,83 @@
+const { runTestInputs, traceDecision, compareBehavior } = require('./evaluation');
+const { RegoEvalError } = require('./rego');
+
+const POLICY = `package authz
+
+default allow := false
+
+allow if input.user.role == "admin"
+`;
+
+// Enumerates a 60000-element range per candidate, well past any deadline the specs set
+const SLOW_POLICY = `package authz
+
+default allow := false
+
+allow if {
+    xs := numbers.range(1, 60000)
+    ys := [x | x := xs[_]; y := xs[_]; x == y]
+    count(ys) > 0
+}
+`;
+
+describe('evaluation worker', () => {
+    test('runs test inputs and reports coverage', async () => {
+        const run = await runTestInputs(POLICY, [
+            { description: 'admin', input: { user: { role: 'admin' } }, expected: true },
+            { description: 'viewer', input: { user: { role: 'viewer' } }, expected: true }
+        ], { coverage: true });
+
+        expect(run.entrypoint).toBe('data.authz.allow');
+        expect(run.passed).toBe(1);
+        expect(run.failed).toBe(1);
+        expect(run.coverage.covered).toBe(2);
+    });
+
+    test('traces a decision', async () => {
+        const trace = await traceDecision(POLICY, { user: { role: 'viewer' } });
+
+        expect(trace.allowed).toBe(false);
+        expect(trace.rules.find(rule => rule.kind === 'default').outcome).toBe('default_applied');
+    });
+
+    test('rebuilds evaluation errors thrown in the worker', async () => {
+        const error = await traceDecision('package empty\n', {}).catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(RegoEvalError);
+        expect(error.code).toBe('rego_type_error');
+    });
+
+    test('reports every case as an error when the deadline is exceeded', async () => {
+        const started = Date.now();
+        const run = await runTestInputs(SLOW_POLICY, [
+            { description: 'first', input: {}, expected: true },
+            { description: 'second', input: {}, expected: false }
+        ], {}, 200);
+
+        expect(Date.now() - started).toBeLessThan(5000);
+        expect(run.errors).toBe(2);
+        expect(run.results.map(result => result.error)).toEqual(['evaluation exceeded 200ms', 'evaluation exceeded 200ms']);
+        expect(run.results[1].expected).toBe(false);
+    });
+
+    test('rejects a trace that exceeds the deadline with a cancel error', async () => {
+        const error = await traceDecision(SLOW_POLICY, {}, {}, 200).catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(RegoEvalError);
+        expect(error.code).toBe('eval_cancel_error');
+    });
+
+    test('leaves a behavior check that exceeds the deadline undecided', async () => {
+        const check = await compareBehavior(SLOW_POLICY, SLOW_POLICY, [{ input: {} }], {}, 200);
+
+        expect(check.unchanged).toBeNull();
+        expect(check.results[0]).toMatchObject({ same: null, after: { error: 'evaluation exceeded 200ms' } });
+    });
+
+    test('starts a new worker after one is terminated', async () => {
+        await runTestInputs(SLOW_POLICY, [{ input: {}, expected: true }], {}, 200);
+        const run = await runTestInputs(POLICY, [{ input: { user: { role: 'admin' } }, expected: true }]);
+
+        expect(run.passed).toBe(1);
+    });
+});
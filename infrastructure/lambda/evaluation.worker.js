@@ -0,0 +1,20 @@
+/**
+ * Evaluation worker: runs the operations evaluation.js sends it, one at a time
+ */
+
+const { parentPort } = require('worker_threads');
+const { runTestInputs, traceDecision, compareBehavior } = require('./rego');
+
+const OPERATIONS = { runTestInputs, traceDecision, compareBehavior };
+
+parentPort.on('message', ({ id, operation, args }) => {
+    try {
+        if (!OPERATIONS[operation]) {
+            throw new Error(`unknown evaluation operation: ${operation}`);
+        }
+        parentPort.postMessage({ id, result: OPERATIONS[operation](...args) });
+    } catch (error) {
+        const { name, message, code, line, column } = error;
+        parentPort.postMessage({ id, error: { name, message, code, line, column } });
+    }
+});
@@ -1,11 +1,33 @@
+const fs = require('fs');
 const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
 const { OPAPolicyAgent } = require('./agent-core-simple');
+const { normalizeProviderName, LLMProviderError } = require('./providers');
+const { toSSE, SSE_HEADERS } = require('./streaming');
+const { StructuredOutputError } = require('./response-schema');
+const { createSessionStore, createSession, isValidSessionId, mergeSession, SessionConflictError } = require('./sessions');
+const {
+    PolicyGenerationWorkflow,
+    PolicyValidationWorkflow,
+    PolicyExplanationWorkflow,
+    DecisionExplanationWorkflow,
+    PolicyDeploymentWorkflow
+} = require('./workflows');
+const { TARGETS, DeploymentError } = require('./deployment');
+const { createBundle, bundleSigningInput, BundleError } = require('./bundle');
+const { resolveInputSpec, InputSpecError } = require('./input-spec');
+const { PRESETS } = require('./presets');
+const { RegoEvalError, migrateToV1, formatPolicy } = require('./rego');
+const { compareBehavior } = require('./evaluation');
 
 // Initialize AWS Secrets Manager client
 const secretsClient = new SecretsManagerClient({ region: process.env.AWS_REGION || 'us-east-1' });
 
-// Global agent instance (reused across Lambda invocations)
+// Global agent instance (reused across Lambda invocations); conversation state lives in sessions
 let globalAgent = null;
+let sessionStore = null;
+
+// Writes of one session that keep losing to concurrent requests are given up (and logged) after this
+const MAX_SESSION_WRITE_ATTEMPTS = 3;
 
 /**
  * Ensure content is clean without escaped characters
@@ -25,9 +47,9 @@ function ensureCleanContent(content) {
 }
 
 /**
- * Get OpenAI API key from AWS Secrets Manager
+ * Get an LLM API key from AWS Secrets Manager (`api_key` holds the OpenAI key)
  */
-async function getOpenAIApiKey() {
+async function getApiKeyFromSecret(field = 'api_key') {
     try {
         const command = new GetSecretValueCommand({
             SecretId: process.env.OPENAI_SECRET_ARN
@@ -35,10 +57,30 @@ async function getOpenAIApiKey() {
         
         const response = await secretsClient.send(command);
         const secret = JSON.parse(response.SecretString);
-        return secret.api_key;
+        return secret[field];
     } catch (error) {
-        console.error('Error retrieving OpenAI API key:', error);
-        throw new Error('Failed to retrieve OpenAI API key');
+        console.error('Error retrieving LLM API key:', error);
+        throw new Error('Failed to retrieve LLM API key');
+    }
+}
+
+/**
+ * Load the API key the configured provider needs into the environment.
+ * The mock and OpenAI-compatible providers need no secret, so they also run without AWS access.
+ */
+async function loadProviderApiKey() {
+    const provider = normalizeProviderName(process.env.LLM_PROVIDER);
+
+    const secretFields = {
+        openai: ['OPENAI_API_KEY', 'api_key'],
+        anthropic: ['ANTHROPIC_API_KEY', 'anthropic_api_key']
+    };
+    if (!secretFields[provider]) return;
+
+    const [envName, field] = secretFields[provider];
+    if (!process.env[envName]) {
+        const apiKey = await getApiKeyFromSecret(field);
+        if (apiKey) process.env[envName] = apiKey;
     }
 }
 
@@ -49,11 +91,11 @@ async function getAgent() {
     if (!globalAgent) {
         globalAgent = new OPAPolicyAgent();
         
-        // Set OpenAI API key for MCP servers that need it
+        // Set the provider API key for the agent and MCP servers that need it
         try {
-            process.env.OPENAI_API_KEY = await getOpenAIApiKey();
+            await loadProviderApiKey();
         } catch (error) {
-            console.error('Failed to get OpenAI API key:', error);
+            console.error('Failed to get LLM API key:', error);
             // Continue without MCP servers for now
         }
         
@@ -67,6 +109,120 @@ async function getAgent() {
     return globalAgent;
 }
 
+/**
+ * Session store selected by SESSION_STORE, shared by all requests in this container
+ */
+function getSessionStore() {
+    if (!sessionStore) {
+        sessionStore = createSessionStore();
+    }
+    return sessionStore;
+}
+
+/**
+ * Load the session named by `context.session_id`, or start one (with a new ID if none was given)
+ */
+async function openSession(context) {
+    const id = context.session_id !== undefined && context.session_id !== null
+        ? String(context.session_id)
+        : undefined;
+    const existing = id ? await getSessionStore().get(id) : null;
+    return existing || createSession(id, context.user_id || null);
+}
+
+/**
+ * Persist a session after a turn; the turn's result is still returned if this fails.
+ * When another request wrote the session meanwhile, this turn is merged into the stored one and
+ * written again, so neither request's history is lost.
+ */
+async function saveSession(session) {
+    const store = getSessionStore();
+    try {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await store.put(session);
+                return;
+            } catch (error) {
+                if (!(error instanceof SessionConflictError) || attempt >= MAX_SESSION_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+                mergeSession(session, await store.get(session.session_id));
+            }
+        }
+    } catch (error) {
+        console.error(`Failed to save session ${session.session_id}:`, error);
+    }
+}
+
+function invalidSessionResponse(context) {
+    if (context.session_id === undefined || context.session_id === null || isValidSessionId(String(context.session_id))) {
+        return null;
+    }
+    return {
+        statusCode: 400,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({
+            error: 'session_id may only contain letters, digits, "-" and "_" (at most 128 characters)',
+            code: 'INVALID_SESSION_ID'
+        })
+    };
+}
+
+/**
+ * 400 response when `context.input_schema` or `context.openapi` cannot be used, else null
+ */
+function invalidInputSpecResponse(context) {
+    try {
+        resolveInputSpec(context);
+        return null;
+    } catch (error) {
+        if (!(error instanceof InputSpecError)) throw error;
+        return {
+            statusCode: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: error.message,
+                code: error.code.toUpperCase()
+            })
+        };
+    }
+}
+
+/**
+ * 400 response when `context.target` names no preset, else null
+ */
+function invalidTargetResponse(context) {
+    if (context.target === undefined || context.target === null || context.target === '' || PRESETS[context.target]) {
+        return null;
+    }
+    return {
+        statusCode: 400,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({
+            error: `Unknown target: ${context.target}`,
+            code: 'UNKNOWN_TARGET',
+            details: { targets: Object.keys(PRESETS) }
+        })
+    };
+}
+
+/**
+ * The error a request's own `llm` settings caused (e.g. a provider the deployment does not allow),
+ * directly or as a tool error's cause, else null
+ */
+function requestProviderError(error) {
+    return [error, error.cause].find(candidate => candidate instanceof LLMProviderError && candidate.statusCode) || null;
+}
+
 /**
  * Handle CORS preflight requests
  */
@@ -90,6 +246,8 @@ async function handleHealth() {
     try {
         const agent = await getAgent();
         const agentStatus = agent.getStatus();
+        // Servers that never started or crashed past their restart limit leave tools missing
+        const failedServers = agentStatus.mcp_servers.filter(server => server.status === 'failed');
         
         return {
             statusCode: 200,
@@ -98,10 +256,11 @@ async function handleHealth() {
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
-                status: 'healthy',
+                status: failedServers.length ? 'degraded' : 'healthy',
                 timestamp: new Date().toISOString(),
                 version: '2.0.0-agent',
                 agent_status: agentStatus.initialized ? 'initialized' : 'initializing',
+                llm_provider: agentStatus.llm_provider,
                 mcp_servers: agentStatus.mcp_servers,
                 available_tools: agentStatus.available_tools,
                 capabilities: agentStatus.capabilities
@@ -149,6 +308,21 @@ async function handleGeneratePolicy(event) {
             };
         }
 
+        const invalidSession = invalidSessionResponse(context);
+        if (invalidSession) {
+            return invalidSession;
+        }
+
+        const invalidInputSpec = invalidInputSpecResponse(context);
+        if (invalidInputSpec) {
+            return invalidInputSpec;
+        }
+
+        const invalidTarget = invalidTargetResponse(context);
+        if (invalidTarget) {
+            return invalidTarget;
+        }
+
         const agent = await getAgent();
         
         if (isStreamingRequest) {
@@ -156,7 +330,9 @@ async function handleGeneratePolicy(event) {
             return await handleStreamingGeneration(agent, instructions, context);
         } else {
             // Handle regular request with simplified agent
-            const result = await agent.generatePolicy(instructions, context);
+            const session = await openSession(context);
+            const result = await new PolicyGenerationWorkflow(agent, session).execute(instructions, { ...context, session });
+            await saveSession(session);
 
             return {
                 statusCode: 200,
@@ -164,126 +340,107 @@ async function handleGeneratePolicy(event) {
                     'Content-Type': 'application/json',
                     'Access-Control-Allow-Origin': '*'
                 },
-                body: JSON.stringify(result)
+                body: JSON.stringify({ ...result, session_id: session.session_id })
             };
         }
         
     } catch (error) {
         console.error('Error in handleGeneratePolicy:', error);
+
+        // Tool errors carry the agent's error as their cause
+        const inputSpecError = [error, error.cause].find(candidate => candidate instanceof InputSpecError);
+        const outputError = [error, error.cause].find(candidate => candidate instanceof StructuredOutputError);
+        const providerError = requestProviderError(error);
         return {
-            statusCode: 500,
+            // A bad input schema, or one the policy cannot be kept within, is a client error
+            statusCode: providerError ? providerError.statusCode : inputSpecError ? 400 : 500,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 error: error.message || 'Internal server error',
-                code: 'GENERATION_ERROR'
+                code: providerError || inputSpecError
+                    ? (providerError || inputSpecError).code.toUpperCase()
+                    : 'GENERATION_ERROR',
+                ...(outputError ? { validation_errors: outputError.errors } : {}),
+                ...(inputSpecError ? { validation_errors: inputSpecError.errors } : {})
             })
         };
     }
 }
 
 /**
- * Handle streaming policy generation with agent
+ * Handle streaming policy generation with agent.
+ * API Gateway buffers the body, so the delta events arrive together; use the streaming
+ * handler or server.js to deliver them as they are produced.
  */
 async function handleStreamingGeneration(agent, instructions, context) {
     try {
-        // Generate policy using simplified agent
-        const result = await agent.generatePolicy(instructions, context);
-
-        // Ensure the result is properly parsed (the agent should have done this, but double-check)
-        const cleanPolicy = ensureCleanContent(result.policy || '');
-        const cleanExplanation = ensureCleanContent(result.explanation || '');
-
-        // Create streaming events from the result
         const events = [];
-        
-        // Add initial empty state
-        events.push({
-            type: 'start',
-            data: {
-                policy: '',
-                test_inputs: [],
-                explanation: '',
-                timestamp: new Date().toISOString()
-            }
-        });
-
-        // Simulate character-by-character streaming for compatibility
-        // Use the cleaned content to avoid escaped characters
-        if (cleanPolicy) {
-            for (let i = 0; i < cleanPolicy.length; i++) {
-                events.push({
-                    type: 'policy_char',
-                    data: {
-                        char: cleanPolicy[i],
-                        index: i,
-                        section: 'policy'
-                    }
-                });
-            }
-        }
-
-        if (cleanExplanation) {
-            for (let i = 0; i < cleanExplanation.length; i++) {
-                events.push({
-                    type: 'explanation_char',
-                    data: {
-                        char: cleanExplanation[i],
-                        index: i,
-                        section: 'explanation'
-                    }
-                });
-            }
-        }
-
-        // Add completion event with cleaned result
-        const cleanResult = {
-            ...result,
-            policy: cleanPolicy,
-            explanation: cleanExplanation
-        };
-        events.push({
-            type: 'complete',
-            data: cleanResult
-        });
-
-        // Format as Server-Sent Events
-        const sseData = events.map(event => 
-            `data: ${JSON.stringify(event)}\n\n`
-        ).join('');
+        await streamPolicyEvents(agent, 'generation', { instructions, context }, event => events.push(event));
 
         return {
             statusCode: 200,
-            headers: {
-                'Content-Type': 'text/event-stream',
-                'Cache-Control': 'no-cache',
-                'Connection': 'keep-alive',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type, Accept',
-                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-            },
-            body: sseData
+            headers: SSE_HEADERS,
+            body: events.map(toSSE).join('')
         };
 
     } catch (error) {
         console.error('Error in streaming generation:', error);
+        const providerError = requestProviderError(error);
         return {
-            statusCode: 500,
+            statusCode: providerError ? providerError.statusCode : 500,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 error: 'Streaming generation failed',
-                code: 'STREAMING_ERROR',
+                code: providerError ? providerError.code.toUpperCase() : 'STREAMING_ERROR',
                 details: error.message
             })
         };
     }
 }
 
+/**
+ * Run generation or refinement, passing each event to `write` as soon as it is produced:
+ * `start`, then policy/explanation deltas and test inputs from the model, `iteration` for each
+ * correction round, and `complete` with the final result.
+ */
+async function streamPolicyEvents(agent, operation, { instructions, context }, write) {
+    const refinement = operation === 'refinement';
+
+    write({
+        type: 'start',
+        data: {
+            policy: '',
+            test_inputs: [],
+            explanation: '',
+            ...(refinement ? { refinement: true } : {}),
+            timestamp: new Date().toISOString()
+        }
+    });
+
+    const session = await openSession(context);
+    const result = refinement
+        ? await agent.refinePolicy(instructions, context.existing_policy || '', { ...context, session }, write)
+        : await new PolicyGenerationWorkflow(agent, session).execute(instructions, { ...context, session }, { onEvent: write });
+    await saveSession(session);
+
+    write({
+        type: 'complete',
+        data: {
+            ...result,
+            session_id: session.session_id,
+            // The agent formats the policy; unescaping would also rewrite \n and \t in its strings
+            policy: result.policy || '',
+            explanation: ensureCleanContent(result.explanation || '')
+        }
+    });
+}
+
 /**
  * Handle policy refinement requests with agent
  */
@@ -322,6 +479,21 @@ async function handleRefinePolicy(event) {
             };
         }
 
+        const invalidSession = invalidSessionResponse(context);
+        if (invalidSession) {
+            return invalidSession;
+        }
+
+        const invalidInputSpec = invalidInputSpecResponse(context);
+        if (invalidInputSpec) {
+            return invalidInputSpec;
+        }
+
+        const invalidTarget = invalidTargetResponse(context);
+        if (invalidTarget) {
+            return invalidTarget;
+        }
+
         const agent = await getAgent();
         
         // Add existing policy to context for refinement
@@ -335,7 +507,9 @@ async function handleRefinePolicy(event) {
             return await handleStreamingRefinement(agent, instructions, refinementContext);
         } else {
             // Handle regular refinement request with simplified agent
-            const result = await agent.refinePolicy(instructions, existing_policy, context);
+            const session = await openSession(context);
+            const result = await agent.refinePolicy(instructions, existing_policy, { ...context, session });
+            await saveSession(session);
 
             return {
                 statusCode: 200,
@@ -343,123 +517,99 @@ async function handleRefinePolicy(event) {
                     'Content-Type': 'application/json',
                     'Access-Control-Allow-Origin': '*'
                 },
-                body: JSON.stringify(result)
+                body: JSON.stringify({ ...result, session_id: session.session_id })
             };
         }
 
     } catch (error) {
         console.error('Error refining policy:', error);
+        const providerError = requestProviderError(error);
         
         return {
-            statusCode: 500,
+            statusCode: providerError ? providerError.statusCode : error instanceof InputSpecError ? 400 : 500,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 error: 'Failed to refine OPA policy',
-                code: 'REFINEMENT_ERROR',
-                details: error.message
+                code: providerError
+                    ? providerError.code.toUpperCase()
+                    : error instanceof InputSpecError ? error.code.toUpperCase() : 'REFINEMENT_ERROR',
+                details: error.message,
+                ...(error instanceof StructuredOutputError || error instanceof InputSpecError ? { validation_errors: error.errors } : {})
             })
         };
     }
 }
 
 /**
- * Handle streaming policy refinement with agent
+ * Handle session lookups: the session's current policy and conversation history
  */
-async function handleStreamingRefinement(agent, instructions, context) {
-    try {
-        // Refine policy using simplified agent
-        const result = await agent.refinePolicy(instructions, context.existing_policy || '', context);
-
-        // Ensure the result is properly parsed (the agent should have done this, but double-check)
-        const cleanPolicy = ensureCleanContent(result.policy || '');
-        const cleanExplanation = ensureCleanContent(result.explanation || '');
-
-        // Create streaming events from the result
-        const events = [];
-        
-        // Add initial empty state
-        events.push({
-            type: 'start',
-            data: {
-                policy: '',
-                test_inputs: [],
-                explanation: '',
-                refinement: true,
-                timestamp: new Date().toISOString()
-            }
-        });
-
-        // Simulate character-by-character streaming for compatibility
-        // Use the cleaned content to avoid escaped characters
-        if (cleanPolicy) {
-            for (let i = 0; i < cleanPolicy.length; i++) {
-                events.push({
-                    type: 'policy_char',
-                    data: {
-                        char: cleanPolicy[i],
-                        index: i,
-                        section: 'policy'
-                    }
-                });
-            }
-        }
+async function handleGetSession(sessionId) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    };
 
-        if (cleanExplanation) {
-            for (let i = 0; i < cleanExplanation.length; i++) {
-                events.push({
-                    type: 'explanation_char',
-                    data: {
-                        char: cleanExplanation[i],
-                        index: i,
-                        section: 'explanation'
-                    }
-                });
-            }
+    try {
+        const session = isValidSessionId(sessionId) ? await getSessionStore().get(sessionId) : null;
+        if (!session) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({
+                    error: 'Session not found',
+                    code: 'SESSION_NOT_FOUND'
+                })
+            };
         }
 
-        // Add completion event with cleaned result
-        const cleanResult = {
-            ...result,
-            policy: cleanPolicy,
-            explanation: cleanExplanation
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(session)
         };
-        events.push({
-            type: 'complete',
-            data: cleanResult
-        });
+    } catch (error) {
+        console.error('Error loading session:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Failed to load session',
+                code: 'SESSION_ERROR',
+                details: error.message
+            })
+        };
+    }
+}
 
-        // Format as Server-Sent Events
-        const sseData = events.map(event => 
-            `data: ${JSON.stringify(event)}\n\n`
-        ).join('');
+/**
+ * Handle streaming policy refinement with agent (buffered, see handleStreamingGeneration)
+ */
+async function handleStreamingRefinement(agent, instructions, context) {
+    try {
+        const events = [];
+        await streamPolicyEvents(agent, 'refinement', { instructions, context }, event => events.push(event));
 
         return {
             statusCode: 200,
-            headers: {
-                'Content-Type': 'text/event-stream',
-                'Cache-Control': 'no-cache',
-                'Connection': 'keep-alive',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type, Accept',
-                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-            },
-            body: sseData
+            headers: SSE_HEADERS,
+            body: events.map(toSSE).join('')
         };
 
     } catch (error) {
         console.error('Error in streaming refinement:', error);
+        const providerError = requestProviderError(error);
         return {
-            statusCode: 500,
+            statusCode: providerError ? providerError.statusCode : 500,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 error: 'Streaming refinement failed',
-                code: 'STREAMING_REFINEMENT_ERROR',
+                code: providerError ? providerError.code.toUpperCase() : 'STREAMING_REFINEMENT_ERROR',
                 details: error.message
             })
         };
@@ -488,8 +638,30 @@ async function handleValidatePolicy(event) {
             };
         }
 
+        const invalidInputSpec = invalidInputSpecResponse(context);
+        if (invalidInputSpec) {
+            return invalidInputSpec;
+        }
+
+        const invalidTarget = invalidTargetResponse(context);
+        if (invalidTarget) {
+            return invalidTarget;
+        }
+
+        // The workflow lints against a JSON Schema, so OpenAPI documents and YAML text are converted
+        // first; without either, a target preset's canonical input is used
+        const inputSpec = resolveInputSpec(context);
+        const inputSchema = inputSpec ? inputSpec.schema : PRESETS[context.target]?.input_schema;
+
         const agent = await getAgent();
-        const result = await agent.validatePolicy(policy, context);
+        // The model review is an optional step that the workflow skips when it fails, so a provider
+        // the request may not use is rejected here instead
+        agent.providerFor(context);
+        const result = await new PolicyValidationWorkflow(agent).execute('', {
+            ...context,
+            policy,
+            ...(inputSchema ? { input_schema: inputSchema } : {})
+        });
 
         return {
             statusCode: 200,
@@ -502,15 +674,16 @@ async function handleValidatePolicy(event) {
 
     } catch (error) {
         console.error('Error validating policy:', error);
+        const providerError = requestProviderError(error);
         return {
-            statusCode: 500,
+            statusCode: providerError ? providerError.statusCode : 500,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 error: 'Policy validation failed',
-                code: 'VALIDATION_ERROR',
+                code: providerError ? providerError.code.toUpperCase() : 'VALIDATION_ERROR',
                 details: error.message
             })
         };
@@ -537,7 +710,7 @@ async function handleExplainPolicy(event) {
         }
 
         const agent = await getAgent();
-        const result = await agent.explainPolicy(policy, context);
+        const result = await new PolicyExplanationWorkflow(agent).execute('', { ...context, policy });
 
         return {
             statusCode: 200,
@@ -550,15 +723,16 @@ async function handleExplainPolicy(event) {
 
     } catch (error) {
         console.error('Error explaining policy:', error);
+        const providerError = requestProviderError(error);
         return {
-            statusCode: 500,
+            statusCode: providerError ? providerError.statusCode : 500,
             headers: {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             },
             body: JSON.stringify({
                 error: 'Policy explanation failed',
-                code: 'EXPLANATION_ERROR',
+                code: providerError ? providerError.code.toUpperCase() : 'EXPLANATION_ERROR',
                 details: error.message
             })
         };
@@ -566,14 +740,488 @@ async function handleExplainPolicy(event) {
 }
 
 /**
- * Main Lambda handler with agent support
+ * Handle decision explanations: evaluate the policy for one input, trace it rule by rule and
+ * have the model explain the outcome in sentences citing policy lines.
+ * The policy comes from the body or, without one, from the session's current policy.
  */
-exports.handler = async (event) => {
-    console.log('Event:', JSON.stringify(event, null, 2));
+async function handleExplainDecision(event) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { policy, input, data, entrypoint, context = {} } = body;
+
+        if (input === undefined) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'input is required for decision explanation',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+        if (data !== undefined && (!data || typeof data !== 'object' || Array.isArray(data))) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'data must be a JSON object',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+
+        const invalidSession = invalidSessionResponse(context);
+        if (invalidSession) {
+            return invalidSession;
+        }
+
+        const session = !policy && context.session_id ? await openSession(context) : null;
+        const policyToExplain = policy || session?.current_policy;
+        if (!policyToExplain || typeof policyToExplain !== 'string') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Policy is required for decision explanation (or a session with a current policy)',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+
+        const agent = await getAgent();
+        const result = await new DecisionExplanationWorkflow(agent, session).execute('', {
+            ...context,
+            policy: policyToExplain,
+            input,
+            data,
+            entrypoint
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(result)
+        };
+
+    } catch (error) {
+        console.error('Error explaining decision:', error);
+
+        // Tool errors carry the trace's or the model's error as their cause
+        const evalError = [error, error.cause].find(candidate => candidate instanceof RegoEvalError);
+        if (evalError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: `Policy cannot be evaluated: ${evalError.message}`,
+                    code: 'INVALID_POLICY',
+                    details: { code: evalError.code, line: evalError.line ?? null, column: evalError.column ?? null }
+                })
+            };
+        }
+
+        const outputError = [error, error.cause].find(candidate => candidate instanceof StructuredOutputError);
+        const providerError = requestProviderError(error);
+        return {
+            statusCode: providerError ? providerError.statusCode : 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Decision explanation failed',
+                code: providerError ? providerError.code.toUpperCase() : 'DECISION_EXPLANATION_ERROR',
+                details: error.message,
+                ...(outputError ? { validation_errors: outputError.errors } : {})
+            })
+        };
+    }
+}
+
+/**
+ * Handle deployment planning: validated artifacts for a target, an integration guide and monitoring setup.
+ * The policy comes from the body or, without one, from the session's current policy.
+ */
+async function handleDeploymentPlan(event) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { policy, target, options = {}, context = {} } = body;
+
+        if (target !== undefined && !TARGETS[target]) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: `Unknown deployment target: ${target}`,
+                    code: 'UNKNOWN_TARGET',
+                    details: { targets: Object.keys(TARGETS) }
+                })
+            };
+        }
+
+        const invalidSession = invalidSessionResponse(context);
+        if (invalidSession) {
+            return invalidSession;
+        }
+
+        const session = !policy && context.session_id ? await openSession(context) : null;
+        const policyToDeploy = policy || session?.current_policy;
+        if (!policyToDeploy || typeof policyToDeploy !== 'string') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Policy is required for deployment planning (or a session with a current policy)',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+
+        // A policy generated for a target preset deploys to that platform unless the body says otherwise
+        const agent = await getAgent();
+        const result = await new PolicyDeploymentWorkflow(agent, session).execute(context.instructions || '', {
+            ...context,
+            policy: policyToDeploy,
+            target: target ?? PRESETS[context.target]?.deployment_target ?? undefined,
+            deployment_options: options
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify(result)
+        };
+
+    } catch (error) {
+        console.error('Error planning deployment:', error);
 
+        // Tool errors carry the deployment helper's error as their cause
+        const deploymentError = [error, error.cause].find(candidate => candidate instanceof DeploymentError);
+        const clientError = deploymentError && deploymentError.code !== 'invalid_artifact';
+        return {
+            statusCode: clientError ? 400 : 500,
+            headers,
+            body: JSON.stringify({
+                error: clientError ? deploymentError.message : 'Deployment planning failed',
+                code: deploymentError ? deploymentError.code.toUpperCase() : 'DEPLOYMENT_ERROR',
+                details: error.message,
+                ...(deploymentError?.errors.length ? { validation_errors: deploymentError.errors } : {})
+            })
+        };
+    }
+}
+
+/**
+ * The deployment's bundle signing key: BUNDLE_SIGNING_KEY or the file named by BUNDLE_SIGNING_KEY_FILE
+ */
+function bundleSigningKey() {
+    if (process.env.BUNDLE_SIGNING_KEY) {
+        return process.env.BUNDLE_SIGNING_KEY;
+    }
+    if (process.env.BUNDLE_SIGNING_KEY_FILE) {
+        return fs.readFileSync(process.env.BUNDLE_SIGNING_KEY_FILE, 'utf8');
+    }
+    return null;
+}
+
+/**
+ * Handle bundle export: a gzipped OPA bundle (policy, generated tests, data.json, .manifest and,
+ * when `signing` is given, .signatures.json). The policy comes from the body or the session's current policy.
+ * Private keys are never accepted: the bundle is signed with the deployment's key, or by the client
+ * (`signing.prepare` returns the signing input, `signing.signature` brings back the signed token).
+ */
+async function handleExportBundle(event) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { policy, data = {}, test_inputs = [], revision, signing, context = {} } = body;
+
+        const invalidSession = invalidSessionResponse(context);
+        if (invalidSession) {
+            return invalidSession;
+        }
+
+        const session = !policy && context.session_id ? await openSession(context) : null;
+        const policyToExport = policy || session?.current_policy;
+        if (!policyToExport || typeof policyToExport !== 'string') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Policy is required for bundle export (or a session with a current policy)',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+
+        if (signing?.key) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Private keys are not accepted; sign the bundle in the client (signing.prepare, then signing.signature) or configure BUNDLE_SIGNING_KEY',
+                    code: 'SIGNING_KEY_NOT_ACCEPTED'
+                })
+            };
+        }
+
+        const signingKey = signing && !signing.prepare && !signing.signature ? bundleSigningKey() : null;
+        if (signing && !signing.prepare && !signing.signature && !signingKey) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'signing.signature is required when BUNDLE_SIGNING_KEY is not configured',
+                    code: 'INVALID_SIGNING_KEY'
+                })
+            };
+        }
+
+        const options = {
+            policy: policyToExport,
+            data,
+            testInputs: Array.isArray(test_inputs) ? test_inputs : [],
+            revision,
+            signing: signing && {
+                key: signingKey,
+                signature: signing.signature,
+                algorithm: signing.algorithm,
+                keyId: signing.key_id,
+                scope: signing.scope
+            }
+        };
+
+        if (signing?.prepare) {
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify(bundleSigningInput(options))
+            };
+        }
+
+        const bundle = createBundle(options);
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/gzip',
+                'Content-Disposition': 'attachment; filename="bundle.tar.gz"',
+                'X-Bundle-Revision': bundle.manifest.revision,
+                'X-Bundle-Signed': String(bundle.signed),
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Expose-Headers': 'Content-Disposition, X-Bundle-Revision, X-Bundle-Signed'
+            },
+            body: bundle.archive.toString('base64'),
+            isBase64Encoded: true
+        };
+
+    } catch (error) {
+        console.error('Error exporting bundle:', error);
+
+        const bundleError = error instanceof BundleError ? error : null;
+        return {
+            statusCode: bundleError ? 400 : 500,
+            headers,
+            body: JSON.stringify({
+                error: bundleError ? bundleError.message : 'Bundle export failed',
+                code: bundleError ? bundleError.code.toUpperCase() : 'BUNDLE_EXPORT_ERROR',
+                details: error.message,
+                ...(bundleError?.errors.length ? { validation_errors: bundleError.errors } : {})
+            })
+        };
+    }
+}
+
+/**
+ * Handle migration to Rego v1: the policy (from the body or the session's current policy) rewritten
+ * in v1 syntax, the changes made, and a comparison of both versions' decisions on `test_inputs`.
+ */
+async function handleMigratePolicy(event) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { policy, data, test_inputs = [], context = {} } = body;
+
+        if (data !== undefined && (!data || typeof data !== 'object' || Array.isArray(data))) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'data must be a JSON object',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+
+        const invalidSession = invalidSessionResponse(context);
+        if (invalidSession) {
+            return invalidSession;
+        }
+
+        const session = !policy && context.session_id ? await openSession(context) : null;
+        const policyToMigrate = policy || session?.current_policy;
+        if (!policyToMigrate || typeof policyToMigrate !== 'string') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Policy is required for migration (or a session with a current policy)',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+
+        const migration = migrateToV1(policyToMigrate);
+        const validationErrors = migration.errors.map(error => `line ${error.line}: ${error.message}`);
+        if (!migration.policy) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Policy does not parse',
+                    code: 'INVALID_POLICY',
+                    validation_errors: validationErrors
+                })
+            };
+        }
+        if (!migration.valid) {
+            // Constructs the rewrite does not cover are left for the caller to fix in the partial result
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Migrated policy is not valid Rego v1',
+                    code: 'MIGRATION_FAILED',
+                    validation_errors: validationErrors,
+                    policy: migration.policy,
+                    changes: migration.changes
+                })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                policy: migration.policy,
+                rego_version: 'v1',
+                changes: migration.changes,
+                behavior_check: await compareBehavior(policyToMigrate, migration.policy, test_inputs, {
+                    data,
+                    after: 'v1'
+                })
+            })
+        };
+
+    } catch (error) {
+        console.error('Error migrating policy:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Policy migration failed',
+                code: 'MIGRATION_ERROR',
+                details: error.message
+            })
+        };
+    }
+}
+
+/**
+ * Handle formatting: the policy laid out as `opa fmt` would, parsed in `context.rego_version`
+ * when given
+ */
+async function handleFormatPolicy(event) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    try {
+        const body = JSON.parse(event.body || '{}');
+        const { policy, context = {} } = body;
+
+        if (!policy || typeof policy !== 'string') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Policy is required for formatting',
+                    code: 'INVALID_INPUT'
+                })
+            };
+        }
+
+        const result = formatPolicy(policy, { regoVersion: context.rego_version });
+        if (!result.valid) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Policy does not parse',
+                    code: 'INVALID_POLICY',
+                    validation_errors: result.errors.map(error => `line ${error.line}: ${error.message}`)
+                })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ policy: result.policy, changed: result.changed })
+        };
+
+    } catch (error) {
+        console.error('Error formatting policy:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Policy formatting failed',
+                code: 'FORMAT_ERROR',
+                details: error.message
+            })
+        };
+    }
+}
+
+/**
+ * `METHOD /path` for an API Gateway event (REST or HTTP API) or a Function URL event, whose
+ * route key is always `$default`
+ */
+function routeKeyOf(event) {
     const { httpMethod, path, requestContext } = event;
+    if (requestContext?.routeKey && requestContext.routeKey !== '$default') {
+        return requestContext.routeKey;
+    }
     const method = httpMethod || requestContext?.http?.method;
-    const routeKey = requestContext?.routeKey || `${method} ${path}`;
+    return `${method} ${path || requestContext?.http?.path || event.rawPath}`;
+}
+
+/**
+ * Main Lambda handler with agent support
+ */
+exports.handler = async (event) => {
+    const method = event.httpMethod || event.requestContext?.http?.method;
+    const routeKey = routeKeyOf(event);
+
+    // Bundle exports may carry signing material, which does not belong in the logs
+    console.log('Event:', JSON.stringify(routeKey === 'POST /export-bundle' ? { ...event, body: '[omitted]' } : event, null, 2));
 
     try {
         // Handle CORS preflight
@@ -581,6 +1229,13 @@ exports.handler = async (event) => {
             return handleCORS();
         }
 
+        // Session lookups: HTTP API matches the route template, other callers send the raw path
+        const sessionPath = routeKey.match(/^GET \/sessions\/([^/]+)$/);
+        if (sessionPath) {
+            const sessionId = event.pathParameters?.id || decodeURIComponent(sessionPath[1]);
+            return await handleGetSession(sessionId);
+        }
+
         // Route requests
         switch (routeKey) {
             case 'GET /health':
@@ -598,6 +1253,21 @@ exports.handler = async (event) => {
             case 'POST /explain-policy':
                 return await handleExplainPolicy(event);
             
+            case 'POST /explain-decision':
+                return await handleExplainDecision(event);
+            
+            case 'POST /deployment-plan':
+                return await handleDeploymentPlan(event);
+            
+            case 'POST /export-bundle':
+                return await handleExportBundle(event);
+            
+            case 'POST /migrate-policy':
+                return await handleMigratePolicy(event);
+            
+            case 'POST /format-policy':
+                return await handleFormatPolicy(event);
+            
             default:
                 return {
                     statusCode: 404,
@@ -610,10 +1280,16 @@ exports.handler = async (event) => {
                         code: 'NOT_FOUND',
                         available_routes: [
                             'GET /health',
+                            'GET /sessions/{id}',
                             'POST /generate-policy',
                             'POST /refine-policy',
                             'POST /validate-policy',
-                            'POST /explain-policy'
+                            'POST /explain-policy',
+                            'POST /explain-decision',
+                            'POST /deployment-plan',
+                            'POST /export-bundle',
+                            'POST /migrate-policy',
+                            'POST /format-policy'
                         ]
                     })
                 };
@@ -635,6 +1311,105 @@ exports.handler = async (event) => {
     }
 };
 
+const STREAMING_ROUTES = {
+    'POST /generate-policy': 'generation',
+    'POST /refine-policy': 'refinement'
+};
+
+/**
+ * The streaming operation for a request, or null when it should get a regular response.
+ * Only well-formed generation/refinement requests asking for text/event-stream are streamed;
+ * everything else (including validation errors) goes through `handler`.
+ */
+function streamingRequestOf(event) {
+    const operation = STREAMING_ROUTES[routeKeyOf(event)];
+    const acceptHeader = event.headers?.accept || event.headers?.Accept || '';
+
+    if (!operation || !acceptHeader.includes('text/event-stream')) {
+        return null;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(event.body || '{}');
+    } catch (error) {
+        return null;
+    }
+
+    const { instructions, existing_policy, context = {} } = body;
+    if (!instructions || typeof instructions !== 'string' || invalidSessionResponse(context) || invalidInputSpecResponse(context)
+        || invalidTargetResponse(context)) {
+        return null;
+    }
+    if (operation === 'refinement') {
+        if (!existing_policy || typeof existing_policy !== 'string') {
+            return null;
+        }
+        return { operation, instructions, context: { ...context, existing_policy } };
+    }
+    return { operation, instructions, context };
+}
+
+/**
+ * Serve a request over a writable transport, flushing each SSE event as it is produced.
+ * `sink` is `{start(statusCode, headers), write(text), end()}`; requests that are not streamed
+ * are answered in one piece from `handler`, with base64-encoded bodies written as bytes. Errors
+ * after the stream has started are sent as an `error` event, since the status line is already out.
+ */
+async function streamPolicyResponse(event, sink) {
+    const request = streamingRequestOf(event);
+
+    if (!request) {
+        const response = await exports.handler(event);
+        sink.start(response.statusCode, response.headers || {});
+        sink.write(response.isBase64Encoded ? Buffer.from(response.body, 'base64') : response.body || '');
+        sink.end();
+        return;
+    }
+
+    sink.start(200, SSE_HEADERS);
+    try {
+        const agent = await getAgent();
+        await streamPolicyEvents(agent, request.operation, request, streamEvent => sink.write(toSSE(streamEvent)));
+    } catch (error) {
+        console.error(`Error in streaming ${request.operation}:`, error);
+        const inputSpecError = [error, error.cause].find(candidate => candidate instanceof InputSpecError);
+        const outputError = [error, error.cause].find(candidate => candidate instanceof StructuredOutputError);
+        const providerError = requestProviderError(error);
+        sink.write(toSSE({
+            type: 'error',
+            data: {
+                message: error.message,
+                code: providerError || inputSpecError
+                    ? (providerError || inputSpecError).code.toUpperCase()
+                    : request.operation === 'refinement' ? 'STREAMING_REFINEMENT_ERROR' : 'STREAMING_ERROR',
+                ...(outputError ? { validation_errors: outputError.errors } : {}),
+                ...(inputSpecError ? { validation_errors: inputSpecError.errors } : {})
+            }
+        }));
+    }
+    sink.end();
+}
+
+exports.streamPolicyResponse = streamPolicyResponse;
+
+/**
+ * Lambda response-streaming entry point (Function URL with InvokeMode RESPONSE_STREAM).
+ * The `awslambda` global only exists inside the Lambda Node.js runtime.
+ */
+if (typeof globalThis.awslambda?.streamifyResponse === 'function') {
+    exports.streamingHandler = awslambda.streamifyResponse(async (event, responseStream) => {
+        let stream = responseStream;
+        await streamPolicyResponse(event, {
+            start: (statusCode, headers) => {
+                stream = awslambda.HttpResponseStream.from(responseStream, { statusCode, headers });
+            },
+            write: text => stream.write(text),
+            end: () => stream.end()
+        });
+    });
+}
+
 // Cleanup on Lambda shutdown
 process.on('SIGTERM', async () => {
     if (globalAgent) {
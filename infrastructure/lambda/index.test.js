@@ -0,0 +1,213 @@
+/**
+ * Handler tests, run offline against the mock provider
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_ALLOWED_PROVIDERS = 'mock';
+process.env.SESSION_STORE = 'memory';
+delete process.env.MCP_ENABLED;
+
+const { handler } = require('./index');
+
+const POLICY = `package authz
+
+default allow := false
+
+allow if input.user.role == "admin"
+`;
+
+function request(method, path, body, headers = {}) {
+    return handler({ httpMethod: method, path, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+}
+
+async function json(method, path, body) {
+    const response = await request(method, path, body);
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+// Server-sent events in a buffered response body, in order
+function events(body) {
+    return body.split('\n\n')
+        .filter(chunk => chunk.startsWith('data: '))
+        .map(chunk => JSON.parse(chunk.slice('data: '.length)));
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('GET /health', () => {
+    test('reports the mock provider', async () => {
+        const { statusCode, body } = await json('GET', '/health');
+
+        expect(statusCode).toBe(200);
+        expect(body.llm_provider).toEqual({ name: 'mock', model: 'mock' });
+        expect(body.mcp_servers).toEqual([]);
+    });
+});
+
+describe('POST /generate-policy', () => {
+    test('returns a tested policy and starts a session', async () => {
+        const { statusCode, body } = await json('POST', '/generate-policy', { instructions: 'Only admins may access' });
+
+        expect(statusCode).toBe(200);
+        expect(body.policy).toMatch(/^package mock\.policy/);
+        expect(body.test_inputs).toHaveLength(2);
+        expect(body.metadata.provider).toBe('mock');
+        expect(body.metadata.test_results.every(result => result.passed)).toBe(true);
+        expect(body.session_id).toEqual(expect.any(String));
+    });
+
+    test('streams events ending in complete when asked for text/event-stream', async () => {
+        const response = await request('POST', '/generate-policy', { instructions: 'Only admins may access' }, {
+            accept: 'text/event-stream'
+        });
+
+        expect(response.headers['Content-Type']).toBe('text/event-stream');
+        const sent = events(response.body);
+        expect(sent[0].type).toBe('start');
+        expect(sent.some(event => event.type === 'policy_delta')).toBe(true);
+        expect(sent[sent.length - 1].type).toBe('complete');
+        expect(sent[sent.length - 1].data.policy).toMatch(/^package mock\.policy/);
+    });
+
+    test('rejects a request without instructions', async () => {
+        const { statusCode, body } = await json('POST', '/generate-policy', {});
+
+        expect(statusCode).toBe(400);
+        expect(body.code).toBe('INVALID_INPUT');
+    });
+
+    test('rejects a malformed session id', async () => {
+        const { statusCode, body } = await json('POST', '/generate-policy', {
+            instructions: 'Only admins may access',
+            context: { session_id: '../other' }
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.code).toBe('INVALID_SESSION_ID');
+    });
+
+    test('answers a provider outside LLM_ALLOWED_PROVIDERS with 400', async () => {
+        const { statusCode, body } = await json('POST', '/generate-policy', {
+            instructions: 'Only admins may access',
+            context: { llm: { provider: 'anthropic' } }
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.code).toBe('LLM_PROVIDER_NOT_ALLOWED');
+    });
+});
+
+describe('sessions', () => {
+    test('keep each turn of a generation and its refinement', async () => {
+        const context = { session_id: 'handler-test-session' };
+        const generated = await json('POST', '/generate-policy', { instructions: 'Only admins may access', context });
+        const refined = await json('POST', '/refine-policy', {
+            instructions: 'Also allow auditors',
+            existing_policy: generated.body.policy,
+            context
+        });
+        expect(refined.statusCode).toBe(200);
+        expect(refined.body.session_id).toBe('handler-test-session');
+
+        const { statusCode, body } = await json('GET', '/sessions/handler-test-session');
+
+        expect(statusCode).toBe(200);
+        expect(body.conversation_history.map(turn => [turn.operation, turn.instructions])).toEqual([
+            ['generation', 'Only admins may access'],
+            ['refinement', 'Also allow auditors']
+        ]);
+        expect(body.current_policy).toBe(refined.body.policy);
+    });
+
+    test('keep both turns of concurrent refinements', async () => {
+        const context = { session_id: 'concurrent-session' };
+        const generated = await json('POST', '/generate-policy', { instructions: 'Only admins may access', context });
+        await Promise.all(['Also allow auditors', 'Deny on weekends'].map(instructions =>
+            json('POST', '/refine-policy', { instructions, existing_policy: generated.body.policy, context })));
+
+        const { body } = await json('GET', '/sessions/concurrent-session');
+
+        expect(body.conversation_history.map(turn => turn.instructions).sort()).toEqual([
+            'Also allow auditors',
+            'Deny on weekends',
+            'Only admins may access'
+        ]);
+    });
+
+    test('answer an unknown session with 404', async () => {
+        const { statusCode } = await json('GET', '/sessions/no-such-session');
+
+        expect(statusCode).toBe(404);
+    });
+});
+
+describe('POST /validate-policy', () => {
+    test('reports parse errors with their position', async () => {
+        const { statusCode, body } = await json('POST', '/validate-policy', { policy: 'package authz\n\nallow if {' });
+
+        expect(statusCode).toBe(200);
+        expect(body.validation_results.syntax_valid).toBe(false);
+        expect(body.validation_results.syntax_errors[0]).toMatchObject({ code: 'rego_parse_error', line: 3 });
+    });
+
+    test('accepts a valid policy', async () => {
+        const { body } = await json('POST', '/validate-policy', { policy: POLICY });
+
+        expect(body.validation_results.syntax_valid).toBe(true);
+    });
+
+    test('answers a provider outside LLM_ALLOWED_PROVIDERS with 400', async () => {
+        const { statusCode, body } = await json('POST', '/validate-policy', {
+            policy: POLICY,
+            context: { llm: { provider: 'anthropic' } }
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.code).toBe('LLM_PROVIDER_NOT_ALLOWED');
+    });
+});
+
+describe('POST /explain-decision', () => {
+    test('evaluates the policy for the input', async () => {
+        const { statusCode, body } = await json('POST', '/explain-decision', {
+            policy: POLICY,
+            input: { user: { role: 'guest' } }
+        });
+
+        expect(statusCode).toBe(200);
+        expect(body.decision).toMatchObject({ entrypoint: 'data.authz.allow', result: false, allowed: false });
+        expect(body.trace.find(rule => rule.kind === 'default').outcome).toBe('default_applied');
+    });
+});
+
+describe('POST /format-policy and /migrate-policy', () => {
+    test('format reports an already formatted policy as unchanged', async () => {
+        const { statusCode, body } = await json('POST', '/format-policy', { policy: POLICY });
+
+        expect(statusCode).toBe(200);
+        expect(body).toEqual({ policy: POLICY, changed: false });
+    });
+
+    test('migrate rewrites v0 rules to v1', async () => {
+        const { statusCode, body } = await json('POST', '/migrate-policy', { policy: 'package authz\n\nallow { true }\n' });
+
+        expect(statusCode).toBe(200);
+        expect(body.policy).toContain('allow if { true }');
+        expect(body.rego_version).toBe('v1');
+    });
+});
+
+test('unknown routes answer 404 with the available routes', async () => {
+    const { statusCode, body } = await json('POST', '/no-such-route', {});
+
+    expect(statusCode).toBe(404);
+    expect(body.available_routes).toContain('POST /generate-policy');
+});
@@ -0,0 +1,290 @@
+/**
+ * Input Specifications
+ * Turns a caller-supplied JSON Schema or OpenAPI document into the input schema a generated
+ * policy must follow, and condenses it into prompt text so the model uses the real field names.
+ */
+
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_FIELD_LINES = 80;
+const MAX_OPERATIONS = 40;
+const MAX_ENUM_VALUES = 10;
+const MAX_DEPTH = 8;
+
+class InputSpecError extends Error {
+    /**
+     * @param {string} code - invalid_input_schema, invalid_openapi or input_schema_violation
+     */
+    constructor(message, code, errors = []) {
+        super(message);
+        this.name = 'InputSpecError';
+        this.code = code;
+        this.errors = errors;
+    }
+}
+
+/**
+ * The input specification of a request, from `context.input_schema` and/or `context.openapi`.
+ * Either may be an object or JSON/YAML text. A JSON Schema decides the fields; an OpenAPI
+ * document decides them when no JSON Schema is given and always contributes its operations.
+ * @returns {{source: string, schema: object, operations: object[]}|null} null when neither is given
+ */
+function resolveInputSpec(context = {}) {
+    const hasSchema = context.input_schema !== undefined && context.input_schema !== null && context.input_schema !== '';
+    const hasOpenApi = context.openapi !== undefined && context.openapi !== null && context.openapi !== '';
+    if (!hasSchema && !hasOpenApi) return null;
+
+    const api = hasOpenApi
+        ? openApiToInputSchema(parseDocument(context.openapi, 'invalid_openapi', 'OpenAPI document'))
+        : null;
+
+    let schema = api?.schema;
+    if (hasSchema) {
+        schema = parseDocument(context.input_schema, 'invalid_input_schema', 'Input schema');
+        checkSchema(schema);
+    }
+
+    return {
+        source: hasSchema ? 'input_schema' : 'openapi',
+        schema,
+        operations: api?.operations || []
+    };
+}
+
+function parseDocument(value, code, label) {
+    let document = value;
+    if (typeof value === 'string') {
+        try {
+            document = yaml.load(value);
+        } catch (error) {
+            throw new InputSpecError(`${label} is neither JSON nor YAML: ${error.message}`, code);
+        }
+    }
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new InputSpecError(`${label} must be an object`, code);
+    }
+    return document;
+}
+
+function checkSchema(schema) {
+    // The declared draft only matters to full validators; compile against Ajv's default one
+    const { $schema, ...rest } = schema;
+    try {
+        new Ajv({ strict: false }).compile(rest);
+    } catch (error) {
+        throw new InputSpecError(`Input schema is not a valid JSON Schema: ${error.message}`, 'invalid_input_schema');
+    }
+}
+
+/**
+ * Input schema for authorizing requests to an API: `method`, `path`, `query`, `headers` and `body`
+ * come from the document's operations; `user` is left open for the caller's identity.
+ * Component schemas are kept under `definitions` so `$ref`s still resolve.
+ * @param {object} document - OpenAPI 3.x or Swagger 2.0
+ * @returns {{schema: object, operations: {method: string, path: string, summary: string|null}[]}}
+ */
+function openApiToInputSchema(document) {
+    if (!document.paths || typeof document.paths !== 'object') {
+        throw new InputSpecError('OpenAPI document has no paths', 'invalid_openapi');
+    }
+
+    const definitions = rewriteRefs({ ...(document.definitions || {}), ...(document.components?.schemas || {}) });
+    const resolve = (node) => (node && node.$ref ? lookup(document, node.$ref) || {} : node || {});
+
+    const operations = [];
+    const methods = new Set();
+    const query = {};
+    const headers = {};
+    const bodies = [];
+
+    for (const [path, item] of Object.entries(document.paths)) {
+        const shared = (resolve(item).parameters || []).map(resolve);
+
+        for (const method of HTTP_METHODS) {
+            const operation = item[method];
+            if (!operation) continue;
+
+            methods.add(method.toUpperCase());
+            operations.push({ method: method.toUpperCase(), path, summary: operation.summary || operation.operationId || null });
+
+            for (const parameter of [...shared, ...(operation.parameters || []).map(resolve)]) {
+                const parameterSchema = rewriteRefs(parameter.schema || (parameter.type ? { type: parameter.type } : {}));
+                if (parameter.in === 'query') query[parameter.name] = parameterSchema;
+                if (parameter.in === 'header') headers[String(parameter.name).toLowerCase()] = parameterSchema;
+                if (parameter.in === 'body' && parameter.schema) bodies.push(parameterSchema);
+            }
+
+            const content = resolve(operation.requestBody).content || {};
+            const media = content['application/json'] || Object.values(content)[0];
+            if (media?.schema) bodies.push(rewriteRefs(media.schema));
+        }
+    }
+
+    const unique = [...new Map(bodies.map(body => [JSON.stringify(body), body])).values()];
+    const properties = {
+        method: { type: 'string', enum: [...methods] },
+        path: {
+            type: ['string', 'array'],
+            items: { type: 'string' },
+            description: 'Request path, e.g. "/pets/42", or its segments, e.g. ["pets", "42"]'
+        },
+        query: { type: 'object', properties: query },
+        headers: { type: 'object', properties: headers, additionalProperties: { type: 'string' } }
+    };
+    if (unique.length) {
+        properties.body = unique.length === 1 ? unique[0] : { anyOf: unique };
+    }
+    properties.user = { type: 'object', description: 'The authenticated caller, e.g. the claims of a verified token' };
+
+    return {
+        schema: {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            ...(document.info?.title ? { title: `${document.info.title} request` } : {}),
+            type: 'object',
+            properties,
+            additionalProperties: false,
+            ...(Object.keys(definitions).length ? { definitions } : {})
+        },
+        operations
+    };
+}
+
+function lookup(document, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return null;
+    return ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), document) || null;
+}
+
+/**
+ * Copy a schema with OpenAPI component references pointed at `#/definitions`
+ */
+function rewriteRefs(value) {
+    if (Array.isArray(value)) return value.map(rewriteRefs);
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+        copy[key] = key === '$ref' && typeof child === 'string'
+            ? child.replace(/^#\/components\/schemas\//, '#/definitions/')
+            : rewriteRefs(child);
+    }
+    return copy;
+}
+
+/**
+ * One line per input field, e.g. `input.user.roles[_]: string`, with enums, formats and
+ * descriptions; objects without declared fields are marked as accepting any field.
+ * @returns {string[]}
+ */
+function describeInputSchema(schema, maxLines = MAX_FIELD_LINES) {
+    const lines = [];
+    const seen = new Set();
+    const add = (line) => {
+        if (!seen.has(line)) {
+            seen.add(line);
+            lines.push(line);
+        }
+    };
+
+    const describe = (node, path, refs, depth, required) => {
+        if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+        if (node.$ref) {
+            if (refs.includes(node.$ref)) {
+                add(`${path}: same shape as its parent (${node.$ref.split('/').pop()})`);
+                return;
+            }
+            describe(lookup(schema, node.$ref), path, [...refs, node.$ref], depth + 1, required);
+            return;
+        }
+
+        const branches = [...(node.allOf || []), ...(node.anyOf || []), ...(node.oneOf || [])];
+        for (const branch of branches) {
+            describe(branch, path, refs, depth + 1, required);
+        }
+
+        // Objects and arrays are described through their fields and items
+        const types = [].concat(node.type || []);
+        const properties = node.properties || {};
+        const hasFields = Object.keys(properties).length > 0;
+        const hasItems = Boolean(node.items) && !Array.isArray(node.items);
+        const isLeaf = !hasFields && !hasItems && !(branches.length && !types.length);
+        if (path !== 'input' && (isLeaf || types.length > 1)) {
+            add(`${path}: ${fieldLabel(node, types, required)}`);
+        }
+
+        for (const [key, child] of Object.entries(properties)) {
+            const childPath = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+            describe(child, childPath, refs, depth + 1, (node.required || []).includes(key));
+        }
+        if (node.additionalProperties && typeof node.additionalProperties === 'object' && hasFields) {
+            describe(node.additionalProperties, `${path}[_]`, refs, depth + 1, false);
+        }
+        if (hasItems) {
+            describe(node.items, `${path}[_]`, refs, depth + 1, false);
+        }
+    };
+
+    describe(schema, 'input', [], 0, false);
+
+    if (lines.length > maxLines) {
+        return [...lines.slice(0, maxLines), `... ${lines.length - maxLines} more fields`];
+    }
+    return lines;
+}
+
+function fieldLabel(node, types, required) {
+    let label = types.length ? types.join(' or ') : 'any';
+    if (types.includes('object') && !node.properties) {
+        label += ' (any fields)';
+    }
+    if (Array.isArray(node.enum)) {
+        const values = node.enum.slice(0, MAX_ENUM_VALUES).map(value => JSON.stringify(value));
+        label += `, one of ${values.join(', ')}${node.enum.length > MAX_ENUM_VALUES ? ', ...' : ''}`;
+    }
+    if (node.format) label += `, format ${node.format}`;
+    if (required) label += ', required';
+    if (node.description) {
+        const text = String(node.description).replace(/\s+/g, ' ').trim();
+        label += ` - ${text.length > 100 ? `${text.slice(0, 97)}...` : text}`;
+    }
+    return label;
+}
+
+/**
+ * Prompt text for an input specification: the API's operations and the input fields
+ */
+function formatInputSpec(spec) {
+    const sections = [];
+    const origins = {
+        openapi: 'derived from the supplied OpenAPI document',
+        input_schema: 'from the supplied JSON Schema',
+        target: `the canonical ${spec.title} input`
+    };
+    const origin = origins[spec.source];
+
+    if (spec.operations.length) {
+        const listed = spec.operations.slice(0, MAX_OPERATIONS)
+            .map(operation => `- ${operation.method} ${operation.path}${operation.summary ? `: ${operation.summary}` : ''}`);
+        if (spec.operations.length > MAX_OPERATIONS) {
+            listed.push(`- ... ${spec.operations.length - MAX_OPERATIONS} more operations`);
+        }
+        sections.push(`API operations:\n${listed.join('\n')}`);
+    }
+
+    const fields = describeInputSchema(spec.schema);
+    sections.push(`Input fields (${origin}):\n${fields.length ? fields.map(line => `- ${line}`).join('\n') : '- (no fields declared)'}`);
+    sections.push('Reference only these input fields, with these exact names, and make every test input follow this shape.');
+
+    return sections.join('\n');
+}
+
+module.exports = {
+    resolveInputSpec,
+    openApiToInputSchema,
+    describeInputSchema,
+    formatInputSpec,
+    InputSpecError
+};
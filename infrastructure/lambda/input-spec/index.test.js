@@ -0,0 +1,137 @@
+const { resolveInputSpec, describeInputSchema, formatInputSpec, InputSpecError } = require('./index');
+
+const OPENAPI = `openapi: 3.0.0
+info:
+  title: Pets
+paths:
+  /pets/{id}:
+    get:
+      summary: Read a pet
+      parameters:
+        - name: verbose
+          in: query
+          schema: { type: boolean }
+        - name: X-Tenant
+          in: header
+          schema: { type: string }
+    put:
+      operationId: updatePet
+      requestBody:
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/Pet' }
+components:
+  schemas:
+    Pet:
+      type: object
+      required: [name]
+      properties:
+        name: { type: string }
+        status: { type: string, enum: [available, sold] }
+`;
+
+function specError(context) {
+    try {
+        resolveInputSpec(context);
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('resolveInputSpec', () => {
+    test('is null without a schema or OpenAPI document', () => {
+        expect(resolveInputSpec({})).toBeNull();
+        expect(resolveInputSpec({ input_schema: '', openapi: null })).toBeNull();
+    });
+
+    test('derives a request input schema and the operations from an OpenAPI document', () => {
+        const spec = resolveInputSpec({ openapi: OPENAPI });
+
+        expect(spec.source).toBe('openapi');
+        expect(spec.operations).toEqual([
+            { method: 'GET', path: '/pets/{id}', summary: 'Read a pet' },
+            { method: 'PUT', path: '/pets/{id}', summary: 'updatePet' }
+        ]);
+        expect(spec.schema).toMatchObject({
+            title: 'Pets request',
+            additionalProperties: false,
+            properties: {
+                method: { type: 'string', enum: ['GET', 'PUT'] },
+                query: { type: 'object', properties: { verbose: { type: 'boolean' } } },
+                headers: { properties: { 'x-tenant': { type: 'string' } } },
+                body: { $ref: '#/definitions/Pet' }
+            },
+            definitions: { Pet: { required: ['name'] } }
+        });
+    });
+
+    test('lets a JSON Schema decide the fields and keeps the OpenAPI operations', () => {
+        const inputSchema = { type: 'object', properties: { user: { type: 'object' } } };
+
+        const spec = resolveInputSpec({ input_schema: JSON.stringify(inputSchema), openapi: OPENAPI });
+
+        expect(spec.source).toBe('input_schema');
+        expect(spec.schema).toEqual(inputSchema);
+        expect(spec.operations).toHaveLength(2);
+    });
+
+    test('rejects documents it cannot use with a coded InputSpecError', () => {
+        expect(specError({ input_schema: '{' })).toMatchObject({ code: 'invalid_input_schema', message: expect.stringMatching(/^Input schema is neither JSON nor YAML/) });
+        expect(specError({ input_schema: '[1]' })).toMatchObject({ code: 'invalid_input_schema', message: 'Input schema must be an object' });
+        expect(specError({ input_schema: { type: 'nope' } })).toMatchObject({ code: 'invalid_input_schema', message: expect.stringMatching(/^Input schema is not a valid JSON Schema/) });
+        expect(specError({ openapi: { info: {} } })).toBeInstanceOf(InputSpecError);
+        expect(specError({ openapi: { info: {} } }).code).toBe('invalid_openapi');
+    });
+});
+
+describe('describeInputSchema', () => {
+    test('lists one line per field, following refs and marking recursion', () => {
+        const schema = {
+            type: 'object',
+            required: ['user'],
+            properties: {
+                user: {
+                    type: 'object',
+                    required: ['id'],
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        roles: { type: 'array', items: { type: 'string' } },
+                        manager: { $ref: '#/definitions/user' }
+                    }
+                }
+            },
+            definitions: { user: { $ref: '#/properties/user' } }
+        };
+
+        expect(describeInputSchema(schema)).toEqual([
+            'input.user.id: string, format uuid, required',
+            'input.user.roles[_]: string',
+            'input.user.manager.id: string, format uuid, required',
+            'input.user.manager.roles[_]: string',
+            'input.user.manager.manager: same shape as its parent (user)'
+        ]);
+    });
+
+    test('caps the number of lines', () => {
+        const properties = Object.fromEntries(['a', 'b', 'c'].map(name => [name, { type: 'number' }]));
+
+        expect(describeInputSchema({ type: 'object', properties }, 2)).toEqual([
+            'input.a: number',
+            'input.b: number',
+            '... 1 more fields'
+        ]);
+    });
+});
+
+describe('formatInputSpec', () => {
+    test('lists the operations and fields for the prompt', () => {
+        const text = formatInputSpec(resolveInputSpec({ openapi: OPENAPI }));
+
+        expect(text).toContain('API operations:\n- GET /pets/{id}: Read a pet\n- PUT /pets/{id}: updatePet');
+        expect(text).toContain('Input fields (derived from the supplied OpenAPI document):');
+        expect(text).toContain('- input.body.status: string, one of "available", "sold"');
+        expect(text).toContain('- input.user: object (any fields)');
+        expect(text).toMatch(/Reference only these input fields/);
+    });
+});
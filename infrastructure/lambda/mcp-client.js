@@ -0,0 +1,305 @@
+/**
+ * MCP Client Manager
+ * Launches the stdio MCP servers declared under `mcp.servers` in package.json, discovers their
+ * tools with `tools/list` and routes calls to them through the agent's tool registry.
+ * A server that exits is restarted with backoff, up to MCP_MAX_RESTARTS times in a row: the count
+ * starts over once a server has stayed up for MCP_RESTART_RESET_MS.
+ *
+ * Tools the agent implements in-process keep their in-process handler (it streams and reads
+ * session context); MCP tools fill in the names nothing else provides.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+const DEFAULT_START_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_RESTARTS = 3;
+// Wait before restart n is RESTART_DELAY_MS * 2^(n-1)
+const RESTART_DELAY_MS = 500;
+const DEFAULT_RESTART_RESET_MS = 60000;
+
+/**
+ * Read the `mcp.servers` map from a package.json
+ */
+function loadServerConfig(packageFile = path.join(__dirname, 'package.json')) {
+    const pkg = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+    return pkg.mcp?.servers || {};
+}
+
+class MCPClientManager {
+    /**
+     * @param {object} servers - name → {command, args, description}, as in package.json
+     * @param {object} options
+     * @param {ToolRegistry} options.registry - discovered tools are registered here
+     * @param {string} [options.cwd] - directory the server commands are run from
+     * @param {number} [options.startTimeoutMs] - connect and discovery limit (MCP_START_TIMEOUT_MS env)
+     * @param {number} [options.maxRestarts] - restarts per server after a crash (MCP_MAX_RESTARTS env)
+     * @param {number} [options.restartResetMs] - uptime after which a server's restart count is reset
+     *   (MCP_RESTART_RESET_MS env)
+     */
+    constructor(servers, options = {}) {
+        this.registry = options.registry;
+        this.cwd = options.cwd || __dirname;
+        this.startTimeoutMs = options.startTimeoutMs
+            ?? (Number(process.env.MCP_START_TIMEOUT_MS) || DEFAULT_START_TIMEOUT_MS);
+        this.maxRestarts = options.maxRestarts ?? (process.env.MCP_MAX_RESTARTS !== undefined
+            ? Number(process.env.MCP_MAX_RESTARTS)
+            : DEFAULT_MAX_RESTARTS);
+        this.restartResetMs = options.restartResetMs
+            ?? (Number(process.env.MCP_RESTART_RESET_MS) || DEFAULT_RESTART_RESET_MS);
+        this.stopping = false;
+        this.servers = new Map(Object.entries(servers).map(([name, config]) => [name, {
+            name,
+            config,
+            status: 'stopped',
+            client: null,
+            transport: null,
+            connecting: null,
+            tools: [],
+            routed: [],
+            restarts: 0,
+            restartTimer: null,
+            lastError: null,
+            startedAt: null
+        }]));
+    }
+
+    /**
+     * Start every configured server. Failures are recorded in the server's status, never thrown.
+     */
+    async start() {
+        this.stopping = false;
+        await Promise.all([...this.servers.values()].map(server => this.connect(server)));
+        return this.getStatus();
+    }
+
+    /**
+     * Spawn one server, list its tools and register the ones not already provided
+     */
+    connect(server) {
+        if (server.connecting) return server.connecting;
+
+        const script = (server.config.args || []).find(arg => arg.endsWith('.js'));
+        if (script && !fs.existsSync(path.resolve(this.cwd, script))) {
+            server.status = 'unavailable';
+            server.lastError = `${script} not found`;
+            return Promise.resolve(server);
+        }
+
+        server.status = server.restarts ? 'restarting' : 'starting';
+        server.connecting = this.spawn(server)
+            .then(() => {
+                server.status = 'running';
+                server.lastError = null;
+                server.startedAt = new Date().toISOString();
+                console.log(`MCP server ${server.name} running with ${server.tools.length} tools`);
+            })
+            .catch(error => {
+                console.error(`Failed to start MCP server ${server.name}:`, error.message);
+                server.status = 'failed';
+                server.lastError = error.message;
+                this.unroute(server);
+                this.disconnect(server);
+            })
+            .then(() => {
+                server.connecting = null;
+                return server;
+            });
+        return server.connecting;
+    }
+
+    async spawn(server) {
+        const { command, args = [] } = server.config;
+        const transport = new StdioClientTransport({
+            // Run node servers on this process's node binary, which need not be on PATH
+            command: command === 'node' ? process.execPath : command,
+            args,
+            cwd: this.cwd,
+            // The default environment leaves out provider settings and API keys
+            env: { ...process.env },
+            stderr: 'pipe'
+        });
+        const client = new Client({ name: 'opa-policy-agent', version: '2.0.0' });
+
+        transport.stderr?.on('data', chunk => {
+            for (const line of chunk.toString().split('\n').filter(Boolean)) {
+                console.error(`[mcp:${server.name}] ${line}`);
+            }
+        });
+
+        server.client = client;
+        server.transport = transport;
+        client.onclose = () => this.handleClose(server, client);
+
+        await withTimeout(client.connect(transport), this.startTimeoutMs, `${server.name} did not start`);
+        const { tools } = await client.listTools(undefined, { timeout: this.startTimeoutMs });
+        server.tools = tools.map(tool => tool.name);
+        this.route(server, tools);
+    }
+
+    /**
+     * Register discovered tools whose name has no handler yet, or is already routed to this server
+     */
+    route(server, tools) {
+        const source = `mcp:${server.name}`;
+        server.routed = [];
+        for (const tool of tools) {
+            const existing = this.registry.list().find(entry => entry.name === tool.name);
+            if (existing && existing.source !== source) continue;
+
+            this.registry.register(tool.name, (args, options) => this.callTool(server.name, tool.name, args, options), {
+                source,
+                description: tool.description || ''
+            });
+            server.routed.push(tool.name);
+        }
+    }
+
+    unroute(server) {
+        for (const name of server.routed) {
+            this.registry.unregister(name);
+        }
+        server.routed = [];
+    }
+
+    /**
+     * Call a tool on a server, waiting for a pending (re)start first.
+     * Unwraps the servers' `{success, result, error}` envelope.
+     */
+    async callTool(serverName, toolName, args = {}, options = {}) {
+        const server = this.servers.get(serverName);
+        if (!server) {
+            throw new Error(`Unknown MCP server: ${serverName}`);
+        }
+        if (server.connecting) {
+            await server.connecting;
+        }
+        if (server.status !== 'running') {
+            throw new Error(`MCP server ${serverName} is ${server.status}${server.lastError ? `: ${server.lastError}` : ''}`);
+        }
+
+        const response = await server.client.callTool(
+            { name: toolName, arguments: args },
+            undefined,
+            options.timeoutMs ? { timeout: options.timeoutMs } : undefined
+        );
+        const text = (response.content || [])
+            .filter(item => item.type === 'text')
+            .map(item => item.text)
+            .join('\n');
+
+        if (response.isError) {
+            throw new Error(text || `${toolName} failed on MCP server ${serverName}`);
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+        if (envelope && typeof envelope.success === 'boolean') {
+            if (!envelope.success) {
+                throw new Error(envelope.error || `${toolName} failed on MCP server ${serverName}`);
+            }
+            return envelope.result;
+        }
+        return envelope;
+    }
+
+    /**
+     * A server's connection closed: restart it unless we are stopping or it used up its restarts
+     */
+    handleClose(server, client) {
+        if (this.stopping || server.client !== client) return;
+
+        server.client = null;
+        server.transport = null;
+        if (server.status !== 'running') return;
+
+        // A server that ran healthily for a while has recovered; only crashes in a row count
+        if (Date.now() - Date.parse(server.startedAt) >= this.restartResetMs) {
+            server.restarts = 0;
+        }
+
+        if (server.restarts >= this.maxRestarts) {
+            console.error(`MCP server ${server.name} exited; giving up after ${server.restarts} restarts`);
+            server.status = 'failed';
+            server.lastError = server.lastError || 'server exited';
+            this.unroute(server);
+            return;
+        }
+
+        server.restarts++;
+        server.status = 'restarting';
+        server.lastError = 'server exited';
+        const delay = RESTART_DELAY_MS * 2 ** (server.restarts - 1);
+        console.warn(`MCP server ${server.name} exited; restarting in ${delay}ms (restart ${server.restarts})`);
+
+        // Calls made while waiting join the restart instead of failing
+        server.connecting = new Promise(resolve => {
+            server.restartTimer = setTimeout(resolve, delay);
+            server.restartTimer.unref?.();
+        }).then(() => {
+            server.restartTimer = null;
+            server.connecting = null;
+            return this.stopping ? server : this.connect(server);
+        });
+    }
+
+    disconnect(server) {
+        const client = server.client;
+        server.client = null;
+        server.transport = null;
+        if (client) {
+            return client.close().catch(error => console.warn(`Failed to close MCP server ${server.name}:`, error.message));
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Close every server and remove its tools from the registry
+     */
+    async stop() {
+        this.stopping = true;
+        await Promise.all([...this.servers.values()].map(async server => {
+            this.unroute(server);
+            await this.disconnect(server);
+            if (server.status !== 'unavailable') {
+                server.status = 'stopped';
+            }
+        }));
+    }
+
+    /**
+     * Per-server status for health checks
+     */
+    getStatus() {
+        return [...this.servers.values()].map(server => ({
+            name: server.name,
+            description: server.config.description || '',
+            status: server.status,
+            pid: server.status === 'running' ? server.transport?.pid ?? null : null,
+            tools: server.tools,
+            routed_tools: server.routed,
+            restarts: server.restarts,
+            started_at: server.startedAt,
+            last_error: server.lastError
+        }));
+    }
+}
+
+function withTimeout(promise, timeoutMs, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${message} within ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+    MCPClientManager,
+    loadServerConfig
+};
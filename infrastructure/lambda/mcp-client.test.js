@@ -0,0 +1,111 @@
+/**
+ * MCP client manager tests: launches the linter-validator server over stdio, offline against the mock provider
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { MCPClientManager, loadServerConfig } = require('./mcp-client');
+const { ToolRegistry } = require('./tools');
+
+const LINTER = loadServerConfig()['linter-validator'];
+
+function managerWith(servers, options = {}) {
+    const registry = new ToolRegistry({ retries: 0 });
+    const manager = new MCPClientManager(servers, { registry, startTimeoutMs: 10000, ...options });
+    return { registry, manager };
+}
+
+function statusOf(manager, name) {
+    return manager.getStatus().find(server => server.name === name);
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+test('reads the servers declared in package.json', () => {
+    expect(LINTER).toEqual(expect.objectContaining({ command: 'node', args: ['./mcp-servers/linter-validator/index.js'] }));
+});
+
+describe('MCPClientManager', () => {
+    let manager;
+
+    afterEach(async () => {
+        await manager.stop();
+    });
+
+    test('starts a server, routes its tools and unwraps their results', async () => {
+        let registry;
+        ({ registry, manager } = managerWith({ 'linter-validator': LINTER }));
+
+        await manager.start();
+
+        const status = statusOf(manager, 'linter-validator');
+        expect(status).toMatchObject({ status: 'running', restarts: 0, last_error: null });
+        expect(status.pid).toEqual(expect.any(Number));
+        expect(status.routed_tools).toEqual(['validate-rego-syntax', 'check-rego-best-practices', 'analyze-policy-security']);
+        expect(registry.list().find(tool => tool.name === 'validate-rego-syntax').source).toBe('mcp:linter-validator');
+
+        const result = await registry.call('validate-rego-syntax', { policy: 'package authz\n\nallow if {' });
+        expect(result.result.valid).toBe(false);
+
+        await manager.stop();
+        expect(statusOf(manager, 'linter-validator').status).toBe('stopped');
+        expect(registry.list().map(tool => tool.name)).not.toContain('validate-rego-syntax');
+    });
+
+    test('keeps the in-process handler of a tool a server also provides', async () => {
+        let registry;
+        ({ registry, manager } = managerWith({ 'linter-validator': LINTER }));
+        registry.register('validate-rego-syntax', async () => ({ valid: true }));
+
+        await manager.start();
+
+        expect(statusOf(manager, 'linter-validator').routed_tools).not.toContain('validate-rego-syntax');
+        expect(registry.list().find(tool => tool.name === 'validate-rego-syntax').source).toBe('in-process');
+    });
+
+    test('reports a server whose script is missing as unavailable', async () => {
+        ({ manager } = managerWith({ missing: { command: 'node', args: ['./mcp-servers/missing/index.js'] } }));
+
+        await manager.start();
+
+        expect(statusOf(manager, 'missing')).toMatchObject({
+            status: 'unavailable',
+            last_error: './mcp-servers/missing/index.js not found'
+        });
+        await expect(manager.callTool('missing', 'anything')).rejects.toThrow('MCP server missing is unavailable');
+    });
+
+    test('records a server that exits before answering as failed', async () => {
+        ({ manager } = managerWith({ broken: { command: 'node', args: ['-e', 'process.exit(1)'] } }, { startTimeoutMs: 2000 }));
+
+        await manager.start();
+
+        expect(statusOf(manager, 'broken')).toMatchObject({ status: 'failed', routed_tools: [] });
+        expect(statusOf(manager, 'broken').last_error).toEqual(expect.any(String));
+    });
+
+    test('restarts a server that exits and routes calls to the new process', async () => {
+        let registry;
+        ({ registry, manager } = managerWith({ 'linter-validator': LINTER }, { maxRestarts: 1 }));
+        await manager.start();
+        const { pid } = statusOf(manager, 'linter-validator');
+
+        process.kill(pid);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        expect(statusOf(manager, 'linter-validator')).toMatchObject({ status: 'restarting', restarts: 1 });
+
+        // The call waits for the restart
+        const result = await registry.call('validate-rego-syntax', { policy: 'package authz\n\nallow := true\n' });
+        expect(result.result.valid).toBe(true);
+        expect(statusOf(manager, 'linter-validator').status).toBe('running');
+        expect(statusOf(manager, 'linter-validator').pid).not.toBe(pid);
+    });
+});
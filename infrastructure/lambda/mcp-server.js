@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Policy Agent MCP Server
+ * Exposes the agent's generate, refine, validate, explain, deployment, migration and formatting operations as MCP tools over stdio,
+ * for MCP-capable editors and assistants. Each call goes through the same handler as the HTTP
+ * API, so tool arguments are the route's request body and results are its response body.
+ *
+ * Generation and refinement calls without `context.session_id` share one session per
+ * connection, so later refinements build on earlier turns.
+ */
+
+// stdout carries the protocol; the agent's logging goes to stderr
+console.log = console.error;
+console.info = console.error;
+
+const crypto = require('crypto');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { handler } = require('./index');
+const {
+    GENERATE_REQUEST_SCHEMA,
+    REFINE_REQUEST_SCHEMA,
+    VALIDATE_REQUEST_SCHEMA,
+    EXPLAIN_REQUEST_SCHEMA,
+    EXPLAIN_DECISION_REQUEST_SCHEMA,
+    DEPLOYMENT_REQUEST_SCHEMA,
+    MIGRATE_REQUEST_SCHEMA,
+    FORMAT_REQUEST_SCHEMA
+} = require('./request-schemas');
+
+const TOOLS = [
+    {
+        name: 'generate-policy',
+        route: '/generate-policy',
+        description: 'Generate a tested OPA Rego policy from natural language requirements (POST /generate-policy)',
+        inputSchema: GENERATE_REQUEST_SCHEMA,
+        session: true
+    },
+    {
+        name: 'refine-policy',
+        route: '/refine-policy',
+        description: 'Modify an existing policy to meet new requirements (POST /refine-policy)',
+        inputSchema: REFINE_REQUEST_SCHEMA,
+        session: true
+    },
+    {
+        name: 'validate-policy',
+        route: '/validate-policy',
+        description: 'Check syntax, best practices and security of a policy (POST /validate-policy)',
+        inputSchema: VALIDATE_REQUEST_SCHEMA
+    },
+    {
+        name: 'explain-policy',
+        route: '/explain-policy',
+        description: 'Explain what a policy does in plain English (POST /explain-policy)',
+        inputSchema: EXPLAIN_REQUEST_SCHEMA
+    },
+    {
+        name: 'explain-decision',
+        route: '/explain-decision',
+        description: 'Explain why an input was allowed or denied, each sentence citing policy lines (POST /explain-decision)',
+        inputSchema: EXPLAIN_DECISION_REQUEST_SCHEMA,
+        session: true
+    },
+    {
+        name: 'plan-deployment',
+        route: '/deployment-plan',
+        description: 'Validated deployment artifacts, integration guide and monitoring setup for a policy (POST /deployment-plan)',
+        inputSchema: DEPLOYMENT_REQUEST_SCHEMA,
+        session: true
+    },
+    {
+        name: 'migrate-policy',
+        route: '/migrate-policy',
+        description: 'Rewrite a Rego v0 policy in v1 syntax and check it decides the same on test inputs (POST /migrate-policy)',
+        inputSchema: MIGRATE_REQUEST_SCHEMA,
+        session: true
+    },
+    {
+        name: 'format-policy',
+        route: '/format-policy',
+        description: 'Format a policy the way opa fmt does (POST /format-policy)',
+        inputSchema: FORMAT_REQUEST_SCHEMA
+    },
+    {
+        name: 'get-session',
+        description: 'Current policy and conversation history of a session, this connection\'s by default (GET /sessions/{id})',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                session_id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,128}$' }
+            }
+        }
+    }
+];
+
+class PolicyAgentServer {
+    constructor() {
+        this.server = new Server(
+            {
+                name: 'opa-policy-agent',
+                version: '2.0.0'
+            },
+            {
+                capabilities: {
+                    tools: {}
+                }
+            }
+        );
+
+        this.sessionId = `mcp-${crypto.randomUUID()}`;
+
+        this.setupTools();
+    }
+
+    setupTools() {
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+            return await this.callTool(name, args || {});
+        });
+
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+            return {
+                tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+            };
+        });
+    }
+
+    /**
+     * The API Gateway event for a tool call
+     */
+    toLambdaEvent(tool, args) {
+        if (tool.name === 'get-session') {
+            const id = args.session_id || this.sessionId;
+            return {
+                httpMethod: 'GET',
+                path: `/sessions/${encodeURIComponent(id)}`,
+                pathParameters: { id },
+                headers: {}
+            };
+        }
+
+        const body = tool.session
+            ? { ...args, context: { session_id: this.sessionId, ...(args.context || {}) } }
+            : args;
+        return {
+            httpMethod: 'POST',
+            path: tool.route,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        };
+    }
+
+    async callTool(name, args) {
+        const tool = TOOLS.find(candidate => candidate.name === name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        const response = await handler(this.toLambdaEvent(tool, args));
+        const body = JSON.parse(response.body);
+        const metadata = {
+            tool_name: name,
+            execution_time: new Date().toISOString(),
+            status_code: response.statusCode
+        };
+
+        if (response.statusCode >= 400) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({ success: false, ...body, metadata }, null, 2)
+                }],
+                isError: true
+            };
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({ success: true, result: body, metadata }, null, 2)
+            }]
+        };
+    }
+
+    async run() {
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+        console.error(`Policy Agent MCP server running on stdio (session ${this.sessionId})`);
+    }
+}
+
+// Start the server
+if (require.main === module) {
+    const server = new PolicyAgentServer();
+    server.run().catch(console.error);
+}
+
+module.exports = { PolicyAgentServer, TOOLS };
@@ -0,0 +1,74 @@
+/**
+ * Agent MCP server tests: a client connected in memory calls the tools, offline against the mock provider
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.SESSION_STORE = 'memory';
+delete process.env.MCP_ENABLED;
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+
+let PolicyAgentServer;
+let TOOLS;
+let agentServer;
+let client;
+
+// Tool results are MCP text content holding the JSON envelope
+const payload = response => JSON.parse(response.content[0].text);
+
+beforeAll(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // The server sends console.log to stderr, so load it once console.error is quiet
+    ({ PolicyAgentServer, TOOLS } = require('./mcp-server'));
+
+    agentServer = new PolicyAgentServer();
+    client = new Client({ name: 'mcp-server-test', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([agentServer.server.connect(serverTransport), client.connect(clientTransport)]);
+});
+
+afterAll(async () => {
+    await client.close();
+    jest.restoreAllMocks();
+});
+
+test('lists a tool for each route with its request schema', async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.map(tool => tool.name)).toEqual(TOOLS.map(tool => tool.name));
+    expect(tools.find(tool => tool.name === 'generate-policy').inputSchema.required).toContain('instructions');
+});
+
+test('generates and refines within the connection\'s session', async () => {
+    const generated = payload(await client.callTool({ name: 'generate-policy', arguments: { instructions: 'Only admins may access' } }));
+    expect(generated.success).toBe(true);
+    expect(generated.result.policy).toMatch(/^package mock\.policy/);
+    expect(generated.result.session_id).toBe(agentServer.sessionId);
+
+    const refined = payload(await client.callTool({
+        name: 'refine-policy',
+        arguments: { instructions: 'Also allow auditors', existing_policy: generated.result.policy }
+    }));
+    expect(refined.result.session_id).toBe(agentServer.sessionId);
+
+    const session = payload(await client.callTool({ name: 'get-session', arguments: {} }));
+    expect(session.result.conversation_history.map(turn => turn.operation)).toEqual(['generation', 'refinement']);
+});
+
+test('returns handler errors as tool errors with the status code', async () => {
+    const response = await client.callTool({ name: 'generate-policy', arguments: {} });
+
+    expect(response.isError).toBe(true);
+    expect(payload(response)).toMatchObject({ success: false, code: 'INVALID_INPUT', metadata: { status_code: 400 } });
+});
+
+test('validates a policy through the validate route', async () => {
+    const { result } = payload(await client.callTool({
+        name: 'validate-policy',
+        arguments: { policy: 'package authz\n\nallow if {' }
+    }));
+
+    expect(result.validation_results.syntax_valid).toBe(false);
+});
@@ -2,12 +2,14 @@
 
 /**
  * Code Generator MCP Server
- * Generates new Rego rules from requirements using OpenAI
+ * Generates new Rego rules from requirements using the configured LLM provider
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const OpenAI = require('openai');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { createProvider } = require('../../providers');
+const { syntaxNotes, builtinNotes } = require('../../docs');
 
 class CodeGeneratorServer {
     constructor() {
@@ -23,16 +25,14 @@ class CodeGeneratorServer {
             }
         );
 
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+        this.llm = createProvider();
 
         this.setupTools();
     }
 
     setupTools() {
         // Tool: Generate complete Rego policy
-        this.server.setRequestHandler('tools/call', async (request) => {
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
             const { name, arguments: args } = request.params;
 
             switch (name) {
@@ -47,7 +47,7 @@ class CodeGeneratorServer {
             }
         });
 
-        this.server.setRequestHandler('tools/list', async () => {
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
             return {
                 tools: [
                     {
@@ -135,11 +135,14 @@ class CodeGeneratorServer {
 REQUIREMENTS:
 - Generate clean, well-commented Rego code
 - Follow OPA best practices
-- NO import statements (import rego.v1 or import data.rego.v1)
 - Use meaningful package names
 - Include default rules for security
 - Generate realistic test cases if requested
 
+${syntaxNotes(context.rego_version)}
+
+${builtinNotes()}
+
 RESPONSE FORMAT:
 Return a JSON object with:
 {
@@ -167,19 +170,15 @@ Return a JSON object with:
                 userPrompt += '\n\nEnsure the policy follows OPA best practices for security and performance.';
             }
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 2000
+            const completion = await this.llm.complete({
+                system: systemPrompt,
+                prompt: userPrompt,
+                maxTokens: 2000
             });
 
-            const response = completion.choices[0]?.message?.content;
+            const response = completion.content;
             if (!response) {
-                throw new Error('No response from OpenAI');
+                throw new Error(`No response from ${this.llm.name}`);
             }
 
             // Try to parse as JSON, fallback to text parsing
@@ -245,19 +244,15 @@ Return only the rule fragment code, properly formatted.`;
                 userPrompt += '\n\nEnsure the new rule integrates properly with the existing policy structure.';
             }
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 1000
+            const completion = await this.llm.complete({
+                system: systemPrompt,
+                prompt: userPrompt,
+                maxTokens: 1000
             });
 
-            const ruleCode = completion.choices[0]?.message?.content;
+            const ruleCode = completion.content;
             if (!ruleCode) {
-                throw new Error('No response from OpenAI');
+                throw new Error(`No response from ${this.llm.name}`);
             }
 
             return {
@@ -317,19 +312,15 @@ Return the helper function code with comments.`;
                 userPrompt += `\n\nExpected input structure:\n${JSON.stringify(inputStructure, null, 2)}`;
             }
 
-            const completion = await this.openai.chat.completions.create({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 1000
+            const completion = await this.llm.complete({
+                system: systemPrompt,
+                prompt: userPrompt,
+                maxTokens: 1000
             });
 
-            const functionCode = completion.choices[0]?.message?.content;
+            const functionCode = completion.content;
             if (!functionCode) {
-                throw new Error('No response from OpenAI');
+                throw new Error(`No response from ${this.llm.name}`);
             }
 
             return {
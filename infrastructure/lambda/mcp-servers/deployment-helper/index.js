@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Deployment Helper MCP Server
+ * Produces schema-validated deployment artifacts, integration guides and monitoring setup
+ */
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+    TARGETS,
+    analyzeDeploymentNeeds,
+    generateDeploymentConfig,
+    generateIntegrationGuide,
+    generateMonitoringConfig
+} = require('../../deployment');
+
+const POLICY_PROPERTY = { type: 'string', description: 'Rego policy to deploy' };
+const TARGET_PROPERTY = { type: 'string', enum: Object.keys(TARGETS), description: 'Deployment target' };
+
+class DeploymentHelperServer {
+    constructor() {
+        this.server = new Server(
+            {
+                name: 'opa-deployment-helper',
+                version: '1.0.0'
+            },
+            {
+                capabilities: {
+                    tools: {}
+                }
+            }
+        );
+
+        this.setupTools();
+    }
+
+    setupTools() {
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+
+            switch (name) {
+                case 'analyze-deployment-needs':
+                    return this.respond(name, () => analyzeDeploymentNeeds(args));
+                case 'generate-opa-deployment-config':
+                    return this.respond(name, () => generateDeploymentConfig(args));
+                case 'generate-integration-guide':
+                    return this.respond(name, () => generateIntegrationGuide(args));
+                case 'generate-monitoring-config':
+                    return this.respond(name, () => generateMonitoringConfig(args));
+                default:
+                    throw new Error(`Unknown tool: ${name}`);
+            }
+        });
+
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+            return {
+                tools: [
+                    {
+                        name: 'analyze-deployment-needs',
+                        description: 'Find the decision rule, data dependencies and a suitable deployment target',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                policy: POLICY_PROPERTY,
+                                target: TARGET_PROPERTY,
+                                targetEnvironment: { type: 'string', description: 'Where the policy will run, e.g. "envoy gateway"' }
+                            },
+                            required: ['policy']
+                        }
+                    },
+                    {
+                        name: 'generate-opa-deployment-config',
+                        description: 'Create deployment artifacts for a target, validated against their schemas',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                policy: POLICY_PROPERTY,
+                                target: TARGET_PROPERTY,
+                                options: {
+                                    type: 'object',
+                                    description: 'app_name, namespace, app_image, app_port, app_host, opa_host, opa_version, constraint_kind, match_kinds'
+                                }
+                            },
+                            required: ['policy']
+                        }
+                    },
+                    {
+                        name: 'generate-integration-guide',
+                        description: 'Create steps for applying and querying a deployment',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                policy: POLICY_PROPERTY,
+                                deploymentConfig: { type: 'object', description: 'Result of generate-opa-deployment-config' }
+                            },
+                            required: ['policy']
+                        }
+                    },
+                    {
+                        name: 'generate-monitoring-config',
+                        description: 'Create decision log settings and a Prometheus scrape job',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                policy: POLICY_PROPERTY,
+                                deploymentConfig: { type: 'object', description: 'Result of generate-opa-deployment-config' }
+                            },
+                            required: ['policy']
+                        }
+                    }
+                ]
+            };
+        });
+    }
+
+    respond(toolName, produce) {
+        const metadata = {
+            tool_name: toolName,
+            execution_time: new Date().toISOString()
+        };
+
+        try {
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({ success: true, result: produce(), metadata }, null, 2)
+                }]
+            };
+        } catch (error) {
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: false,
+                        error: error.message,
+                        code: error.code,
+                        errors: error.errors || [],
+                        metadata
+                    }, null, 2)
+                }]
+            };
+        }
+    }
+
+    async run() {
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+        console.error('Deployment Helper MCP server running on stdio');
+    }
+}
+
+// Start the server
+if (require.main === module) {
+    const server = new DeploymentHelperServer();
+    server.run().catch(console.error);
+}
+
+module.exports = { DeploymentHelperServer };
@@ -7,6 +7,9 @@
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { gatherDocs, getBestPractices, findExamples } = require('../../docs');
+const { PRESETS } = require('../../presets');
 
 class DocsRetrieverServer {
     constructor() {
@@ -26,7 +29,7 @@ class DocsRetrieverServer {
     }
 
     setupTools() {
-        this.server.setRequestHandler('tools/call', async (request) => {
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
             const { name, arguments: args } = request.params;
 
             switch (name) {
@@ -41,18 +44,20 @@ class DocsRetrieverServer {
             }
         });
 
-        this.server.setRequestHandler('tools/list', async () => {
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
             return {
                 tools: [
                     {
                         name: 'gather-opa-docs',
-                        description: 'Search and retrieve relevant OPA documentation',
+                        description: 'Search the bundled OPA documentation corpus and return the most relevant passages with source anchors and scores',
                         inputSchema: {
                             type: 'object',
                             properties: {
                                 query: { type: 'string', description: 'Search query for documentation' },
                                 includeExamples: { type: 'boolean', description: 'Include code examples' },
-                                includeBestPractices: { type: 'boolean', description: 'Include best practices' }
+                                includeBestPractices: { type: 'boolean', description: 'Include best practices' },
+                                limit: { type: 'integer', minimum: 1, description: 'Number of passages to return (default 5)' },
+                                target: { type: 'string', enum: Object.keys(PRESETS), description: 'Target platform preset whose example to include' }
                             },
                             required: ['query']
                         }
@@ -64,7 +69,8 @@ class DocsRetrieverServer {
                             type: 'object',
                             properties: {
                                 scenario: { type: 'string', description: 'Specific scenario or use case' },
-                                category: { type: 'string', description: 'Category of best practices' }
+                                category: { type: 'string', description: 'Category of best practices' },
+                                limit: { type: 'integer', minimum: 1, description: 'Number of practices to return (default 5)' }
                             },
                             required: ['scenario']
                         }
@@ -76,7 +82,8 @@ class DocsRetrieverServer {
                             type: 'object',
                             properties: {
                                 requirements: { type: 'string', description: 'Requirements to match' },
-                                complexity: { type: 'string', description: 'Complexity level needed' }
+                                complexity: { type: 'string', description: 'Complexity level needed' },
+                                target: { type: 'string', enum: Object.keys(PRESETS), description: 'Target platform preset, e.g. terraform' }
                             },
                             required: ['requirements']
                         }
@@ -88,37 +95,7 @@ class DocsRetrieverServer {
 
     async gatherOpaDocs(args) {
         try {
-            const { query, includeExamples = false, includeBestPractices = false } = args;
-
-            // Simulated documentation retrieval
-            const docs = {
-                content: `OPA Documentation for: ${query}
-
-Basic Rego Syntax:
-- package: Defines the namespace for the policy
-- default: Sets default values for rules
-- allow/deny: Common rule patterns for authorization
-- input: Access to input data provided to OPA
-
-${includeExamples ? `
-Examples:
-package example.authz
-default allow := false
-allow if {
-    input.user.role == "admin"
-}
-` : ''}
-
-${includeBestPractices ? `
-Best Practices:
-- Always use 'default allow := false' for security
-- Use meaningful package names
-- Validate input data structure
-- Write comprehensive tests
-` : ''}`,
-                sources: ['https://www.openpolicyagent.org/docs/latest/'],
-                relevance_score: 0.9
-            };
+            const docs = gatherDocs(args);
 
             return {
                 content: [{
@@ -153,27 +130,7 @@ Best Practices:
 
     async getBestPractices(args) {
         try {
-            const { scenario, category = 'general' } = args;
-
-            const bestPractices = {
-                scenario,
-                category,
-                practices: [
-                    'Use default deny (default allow := false) for security',
-                    'Validate input structure before processing',
-                    'Use meaningful variable and rule names',
-                    'Write comprehensive test cases',
-                    'Document complex logic with comments',
-                    'Avoid deep nesting in rules',
-                    'Use helper functions for reusable logic'
-                ],
-                examples: [
-                    {
-                        practice: 'Default deny pattern',
-                        code: 'package example\ndefault allow := false\nallow if {\n    # specific conditions\n}'
-                    }
-                ]
-            };
+            const bestPractices = getBestPractices(args);
 
             return {
                 content: [{
@@ -208,62 +165,14 @@ Best Practices:
 
     async findExamples(args) {
         try {
-            const { requirements, complexity = 'basic' } = args;
-
-            const examples = [
-                {
-                    title: 'Role-based Access Control',
-                    description: 'Basic RBAC policy example',
-                    code: `package rbac.authz
-
-default allow := false
-
-allow if {
-    input.user.role == "admin"
-}
-
-allow if {
-    input.user.role == "user"
-    input.action == "read"
-}`,
-                    complexity: 'basic',
-                    use_case: 'authorization'
-                },
-                {
-                    title: 'Time-based Access',
-                    description: 'Policy with time restrictions',
-                    code: `package time.authz
-
-import rego.v1
-
-default allow := false
-
-allow if {
-    input.user.role == "employee"
-    is_business_hours
-}
-
-is_business_hours if {
-    hour := time.clock(time.now_ns())[0]
-    hour >= 9
-    hour < 17
-}`,
-                    complexity: 'intermediate',
-                    use_case: 'time-based-access'
-                }
-            ];
+            const examples = findExamples(args);
 
             return {
                 content: [{
                     type: 'text',
                     text: JSON.stringify({
                         success: true,
-                        result: {
-                            examples: examples.filter(ex => 
-                                ex.complexity === complexity || complexity === 'all'
-                            ),
-                            total_found: examples.length
-                        },
+                        result: examples,
                         metadata: {
                             tool_name: 'find-examples',
                             execution_time: new Date().toISOString()
@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+
+/**
+ * Unit Tester MCP Server
+ * Generates test cases for Rego policies, runs them and reports rule coverage
+ */
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { createProvider } = require('../../providers');
+const { parseModule, findDecision } = require('../../rego');
+const { runTestInputs } = require('../../evaluation');
+
+const COMPARISONS = {
+    '==': 'eq',
+    '!=': 'neq',
+    '>': 'gt',
+    '>=': 'gte',
+    '<': 'lt',
+    '<=': 'lte'
+};
+
+// Comparison seen from the other operand, e.g. `18 < input.age` is `input.age > 18`
+const MIRRORED = { eq: 'eq', neq: 'neq', gt: 'lt', gte: 'lte', lt: 'gt', lte: 'gte' };
+
+const NEGATED = { eq: 'neq', neq: 'eq', gt: 'lte', gte: 'lt', lt: 'gte', lte: 'gt', truthy: 'falsy', falsy: 'truthy' };
+
+class UnitTesterServer {
+    constructor() {
+        this.server = new Server(
+            {
+                name: 'opa-unit-tester',
+                version: '1.0.0'
+            },
+            {
+                capabilities: {
+                    tools: {}
+                }
+            }
+        );
+
+        this.llm = createProvider();
+
+        this.setupTools();
+    }
+
+    setupTools() {
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+
+            switch (name) {
+                case 'generate-test-cases':
+                    return await this.generateTestCases(args);
+                case 'run-policy-tests':
+                    return await this.runPolicyTests(args);
+                case 'analyze-test-coverage':
+                    return await this.analyzeTestCoverage(args);
+                default:
+                    throw new Error(`Unknown tool: ${name}`);
+            }
+        });
+
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+            return {
+                tools: [
+                    {
+                        name: 'generate-test-cases',
+                        description: 'Generate positive, negative and edge-case inputs for a Rego policy',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                policy: {
+                                    type: 'string',
+                                    description: 'Rego policy code to test'
+                                },
+                                instructions: {
+                                    type: 'string',
+                                    description: 'Natural language requirements the policy implements'
+                                },
+                                coverageTarget: {
+                                    type: 'string',
+                                    enum: ['basic', 'comprehensive'],
+                                    description: 'How many cases to generate'
+                                },
+                                includeEdgeCases: {
+                                    type: 'boolean',
+                                    description: 'Include missing-field and empty-input cases'
+                                }
+                            },
+                            required: ['policy']
+                        }
+                    },
+                    {
+                        name: 'run-policy-tests',
+                        description: 'Evaluate test cases against a policy and report pass/fail per case',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                policy: {
+                                    type: 'string',
+                                    description: 'Rego policy code to test'
+                                },
+                                testCases: {
+                                    type: 'array',
+                                    description: 'Test cases: [{description, input, expected}]'
+                                },
+                                entrypoint: {
+                                    type: 'string',
+                                    description: 'Rule to evaluate, e.g. data.authz.allow (detected when omitted)'
+                                },
+                                data: {
+                                    type: 'object',
+                                    description: 'Base documents available under data'
+                                }
+                            },
+                            required: ['policy', 'testCases']
+                        }
+                    },
+                    {
+                        name: 'analyze-test-coverage',
+                        description: 'Report which rules each test case exercises and which rules no case reaches',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                policy: {
+                                    type: 'string',
+                                    description: 'Rego policy code to analyze'
+                                },
+                                testCases: {
+                                    type: 'array',
+                                    description: 'Test cases: [{description, input, expected}]'
+                                },
+                                entrypoint: {
+                                    type: 'string',
+                                    description: 'Rule to evaluate, e.g. data.authz.allow (detected when omitted)'
+                                }
+                            },
+                            required: ['policy', 'testCases']
+                        }
+                    }
+                ]
+            };
+        });
+    }
+
+    async generateTestCases(args) {
+        try {
+            const { policy, instructions = '', coverageTarget = 'comprehensive', includeEdgeCases = true } = args;
+
+            const { ast, errors } = parseModule(policy || '');
+            if (!ast || errors.length) {
+                const first = errors[0];
+                throw new Error(first ? `Policy does not parse: ${first.line}:${first.column}: ${first.message}` : 'Policy does not parse');
+            }
+
+            const decision = findDecision(ast);
+            if (!decision) {
+                throw new Error('No decision rule found (expected allow, deny or violation)');
+            }
+
+            // Cases derived from the rule bodies are deterministic and always available
+            const derived = await this.deriveTestCases(policy, ast, decision, { includeEdgeCases });
+
+            // The LLM adds cases for requirements the rule structure does not show
+            let llmCases = [];
+            try {
+                llmCases = await this.generateCasesWithLLM(policy, instructions, decision, { coverageTarget, includeEdgeCases });
+            } catch (llmError) {
+                console.error('LLM test generation unavailable, returning derived cases only:', llmError.message);
+            }
+
+            const testCases = dedupeCases([...derived, ...llmCases]);
+            const run = await runTestInputs(policy, testCases, { entrypoint: decision.entrypoint, style: decision.style, coverage: true });
+
+            // Annotate each case with what the policy actually decided
+            const annotated = testCases.map((testCase, index) => ({
+                ...testCase,
+                actual: run.results[index].actual,
+                passed: run.results[index].passed,
+                rules_exercised: run.results[index].rules_exercised || []
+            }));
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        result: {
+                            testCases: annotated,
+                            entrypoint: decision.entrypoint,
+                            summary: {
+                                total: annotated.length,
+                                positive: annotated.filter(testCase => testCase.category === 'positive').length,
+                                negative: annotated.filter(testCase => testCase.category === 'negative').length,
+                                edge: annotated.filter(testCase => testCase.category === 'edge').length,
+                                failing: annotated.filter(testCase => !testCase.passed).length
+                            },
+                            coverage: run.coverage
+                        },
+                        metadata: {
+                            tool_name: 'generate-test-cases',
+                            execution_time: new Date().toISOString(),
+                            coverage_target: coverageTarget,
+                            llm_cases: llmCases.length
+                        }
+                    }, null, 2)
+                }]
+            };
+
+        } catch (error) {
+            console.error('Error generating test cases:', error);
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: false,
+                        error: error.message,
+                        metadata: {
+                            tool_name: 'generate-test-cases',
+                            execution_time: new Date().toISOString()
+                        }
+                    }, null, 2)
+                }]
+            };
+        }
+    }
+
+    async runPolicyTests(args) {
+        try {
+            const { policy, testCases = [], entrypoint, data } = args;
+
+            const run = await runTestInputs(policy, testCases, { entrypoint, data, coverage: true });
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        result: run,
+                        metadata: {
+                            tool_name: 'run-policy-tests',
+                            execution_time: new Date().toISOString(),
+                            all_passed: run.failed === 0 && run.errors === 0
+                        }
+                    }, null, 2)
+                }]
+            };
+
+        } catch (error) {
+            console.error('Error running policy tests:', error);
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: false,
+                        error: error.message,
+                        metadata: {
+                            tool_name: 'run-policy-tests',
+                            execution_time: new Date().toISOString()
+                        }
+                    }, null, 2)
+                }]
+            };
+        }
+    }
+
+    async analyzeTestCoverage(args) {
+        try {
+            const { policy, testCases = [], entrypoint } = args;
+
+            const run = await runTestInputs(policy, testCases, { entrypoint, coverage: true });
+            if (!run.coverage) {
+                throw new Error('Policy does not parse');
+            }
+
+            const uncovered = run.coverage.rules.filter(rule => rule.hits === 0);
+            const allowed = run.results.filter(result => result.actual === true).length;
+
+            const recommendations = uncovered.map(rule => rule.kind === 'default'
+                ? `Add a case where no other ${rule.rule} rule applies so the default (line ${rule.line}) is used`
+                : `Add a case that satisfies ${rule.rule} (line ${rule.line})`);
+            if (run.results.length && allowed === 0) {
+                recommendations.push('No case is allowed; add positive cases');
+            }
+            if (run.results.length && allowed === run.results.length) {
+                recommendations.push('Every case is allowed; add negative cases');
+            }
+
+            const coverageResult = {
+                entrypoint: run.entrypoint,
+                coverage_percent: run.coverage.percent,
+                covered_rules: run.coverage.covered,
+                total_rules: run.coverage.total,
+                rules: run.coverage.rules,
+                uncovered_rules: uncovered,
+                cases: run.results.map(result => ({
+                    description: result.description,
+                    actual: result.actual,
+                    error: result.error,
+                    rules_exercised: result.rules_exercised || []
+                })),
+                recommendations
+            };
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: true,
+                        result: coverageResult,
+                        metadata: {
+                            tool_name: 'analyze-test-coverage',
+                            execution_time: new Date().toISOString()
+                        }
+                    }, null, 2)
+                }]
+            };
+
+        } catch (error) {
+            console.error('Error analyzing test coverage:', error);
+            return {
+                content: [{
+                    type: 'text',
+                    text: JSON.stringify({
+                        success: false,
+                        error: error.message,
+                        metadata: {
+                            tool_name: 'analyze-test-coverage',
+                            execution_time: new Date().toISOString()
+                        }
+                    }, null, 2)
+                }]
+            };
+        }
+    }
+
+    /**
+     * Build inputs from the comparisons in each decision rule body:
+     * one input satisfying the rule, one per comparison with that comparison broken,
+     * and (allow-style only) one per comparison with the compared field missing.
+     */
+    async deriveTestCases(policy, ast, decision, { includeEdgeCases }) {
+        const decisionName = decision.path.split('.').pop();
+        const satisfiedDecision = decision.style === 'allow';
+        const cases = [];
+
+        for (const rule of ast.rules) {
+            if (rule.head.name !== decisionName || rule.kind === 'default' || !rule.body) continue;
+
+            const constraints = rule.body.literals.map(constraintOf).filter(Boolean);
+            if (!constraints.length) continue;
+
+            const line = rule.loc.line;
+            cases.push(derivedCase(`Satisfies ${decisionName} rule at line ${line}`,
+                buildInput(constraints), satisfiedDecision));
+
+            constraints.forEach((constraint, index) => {
+                const broken = constraints.map((c, i) => (i === index ? { ...c, op: NEGATED[c.op] } : c));
+                cases.push(derivedCase(`Breaks input.${constraint.path.join('.')} condition of ${decisionName} rule at line ${line}`,
+                    buildInput(broken), !satisfiedDecision));
+            });
+
+            if (includeEdgeCases && decision.style === 'allow') {
+                constraints.forEach((constraint, index) => {
+                    // An absent field already satisfies `not input.x`
+                    if (constraint.op === 'falsy') return;
+                    cases.push({
+                        description: `Missing input.${constraint.path.join('.')} for ${decisionName} rule at line ${line}`,
+                        category: 'edge',
+                        input: buildInput(constraints.filter((c, i) => i !== index)),
+                        expected: false,
+                        source: 'derived'
+                    });
+                });
+            }
+        }
+
+        if (includeEdgeCases && decision.style === 'allow') {
+            cases.push({ description: 'Empty input', category: 'edge', input: {}, expected: false, source: 'derived' });
+        }
+
+        // Drop positive/negative cases the policy disagrees with: other conditions in the
+        // body (helper calls, iteration) mean the derived input was incomplete, not that the
+        // policy is wrong. Edge cases are kept so an allow on missing data is reported.
+        const run = await runTestInputs(policy, cases, { entrypoint: decision.entrypoint, style: decision.style });
+        return cases.filter((testCase, index) => testCase.category === 'edge' || run.results[index].passed);
+    }
+
+    async generateCasesWithLLM(policy, instructions, decision, { coverageTarget, includeEdgeCases }) {
+        const caseCount = coverageTarget === 'basic' ? '3-5' : '8-12';
+
+        const systemPrompt = `You are an expert OPA Rego tester. Write test inputs for the policy based on the requirements.
+
+DECISION: ${decision.entrypoint} (${decision.style === 'allow'
+            ? 'expected is true when the request is allowed'
+            : 'expected is true when no violation is reported, false when the request is denied'})
+
+Generate ${caseCount} test cases:
+- positive cases that should be allowed
+- negative cases that should be denied
+${includeEdgeCases ? '- edge cases: missing fields, wrong types, empty values, boundary values' : ''}
+
+Expected values must follow the REQUIREMENTS, not what the policy happens to do.
+
+Return a JSON object with:
+{
+  "test_cases": [
+    {
+      "description": "what the case checks",
+      "category": "positive|negative|edge",
+      "input": { ... },
+      "expected": true|false
+    }
+  ]
+}`;
+
+        const completion = await this.llm.complete({
+            system: systemPrompt,
+            prompt: `REQUIREMENTS:\n${instructions || 'Not provided'}\n\nPOLICY:\n${policy}`,
+            maxTokens: 2500
+        });
+
+        const response = completion.content;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(response);
+        } catch (parseError) {
+            return [];
+        }
+
+        return (parsed.test_cases || [])
+            .filter(testCase => testCase && typeof testCase.expected === 'boolean')
+            .map(testCase => ({
+                description: testCase.description || 'Test case',
+                category: ['positive', 'negative', 'edge'].includes(testCase.category)
+                    ? testCase.category
+                    : (testCase.expected ? 'positive' : 'negative'),
+                input: testCase.input && typeof testCase.input === 'object' ? testCase.input : {},
+                expected: testCase.expected,
+                source: 'llm'
+            }));
+    }
+
+    async run() {
+        const transport = new StdioServerTransport();
+        await this.server.connect(transport);
+        console.error('Unit Tester MCP server running on stdio');
+    }
+}
+
+/**
+ * Path of an `input.a.b` reference with only constant keys, or null.
+ */
+function inputPath(node) {
+    if (!node || node.type !== 'Ref' || node.head.type !== 'Var' || node.head.name !== 'input') return null;
+    if (!node.path.every(segment => segment.type === 'String')) return null;
+    return node.path.length ? node.path.map(segment => segment.value) : null;
+}
+
+function scalarOf(node) {
+    switch (node && node.type) {
+        case 'String':
+        case 'Number':
+        case 'Boolean':
+            return { value: node.value };
+        case 'Null':
+            return { value: null };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Turn a body literal into {path, op, value} when it compares an input field with a constant.
+ */
+function constraintOf(literal) {
+    if (literal.type !== 'Literal' || literal.with.length) return null;
+    const constraint = comparisonOf(literal.expr);
+    if (!constraint) return null;
+    return literal.negated ? { ...constraint, op: NEGATED[constraint.op] } : constraint;
+}
+
+function comparisonOf(expr) {
+    const truthyPath = inputPath(expr);
+    if (truthyPath) {
+        return { path: truthyPath, op: 'truthy', value: true };
+    }
+
+    if (expr.type === 'Membership' && !expr.key) {
+        const path = inputPath(expr.value);
+        const items = expr.collection && ['Set', 'Array'].includes(expr.collection.type) ? expr.collection.items.map(scalarOf) : [];
+        if (path && items.length && items[0]) {
+            return { path, op: 'eq', value: items[0].value };
+        }
+        return null;
+    }
+
+    let op;
+    if (expr.type === 'Unify') {
+        op = 'eq';
+    } else if (expr.type === 'Binary' && COMPARISONS[expr.operator]) {
+        op = COMPARISONS[expr.operator];
+    } else {
+        return null;
+    }
+
+    const leftPath = inputPath(expr.left);
+    const rightPath = inputPath(expr.right);
+    if (leftPath && scalarOf(expr.right)) {
+        return { path: leftPath, op, value: scalarOf(expr.right).value };
+    }
+    if (rightPath && scalarOf(expr.left)) {
+        return { path: rightPath, op: MIRRORED[op], value: scalarOf(expr.left).value };
+    }
+    return null;
+}
+
+/**
+ * A value for which `value op constraint.value` holds.
+ */
+function satisfyingValue({ op, value }) {
+    switch (op) {
+        case 'eq':
+        case 'gte':
+        case 'lte':
+            return value;
+        case 'neq':
+            return differentValue(value);
+        case 'gt':
+            return typeof value === 'number' ? value + 1 : `${value}~`;
+        case 'lt':
+            return typeof value === 'number' ? value - 1 : '';
+        case 'truthy':
+            return true;
+        case 'falsy':
+            return false;
+        default:
+            return undefined;
+    }
+}
+
+function differentValue(value) {
+    if (typeof value === 'number') return value + 1;
+    if (typeof value === 'boolean') return !value;
+    if (typeof value === 'string') return `not_${value || 'empty'}`;
+    return 'unexpected';
+}
+
+function buildInput(constraints) {
+    const input = {};
+    for (const constraint of constraints) {
+        const value = satisfyingValue(constraint);
+        if (value === undefined) continue;
+
+        let target = input;
+        for (const key of constraint.path.slice(0, -1)) {
+            if (target[key] === null || typeof target[key] !== 'object') {
+                target[key] = {};
+            }
+            target = target[key];
+        }
+        target[constraint.path[constraint.path.length - 1]] = value;
+    }
+    return input;
+}
+
+function derivedCase(description, input, expected) {
+    return {
+        description,
+        category: expected ? 'positive' : 'negative',
+        input,
+        expected,
+        source: 'derived'
+    };
+}
+
+function dedupeCases(cases) {
+    const seen = new Set();
+    return cases.filter(testCase => {
+        const key = `${JSON.stringify(testCase.input)}|${testCase.expected}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Start the server
+if (require.main === module) {
+    const server = new UnitTesterServer();
+    server.run().catch(console.error);
+}
+
+module.exports = { UnitTesterServer };
@@ -0,0 +1,77 @@
+process.env.LLM_PROVIDER = 'mock';
+
+const { UnitTesterServer } = require('./index');
+
+const POLICY = `package authz
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+    input.age >= 18
+}
+`;
+
+// Tool results are MCP text content holding the JSON envelope
+const payload = response => JSON.parse(response.content[0].text);
+
+let server;
+
+beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = new UnitTesterServer();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('generate-test-cases', () => {
+    test('derives passing positive, negative and edge cases from the rule bodies', async () => {
+        const { success, result } = payload(await server.generateTestCases({ policy: POLICY }));
+
+        expect(success).toBe(true);
+        expect(result.entrypoint).toBe('data.authz.allow');
+        expect(result.summary).toMatchObject({ positive: 1, negative: 2, failing: 0 });
+        expect(result.testCases.find(testCase => testCase.category === 'positive')).toMatchObject({
+            input: { user: { role: 'admin' }, age: 18 },
+            expected: true
+        });
+        expect(result.testCases.map(testCase => testCase.input)).toContainEqual({ user: { role: 'admin' }, age: 17 });
+    });
+
+    test('fails for a policy that does not parse', async () => {
+        const { success, error } = payload(await server.generateTestCases({ policy: 'package authz\nallow if {' }));
+
+        expect(success).toBe(false);
+        expect(error).toBe('Policy does not parse: 2:11: unexpected eof token: expected }');
+    });
+});
+
+describe('run-policy-tests', () => {
+    test('reports each case and whether all passed', async () => {
+        const { result, metadata } = payload(await server.runPolicyTests({
+            policy: POLICY,
+            testCases: [
+                { description: 'Adult admin', input: { user: { role: 'admin' }, age: 30 }, expected: true },
+                { description: 'Minor admin', input: { user: { role: 'admin' }, age: 12 }, expected: true }
+            ]
+        }));
+
+        expect(result).toMatchObject({ passed: 1, failed: 1 });
+        expect(metadata.all_passed).toBe(false);
+    });
+});
+
+describe('analyze-test-coverage', () => {
+    test('lists the rules no case reaches', async () => {
+        const { result } = payload(await server.analyzeTestCoverage({
+            policy: POLICY,
+            testCases: [{ description: 'Adult admin', input: { user: { role: 'admin' }, age: 30 }, expected: true }]
+        }));
+
+        expect(result).toMatchObject({ coverage_percent: 50, covered_rules: 1, total_rules: 2 });
+        expect(result.uncovered_rules).toEqual([expect.objectContaining({ kind: 'default', line: 3 })]);
+        expect(result.recommendations).toContain('Every case is allowed; add negative cases');
+    });
+});
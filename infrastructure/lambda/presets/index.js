@@ -0,0 +1,418 @@
+/**
+ * Target Presets
+ * What a policy needs to run on a given platform: the input document the platform sends, the
+ * package and decision rule it queries, the shape of meaningful test cases, and checks for
+ * those conventions. Selected with `context.target` when generating, refining or validating.
+ */
+
+const { walk } = require('../rego');
+
+const STRING = { type: 'string' };
+const STRINGS = { type: 'array', items: STRING };
+const OPEN_OBJECT = { type: 'object', additionalProperties: true };
+const STRING_MAP = { type: 'object', additionalProperties: STRING };
+
+const KUBERNETES_OBJECT = {
+    type: 'object',
+    description: 'Kubernetes resource, e.g. spec.containers[_].image for a Pod',
+    properties: {
+        apiVersion: STRING,
+        kind: STRING,
+        metadata: {
+            type: 'object',
+            properties: {
+                name: STRING,
+                namespace: STRING,
+                labels: STRING_MAP,
+                annotations: STRING_MAP
+            },
+            additionalProperties: true
+        },
+        spec: OPEN_OBJECT
+    },
+    additionalProperties: true
+};
+
+const ENVOY_ADDRESS = {
+    type: 'object',
+    properties: {
+        address: {
+            type: 'object',
+            properties: {
+                socketAddress: { type: 'object', properties: { address: STRING, portValue: { type: 'integer' } } }
+            }
+        },
+        principal: STRING
+    }
+};
+
+const PRESETS = {
+    'kubernetes-admission': {
+        title: 'Kubernetes admission (Gatekeeper)',
+        description: 'Gatekeeper ConstraintTemplate Rego evaluated on admission reviews',
+        package: 'k8s.admission',
+        decision: 'violation',
+        deployment_target: 'gatekeeper',
+        conventions: [
+            'Report each problem as `violation contains {"msg": msg} if { ... }` (Gatekeeper\'s `violation[{"msg": msg}]`); there is no allow rule',
+            'Read the resource from `input.review.object` and constraint settings from `input.parameters`',
+            'Check `input.review.kind.kind` before reading kind-specific fields such as `spec.containers`',
+            'Do not call http.send, net.lookup_ip_addr or opa.runtime; Gatekeeper does not allow them'
+        ],
+        tests: 'Test inputs are admission reviews: {"review": {...}, "parameters": {...}}. `expected` is true when the resource is admitted (no violations) and false when at least one violation is reported. Cover a compliant resource, each violation, and a resource of another kind.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                review: {
+                    type: 'object',
+                    description: 'The admission request',
+                    properties: {
+                        uid: STRING,
+                        kind: { type: 'object', properties: { group: STRING, version: STRING, kind: STRING } },
+                        resource: { type: 'object', properties: { group: STRING, version: STRING, resource: STRING } },
+                        name: STRING,
+                        namespace: STRING,
+                        operation: { type: 'string', enum: ['CREATE', 'UPDATE', 'DELETE', 'CONNECT'] },
+                        userInfo: {
+                            type: 'object',
+                            properties: { username: STRING, uid: STRING, groups: STRINGS, extra: OPEN_OBJECT }
+                        },
+                        object: KUBERNETES_OBJECT,
+                        oldObject: KUBERNETES_OBJECT,
+                        dryRun: { type: 'boolean' }
+                    }
+                },
+                parameters: { ...OPEN_OBJECT, description: 'The Constraint\'s spec.parameters' }
+            },
+            additionalProperties: false
+        },
+        checks: ast => [
+            ...requireSetRules(ast, ['violation'], 'violation contains {"msg": msg} if { ... }'),
+            ...requireMessageObjects(ast, 'violation'),
+            ...forbidCalls(ast, ['http.send', 'net.lookup_ip_addr', 'opa.runtime'], 'Gatekeeper')
+        ]
+    },
+
+    terraform: {
+        title: 'Terraform plan (conftest)',
+        description: 'conftest policies over `terraform show -json` plan output',
+        package: 'main',
+        decision: 'deny',
+        deployment_target: null,
+        conventions: [
+            'Use `package main`, the namespace conftest evaluates by default',
+            'Report each problem as `deny contains msg if { ... }` with a string message; use `warn contains msg if` for advisories',
+            'Iterate planned changes with `some rc in input.resource_changes` and read `rc.type`, `rc.address` and `rc.change.after`',
+            'Skip deletions: `rc.change.actions` is ["delete"] and `rc.change.after` is null for them'
+        ],
+        tests: 'Test inputs are plan JSON fragments with `resource_changes`. `expected` is true when the plan passes (no deny messages) and false when at least one is reported. Cover a compliant resource, each denial, a deleted resource and an unrelated resource type.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                format_version: STRING,
+                terraform_version: STRING,
+                variables: { type: 'object', additionalProperties: { type: 'object', properties: { value: {} } } },
+                planned_values: { type: 'object', properties: { root_module: OPEN_OBJECT, outputs: OPEN_OBJECT } },
+                resource_changes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            address: STRING,
+                            module_address: STRING,
+                            mode: { type: 'string', enum: ['managed', 'data'] },
+                            type: { ...STRING, description: 'Resource type, e.g. aws_s3_bucket' },
+                            name: STRING,
+                            index: {},
+                            provider_name: STRING,
+                            change: {
+                                type: 'object',
+                                properties: {
+                                    actions: { type: 'array', items: { type: 'string', enum: ['no-op', 'create', 'read', 'update', 'delete'] } },
+                                    before: { type: ['object', 'null'] },
+                                    after: { type: ['object', 'null'] },
+                                    after_unknown: OPEN_OBJECT
+                                }
+                            }
+                        }
+                    }
+                },
+                output_changes: OPEN_OBJECT,
+                prior_state: OPEN_OBJECT,
+                configuration: OPEN_OBJECT
+            },
+            additionalProperties: false
+        },
+        checks: ast => [
+            ...requirePackage(ast, 'main', 'conftest only evaluates `package main` unless run with --namespace'),
+            ...requireSetRules(ast, ['deny', 'violation', 'warn'], 'deny contains msg if { ... }', { prefixes: true })
+        ]
+    },
+
+    envoy: {
+        title: 'Envoy ext_authz',
+        description: 'opa-envoy-plugin authorizing requests through Envoy\'s external authorization filter',
+        package: 'envoy.authz',
+        decision: 'allow',
+        deployment_target: 'envoy',
+        conventions: [
+            'Use `package envoy.authz` with `default allow := false` and boolean `allow` rules (the plugin queries envoy/authz/allow)',
+            'Read the request from `input.attributes.request.http` (method, path, host, headers with lower-case names)',
+            'Use `input.parsed_path` (path segments) and `input.parsed_query` (values as arrays) instead of splitting the path',
+            'Decode bearer tokens from `input.attributes.request.http.headers.authorization` with io.jwt.decode_verify'
+        ],
+        tests: 'Test inputs are CheckRequests: {"attributes": {"request": {"http": {...}}}, "parsed_path": [...]}. Cover allowed and denied methods and paths, missing or invalid credentials, and header case.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                attributes: {
+                    type: 'object',
+                    properties: {
+                        source: ENVOY_ADDRESS,
+                        destination: ENVOY_ADDRESS,
+                        request: {
+                            type: 'object',
+                            properties: {
+                                time: STRING,
+                                http: {
+                                    type: 'object',
+                                    properties: {
+                                        id: STRING,
+                                        method: STRING,
+                                        headers: { ...STRING_MAP, description: 'Lower-case header names' },
+                                        path: { ...STRING, description: 'Path with the query string' },
+                                        host: STRING,
+                                        scheme: STRING,
+                                        query: STRING,
+                                        fragment: STRING,
+                                        size: STRING,
+                                        protocol: STRING,
+                                        body: STRING
+                                    }
+                                }
+                            }
+                        },
+                        context_extensions: STRING_MAP,
+                        metadata_context: OPEN_OBJECT
+                    }
+                },
+                parsed_path: { ...STRINGS, description: 'Path segments, e.g. ["api", "v1", "orders"]' },
+                parsed_query: { type: 'object', additionalProperties: STRINGS },
+                parsed_body: { description: 'JSON request body, when Envoy forwards it' },
+                truncated_body: { type: 'boolean' },
+                version: { type: 'object', properties: { encoding: STRING, ext_authz: STRING } }
+            },
+            additionalProperties: false
+        },
+        checks: ast => [...requireDefaultDeny(ast)]
+    },
+
+    kafka: {
+        title: 'Kafka authorizer',
+        description: 'opa-kafka-plugin authorizing Kafka broker operations',
+        package: 'kafka.authz',
+        decision: 'allow',
+        deployment_target: 'docker-compose',
+        conventions: [
+            'Use `package kafka.authz` with `default allow := false` and boolean `allow` rules',
+            'Read the operation from `input.action.operation` (e.g. "READ", "WRITE", "DESCRIBE") and the resource from `input.action.resourcePattern`',
+            'Identify clients by `input.requestContext.principal.name` (e.g. "User:alice" or a certificate DN)',
+            'Brokers need CLUSTER_ACTION on the cluster and DESCRIBE on topics; allow inter-broker principals explicitly'
+        ],
+        tests: 'Test inputs are authorization requests: {"action": {...}, "requestContext": {...}}. Cover producing, consuming, topic administration, an unknown principal and the broker principal.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'object',
+                    properties: {
+                        resourcePattern: {
+                            type: 'object',
+                            properties: {
+                                resourceType: { type: 'string', enum: ['TOPIC', 'GROUP', 'CLUSTER', 'TRANSACTIONAL_ID', 'DELEGATION_TOKEN', 'USER'] },
+                                name: STRING,
+                                patternType: { type: 'string', enum: ['LITERAL', 'PREFIXED'] },
+                                unknown: { type: 'boolean' }
+                            }
+                        },
+                        operation: {
+                            type: 'string',
+                            enum: ['ALL', 'READ', 'WRITE', 'CREATE', 'DELETE', 'ALTER', 'DESCRIBE', 'CLUSTER_ACTION',
+                                'DESCRIBE_CONFIGS', 'ALTER_CONFIGS', 'IDEMPOTENT_WRITE', 'CREATE_TOKENS', 'DESCRIBE_TOKENS']
+                        },
+                        resourceReferenceCount: { type: 'integer' },
+                        logIfAllowed: { type: 'boolean' },
+                        logIfDenied: { type: 'boolean' }
+                    }
+                },
+                requestContext: {
+                    type: 'object',
+                    properties: {
+                        clientAddress: STRING,
+                        clientInformation: { type: 'object', properties: { softwareName: STRING, softwareVersion: STRING } },
+                        connectionId: STRING,
+                        header: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'object', properties: { clientId: STRING, requestApiKey: { type: 'integer' }, requestVersion: { type: 'integer' } } },
+                                data: OPEN_OBJECT
+                            }
+                        },
+                        listenerName: STRING,
+                        principal: { type: 'object', properties: { name: STRING, principalType: STRING } },
+                        securityProtocol: { type: 'string', enum: ['PLAINTEXT', 'SSL', 'SASL_PLAINTEXT', 'SASL_SSL'] }
+                    }
+                }
+            },
+            additionalProperties: false
+        },
+        checks: ast => [...requireDefaultDeny(ast)]
+    },
+
+    'http-api': {
+        title: 'HTTP API authorization',
+        description: 'A service asking OPA\'s REST API whether to serve a request',
+        package: 'httpapi.authz',
+        decision: 'allow',
+        deployment_target: 'kubernetes-sidecar',
+        conventions: [
+            'Use `default allow := false` and boolean `allow` rules; the service queries POST /v1/data/<package>/allow',
+            'Match routes on `input.method` and `input.path`, the path split into segments, e.g. ["orders", order_id]',
+            'Read the caller from `input.user` (id and roles) or verify `input.token` with io.jwt.decode_verify'
+        ],
+        tests: 'Test inputs are requests: {"method": "GET", "path": ["orders", "42"], "user": {...}}. Cover each route and method, the owner and other users, each role, and an unauthenticated request.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                method: { type: 'string', enum: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'] },
+                path: { ...STRINGS, description: 'Request path split into segments, e.g. ["orders", "42"]' },
+                user: {
+                    type: 'object',
+                    description: 'The authenticated caller',
+                    properties: { id: STRING, roles: STRINGS },
+                    additionalProperties: true
+                },
+                token: { ...STRING, description: 'Bearer token, when the service forwards it' },
+                headers: STRING_MAP,
+                query: OPEN_OBJECT,
+                body: { description: 'Request body' }
+            },
+            additionalProperties: false
+        },
+        checks: ast => [...requireDefaultDeny(ast)]
+    }
+};
+
+class PresetError extends Error {
+    /**
+     * @param {string} code - unknown_target
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'PresetError';
+        this.code = code;
+    }
+}
+
+/**
+ * The preset named by `context.target`, or null when none is selected.
+ * Throws PresetError for unknown names.
+ */
+function resolvePreset(target) {
+    if (target === undefined || target === null || target === '') return null;
+    const preset = PRESETS[target];
+    if (!preset) {
+        throw new PresetError(`Unknown target: ${target} (expected one of ${Object.keys(PRESETS).join(', ')})`, 'unknown_target');
+    }
+    return { name: target, ...preset };
+}
+
+/**
+ * Prompt text for a preset: conventions, decision rule and how to write its test inputs
+ */
+function formatPreset(preset) {
+    return [
+        `Target platform: ${preset.title} (${preset.description}).`,
+        `Conventions:\n${preset.conventions.map(convention => `- ${convention}`).join('\n')}`,
+        `Decision: data.${preset.package}.${preset.decision} (package ${preset.package} unless the requirements name another).`,
+        `Tests: ${preset.tests}`
+    ].join('\n');
+}
+
+/**
+ * Places where a parsed policy breaks the preset's conventions, as warnings: the policy is valid
+ * Rego, but the platform would not evaluate it as intended
+ * @returns {{type: string, code: string, message: string, line: number, column: number}[]}
+ */
+function checkPreset(preset, ast) {
+    if (!ast || !ast.package) return [];
+    return preset.checks(ast).map(issue => ({ type: 'warning', code: 'target_convention', ...issue }));
+}
+
+function packageLocation(ast) {
+    return { line: ast.package.loc.line, column: ast.package.loc.column };
+}
+
+function requirePackage(ast, name, reason) {
+    if (ast.package.name === name) return [];
+    return [{ message: `package ${ast.package.name} should be package ${name}: ${reason}`, ...packageLocation(ast) }];
+}
+
+/**
+ * Decision rules must exist and be multi-value rules (`name contains value if`)
+ */
+function requireSetRules(ast, names, form, { prefixes = false } = {}) {
+    const matches = rule => names.some(name => rule.head.name === name || (prefixes && rule.head.name.startsWith(`${name}_`)));
+    const rules = ast.rules.filter(matches);
+    if (!rules.length) {
+        return [{ message: `no ${names.join(' or ')} rule: report each problem with \`${form}\``, ...packageLocation(ast) }];
+    }
+    return rules
+        .filter(rule => rule.kind !== 'partial_set')
+        .map(rule => ({
+            message: `${rule.head.name} must be a multi-value rule: \`${form}\``,
+            line: rule.loc.line,
+            column: rule.loc.column
+        }));
+}
+
+/**
+ * Gatekeeper reads the `msg` field of every violation
+ */
+function requireMessageObjects(ast, name) {
+    const carriesMessage = element => element.type === 'Var'
+        || (element.type === 'Object' && element.entries.some(({ key }) => key.type === 'String' && key.value === 'msg'));
+    return ast.rules
+        .filter(rule => rule.head.name === name && rule.kind === 'partial_set' && !carriesMessage(rule.head.key))
+        .map(rule => ({
+            message: `${name} values must be objects with a "msg" field, e.g. {"msg": msg}`,
+            line: rule.loc.line,
+            column: rule.loc.column
+        }));
+}
+
+function forbidCalls(ast, names, platform) {
+    const issues = [];
+    for (const rule of ast.rules) {
+        walk(rule, node => {
+            if (node.type === 'Call' && names.includes(node.name)) {
+                issues.push({ message: `${platform} does not allow ${node.name}`, line: node.loc.line, column: node.loc.column });
+            }
+        });
+    }
+    return issues;
+}
+
+function requireDefaultDeny(ast) {
+    const allow = ast.rules.filter(rule => rule.head.name === 'allow');
+    if (!allow.length) {
+        return [{ message: 'no allow rule: the platform queries a boolean allow decision', ...packageLocation(ast) }];
+    }
+    const defaultRule = allow.find(rule => rule.kind === 'default');
+    if (!defaultRule || defaultRule.head.value?.type !== 'Boolean' || defaultRule.head.value.value !== false) {
+        return [{ message: 'add `default allow := false` so requests no rule matches are denied', line: allow[0].loc.line, column: allow[0].loc.column }];
+    }
+    return [];
+}
+
+module.exports = { PRESETS, resolvePreset, formatPreset, checkPreset, PresetError };
@@ -0,0 +1,112 @@
+const { PRESETS, resolvePreset, formatPreset, checkPreset, PresetError } = require('./index');
+const { parseModule } = require('../rego');
+const { OPAPolicyAgent } = require('../agent-core-simple');
+const { MockProvider } = require('../providers/mock');
+
+function issuesFor(target, source) {
+    return checkPreset(resolvePreset(target), parseModule(source).ast)
+        .map(({ message, line }) => ({ message, line }));
+}
+
+const GET_ONLY = {
+    explanation: 'Allows GET requests.',
+    test_inputs: [
+        { description: 'GET is allowed', input: { attributes: { request: { http: { method: 'GET' } } } }, expected: true },
+        { description: 'POST is denied', input: { attributes: { request: { http: { method: 'POST' } } } }, expected: false }
+    ]
+};
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('resolvePreset', () => {
+    test('returns the preset with its name, or null without a target', () => {
+        expect(resolvePreset('envoy')).toMatchObject({ name: 'envoy', package: 'envoy.authz', decision: 'allow' });
+        expect(resolvePreset('')).toBeNull();
+        expect(resolvePreset(undefined)).toBeNull();
+    });
+
+    test('rejects an unknown target', () => {
+        expect(() => resolvePreset('lambda')).toThrow(PresetError);
+        expect(() => resolvePreset('lambda')).toThrow(`Unknown target: lambda (expected one of ${Object.keys(PRESETS).join(', ')})`);
+    });
+});
+
+describe('formatPreset', () => {
+    test('states the conventions, the decision and how to test', () => {
+        const text = formatPreset(resolvePreset('kafka'));
+
+        expect(text).toMatch(/^Target platform: Kafka authorizer/);
+        expect(text).toContain('- Use `package kafka.authz` with `default allow := false`');
+        expect(text).toContain('Decision: data.kafka.authz.allow (package kafka.authz unless the requirements name another).');
+        expect(text).toContain(`Tests: ${PRESETS.kafka.tests}`);
+    });
+});
+
+describe('checkPreset', () => {
+    test('accepts policies that follow each platform\'s conventions', () => {
+        expect(issuesFor('envoy', 'package envoy.authz\n\ndefault allow := false\n\nallow if input.attributes.request.http.method == "GET"\n')).toEqual([]);
+        expect(issuesFor('terraform', 'package main\n\ndeny contains msg if {\n    msg := "x"\n}\n')).toEqual([]);
+        expect(issuesFor('kubernetes-admission', `package k8s.admission
+
+violation contains {"msg": msg} if {
+    input.review.object.spec.hostNetwork
+    msg := "no host network"
+}
+`)).toEqual([]);
+    });
+
+    test('asks for a default deny on allow-style platforms', () => {
+        expect(issuesFor('http-api', 'package httpapi.authz\n\nallow if input.method == "GET"\n')).toEqual([
+            { message: 'add `default allow := false` so requests no rule matches are denied', line: 3 }
+        ]);
+    });
+
+    test('flags Gatekeeper violations without a message and calls it does not allow', () => {
+        expect(issuesFor('kubernetes-admission', `package k8s.admission
+
+violation contains "bad" if {
+    http.send({"url": "https://example.com", "method": "get"})
+}
+`)).toEqual([
+            { message: 'violation values must be objects with a "msg" field, e.g. {"msg": msg}', line: 3 },
+            { message: 'Gatekeeper does not allow http.send', line: 4 }
+        ]);
+    });
+
+    test('flags conftest packages and single-value deny rules', () => {
+        expect(issuesFor('terraform', 'package terraform\n\ndeny := ["x"]\n')).toEqual([
+            { message: 'package terraform should be package main: conftest only evaluates `package main` unless run with --namespace', line: 1 },
+            { message: 'deny must be a multi-value rule: `deny contains msg if { ... }`', line: 3 }
+        ]);
+    });
+});
+
+describe('generation with a target', () => {
+    test('prompts with the preset and its input, and corrects a policy that breaks its conventions', async () => {
+        const agent = new OPAPolicyAgent();
+        agent.llm = new MockProvider({
+            script: [
+                { ...GET_ONLY, policy: 'package envoy.authz\n\nallow if input.attributes.request.http.method == "GET"\n' },
+                { ...GET_ONLY, policy: 'package envoy.authz\n\ndefault allow := false\n\nallow if input.attributes.request.http.method == "GET"\n' }
+            ]
+        });
+        agent.initialized = true;
+
+        const result = await agent.generatePolicy('Allow only GET requests', { target: 'envoy' });
+
+        expect(agent.llm.calls[0].system).toContain('Target platform: Envoy ext_authz');
+        expect(agent.llm.calls[0].messages[0].content).toContain('Input fields (the canonical Envoy ext_authz input):');
+        expect(result.iterations[0].target_issues).toEqual([
+            { line: 3, column: 1, message: 'add `default allow := false` so requests no rule matches are denied' }
+        ]);
+        expect(result.iterations[1].clean).toBe(true);
+    });
+});
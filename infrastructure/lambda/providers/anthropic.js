@@ -0,0 +1,131 @@
+/**
+ * Anthropic Provider
+ * Messages API over fetch, so no extra SDK has to ship with the Lambda.
+ */
+
+const { LLMProvider, LLMProviderError } = require('./base');
+
+const API_VERSION = '2023-06-01';
+
+class AnthropicProvider extends LLMProvider {
+    /**
+     * @param {object} config - model, temperature, maxTokens, apiKey, optional baseURL
+     */
+    constructor(config = {}) {
+        super('anthropic', config);
+        this.apiKey = config.apiKey;
+        this.baseURL = (config.baseURL || 'https://api.anthropic.com').replace(/\/$/, '');
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * POST to the Messages API; the system prompt goes in its own field, not in the turns.
+     * A request schema becomes a single forced tool whose input is the structured answer.
+     */
+    async send(request, stream) {
+        const { model, temperature, maxTokens } = this.settingsOf(request);
+        const messages = this.messagesOf(request).filter(message => message.role !== 'system');
+        const system = [request.system, ...this.messagesOf(request).filter(m => m.role === 'system').map(m => m.content)]
+            .filter(Boolean)
+            .join('\n\n');
+
+        let response;
+        try {
+            response = await fetch(`${this.baseURL}/v1/messages`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': API_VERSION
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: maxTokens,
+                    temperature,
+                    ...(system ? { system } : {}),
+                    ...(stream ? { stream: true } : {}),
+                    ...(request.schema ? {
+                        tools: [{
+                            name: request.schema.name,
+                            description: 'Return the answer in this structure',
+                            input_schema: request.schema.schema
+                        }],
+                        tool_choice: { type: 'tool', name: request.schema.name }
+                    } : {}),
+                    messages
+                })
+            });
+        } catch (error) {
+            console.error('anthropic completion failed:', error);
+            // fetch rejects only when the request got no answer
+            throw new LLMProviderError(error.message, this.name, null, { retryable: true });
+        }
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new LLMProviderError(body.error?.message || `HTTP ${response.status}`, this.name, response.status);
+        }
+        return response;
+    }
+
+    async complete(request) {
+        const { model } = this.settingsOf(request);
+        const response = await this.send(request, false);
+        const body = await response.json().catch(() => ({}));
+
+        return {
+            content: contentOf(body.content || []),
+            model: body.model || model,
+            provider: this.name,
+            usage: {
+                input_tokens: body.usage?.input_tokens ?? null,
+                output_tokens: body.usage?.output_tokens ?? null
+            }
+        };
+    }
+
+    async * stream(request) {
+        const response = await this.send(request, true);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+
+                const event = JSON.parse(line.slice(6));
+                if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                    yield event.delta.text;
+                } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+                    yield event.delta.partial_json;
+                } else if (event.type === 'error') {
+                    throw new LLMProviderError(event.error?.message || 'stream error', this.name);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Response text: the forced tool's input as JSON when a schema was requested, the text blocks otherwise
+ */
+function contentOf(blocks) {
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    if (toolUse) {
+        return JSON.stringify(toolUse.input);
+    }
+    return blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+module.exports = { AnthropicProvider };
@@ -0,0 +1,84 @@
+/**
+ * LLM Provider Base
+ * Common request shape shared by every provider: a system prompt plus a user prompt (or messages).
+ */
+
+class LLMProviderError extends Error {
+    /**
+     * @param {number} [status] - HTTP status the backend answered with
+     * @param {object} [options] - `retryable` when another attempt may succeed; by default rate
+     *   limits, timeouts and server errors (408, 429, 5xx) are. `code` and `statusCode` describe
+     *   errors in the request's own `llm` settings, which the handlers answer with that status.
+     */
+    constructor(message, provider, status, options = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.code = options.code || 'llm_provider_error';
+        this.provider = provider;
+        this.status = status || null;
+        this.statusCode = options.statusCode || null;
+        this.retryable = options.retryable ?? (this.status === 408 || this.status === 429 || this.status >= 500);
+    }
+}
+
+class LLMProvider {
+    /**
+     * @param {object} config
+     * @param {string} config.model - model name sent to the backend
+     * @param {number} [config.temperature]
+     * @param {number} [config.maxTokens] - default completion budget when a request sets none
+     */
+    constructor(name, config = {}) {
+        this.name = name;
+        this.model = config.model;
+        this.temperature = config.temperature ?? 0.1;
+        this.maxTokens = config.maxTokens || 2000;
+    }
+
+    /**
+     * Whether the provider has what it needs (e.g. an API key) to serve requests.
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Run one completion.
+     * @param {object} request - {system, prompt} or {system, messages}, optional model, temperature, maxTokens,
+     *   and `schema` ({name, schema}) to have the model answer with JSON matching that JSON Schema
+     * @returns {Promise<{content: string, model: string, provider: string, usage: object}>}
+     */
+    async complete(request) {
+        throw new Error('complete method must be implemented by subclass');
+    }
+
+    /**
+     * Stream a completion as text deltas.
+     * Providers without native streaming yield the whole response as one delta.
+     * @returns {AsyncGenerator<string>}
+     */
+    async * stream(request) {
+        const completion = await this.complete(request);
+        yield completion.content;
+    }
+
+    /**
+     * Chat messages for a request; `prompt` is shorthand for a single user message.
+     */
+    messagesOf(request) {
+        if (Array.isArray(request.messages) && request.messages.length) {
+            return request.messages;
+        }
+        return [{ role: 'user', content: request.prompt || '' }];
+    }
+
+    settingsOf(request) {
+        return {
+            model: request.model || this.model,
+            temperature: request.temperature ?? this.temperature,
+            maxTokens: request.maxTokens || this.maxTokens
+        };
+    }
+}
+
+module.exports = { LLMProvider, LLMProviderError };
@@ -0,0 +1,126 @@
+/**
+ * LLM Providers
+ * Provider selection for the agent and MCP servers. The deployment picks a default through
+ * environment variables; a request may switch provider or model within what the deployment allows.
+ *
+ *   LLM_PROVIDER           openai (default) | anthropic | openai-compatible (alias ollama, vllm) | mock
+ *   LLM_MODEL              model for LLM_PROVIDER (each provider has its own default)
+ *   LLM_BASE_URL           endpoint for openai-compatible (default http://localhost:11434/v1)
+ *   LLM_API_KEY            key for openai-compatible endpoints that need one
+ *   LLM_TEMPERATURE        default 0.1
+ *   LLM_MAX_TOKENS         default completion budget when a call sets none
+ *   LLM_MOCK_SCRIPT        JSON file with scripted responses for the mock provider
+ *   LLM_ALLOWED_PROVIDERS  comma-separated providers a request may select (default: all but mock,
+ *                          unless mock is LLM_PROVIDER)
+ */
+
+const { LLMProvider, LLMProviderError } = require('./base');
+const { OpenAIProvider } = require('./openai');
+const { AnthropicProvider } = require('./anthropic');
+const { MockProvider } = require('./mock');
+
+const PROVIDER_NAMES = ['openai', 'anthropic', 'openai-compatible', 'mock'];
+
+const ALIASES = {
+    ollama: 'openai-compatible',
+    vllm: 'openai-compatible',
+    local: 'openai-compatible'
+};
+
+const DEFAULT_MODELS = {
+    openai: 'gpt-4o-mini',
+    anthropic: 'claude-3-5-haiku-latest',
+    'openai-compatible': 'llama3.1',
+    mock: 'mock'
+};
+
+function normalizeProviderName(name) {
+    const key = String(name || 'openai').trim().toLowerCase();
+    return ALIASES[key] || key;
+}
+
+function numberOrUndefined(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Create a provider from the environment, with optional overrides
+ * ({provider, model, temperature, maxTokens, apiKey, baseURL, script}).
+ */
+function createProvider(overrides = {}, env = process.env) {
+    const deploymentProvider = normalizeProviderName(env.LLM_PROVIDER);
+    const name = normalizeProviderName(overrides.provider || deploymentProvider);
+
+    if (!PROVIDER_NAMES.includes(name)) {
+        throw new LLMProviderError(`Unknown LLM provider: ${overrides.provider || env.LLM_PROVIDER}`, name);
+    }
+
+    // LLM_MODEL names a model of the deployment's provider, not of one a request switched to
+    const config = {
+        model: overrides.model || (name === deploymentProvider ? env.LLM_MODEL : undefined) || DEFAULT_MODELS[name],
+        temperature: numberOrUndefined(overrides.temperature) ?? numberOrUndefined(env.LLM_TEMPERATURE),
+        maxTokens: numberOrUndefined(overrides.maxTokens) ?? numberOrUndefined(env.LLM_MAX_TOKENS)
+    };
+
+    switch (name) {
+        case 'openai':
+            return new OpenAIProvider({ ...config, apiKey: overrides.apiKey || env.OPENAI_API_KEY });
+        case 'openai-compatible':
+            return new OpenAIProvider({
+                ...config,
+                apiKey: overrides.apiKey || env.LLM_API_KEY,
+                baseURL: overrides.baseURL || env.LLM_BASE_URL || 'http://localhost:11434/v1'
+            }, 'openai-compatible');
+        case 'anthropic':
+            return new AnthropicProvider({ ...config, apiKey: overrides.apiKey || env.ANTHROPIC_API_KEY, baseURL: overrides.baseURL });
+        case 'mock':
+            return new MockProvider({ ...config, script: overrides.script, scriptPath: env.LLM_MOCK_SCRIPT });
+        default:
+            throw new LLMProviderError(`Unknown LLM provider: ${name}`, name);
+    }
+}
+
+/**
+ * Provider for a request's `llm` settings ({provider, model, temperature, max_tokens}).
+ * Endpoints and keys always come from the deployment; returns `fallback` when nothing is requested.
+ */
+function providerForRequest(llm, fallback, env = process.env) {
+    if (!llm || typeof llm !== 'object' || (!llm.provider && !llm.model && llm.temperature === undefined && llm.max_tokens === undefined)) {
+        return fallback;
+    }
+
+    const name = normalizeProviderName(llm.provider || (fallback ? fallback.name : env.LLM_PROVIDER));
+    // The mock provider answers with canned policies, so requests only get it where it is configured
+    const defaultAllowed = PROVIDER_NAMES.filter(provider => provider !== 'mock' || normalizeProviderName(env.LLM_PROVIDER) === 'mock');
+    const allowed = (env.LLM_ALLOWED_PROVIDERS || defaultAllowed.join(','))
+        .split(',')
+        .map(normalizeProviderName);
+    if (!allowed.includes(name)) {
+        throw new LLMProviderError(`LLM provider not allowed for this deployment: ${name}`, name, null, {
+            code: 'llm_provider_not_allowed',
+            statusCode: 400
+        });
+    }
+
+    return createProvider({
+        provider: name,
+        model: llm.model || (fallback && fallback.name === name ? fallback.model : undefined),
+        temperature: llm.temperature,
+        maxTokens: llm.max_tokens
+    }, env);
+}
+
+module.exports = {
+    createProvider,
+    providerForRequest,
+    normalizeProviderName,
+    LLMProvider,
+    LLMProviderError,
+    OpenAIProvider,
+    AnthropicProvider,
+    MockProvider,
+    PROVIDER_NAMES,
+    DEFAULT_MODELS
+};
@@ -0,0 +1,89 @@
+const { createProvider, providerForRequest, normalizeProviderName, LLMProviderError } = require('./index');
+const { MockProvider } = require('./mock');
+
+describe('createProvider', () => {
+    test('builds the provider LLM_PROVIDER names', () => {
+        const provider = createProvider({}, { LLM_PROVIDER: 'mock' });
+
+        expect(provider).toBeInstanceOf(MockProvider);
+        expect(provider.isConfigured()).toBe(true);
+    });
+
+    test('rejects an unknown provider', () => {
+        expect(() => createProvider({}, { LLM_PROVIDER: 'nope' })).toThrow(LLMProviderError);
+    });
+
+    test('maps the openai-compatible aliases', () => {
+        expect(normalizeProviderName('ollama')).toBe('openai-compatible');
+        expect(normalizeProviderName('vllm')).toBe('openai-compatible');
+    });
+});
+
+describe('providerForRequest', () => {
+    const fallback = createProvider({}, { LLM_PROVIDER: 'mock' });
+
+    test('keeps the deployment provider when the request selects nothing', () => {
+        expect(providerForRequest(undefined, fallback)).toBe(fallback);
+        expect(providerForRequest({}, fallback)).toBe(fallback);
+    });
+
+    test('rejects providers outside LLM_ALLOWED_PROVIDERS as a client error', () => {
+        let error;
+        try {
+            providerForRequest({ provider: 'anthropic' }, fallback, { LLM_ALLOWED_PROVIDERS: 'mock' });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(LLMProviderError);
+        expect(error.code).toBe('llm_provider_not_allowed');
+        expect(error.statusCode).toBe(400);
+    });
+
+    test('allows the mock provider only where it is configured', () => {
+        const openai = { LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'key' };
+
+        expect(() => providerForRequest({ provider: 'mock' }, null, openai)).toThrow('LLM provider not allowed for this deployment: mock');
+        expect(providerForRequest({ provider: 'mock' }, null, { ...openai, LLM_ALLOWED_PROVIDERS: 'openai,mock' }).name).toBe('mock');
+        expect(providerForRequest({ provider: 'anthropic' }, null, openai).name).toBe('anthropic');
+    });
+
+    test('applies the requested settings to the deployment provider', () => {
+        const provider = providerForRequest({ temperature: 0.5 }, fallback, { LLM_PROVIDER: 'mock' });
+
+        expect(provider).not.toBe(fallback);
+        expect(provider.name).toBe('mock');
+        expect(provider.temperature).toBe(0.5);
+    });
+});
+
+describe('MockProvider', () => {
+    test('serves scripted responses in order, then canned ones', async () => {
+        const provider = new MockProvider({ script: ['first', { answer: 2 }] });
+        const ask = () => provider.complete({ messages: [{ role: 'user', content: 'hello' }] });
+
+        expect((await ask()).content).toBe('first');
+        expect((await ask()).content).toBe('{"answer":2}');
+        expect((await ask()).content).toBe('Offline mock response.');
+        expect(provider.calls).toHaveLength(3);
+    });
+
+    test('answers matching prompts from match entries', async () => {
+        const provider = new MockProvider({ script: [{ match: { regex: 'admin(s)?' }, response: 'matched' }] });
+
+        const { content } = await provider.complete({ messages: [{ role: 'user', content: 'only admins' }] });
+
+        expect(content).toBe('matched');
+    });
+
+    test('streams a response in several deltas', async () => {
+        const provider = new MockProvider();
+        const deltas = [];
+        for await (const delta of provider.stream({ messages: [{ role: 'user', content: 'Reply with "policy" JSON' }] })) {
+            deltas.push(delta);
+        }
+
+        expect(deltas.length).toBeGreaterThan(1);
+        expect(JSON.parse(deltas.join('')).policy).toMatch(/^package mock\.policy/);
+    });
+});
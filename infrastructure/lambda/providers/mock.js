@@ -0,0 +1,114 @@
+/**
+ * Mock Provider
+ * Deterministic, offline responses so handlers and workflows run without an API key.
+ *
+ * A script is a list of entries, either response strings served in order or
+ * `{match, response}` entries whose `match` (substring, or `{regex}`) is tested against the
+ * system and user prompt on every call. Object responses are sent as JSON. When nothing in the
+ * script applies, a canned response matching the JSON shape the prompt asks for is returned.
+ */
+
+const fs = require('fs');
+const { LLMProvider } = require('./base');
+
+// Size of the deltas the mock streams, so consumers see several chunks per response
+const STREAM_CHUNK_SIZE = 24;
+
+const MOCK_POLICY = `package mock.policy
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+}`;
+
+class MockProvider extends LLMProvider {
+    /**
+     * @param {object} config - `script` entries, or `scriptPath` to a JSON file holding them
+     */
+    constructor(config = {}) {
+        super('mock', { model: 'mock', ...config });
+        const script = config.script || (config.scriptPath ? JSON.parse(fs.readFileSync(config.scriptPath, 'utf8')) : []);
+        this.matchers = script.filter(entry => entry && typeof entry === 'object' && entry.match !== undefined);
+        this.queue = script.filter(entry => !(entry && typeof entry === 'object' && entry.match !== undefined));
+        this.calls = [];
+    }
+
+    async complete(request) {
+        const messages = this.messagesOf(request);
+        const text = [request.system || '', ...messages.map(message => message.content)].join('\n');
+        this.calls.push({
+            system: request.system || '',
+            messages,
+            settings: this.settingsOf(request),
+            schema: request.schema ? request.schema.name : null
+        });
+
+        const matcher = this.matchers.find(entry => matches(entry.match, text));
+        let response;
+        if (matcher) {
+            response = matcher.response;
+        } else if (this.queue.length) {
+            response = this.queue.shift();
+        } else {
+            response = defaultResponse(text);
+        }
+
+        const content = typeof response === 'string' ? response : JSON.stringify(response);
+        return {
+            content,
+            model: this.model,
+            provider: this.name,
+            usage: {
+                input_tokens: Math.ceil(text.length / 4),
+                output_tokens: Math.ceil(content.length / 4)
+            }
+        };
+    }
+
+    async * stream(request) {
+        const { content } = await this.complete(request);
+        for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+            yield content.slice(i, i + STREAM_CHUNK_SIZE);
+        }
+    }
+}
+
+function matches(pattern, text) {
+    if (pattern && typeof pattern === 'object' && pattern.regex) {
+        return new RegExp(pattern.regex, pattern.flags || '').test(text);
+    }
+    return text.includes(String(pattern));
+}
+
+/**
+ * Canned response for the JSON shape a prompt asks for; plain text otherwise.
+ */
+function defaultResponse(text) {
+    if (text.includes('"policy"')) {
+        return JSON.stringify({
+            policy: MOCK_POLICY,
+            explanation: 'Offline mock policy: only users with the admin role are allowed.',
+            test_inputs: [
+                { description: 'Admin user is allowed', input: { user: { role: 'admin' } }, expected: true },
+                { description: 'Guest user is denied', input: { user: { role: 'guest' } }, expected: false }
+            ],
+            changes: []
+        });
+    }
+    if (text.includes('"sentences"')) {
+        return JSON.stringify({
+            summary: 'Offline mock explanation: the decision follows from the evaluation trace.',
+            sentences: [{ text: 'The policy is declared on line 1.', lines: [1] }]
+        });
+    }
+    if (text.includes('"test_cases"')) {
+        return JSON.stringify({ test_cases: [] });
+    }
+    if (text.includes('"issues"')) {
+        return JSON.stringify({ issues: [], score: 100, summary: 'Offline mock review: no additional issues' });
+    }
+    return 'Offline mock response.';
+}
+
+module.exports = { MockProvider, MOCK_POLICY };
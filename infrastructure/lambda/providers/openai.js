@@ -0,0 +1,111 @@
+/**
+ * OpenAI Provider
+ * Chat completions against api.openai.com or any OpenAI-compatible endpoint (Ollama, vLLM).
+ */
+
+const { LLMProvider, LLMProviderError } = require('./base');
+
+class OpenAIProvider extends LLMProvider {
+    /**
+     * @param {object} config - model, temperature, maxTokens, apiKey, and baseURL for compatible endpoints
+     */
+    constructor(config = {}, name = 'openai') {
+        super(name, config);
+        this.apiKey = config.apiKey;
+        this.baseURL = config.baseURL || null;
+        this.client = null;
+    }
+
+    isConfigured() {
+        // Local endpoints usually run without authentication
+        return Boolean(this.apiKey || this.baseURL);
+    }
+
+    getClient() {
+        if (!this.client) {
+            const OpenAI = require('openai');
+            this.client = new OpenAI({
+                apiKey: this.apiKey || 'not-needed',
+                ...(this.baseURL ? { baseURL: this.baseURL } : {})
+            });
+        }
+        return this.client;
+    }
+
+    /**
+     * `response_format` for requests with a schema. Not strict: strict mode rejects free-form
+     * objects such as test inputs, so the agent validates the result itself.
+     */
+    responseFormat(request) {
+        if (!request.schema) {
+            return {};
+        }
+        return {
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: request.schema.name, schema: request.schema.schema, strict: false }
+            }
+        };
+    }
+
+    chatMessages(request) {
+        return request.system
+            ? [{ role: 'system', content: request.system }, ...this.messagesOf(request)]
+            : this.messagesOf(request);
+    }
+
+    async complete(request) {
+        const { model, temperature, maxTokens } = this.settingsOf(request);
+
+        try {
+            const completion = await this.getClient().chat.completions.create({
+                model,
+                messages: this.chatMessages(request),
+                temperature,
+                max_tokens: maxTokens,
+                ...this.responseFormat(request)
+            });
+
+            return {
+                content: completion.choices[0]?.message?.content || '',
+                model: completion.model || model,
+                provider: this.name,
+                usage: {
+                    input_tokens: completion.usage?.prompt_tokens ?? null,
+                    output_tokens: completion.usage?.completion_tokens ?? null
+                }
+            };
+        } catch (error) {
+            console.error(`${this.name} completion failed:`, error);
+            // Without a status the request never got an answer (connection failure or timeout)
+            throw new LLMProviderError(error.message, this.name, error.status, error.status ? {} : { retryable: true });
+        }
+    }
+
+    async * stream(request) {
+        const { model, temperature, maxTokens } = this.settingsOf(request);
+
+        let completion;
+        try {
+            completion = await this.getClient().chat.completions.create({
+                model,
+                messages: this.chatMessages(request),
+                temperature,
+                max_tokens: maxTokens,
+                ...this.responseFormat(request),
+                stream: true
+            });
+        } catch (error) {
+            console.error(`${this.name} streaming failed:`, error);
+            // Without a status the request never got an answer (connection failure or timeout)
+            throw new LLMProviderError(error.message, this.name, error.status, error.status ? {} : { retryable: true });
+        }
+
+        for await (const chunk of completion) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) yield delta;
+        }
+    }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,84 @@
+/**
+ * Rego AST utilities
+ * Generic traversal helpers shared by the checker, evaluator and tooling
+ */
+
+/**
+ * Return the direct child nodes of an AST node in source order.
+ */
+function children(node) {
+    if (!node || typeof node !== 'object') return [];
+
+    switch (node.type) {
+        case 'Module':
+            return [node.package, ...node.imports, ...node.rules].filter(Boolean);
+        case 'Package':
+        case 'Import':
+            return [node.path];
+        case 'Rule':
+            return [node.head, node.body, ...node.elses].filter(Boolean);
+        case 'RuleHead':
+            return [node.ref, ...(node.args || []), node.contains ? node.key : null, node.value].filter(Boolean);
+        case 'Else':
+            return [node.value, node.body].filter(Boolean);
+        case 'Body':
+            return node.literals;
+        case 'Literal':
+            return [node.expr, ...node.with];
+        case 'With':
+            return [node.target, node.value];
+        case 'SomeDecl':
+            return node.vars;
+        case 'SomeIn':
+        case 'Membership':
+            return [node.key, node.value, node.collection].filter(Boolean);
+        case 'Every':
+            return [node.key, node.value, node.domain, node.body].filter(Boolean);
+        case 'Assign':
+        case 'Unify':
+        case 'Binary':
+            return [node.left, node.right];
+        case 'Unary':
+            return [node.argument];
+        case 'Ref':
+            return [node.head, ...node.path];
+        case 'Call':
+            return [node.callee, ...node.args];
+        case 'Array':
+        case 'Set':
+            return node.items;
+        case 'Object':
+            return node.entries.flatMap(entry => [entry.key, entry.value]);
+        case 'ArrayComprehension':
+        case 'SetComprehension':
+            return [node.term, node.body];
+        case 'ObjectComprehension':
+            return [node.key, node.value, node.body];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Depth-first traversal. The visitor may return false to skip a node's children.
+ */
+function walk(node, visitor, parent = null) {
+    if (!node) return;
+    if (visitor(node, parent) === false) return;
+    for (const child of children(node)) {
+        walk(child, visitor, node);
+    }
+}
+
+/**
+ * Collect every Var name appearing under a node.
+ */
+function collectVars(node) {
+    const vars = new Set();
+    walk(node, n => {
+        if (n.type === 'Var') vars.add(n.name);
+    });
+    return vars;
+}
+
+module.exports = { children, walk, collectVars };
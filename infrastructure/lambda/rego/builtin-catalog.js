@@ -0,0 +1,57 @@
+/**
+ * Rego Builtin Catalog
+ * Every builtin function of an OPA release, with argument and result types, category and
+ * deprecation, read from catalog/v<version>.json. The checker, the language service and the
+ * generation prompts use it; the evaluator implements a subset of it (builtins.js).
+ * Types use the evaluator's notation: `string`, `number|string`, `collection`, `any`, ...
+ */
+
+// One catalog per supported OPA release; add a release by adding its file here
+const CATALOGS = {
+    '1.4.2': require('./catalog/v1.4.2.json')
+};
+
+const DEFAULT_OPA_VERSION = '1.4.2';
+
+const loaded = new Map();
+
+/**
+ * The catalog of an OPA release, the default one when `opaVersion` is omitted.
+ * Throws for a release without a catalog.
+ * @returns {{opa_version: string, builtins: object[], byName: Map<string, object>}}
+ */
+function getCatalog(opaVersion = DEFAULT_OPA_VERSION) {
+    const version = String(opaVersion).replace(/^v/, '');
+    if (!CATALOGS[version]) {
+        throw new Error(`No builtin catalog for OPA ${opaVersion}; available: ${Object.keys(CATALOGS).join(', ')}`);
+    }
+    if (!loaded.has(version)) {
+        const { builtins } = CATALOGS[version];
+        loaded.set(version, {
+            opa_version: version,
+            builtins,
+            byName: new Map(builtins.map(decl => [decl.name, decl]))
+        });
+    }
+    return loaded.get(version);
+}
+
+/**
+ * Signature of a catalog builtin, e.g. `startswith(search: string, base: string) → boolean`
+ */
+function builtinSignature(decl) {
+    const args = decl.args.map(arg => `${arg.name}: ${arg.type}`);
+    if (decl.variadic) args[args.length - 1] += '...';
+    return `${decl.name}(${args.join(', ')}) → ${decl.result}`;
+}
+
+/**
+ * Whether a value of `type` (possibly a union) can be passed where `spec` is expected
+ */
+function acceptsType(spec, type) {
+    if (spec === 'any' || type === 'any') return true;
+    return type.split('|').some(actual => spec.split('|').some(expected =>
+        expected === actual || (expected === 'collection' && ['array', 'object', 'set'].includes(actual))));
+}
+
+module.exports = { getCatalog, builtinSignature, acceptsType, DEFAULT_OPA_VERSION };
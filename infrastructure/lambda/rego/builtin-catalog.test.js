@@ -0,0 +1,85 @@
+const { getCatalog, builtinSignature, acceptsType, DEFAULT_OPA_VERSION } = require('./builtin-catalog');
+const { checkPolicy } = require('./index');
+
+const check = (body, options) => checkPolicy(`package authz\n\n${body}\n`, options);
+
+describe('getCatalog', () => {
+    test('loads the builtins of OPA 1.4.2 by name', () => {
+        const catalog = getCatalog('1.4.2');
+
+        expect(catalog.opa_version).toBe('1.4.2');
+        expect(catalog.byName.size).toBe(catalog.builtins.length);
+        expect(catalog.byName.get('contains')).toMatchObject({ category: 'strings', result: 'boolean' });
+        expect(catalog.byName.has('time.hour')).toBe(false);
+    });
+
+    test('defaults to the current release and accepts a v prefix', () => {
+        expect(getCatalog()).toBe(getCatalog(DEFAULT_OPA_VERSION));
+        expect(getCatalog('v1.4.2')).toBe(getCatalog('1.4.2'));
+    });
+
+    test('throws for a release without a catalog', () => {
+        expect(() => getCatalog('0.9.0')).toThrow('No builtin catalog for OPA 0.9.0; available: 1.4.2');
+    });
+});
+
+describe('builtinSignature', () => {
+    test('lists the arguments with their types and the result', () => {
+        const { byName } = getCatalog();
+
+        expect(builtinSignature(byName.get('contains'))).toBe('contains(haystack: string, needle: string) → boolean');
+        expect(builtinSignature(byName.get('time.now_ns'))).toBe('time.now_ns() → number');
+    });
+});
+
+describe('acceptsType', () => {
+    test('matches union types, collections and any', () => {
+        expect(acceptsType('number|string', 'number')).toBe(true);
+        expect(acceptsType('string', 'number')).toBe(false);
+        expect(acceptsType('collection', 'set')).toBe(true);
+        expect(acceptsType('string', 'any')).toBe(true);
+    });
+});
+
+describe('builtin call checks', () => {
+    test('reports a call with too few arguments with the signature', () => {
+        expect(check('allow if contains("a")').errors).toEqual([{
+            type: 'error',
+            code: 'rego_type_error',
+            message: 'contains: expected 2 argument(s) but got 1',
+            line: 3,
+            column: 10,
+            suggestion: 'contains(haystack: string, needle: string) → boolean'
+        }]);
+    });
+
+    test('accepts one more argument to bind the result', () => {
+        expect(check('allow if startswith("abc", "a", true)').errors).toEqual([]);
+    });
+
+    test('reports a literal of the wrong type', () => {
+        expect(check('allow if contains(1, "a")').errors[0].message).toBe('contains: operand 1 must be string but got number');
+    });
+
+    test('reports an undefined function with what the release has instead', () => {
+        expect(check('allow if cotains("a", "b")').errors[0]).toMatchObject({
+            message: 'undefined function cotains',
+            suggestion: 'OPA 1.4.2 has no builtin cotains; define it as a function in the policy'
+        });
+        expect(check('allow if strings.contains("a", "b")').errors[0].suggestion)
+            .toBe('Did you mean contains(haystack: string, needle: string) → boolean?');
+        expect(check('allow if time.hour(1)').errors[0].suggestion).toMatch(/^OPA 1\.4\.2 has no time\.hour; builtins under time\. are time\.now_ns, /);
+    });
+
+    test('leaves functions the policy defines alone', () => {
+        expect(check('cotains(a, b) := a == b\n\nallow if cotains("a", "b")').errors).toEqual([]);
+    });
+
+    test('warns about deprecated builtins, and rejects them in v1', () => {
+        expect(check('allow if any([true])').warnings).toEqual([expect.objectContaining({
+            code: 'deprecated_builtin',
+            suggestion: 'Use true in collection instead'
+        })]);
+        expect(check('allow if any([true])', { regoVersion: 'v1' }).errors[0].code).toBe('rego_type_error');
+    });
+});
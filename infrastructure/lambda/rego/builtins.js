@@ -0,0 +1,779 @@
+/**
+ * Rego Built-in Functions
+ * Declarations (argument and result types) and implementations used by the evaluator.
+ * Implementations avoid Node-only APIs so the evaluator also runs in the browser.
+ */
+
+const {
+    RegoSet,
+    typeName,
+    equal,
+    compare,
+    fromJSON,
+    toJSON,
+    objectKey,
+    entriesOf,
+    lookup
+} = require('./values');
+const { Regex, RegexSyntaxError } = require('./regex');
+
+class BuiltinError extends Error {
+    /**
+     * @param {boolean} [halt] - stop evaluation instead of leaving the expression undefined, as OPA
+     *   does for division by zero
+     */
+    constructor(name, message, halt = false) {
+        super(`${name}: ${message}`);
+        this.name = 'BuiltinError';
+        this.code = 'eval_builtin_error';
+        this.builtin = name;
+        this.halt = halt;
+    }
+}
+
+const BUILTINS = {};
+
+// Largest array numbers.range builds
+const MAX_RANGE_SIZE = 100000;
+
+/**
+ * Register a built-in function.
+ * @param {string} name - fully qualified name, e.g. `strings.replace_n`
+ * @param {string[]} args - argument types (`any`, `string`, `number|string`, ...)
+ * @param {string} result - result type
+ * @param {Function} impl - (args, ctx) => value; return undefined for an undefined result
+ * @param {object} [options] - `infix` operator, `relation` (impl yields many results), `deprecated`
+ */
+function declare(name, args, result, impl, options = {}) {
+    BUILTINS[name] = { name, args, result, impl, ...options };
+}
+
+function matchesType(value, spec) {
+    if (spec === 'any') return true;
+    const actual = typeName(value);
+    return spec.split('|').some(type => {
+        if (type === 'collection') return ['array', 'object', 'set'].includes(actual);
+        return type === actual;
+    });
+}
+
+function checkArgs(decl, args) {
+    if (args.length !== decl.args.length) {
+        throw new BuiltinError(decl.name, `expected ${decl.args.length} argument(s) but got ${args.length}`);
+    }
+    decl.args.forEach((spec, i) => {
+        if (!matchesType(args[i], spec)) {
+            throw new BuiltinError(decl.name, `operand ${i + 1} must be ${spec.replace(/\|/g, ' or ')} but got ${typeName(args[i])}`);
+        }
+    });
+}
+
+/**
+ * Call a built-in with already evaluated arguments.
+ * Type errors and runtime failures raise BuiltinError.
+ */
+function callBuiltin(name, args, ctx = {}) {
+    const decl = BUILTINS[name];
+    if (!decl) {
+        throw new BuiltinError(name, 'unsupported built-in function');
+    }
+    checkArgs(decl, args);
+    return decl.impl(args, ctx);
+}
+
+function fail(name, message, halt = false) {
+    throw new BuiltinError(name, message, halt);
+}
+
+/**
+ * Count work against the evaluator's step budget before doing it; a no-op outside an evaluation
+ */
+function charge(ctx, steps) {
+    if (ctx.charge) ctx.charge(steps);
+}
+
+// Steps for building a string of `length` characters, as the evaluator charges string results
+const stringWork = length => Math.ceil(length / 16);
+
+// ----------------------------------------------------------------------
+// Comparison and arithmetic (also used for infix operators)
+// ----------------------------------------------------------------------
+
+declare('equal', ['any', 'any'], 'boolean', ([a, b]) => equal(a, b), { infix: '==' });
+declare('neq', ['any', 'any'], 'boolean', ([a, b]) => !equal(a, b), { infix: '!=' });
+declare('lt', ['any', 'any'], 'boolean', ([a, b]) => compare(a, b) < 0, { infix: '<' });
+declare('lte', ['any', 'any'], 'boolean', ([a, b]) => compare(a, b) <= 0, { infix: '<=' });
+declare('gt', ['any', 'any'], 'boolean', ([a, b]) => compare(a, b) > 0, { infix: '>' });
+declare('gte', ['any', 'any'], 'boolean', ([a, b]) => compare(a, b) >= 0, { infix: '>=' });
+
+declare('plus', ['number', 'number'], 'number', ([a, b]) => a + b, { infix: '+' });
+declare('mul', ['number', 'number'], 'number', ([a, b]) => a * b, { infix: '*' });
+declare('div', ['number', 'number'], 'number', ([a, b]) => {
+    if (b === 0) fail('div', 'divide by zero', true);
+    return a / b;
+}, { infix: '/' });
+declare('rem', ['number', 'number'], 'number', ([a, b]) => {
+    if (!Number.isInteger(a) || !Number.isInteger(b)) fail('rem', 'modulo on floating-point number');
+    if (b === 0) fail('rem', 'modulo by zero', true);
+    return a % b;
+}, { infix: '%' });
+declare('minus', ['number|set', 'number|set'], 'number|set', ([a, b]) => {
+    if (typeName(a) !== typeName(b)) fail('minus', `operand types must match but got ${typeName(a)} and ${typeName(b)}`);
+    if (a instanceof RegoSet) return new RegoSet(a.values().filter(item => !b.has(item)));
+    return a - b;
+}, { infix: '-' });
+declare('and', ['set', 'set'], 'set', ([a, b]) => new RegoSet(a.values().filter(item => b.has(item))), { infix: '&' });
+declare('or', ['set', 'set'], 'set', ([a, b]) => new RegoSet([...a.values(), ...b.values()]), { infix: '|' });
+
+declare('abs', ['number'], 'number', ([n]) => Math.abs(n));
+declare('round', ['number'], 'number', ([n]) => Math.sign(n) * Math.round(Math.abs(n)));
+declare('ceil', ['number'], 'number', ([n]) => Math.ceil(n));
+declare('floor', ['number'], 'number', ([n]) => Math.floor(n));
+declare('numbers.range', ['number', 'number'], 'array', ([a, b], ctx) => {
+    if (!Number.isInteger(a) || !Number.isInteger(b)) fail('numbers.range', 'operands must be integers');
+    const size = Math.abs(b - a) + 1;
+    if (size > MAX_RANGE_SIZE) fail('numbers.range', `range of ${size} numbers exceeds the limit of ${MAX_RANGE_SIZE}`);
+    charge(ctx, size);
+    const result = [];
+    const step = a <= b ? 1 : -1;
+    for (let i = a; step > 0 ? i <= b : i >= b; i += step) result.push(i);
+    return result;
+});
+declare('to_number', ['null|boolean|number|string'], 'number', ([v]) => {
+    if (v === null) return 0;
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    if (typeof v === 'number') return v;
+    const n = Number(v);
+    if (v.trim() === '' || Number.isNaN(n)) fail('to_number', `invalid syntax: ${JSON.stringify(v)}`);
+    return n;
+});
+declare('format_int', ['number', 'number'], 'string', ([n, base]) => {
+    if (![2, 8, 10, 16].includes(base)) fail('format_int', 'base must be one of 2, 8, 10, 16');
+    return Math.trunc(n).toString(base);
+});
+
+// ----------------------------------------------------------------------
+// Aggregates
+// ----------------------------------------------------------------------
+
+declare('count', ['collection|string'], 'number', ([c]) => {
+    if (typeof c === 'string') return [...c].length;
+    if (c instanceof RegoSet) return c.size;
+    if (Array.isArray(c)) return c.length;
+    return Object.keys(c).length;
+});
+declare('sum', ['array|set'], 'number', ([c]) => numbersOf('sum', c).reduce((acc, n) => acc + n, 0));
+declare('product', ['array|set'], 'number', ([c]) => numbersOf('product', c).reduce((acc, n) => acc * n, 1));
+declare('max', ['array|set'], 'any', ([c]) => {
+    const items = c instanceof RegoSet ? c.values() : c;
+    return items.length ? items.reduce((best, v) => (compare(v, best) > 0 ? v : best)) : undefined;
+});
+declare('min', ['array|set'], 'any', ([c]) => {
+    const items = c instanceof RegoSet ? c.values() : c;
+    return items.length ? items.reduce((best, v) => (compare(v, best) < 0 ? v : best)) : undefined;
+});
+declare('sort', ['array|set'], 'array', ([c]) => (c instanceof RegoSet ? c.sorted() : [...c].sort(compare)));
+declare('all', ['array|set'], 'boolean', ([c]) => [...(c instanceof RegoSet ? c.values() : c)].every(v => v === true), { deprecated: true });
+declare('any', ['array|set'], 'boolean', ([c]) => [...(c instanceof RegoSet ? c.values() : c)].some(v => v === true), { deprecated: true });
+
+function numbersOf(name, collection) {
+    const items = collection instanceof RegoSet ? collection.values() : collection;
+    items.forEach(item => {
+        if (typeof item !== 'number') fail(name, `operand 1 must be a collection of numbers but contains ${typeName(item)}`);
+    });
+    return items;
+}
+
+// ----------------------------------------------------------------------
+// Arrays, sets and objects
+// ----------------------------------------------------------------------
+
+declare('array.concat', ['array', 'array'], 'array', ([a, b]) => [...a, ...b]);
+declare('array.slice', ['array', 'number', 'number'], 'array', ([a, start, stop]) => {
+    const from = Math.max(0, start);
+    const to = Math.min(a.length, stop);
+    return from >= to ? [] : a.slice(from, to);
+});
+declare('array.reverse', ['array'], 'array', ([a]) => [...a].reverse());
+
+declare('union', ['set'], 'set', ([sets]) => {
+    const result = new RegoSet();
+    for (const s of sets) {
+        if (!(s instanceof RegoSet)) fail('union', 'operand 1 must be a set of sets');
+        s.values().forEach(item => result.add(item));
+    }
+    return result;
+});
+declare('intersection', ['set'], 'set', ([sets]) => {
+    const all = sets.values();
+    if (!all.length) return new RegoSet();
+    all.forEach(s => {
+        if (!(s instanceof RegoSet)) fail('intersection', 'operand 1 must be a set of sets');
+    });
+    return new RegoSet(all[0].values().filter(item => all.every(s => s.has(item))));
+});
+
+declare('object.get', ['object', 'any', 'any'], 'any', ([obj, key, fallback]) => {
+    if (!Array.isArray(key)) {
+        const value = lookup(obj, key);
+        return value === undefined ? fallback : value;
+    }
+    let current = obj;
+    for (const segment of key) {
+        current = lookup(current, segment);
+        if (current === undefined) return fallback;
+    }
+    return current;
+});
+declare('object.keys', ['object'], 'set', ([obj]) => new RegoSet(Object.keys(obj)));
+declare('object.remove', ['object', 'array|set|object'], 'object', ([obj, keys]) => {
+    const drop = new Set((typeName(keys) === 'object' ? Object.keys(keys) : [...keys]).map(objectKey));
+    const result = {};
+    for (const [k, v] of Object.entries(obj)) {
+        if (!drop.has(k)) result[k] = v;
+    }
+    return result;
+});
+declare('object.filter', ['object', 'array|set|object'], 'object', ([obj, keys]) => {
+    const keep = new Set((typeName(keys) === 'object' ? Object.keys(keys) : [...keys]).map(objectKey));
+    const result = {};
+    for (const [k, v] of Object.entries(obj)) {
+        if (keep.has(k)) result[k] = v;
+    }
+    return result;
+});
+declare('object.union', ['object', 'object'], 'object', ([a, b]) => mergeObjects(a, b));
+declare('object.union_n', ['array'], 'object', ([objects]) => objects.reduce((acc, obj) => {
+    if (typeName(obj) !== 'object') fail('object.union_n', 'operand 1 must be an array of objects');
+    return mergeObjects(acc, obj);
+}, {}));
+declare('object.subset', ['any', 'any'], 'boolean', ([super_, sub]) => isSubset(super_, sub));
+
+function mergeObjects(a, b) {
+    const result = { ...a };
+    for (const [k, v] of Object.entries(b)) {
+        result[k] = typeName(result[k]) === 'object' && typeName(v) === 'object' ? mergeObjects(result[k], v) : v;
+    }
+    return result;
+}
+
+function isSubset(superValue, subValue) {
+    if (typeName(superValue) === 'object' && typeName(subValue) === 'object') {
+        return Object.entries(subValue).every(([k, v]) => k in superValue && isSubset(superValue[k], v));
+    }
+    if (superValue instanceof RegoSet && subValue instanceof RegoSet) {
+        return subValue.values().every(item => superValue.has(item));
+    }
+    if (Array.isArray(superValue) && Array.isArray(subValue)) {
+        if (!subValue.length) return true;
+        for (let i = 0; i + subValue.length <= superValue.length; i++) {
+            if (subValue.every((item, j) => equal(item, superValue[i + j]))) return true;
+        }
+        return false;
+    }
+    return equal(superValue, subValue);
+}
+
+declare('walk', ['any'], 'array', function* ([value]) {
+    yield* walkValue(value, []);
+}, { relation: true });
+
+function* walkValue(value, path) {
+    yield [path, value];
+    for (const [key, child] of entriesOf(value)) {
+        yield* walkValue(child, [...path, key]);
+    }
+}
+
+// ----------------------------------------------------------------------
+// Strings
+// ----------------------------------------------------------------------
+
+declare('concat', ['string', 'array|set'], 'string', ([sep, items]) => {
+    const list = items instanceof RegoSet ? items.sorted() : items;
+    list.forEach(item => {
+        if (typeof item !== 'string') fail('concat', `operand 2 must be array or set of strings but contains ${typeName(item)}`);
+    });
+    return list.join(sep);
+});
+declare('contains', ['string', 'string'], 'boolean', ([s, sub]) => s.includes(sub));
+declare('startswith', ['string', 'string'], 'boolean', ([s, prefix]) => s.startsWith(prefix));
+declare('endswith', ['string', 'string'], 'boolean', ([s, suffix]) => s.endsWith(suffix));
+declare('lower', ['string'], 'string', ([s]) => s.toLowerCase());
+declare('upper', ['string'], 'string', ([s]) => s.toUpperCase());
+declare('split', ['string', 'string'], 'array', ([s, sep]) => s.split(sep));
+declare('replace', ['string', 'string', 'string'], 'string', ([s, old, replacement], ctx) => {
+    const parts = s.split(old);
+    charge(ctx, stringWork(s.length + (parts.length - 1) * replacement.length));
+    return parts.join(replacement);
+});
+declare('strings.replace_n', ['object', 'string'], 'string', ([patterns, s], ctx) => {
+    const keys = Object.keys(patterns).sort();
+    keys.forEach(k => {
+        if (typeof patterns[k] !== 'string') fail('strings.replace_n', 'operand 1 must be an object of strings');
+    });
+    if (!keys.length) return s;
+    // At most every character starts a match, so this bounds the result
+    charge(ctx, stringWork(s.length * Math.max(1, ...keys.map(k => patterns[k].length))));
+    const pattern = new RegExp(keys.map(escapeRegExp).join('|'), 'g');
+    return s.replace(pattern, match => patterns[match]);
+});
+declare('strings.reverse', ['string'], 'string', ([s]) => [...s].reverse().join(''));
+declare('strings.count', ['string', 'string'], 'number', ([s, sub]) => (sub === '' ? [...s].length + 1 : s.split(sub).length - 1));
+declare('strings.any_prefix_match', ['string|array|set', 'string|array|set'], 'boolean', ([search, base]) =>
+    stringsOf(search).some(s => stringsOf(base).some(prefix => s.startsWith(prefix))));
+declare('strings.any_suffix_match', ['string|array|set', 'string|array|set'], 'boolean', ([search, base]) =>
+    stringsOf(search).some(s => stringsOf(base).some(suffix => s.endsWith(suffix))));
+declare('trim', ['string', 'string'], 'string', ([s, cutset]) => trimChars(trimChars(s, cutset, 'left'), cutset, 'right'));
+declare('trim_left', ['string', 'string'], 'string', ([s, cutset]) => trimChars(s, cutset, 'left'));
+declare('trim_right', ['string', 'string'], 'string', ([s, cutset]) => trimChars(s, cutset, 'right'));
+declare('trim_prefix', ['string', 'string'], 'string', ([s, prefix]) => (s.startsWith(prefix) ? s.slice(prefix.length) : s));
+declare('trim_suffix', ['string', 'string'], 'string', ([s, suffix]) => (suffix && s.endsWith(suffix) ? s.slice(0, -suffix.length) : s));
+declare('trim_space', ['string'], 'string', ([s]) => s.trim());
+declare('substring', ['string', 'number', 'number'], 'string', ([s, start, length]) => {
+    const chars = [...s];
+    if (start < 0) fail('substring', 'negative offset');
+    if (start >= chars.length) return '';
+    return (length < 0 ? chars.slice(start) : chars.slice(start, start + length)).join('');
+});
+declare('indexof', ['string', 'string'], 'number', ([s, sub]) => {
+    const index = s.indexOf(sub);
+    return index < 0 ? -1 : [...s.slice(0, index)].length;
+});
+declare('indexof_n', ['string', 'string'], 'array', ([s, sub]) => {
+    const result = [];
+    let index = s.indexOf(sub);
+    while (index >= 0 && sub) {
+        result.push([...s.slice(0, index)].length);
+        index = s.indexOf(sub, index + 1);
+    }
+    return result;
+});
+declare('sprintf', ['string', 'array'], 'string', ([format, values], ctx) => {
+    for (const [, width] of format.matchAll(/%[-+ 0#]*(\d+)/g)) charge(ctx, stringWork(Number(width)));
+    return sprintf(format, values);
+});
+
+function stringsOf(value) {
+    const list = typeof value === 'string' ? [value] : (value instanceof RegoSet ? value.values() : value);
+    return list.filter(item => typeof item === 'string');
+}
+
+function trimChars(s, cutset, side) {
+    const chars = [...s];
+    const cut = new Set([...cutset]);
+    if (side === 'left') {
+        while (chars.length && cut.has(chars[0])) chars.shift();
+    } else {
+        while (chars.length && cut.has(chars[chars.length - 1])) chars.pop();
+    }
+    return chars.join('');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Go-style formatting for the verbs Rego policies use (%v %s %d %f %q %x %t %%).
+ */
+function sprintf(format, values) {
+    let index = 0;
+    return format.replace(/%([-+ 0#]*)(\d*)(?:\.(\d+))?([vsdfqxXtTeg%])/g, (match, flags, width, precision, verb) => {
+        if (verb === '%') return '%';
+        if (index >= values.length) return `%!${verb}(MISSING)`;
+        const value = values[index++];
+        let text;
+
+        switch (verb) {
+            case 'v':
+            case 's':
+                text = typeof value === 'string' ? value : formatValue(value);
+                break;
+            case 'd':
+                text = typeof value === 'number' && Number.isInteger(value) ? String(value) : `%!d(${formatValue(value)})`;
+                break;
+            case 'f':
+            case 'e':
+            case 'g':
+                if (typeof value !== 'number') {
+                    text = `%!${verb}(${formatValue(value)})`;
+                } else if (verb === 'e') {
+                    text = value.toExponential(precision !== undefined ? Number(precision) : 6);
+                } else if (verb === 'g') {
+                    text = precision !== undefined ? String(Number(value.toPrecision(Number(precision)))) : String(value);
+                } else {
+                    text = value.toFixed(precision !== undefined ? Number(precision) : 6);
+                }
+                break;
+            case 'q':
+                text = JSON.stringify(typeof value === 'string' ? value : formatValue(value));
+                break;
+            case 'x':
+            case 'X': {
+                const hex = typeof value === 'number'
+                    ? Math.trunc(value).toString(16)
+                    : [...new TextEncoder().encode(String(value))].map(b => b.toString(16).padStart(2, '0')).join('');
+                text = verb === 'X' ? hex.toUpperCase() : hex;
+                break;
+            }
+            case 't':
+                text = typeof value === 'boolean' ? String(value) : `%!t(${formatValue(value)})`;
+                break;
+            case 'T':
+                text = typeName(value);
+                break;
+            default:
+                text = formatValue(value);
+        }
+
+        if (width && text.length < Number(width)) {
+            const pad = (flags.includes('0') && !flags.includes('-') ? '0' : ' ').repeat(Number(width) - text.length);
+            text = flags.includes('-') ? text + pad : pad + text;
+        }
+        return text;
+    });
+}
+
+/**
+ * Render a value the way OPA prints terms: `["a", 1]`, `{"k": true}`, `{1, 2}`, `set()`.
+ */
+function formatValue(value) {
+    switch (typeName(value)) {
+        case 'null':
+            return 'null';
+        case 'string':
+            return JSON.stringify(value);
+        case 'array':
+            return `[${value.map(formatValue).join(', ')}]`;
+        case 'object':
+            return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}: ${formatValue(value[k])}`).join(', ')}}`;
+        case 'set':
+            return value.size ? `{${value.sorted().map(formatValue).join(', ')}}` : 'set()';
+        default:
+            return String(value);
+    }
+}
+
+// ----------------------------------------------------------------------
+// Regular expressions and globs
+// ----------------------------------------------------------------------
+
+const regexCache = new Map();
+
+// Patterns run on the linear-time engine in regex.js: RE2 syntax, and no pattern can backtrack
+function compileRegex(name, pattern) {
+    if (!regexCache.has(pattern)) {
+        try {
+            regexCache.set(pattern, new Regex(pattern));
+        } catch (error) {
+            if (!(error instanceof RegexSyntaxError)) throw error;
+            fail(name, error.message);
+        }
+    }
+    return regexCache.get(pattern);
+}
+
+declare('regex.match', ['string', 'string'], 'boolean', ([pattern, value], ctx) => compileRegex('regex.match', pattern).test(value, ctx.charge));
+declare('re_match', ['string', 'string'], 'boolean', ([pattern, value], ctx) => compileRegex('re_match', pattern).test(value, ctx.charge),
+    { deprecated: true });
+declare('regex.is_valid', ['any'], 'boolean', ([pattern]) => {
+    if (typeof pattern !== 'string') return false;
+    try {
+        compileRegex('regex.is_valid', pattern);
+        return true;
+    } catch (error) {
+        return false;
+    }
+});
+declare('regex.split', ['string', 'string'], 'array', ([pattern, value], ctx) => compileRegex('regex.split', pattern).split(value, ctx.charge));
+declare('regex.find_n', ['string', 'string', 'number'], 'array', ([pattern, value, n], ctx) =>
+    compileRegex('regex.find_n', pattern).find(value, n, ctx.charge));
+declare('regex.replace', ['string', 'string', 'string'], 'string', ([value, pattern, replacement], ctx) =>
+    compileRegex('regex.replace', pattern).replace(value, replacement, ctx.charge));
+
+declare('glob.match', ['string', 'null|array', 'string'], 'boolean', ([pattern, delimiters, value], ctx) => {
+    const delims = delimiters && delimiters.length ? delimiters : ['.'];
+    return globToRegex(pattern, delims).test(value, ctx.charge);
+});
+declare('glob.quote_meta', ['string'], 'string', ([s]) => s.replace(/[*?\\[\]{}]/g, '\\$&'));
+
+function globToRegex(pattern, delimiters) {
+    const notDelim = `[^${delimiters.map(escapeRegExp).join('')}]`;
+    let source = '';
+    let inAlternation = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[++i]);
+        } else if (ch === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (ch === '*') {
+            source += `${notDelim}*`;
+        } else if (ch === '?') {
+            source += notDelim;
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i);
+            if (end < 0) fail('glob.match', 'unterminated character class');
+            const body = pattern.slice(i + 1, end).replace(/^!/, '^');
+            source += `[${body}]`;
+            i = end;
+        } else if (ch === '{') {
+            source += '(?:';
+            inAlternation = true;
+        } else if (ch === '}' && inAlternation) {
+            source += ')';
+            inAlternation = false;
+        } else if (ch === ',' && inAlternation) {
+            source += '|';
+        } else {
+            source += escapeRegExp(ch);
+        }
+    }
+
+    return compileRegex('glob.match', `^${source}$`);
+}
+
+// ----------------------------------------------------------------------
+// Types
+// ----------------------------------------------------------------------
+
+declare('type_name', ['any'], 'string', ([v]) => typeName(v));
+declare('is_string', ['any'], 'boolean', ([v]) => typeName(v) === 'string');
+declare('is_number', ['any'], 'boolean', ([v]) => typeName(v) === 'number');
+declare('is_boolean', ['any'], 'boolean', ([v]) => typeName(v) === 'boolean');
+declare('is_array', ['any'], 'boolean', ([v]) => typeName(v) === 'array');
+declare('is_object', ['any'], 'boolean', ([v]) => typeName(v) === 'object');
+declare('is_set', ['any'], 'boolean', ([v]) => typeName(v) === 'set');
+declare('is_null', ['any'], 'boolean', ([v]) => typeName(v) === 'null');
+
+// ----------------------------------------------------------------------
+// Encoding
+// ----------------------------------------------------------------------
+
+declare('json.marshal', ['any'], 'string', ([v]) => canonicalJSON(toJSON(v)));
+declare('json.unmarshal', ['string'], 'any', ([s]) => {
+    try {
+        return fromJSON(JSON.parse(s));
+    } catch (error) {
+        return fail('json.unmarshal', error.message);
+    }
+});
+declare('json.is_valid', ['string'], 'boolean', ([s]) => {
+    try {
+        JSON.parse(s);
+        return true;
+    } catch (error) {
+        return false;
+    }
+});
+declare('base64.encode', ['string'], 'string', ([s]) => base64Encode(s));
+declare('base64.decode', ['string'], 'string', ([s]) => base64Decode('base64.decode', s));
+declare('base64.is_valid', ['string'], 'boolean', ([s]) => /^[A-Za-z0-9+/]*={0,2}$/.test(s) && s.length % 4 === 0);
+declare('base64url.encode', ['string'], 'string', ([s]) => base64Encode(s).replace(/\+/g, '-').replace(/\//g, '_'));
+declare('base64url.encode_no_pad', ['string'], 'string', ([s]) => base64Encode(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+declare('base64url.decode', ['string'], 'string', ([s]) => base64Decode('base64url.decode', s.replace(/-/g, '+').replace(/_/g, '/')));
+declare('hex.encode', ['string'], 'string', ([s]) => [...new TextEncoder().encode(s)].map(b => b.toString(16).padStart(2, '0')).join(''));
+declare('hex.decode', ['string'], 'string', ([s]) => {
+    if (s.length % 2 !== 0 || /[^0-9a-fA-F]/.test(s)) fail('hex.decode', 'invalid hex string');
+    const bytes = new Uint8Array(s.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(s.slice(i * 2, i * 2 + 2), 16);
+    return new TextDecoder().decode(bytes);
+});
+declare('urlquery.encode', ['string'], 'string', ([s]) => encodeURIComponent(s).replace(/%20/g, '+'));
+declare('urlquery.decode', ['string'], 'string', ([s]) => {
+    try {
+        return decodeURIComponent(s.replace(/\+/g, ' '));
+    } catch (error) {
+        return fail('urlquery.decode', error.message);
+    }
+});
+declare('io.jwt.decode', ['string'], 'array', ([jwt]) => {
+    const parts = jwt.split('.');
+    if (parts.length !== 3) fail('io.jwt.decode', 'encoded JWT must have 3 sections');
+    const decodePart = part => {
+        const padded = part.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(part.length / 4) * 4, '=');
+        try {
+            return fromJSON(JSON.parse(base64Decode('io.jwt.decode', padded)));
+        } catch (error) {
+            return fail('io.jwt.decode', 'JWT section is not valid JSON');
+        }
+    };
+    const signature = base64Decode('io.jwt.decode', parts[2].replace(/-/g, '+').replace(/_/g, '/')
+        .padEnd(Math.ceil(parts[2].length / 4) * 4, '='), true);
+    return [decodePart(parts[0]), decodePart(parts[1]), signature];
+});
+
+function canonicalJSON(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+}
+
+function base64Encode(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => {
+        binary += String.fromCharCode(b);
+    });
+    return btoa(binary);
+}
+
+function base64Decode(name, encoded, asHex = false) {
+    let binary;
+    try {
+        binary = atob(encoded);
+    } catch (error) {
+        return fail(name, 'illegal base64 data');
+    }
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    if (asHex) return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+    return new TextDecoder().decode(bytes);
+}
+
+// ----------------------------------------------------------------------
+// Time
+// ----------------------------------------------------------------------
+
+const NS_PER_MS = 1e6;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DURATION_UNITS = { ns: 1, us: 1e3, 'µs': 1e3, ms: 1e6, s: 1e9, m: 60e9, h: 3600e9 };
+
+declare('time.now_ns', [], 'number', (args, ctx) => (ctx.now !== undefined ? ctx.now : Date.now() * NS_PER_MS));
+declare('time.parse_rfc3339_ns', ['string'], 'number', ([s]) => {
+    const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.exec(s);
+    if (!match) fail('time.parse_rfc3339_ns', `cannot parse ${JSON.stringify(s)} as RFC3339`);
+    const ms = Date.parse(`${match[1]}${match[3].toUpperCase()}`);
+    const fraction = match[2] ? Number(`0${match[2]}`) * 1e9 : 0;
+    return ms * NS_PER_MS + Math.round(fraction);
+});
+declare('time.parse_duration_ns', ['string'], 'number', ([s]) => {
+    const pattern = /(\d+(?:\.\d+)?)(ns|us|µs|ms|s|m|h)/g;
+    const sign = s.startsWith('-') ? -1 : 1;
+    const body = s.replace(/^[-+]/, '');
+    let total = 0;
+    let consumed = '';
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+        total += Number(match[1]) * DURATION_UNITS[match[2]];
+        consumed += match[0];
+    }
+    if (!body || consumed !== body) fail('time.parse_duration_ns', `invalid duration ${JSON.stringify(s)}`);
+    return sign * total;
+});
+declare('time.date', ['number|array'], 'array', ([t]) => {
+    const date = toDate(t);
+    return [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+});
+declare('time.clock', ['number|array'], 'array', ([t]) => {
+    const date = toDate(t);
+    return [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()];
+});
+declare('time.weekday', ['number|array'], 'string', ([t]) => WEEKDAYS[toDate(t).getUTCDay()]);
+declare('time.add_date', ['number', 'number', 'number', 'number'], 'number', ([ns, years, months, days]) => {
+    const date = new Date(Math.floor(ns / NS_PER_MS));
+    date.setUTCFullYear(date.getUTCFullYear() + years, date.getUTCMonth() + months, date.getUTCDate() + days);
+    return date.getTime() * NS_PER_MS + (ns % NS_PER_MS);
+});
+
+function toDate(t) {
+    const ns = Array.isArray(t) ? t[0] : t;
+    return new Date(Math.floor(ns / NS_PER_MS));
+}
+
+// ----------------------------------------------------------------------
+// Networking, versions, units
+// ----------------------------------------------------------------------
+
+declare('net.cidr_contains', ['string', 'string'], 'boolean', ([cidr, target]) => {
+    const outer = parseCidr('net.cidr_contains', cidr);
+    const inner = target.includes('/') ? parseCidr('net.cidr_contains', target) : { ...parseIp('net.cidr_contains', target), prefix: null };
+    if (outer.bits !== inner.bits) return false;
+    const innerPrefix = inner.prefix === null ? inner.bits : inner.prefix;
+    if (innerPrefix < outer.prefix) return false;
+    const shift = BigInt(outer.bits - outer.prefix);
+    return (outer.value >> shift) === (inner.value >> shift);
+});
+declare('net.cidr_intersects', ['string', 'string'], 'boolean', ([a, b]) => {
+    const first = parseCidr('net.cidr_intersects', a);
+    const second = parseCidr('net.cidr_intersects', b);
+    if (first.bits !== second.bits) return false;
+    const shift = BigInt(first.bits - Math.min(first.prefix, second.prefix));
+    return (first.value >> shift) === (second.value >> shift);
+});
+
+function parseCidr(name, cidr) {
+    const [ip, prefix] = cidr.split('/');
+    const parsed = parseIp(name, ip);
+    const bits = Number(prefix);
+    if (prefix === undefined || !/^\d+$/.test(prefix) || bits > parsed.bits) fail(name, `invalid CIDR ${JSON.stringify(cidr)}`);
+    return { ...parsed, prefix: bits };
+}
+
+function parseIp(name, ip) {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+        const octets = ip.split('.').map(Number);
+        if (octets.some(o => o > 255)) fail(name, `invalid IP address ${JSON.stringify(ip)}`);
+        return { bits: 32, value: octets.reduce((acc, o) => (acc << 8n) + BigInt(o), 0n) };
+    }
+    if (ip.includes(':')) {
+        const [head, tail = null] = ip.split('::');
+        const headParts = head ? head.split(':') : [];
+        const tailParts = tail ? tail.split(':') : [];
+        const missing = 8 - headParts.length - tailParts.length;
+        if ((tail === null && headParts.length !== 8) || missing < 0) fail(name, `invalid IP address ${JSON.stringify(ip)}`);
+        const groups = [...headParts, ...Array(tail === null ? 0 : missing).fill('0'), ...tailParts];
+        if (groups.some(g => !/^[0-9a-fA-F]{1,4}$/.test(g))) fail(name, `invalid IP address ${JSON.stringify(ip)}`);
+        return { bits: 128, value: groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n) };
+    }
+    return fail(name, `invalid IP address ${JSON.stringify(ip)}`);
+}
+
+const SEMVER = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+declare('semver.is_valid', ['any'], 'boolean', ([v]) => typeof v === 'string' && SEMVER.test(v) && !v.startsWith('v'));
+declare('semver.compare', ['string', 'string'], 'number', ([a, b]) => {
+    const pa = SEMVER.exec(a);
+    const pb = SEMVER.exec(b);
+    if (!pa || !pb) fail('semver.compare', `invalid semantic version ${JSON.stringify(pa ? b : a)}`);
+    for (let i = 1; i <= 3; i++) {
+        const diff = Number(pa[i]) - Number(pb[i]);
+        if (diff) return Math.sign(diff);
+    }
+    if (pa[4] === pb[4]) return 0;
+    if (!pa[4]) return 1;
+    if (!pb[4]) return -1;
+    return pa[4] < pb[4] ? -1 : 1;
+});
+
+const BYTE_UNITS = {
+    '': 1, k: 1e3, kb: 1e3, ki: 1024, kib: 1024, m: 1e6, mb: 1e6, mi: 1024 ** 2, mib: 1024 ** 2,
+    g: 1e9, gb: 1e9, gi: 1024 ** 3, gib: 1024 ** 3, t: 1e12, tb: 1e12, ti: 1024 ** 4, tib: 1024 ** 4
+};
+
+declare('units.parse_bytes', ['string'], 'number', ([s]) => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([A-Za-z]*)\s*$/.exec(s.replace(/"/g, ''));
+    const unit = match ? match[2].toLowerCase() : null;
+    if (!match || !(unit in BYTE_UNITS)) fail('units.parse_bytes', `could not parse ${JSON.stringify(s)}`);
+    return Math.round(Number(match[1]) * BYTE_UNITS[unit]);
+});
+
+// ----------------------------------------------------------------------
+// Debugging
+// ----------------------------------------------------------------------
+
+declare('trace', ['string'], 'boolean', ([note], ctx) => {
+    if (ctx.print) ctx.print(note);
+    return true;
+});
+
+module.exports = {
+    BUILTINS,
+    BuiltinError,
+    callBuiltin,
+    declare,
+    formatValue,
+    matchesType
+};
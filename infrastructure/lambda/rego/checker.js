@@ -0,0 +1,267 @@
+/**
+ * Rego Checker
+ * Deterministic compile-time checks run on a parsed module (rule conflicts, reassignment,
+ * builtin calls)
+ */
+
+const { walk } = require('./ast');
+const { refToString } = require('./parser');
+const { getCatalog, builtinSignature, acceptsType } = require('./builtin-catalog');
+
+const TERM_TYPES = {
+    String: 'string',
+    Number: 'number',
+    Boolean: 'boolean',
+    Null: 'null',
+    Array: 'array',
+    ArrayComprehension: 'array',
+    Object: 'object',
+    ObjectComprehension: 'object',
+    Set: 'set',
+    SetComprehension: 'set'
+};
+
+/**
+ * Run compile checks on a parsed module.
+ * Returns diagnostics in the same shape as parser errors.
+ */
+function checkModule(ast) {
+    if (!ast) return [];
+
+    return [
+        ...checkRuleConflicts(ast),
+        ...checkReassignment(ast)
+    ];
+}
+
+function checkRuleConflicts(ast) {
+    const diagnostics = [];
+    const pkg = ast.package ? ast.package.name : 'data';
+    const groups = new Map();
+
+    for (const rule of ast.rules) {
+        const name = ruleName(rule);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(rule);
+    }
+
+    for (const [name, rules] of groups) {
+        const fullName = `${pkg}.${name}`;
+        const defaults = rules.filter(rule => rule.default);
+        const definitions = rules.filter(rule => !rule.default);
+
+        if (defaults.length > 1) {
+            diagnostics.push(compileError(defaults[1], `multiple default rules ${fullName} found`, 'rego_type_error',
+                'Keep a single default rule per name'));
+        }
+
+        const kinds = new Set(definitions.map(rule => rule.kind === 'partial_object' ? 'partial_object' : rule.kind));
+        if (kinds.size > 1) {
+            const conflicting = definitions.find(rule => rule.kind !== definitions[0].kind);
+            diagnostics.push(compileError(conflicting, `conflicting rules ${fullName} found`, 'rego_type_error',
+                'Rules sharing a name must all be the same kind (complete, partial set, partial object or function)'));
+        }
+
+        const assigned = definitions.filter(rule => rule.head.assign === ':=' && rule.kind === 'complete');
+        if (assigned.length > 0 && definitions.filter(rule => rule.kind === 'complete').length > 1) {
+            const redeclared = definitions.filter(rule => rule.kind === 'complete')[1];
+            diagnostics.push(compileError(redeclared, `rule ${fullName} redeclared at line ${redeclared.loc.line}`, 'rego_type_error',
+                'Rules defined with := can only have one definition; use = or an else chain for incremental definitions'));
+        }
+
+        if (defaults.length && definitions.some(rule => rule.kind === 'partial_set')) {
+            diagnostics.push(compileError(defaults[0], `default rule ${fullName} cannot be combined with a multi-value rule`, 'rego_type_error'));
+        }
+
+        const arity = rule => rule.head.args ? rule.head.args.length : null;
+        const mismatched = defaults.length && definitions.find(rule => arity(rule) !== arity(defaults[0]));
+        if (mismatched) {
+            diagnostics.push(compileError(defaults[0], arity(defaults[0]) === null
+                ? `default rule ${fullName} cannot be combined with a function`
+                : `default function ${fullName} must take ${arity(mismatched) ?? 0} argument(s) like its definitions`, 'rego_type_error'));
+        }
+    }
+
+    return diagnostics;
+}
+
+function checkReassignment(ast) {
+    const diagnostics = [];
+
+    walk(ast, node => {
+        if (node.type !== 'Body') return;
+
+        const declared = new Set();
+        for (const literal of node.literals) {
+            const expr = literal.expr;
+            if (expr.type === 'SomeDecl') {
+                expr.vars.forEach(v => declared.add(v.name));
+            } else if (expr.type === 'SomeIn') {
+                [expr.key, expr.value].filter(Boolean).forEach(term => {
+                    walk(term, n => {
+                        if (n.type === 'Var' && n.name !== '_') declared.add(n.name);
+                    });
+                });
+            } else if (expr.type === 'Assign') {
+                walk(expr.left, n => {
+                    if (n.type !== 'Var' || n.name === '_') return;
+                    if (declared.has(n.name)) {
+                        diagnostics.push({
+                            type: 'error',
+                            code: 'rego_compile_error',
+                            message: `var ${n.name} assigned above`,
+                            line: n.loc.line,
+                            column: n.loc.column,
+                            suggestion: `Use a new variable name or compare with == instead of reassigning ${n.name}`
+                        });
+                    }
+                    declared.add(n.name);
+                });
+            }
+        }
+    });
+
+    return diagnostics;
+}
+
+/**
+ * Imports that only enable v1 keywords (`import rego.v1`, `future.keywords`): true for `{name}` of an Import node
+ */
+function isKeywordImport(imp) {
+    return imp.name === 'rego.v1' || imp.name === 'future.keywords' || imp.name.startsWith('future.keywords.');
+}
+
+/**
+ * Warnings for keyword imports, which are redundant when the policy targets Rego v1 (OPA 1.0+)
+ */
+function checkRedundantImports(ast) {
+    return (ast?.imports || []).filter(isKeywordImport).map(imp => ({
+        type: 'warning',
+        code: 'redundant_import',
+        message: `import ${imp.name} is redundant: Rego v1 syntax is the default since OPA 1.0`,
+        line: imp.loc.line,
+        column: imp.loc.column,
+        suggestion: 'Remove the import'
+    }));
+}
+
+/**
+ * Calls to functions that are neither builtins of the catalog nor defined by the policy, calls
+ * with the wrong number of arguments, and arguments whose type is known (literals and builtin
+ * results) but not accepted. Deprecated builtins are warnings, and errors with `regoVersion: 'v1'`
+ * as in OPA 1.0. Calls through `data.` and imports are left to the modules that define them.
+ */
+function checkBuiltinCalls(ast, options = {}) {
+    const diagnostics = [];
+    if (!ast) return diagnostics;
+
+    const catalog = getCatalog(options.opaVersion);
+    const functions = new Set(ast.rules.filter(rule => rule.kind === 'function').map(ruleName));
+    const imported = new Set((ast.imports || []).map(imp => imp.alias || imp.name.split('.').pop()));
+
+    walk(ast, node => {
+        if (node.type !== 'Call' || functions.has(node.name)) return;
+        const head = node.name.split('.')[0];
+        if (head === 'data' || imported.has(head)) return;
+
+        const error = (message, suggestion) => diagnostics.push({
+            type: 'error',
+            code: 'rego_type_error',
+            message,
+            line: node.loc.line,
+            column: node.loc.column,
+            suggestion
+        });
+
+        const decl = catalog.byName.get(node.name);
+        if (!decl) {
+            error(`undefined function ${node.name}`, unknownBuiltinSuggestion(node.name, catalog));
+            return;
+        }
+
+        if (decl.deprecated) {
+            diagnostics.push({
+                type: options.regoVersion === 'v1' ? 'error' : 'warning',
+                code: options.regoVersion === 'v1' ? 'rego_type_error' : 'deprecated_builtin',
+                message: `deprecated built-in function calls in expression: ${node.name}`,
+                line: node.loc.line,
+                column: node.loc.column,
+                suggestion: decl.replacement ? `Use ${decl.replacement} instead` : `Remove the call to ${node.name}`
+            });
+        }
+
+        // A call may take one more argument than declared to bind the result: count(xs, n), walk(x, [path, value])
+        const arity = decl.args.length;
+        if (!decl.variadic && node.args.length !== arity && node.args.length !== arity + 1) {
+            error(`${node.name}: expected ${arity} argument(s) but got ${node.args.length}`, builtinSignature(decl));
+            return;
+        }
+
+        decl.args.forEach((arg, i) => {
+            const actual = node.args[i] && termType(node.args[i], catalog);
+            if (actual && !decl.variadic && !acceptsType(arg.type, actual)) {
+                error(`${node.name}: operand ${i + 1} must be ${arg.type.replace(/\|/g, ' or ')} but got ${actual.replace(/\|/g, ' or ')}`,
+                    builtinSignature(decl));
+            }
+        });
+    });
+
+    return diagnostics;
+}
+
+/**
+ * Type of a literal term or a builtin call's result; null when it depends on the input
+ */
+function termType(term, catalog) {
+    if (TERM_TYPES[term.type]) return TERM_TYPES[term.type];
+    if (term.type === 'Call' && catalog.byName.has(term.name)) {
+        const result = catalog.byName.get(term.name).result;
+        return result === 'any' ? null : result;
+    }
+    return null;
+}
+
+/**
+ * Builtins with the same last name segment (`strings.contains` → contains), else the builtins of
+ * the same namespace (`time.hour` → time.clock, ...)
+ */
+function unknownBuiltinSuggestion(name, catalog) {
+    const builtins = catalog.builtins.filter(decl => !decl.deprecated && !decl.infix);
+    const last = name.slice(name.lastIndexOf('.') + 1);
+    const similar = builtins.filter(decl => decl.name === last || decl.name.endsWith(`.${last}`));
+    if (similar.length) {
+        return `Did you mean ${similar.map(decl => builtinSignature(decl)).join(' or ')}?`;
+    }
+    const namespace = name.slice(0, name.lastIndexOf('.') + 1);
+    const siblings = namespace ? builtins.filter(decl => decl.name.startsWith(namespace)) : [];
+    if (siblings.length) {
+        return `OPA ${catalog.opa_version} has no ${name}; builtins under ${namespace} are ${siblings.map(decl => decl.name).join(', ')}`;
+    }
+    return `OPA ${catalog.opa_version} has no builtin ${name}; define it as a function in the policy`;
+}
+
+/**
+ * Name under which a rule is grouped (head ref without a trailing key).
+ */
+function ruleName(rule) {
+    const ref = rule.head.ref;
+    if (rule.head.key && !rule.head.contains && ref.type === 'Ref') {
+        const path = ref.path.slice(0, -1);
+        return path.length ? refToString({ ...ref, path }) : refToString(ref.head);
+    }
+    return refToString(ref);
+}
+
+function compileError(rule, message, code, suggestion) {
+    const diagnostic = {
+        type: 'error',
+        code,
+        message,
+        line: rule.loc.line,
+        column: rule.loc.column
+    };
+    if (suggestion) diagnostic.suggestion = suggestion;
+    return diagnostic;
+}
+
+module.exports = { checkModule, checkBuiltinCalls, checkRedundantImports, isKeywordImport, ruleName };
@@ -0,0 +1,63 @@
+const { checkPolicy, formatDiagnostic } = require('./index');
+
+describe('checkPolicy', () => {
+    test('accepts incremental definitions of a rule', () => {
+        const result = checkPolicy('package authz\n\nallow if input.admin\n\nallow if input.owner\n');
+
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+    });
+
+    test('reports a second default for the same rule', () => {
+        const { valid, errors } = checkPolicy('package authz\n\ndefault allow := false\ndefault allow := true\n');
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([expect.objectContaining({
+            code: 'rego_type_error',
+            message: 'multiple default rules authz.allow found',
+            line: 4,
+            column: 1
+        })]);
+    });
+
+    test('reports rules of different kinds sharing a name', () => {
+        const { errors } = checkPolicy('package authz\n\nallow := true\nallow contains 1\n');
+
+        expect(errors[0]).toMatchObject({ message: 'conflicting rules authz.allow found', line: 4 });
+    });
+
+    test('checks a default function against its definitions', () => {
+        expect(checkPolicy('package authz\n\ndefault level(_) := 0\n\nlevel(role) := 2 if role == "admin"\n').valid).toBe(true);
+
+        const { errors } = checkPolicy('package authz\n\ndefault level(_, _) := 0\n\nlevel(role) := 2 if role == "admin"\n');
+        expect(errors[0]).toMatchObject({ message: 'default function authz.level must take 1 argument(s) like its definitions', line: 3 });
+    });
+
+    test('reports a := rule defined twice', () => {
+        const { errors } = checkPolicy('package authz\n\nlimit := 1\nlimit := 2\n');
+
+        expect(errors[0]).toMatchObject({ message: 'rule authz.limit redeclared at line 4', line: 4 });
+    });
+
+    test('reports a variable assigned twice in one body', () => {
+        const { errors } = checkPolicy('package authz\n\nallow if {\n    x := 1\n    x := 2\n}\n');
+
+        expect(errors[0]).toMatchObject({ code: 'rego_compile_error', message: 'var x assigned above', line: 5, column: 5 });
+    });
+
+    test('orders parse and compile diagnostics by position', () => {
+        const { errors } = checkPolicy('package authz\n\nlimit := 1\nlimit := 2\n\nallow if {\n');
+
+        expect(errors.map(error => error.line)).toEqual([...errors.map(error => error.line)].sort((a, b) => a - b));
+        expect(errors.map(error => error.code)).toEqual(['rego_type_error', 'rego_parse_error']);
+    });
+});
+
+describe('formatDiagnostic', () => {
+    test('formats like opa check', () => {
+        const diagnostic = { type: 'error', code: 'rego_parse_error', message: 'unexpected eof token', line: 3, column: 5 };
+
+        expect(formatDiagnostic(diagnostic)).toBe('policy.rego:3:5: rego_parse_error: unexpected eof token');
+        expect(formatDiagnostic(diagnostic, 'authz.rego')).toMatch(/^authz\.rego:3:5:/);
+    });
+});
@@ -0,0 +1,1167 @@
+/**
+ * Rego Evaluator
+ * Top-down evaluation of parsed Rego modules against an input document.
+ * Bodies are evaluated with generators so that unbound variables backtrack over
+ * every candidate binding, the same way OPA enumerates solutions.
+ */
+
+const { BUILTINS, BuiltinError, callBuiltin, formatValue } = require('./builtins');
+const { RegoSet, typeName, keyOf, equal, fromJSON, toJSON, objectKey, entriesOf, lookup } = require('./values');
+const { parseQuery } = require('./parser');
+
+const UNBOUND = Symbol('unbound');
+const DEFAULT_MAX_STEPS = 1000000;
+
+class RegoEvalError extends Error {
+    constructor(message, code = 'eval_error', location = null) {
+        super(message);
+        this.name = 'RegoEvalError';
+        this.code = code;
+        this.line = location ? location.line : undefined;
+        this.column = location ? location.column : undefined;
+    }
+}
+
+class Evaluator {
+    /**
+     * @param {object[]} modules - Module ASTs from parseModule
+     * @param {object} options
+     * @param {object} [options.data] - base data document
+     * @param {number} [options.now] - fixed time.now_ns() value, for deterministic runs
+     * @param {Function} [options.print] - receives print()/trace() output
+     * @param {Function} [options.tracer] - receives {op, node, rule} events
+     * @param {number} [options.maxSteps] - evaluation budget: one step per literal evaluated, per
+     *   element iterated and per element (or 16 characters) of builtin results
+     */
+    constructor(modules, options = {}) {
+        this.modules = modules.filter(Boolean);
+        this.data = fromJSON(options.data || {});
+        this.now = options.now;
+        this.print = options.print;
+        this.tracer = options.tracer || null;
+        this.maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+        this.groups = new Map();
+        this.prefixes = new Map();
+
+        for (const module of this.modules) {
+            this.indexModule(module);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Public API
+    // ------------------------------------------------------------------
+
+    /**
+     * Evaluate a rule (`authz.allow` or `data.authz.allow`) and return its value as JSON.
+     * Returns undefined when the rule is undefined for this input.
+     */
+    evalRule(path, input) {
+        const segments = path.replace(/^data\./, '').split('.');
+        const ctx = this.createContext(input);
+        const env = { ctx, module: null };
+
+        for (const [value] of this.evalDataRef(segments, [], 0, Object.create(null), env)) {
+            return toJSON(value);
+        }
+        return undefined;
+    }
+
+    /**
+     * Evaluate a query such as `data.authz.allow == true` or `x := data.authz.deny`.
+     * Returns one entry per solution with the query's variable bindings as JSON.
+     */
+    evalQuery(query, input) {
+        let body = query;
+        if (typeof query === 'string') {
+            const { ast, errors } = parseQuery(query);
+            if (errors.length) {
+                throw new RegoEvalError(errors[0].message, errors[0].code, errors[0]);
+            }
+            body = ast;
+        }
+
+        const ctx = this.createContext(input);
+        const module = this.modules[0] || null;
+        const env = { ctx, module };
+        const results = [];
+
+        for (const bindings of this.evalBody(body.literals, 0, Object.create(null), env)) {
+            results.push({ bindings: bindingsToJSON(bindings) });
+        }
+        return results;
+    }
+
+    /**
+     * True when a rule or package path is defined by the loaded modules.
+     */
+    hasRule(path) {
+        const key = path.replace(/^data\./, '');
+        return this.groups.has(key);
+    }
+
+    // ------------------------------------------------------------------
+    // Indexing
+    // ------------------------------------------------------------------
+
+    indexModule(module) {
+        const pkg = module.package ? packageSegments(module.package) : [];
+
+        for (const rule of module.rules) {
+            const segments = [...pkg, ...ruleSegments(rule)];
+            const key = segments.join('.');
+
+            if (!this.groups.has(key)) {
+                this.groups.set(key, { key, segments, kind: null, rules: [], defaultRule: null, module });
+                for (let i = 0; i < segments.length; i++) {
+                    const prefix = segments.slice(0, i).join('.');
+                    if (!this.prefixes.has(prefix)) this.prefixes.set(prefix, new Set());
+                    this.prefixes.get(prefix).add(segments[i]);
+                }
+            }
+
+            const group = this.groups.get(key);
+            if (rule.default) {
+                group.defaultRule = rule;
+                group.kind = group.kind || (rule.head.args ? 'function' : 'complete');
+            } else {
+                group.rules.push({ rule, module });
+                group.kind = rule.kind;
+            }
+        }
+    }
+
+    createContext(input) {
+        return {
+            input: fromJSON(input),
+            data: this.data,
+            dataOverrides: [],
+            mocks: new Map(),
+            cache: new Map(),
+            stack: [],
+            steps: { count: 0 }
+        };
+    }
+
+    trace(op, node, extra = {}) {
+        if (this.tracer) {
+            this.tracer({ op, node, ...extra });
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Rules
+    // ------------------------------------------------------------------
+
+    evalGroup(group, env) {
+        const { ctx } = env;
+
+        if (group.kind === 'function') {
+            throw new RegoEvalError(`function ${group.key} must be called with arguments`, 'rego_type_error');
+        }
+        if (ctx.cache.has(group.key)) {
+            return ctx.cache.get(group.key);
+        }
+        if (ctx.stack.includes(group.key)) {
+            throw new RegoEvalError(`rego_recursion_error: rule data.${group.key} is recursive: ${[...ctx.stack, group.key].join(' -> ')}`,
+                'rego_recursion_error', group.rules[0] ? group.rules[0].rule.loc : null);
+        }
+
+        ctx.stack.push(group.key);
+        let value;
+        try {
+            switch (group.kind) {
+                case 'partial_set':
+                    value = this.evalPartialSet(group, ctx);
+                    break;
+                case 'partial_object':
+                    value = this.evalPartialObject(group, ctx);
+                    break;
+                default:
+                    value = this.evalComplete(group, ctx);
+            }
+        } finally {
+            ctx.stack.pop();
+        }
+
+        ctx.cache.set(group.key, value);
+        return value;
+    }
+
+    evalComplete(group, ctx) {
+        const outputs = [];
+
+        for (const { rule, module } of group.rules) {
+            const env = { ctx, module };
+            for (const value of this.evalRuleBranches(rule, Object.create(null), env)) {
+                if (!outputs.some(existing => equal(existing, value))) {
+                    outputs.push(value);
+                }
+            }
+        }
+
+        if (outputs.length > 1) {
+            throw new RegoEvalError(`eval_conflict_error: complete rules must not produce multiple outputs (data.${group.key})`,
+                'eval_conflict_error', group.rules[0].rule.loc);
+        }
+        if (outputs.length === 1) {
+            return outputs[0];
+        }
+        if (group.defaultRule) {
+            this.trace('default', group.defaultRule, { rule: group.key });
+            const env = { ctx, module: group.module };
+            for (const [value] of this.evalTerm(group.defaultRule.head.value, Object.create(null), env)) {
+                return value;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Values produced by a rule: the main body first, then each else clause in order,
+     * stopping at the first branch that has a solution.
+     */
+    * evalRuleBranches(rule, bindings, env) {
+        const branches = [
+            { valueTerm: rule.head.value, body: rule.body, node: rule },
+            ...rule.elses.map(clause => ({ valueTerm: clause.value, body: clause.body, node: clause }))
+        ];
+
+        for (const branch of branches) {
+            let matched = false;
+            this.trace('enter', branch.node, { rule: rule.head.name });
+
+            for (const solution of this.evalRuleBody(branch.body, bindings, env)) {
+                matched = true;
+                if (!branch.valueTerm) {
+                    this.trace('exit', branch.node, { rule: rule.head.name, bindings: solution });
+                    yield true;
+                    continue;
+                }
+                for (const [value] of this.evalTerm(branch.valueTerm, solution, env)) {
+                    this.trace('exit', branch.node, { rule: rule.head.name, bindings: solution, value });
+                    yield value;
+                }
+            }
+
+            if (matched) return;
+            this.trace('fail', branch.node, { rule: rule.head.name });
+        }
+    }
+
+    * evalRuleBody(body, bindings, env) {
+        if (!body) {
+            yield bindings;
+            return;
+        }
+        yield* this.evalBody(body.literals, 0, bindings, env);
+    }
+
+    evalPartialSet(group, ctx) {
+        const result = new RegoSet();
+
+        for (const { rule, module } of group.rules) {
+            const env = { ctx, module };
+            this.trace('enter', rule, { rule: rule.head.name });
+            let matched = false;
+            for (const solution of this.evalRuleBody(rule.body, Object.create(null), env)) {
+                for (const [key] of this.evalTerm(rule.head.key, solution, env)) {
+                    matched = true;
+                    this.trace('exit', rule, { rule: rule.head.name, bindings: solution, value: key });
+                    result.add(key);
+                }
+            }
+            if (!matched) this.trace('fail', rule, { rule: rule.head.name });
+        }
+
+        return result;
+    }
+
+    evalPartialObject(group, ctx) {
+        const result = {};
+
+        for (const { rule, module } of group.rules) {
+            const env = { ctx, module };
+            this.trace('enter', rule, { rule: rule.head.name });
+            let matched = false;
+            for (const solution of this.evalRuleBody(rule.body, Object.create(null), env)) {
+                for (const [key, keyBindings] of this.evalTerm(rule.head.key, solution, env)) {
+                    for (const [value] of this.evalTerm(rule.head.value, keyBindings, env)) {
+                        const k = objectKey(key);
+                        if (Object.prototype.hasOwnProperty.call(result, k) && !equal(result[k], value)) {
+                            throw new RegoEvalError(`eval_conflict_error: object keys must be unique (data.${group.key}[${formatValue(key)}])`,
+                                'eval_conflict_error', rule.loc);
+                        }
+                        matched = true;
+                        this.trace('exit', rule, { rule: rule.head.name, bindings: solution, value });
+                        result[k] = value;
+                    }
+                }
+            }
+            if (!matched) this.trace('fail', rule, { rule: rule.head.name });
+        }
+
+        return result;
+    }
+
+    callFunction(group, args, env) {
+        const { ctx } = env;
+        const cacheKey = `${group.key}(${args.map(keyOf).join(',')})`;
+        if (ctx.cache.has(cacheKey)) {
+            return ctx.cache.get(cacheKey);
+        }
+
+        const outputs = [];
+        for (const { rule, module } of group.rules) {
+            if (rule.head.args.length !== args.length) {
+                throw new RegoEvalError(`function data.${group.key} expects ${rule.head.args.length} argument(s) but got ${args.length}`,
+                    'rego_type_error', rule.loc);
+            }
+            const fnEnv = { ctx, module };
+            for (const bindings of this.unifyAll(rule.head.args, args, Object.create(null), fnEnv)) {
+                for (const value of this.evalRuleBranches(rule, bindings, fnEnv)) {
+                    if (!outputs.some(existing => equal(existing, value))) {
+                        outputs.push(value);
+                    }
+                }
+            }
+        }
+
+        if (outputs.length > 1) {
+            throw new RegoEvalError(`eval_conflict_error: functions must not produce multiple outputs for same inputs (data.${group.key})`,
+                'eval_conflict_error', group.rules[0].rule.loc);
+        }
+
+        let value = outputs[0];
+        if (value === undefined && group.defaultRule) {
+            const rule = group.defaultRule;
+            if (rule.head.args && rule.head.args.length !== args.length) {
+                throw new RegoEvalError(`function data.${group.key} expects ${rule.head.args.length} argument(s) but got ${args.length}`,
+                    'rego_type_error', rule.loc);
+            }
+            this.trace('default', rule, { rule: group.key });
+            for (const [result] of this.evalTerm(rule.head.value, Object.create(null), { ctx, module: group.module })) {
+                value = result;
+                break;
+            }
+        }
+
+        ctx.cache.set(cacheKey, value);
+        return value;
+    }
+
+    * unifyAll(patterns, values, bindings, env, i = 0) {
+        if (i === patterns.length) {
+            yield bindings;
+            return;
+        }
+        for (const next of this.unify(patterns[i], values[i], declareVars(patterns[i], bindings), env)) {
+            yield* this.unifyAll(patterns, values, next, env, i + 1);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Bodies and literals
+    // ------------------------------------------------------------------
+
+    * evalBody(literals, index, bindings, env) {
+        if (index === literals.length) {
+            yield bindings;
+            return;
+        }
+        for (const next of this.evalLiteral(literals[index], bindings, env)) {
+            yield* this.evalBody(literals, index + 1, next, env);
+        }
+    }
+
+    /**
+     * Count `n` steps of work against the budget; throws eval_cancel_error once it is spent
+     */
+    charge(ctx, n, node) {
+        ctx.steps.count += n;
+        if (ctx.steps.count > this.maxSteps) {
+            throw new RegoEvalError(`evaluation exceeded ${this.maxSteps} steps`, 'eval_cancel_error', node ? node.loc : null);
+        }
+    }
+
+    * evalLiteral(literal, bindings, env) {
+        this.charge(env.ctx, 1, literal);
+
+        const litEnv = literal.with.length ? this.applyWith(literal.with, bindings, env) : env;
+        let matched = false;
+
+        if (literal.negated) {
+            matched = first(this.evalExpr(literal.expr, bindings, litEnv)) !== undefined;
+            this.trace(matched ? 'fail' : 'eval', literal, { bindings });
+            if (!matched) yield bindings;
+            return;
+        }
+
+        for (const next of this.evalExpr(literal.expr, bindings, litEnv)) {
+            matched = true;
+            this.trace('eval', literal, { bindings: next });
+            yield next;
+        }
+        if (!matched) this.trace('fail', literal, { bindings });
+    }
+
+    * evalExpr(expr, bindings, env) {
+        switch (expr.type) {
+            case 'SomeDecl': {
+                let next = bindings;
+                for (const v of expr.vars) next = bind(next, v.name, UNBOUND);
+                yield next;
+                return;
+            }
+            case 'SomeIn':
+                for (const [collection, b1] of this.evalTerm(expr.collection, bindings, env)) {
+                    for (const [key, value] of entriesOf(collection)) {
+                        this.charge(env.ctx, 1, expr);
+                        let b2 = declareVars(expr.value, b1);
+                        if (expr.key) b2 = declareVars(expr.key, b2);
+                        for (const b3 of this.unify(expr.value, value, b2, env)) {
+                            if (expr.key) {
+                                yield* this.unify(expr.key, key, b3, env);
+                            } else {
+                                yield b3;
+                            }
+                        }
+                    }
+                }
+                return;
+            case 'Every':
+                for (const [domain, b1] of this.evalTerm(expr.domain, bindings, env)) {
+                    let satisfied = true;
+                    for (const [key, value] of entriesOf(domain)) {
+                        this.charge(env.ctx, 1, expr);
+                        let scope = bind(b1, expr.value.name, value);
+                        if (expr.key) scope = bind(scope, expr.key.name, key);
+                        if (first(this.evalBody(expr.body.literals, 0, scope, env)) === undefined) {
+                            satisfied = false;
+                            break;
+                        }
+                    }
+                    if (satisfied) yield b1;
+                }
+                return;
+            case 'Assign':
+                for (const [value, b1] of this.evalTerm(expr.right, bindings, env)) {
+                    yield* this.unify(expr.left, value, declareVars(expr.left, b1), env);
+                }
+                return;
+            case 'Unify':
+                yield* this.evalUnify(expr.left, expr.right, bindings, env);
+                return;
+            default:
+                for (const [value, next] of this.evalTerm(expr, bindings, env)) {
+                    if (value !== false && value !== undefined) {
+                        yield next;
+                    }
+                }
+        }
+    }
+
+    * evalUnify(left, right, bindings, env) {
+        const leftPattern = this.isPattern(left, bindings, env);
+        const rightPattern = this.isPattern(right, bindings, env);
+
+        if (leftPattern && rightPattern) {
+            yield* this.unifyTerms(left, right, bindings, env);
+        } else if (leftPattern) {
+            for (const [value, b1] of this.evalTerm(right, bindings, env)) {
+                yield* this.unify(left, value, b1, env);
+            }
+        } else {
+            for (const [value, b1] of this.evalTerm(left, bindings, env)) {
+                yield* this.unify(right, value, b1, env);
+            }
+        }
+    }
+
+    /**
+     * Unify two terms that both contain unbound variables, e.g. `[x, 1] = [2, y]`.
+     */
+    * unifyTerms(left, right, bindings, env) {
+        if (left.type === 'Array' && right.type === 'Array' && left.items.length === right.items.length) {
+            yield* this.unifyTermLists(left.items, right.items, bindings, env, 0);
+            return;
+        }
+        if (left.type === 'Var' && right.type === 'Var') {
+            throw new RegoEvalError(`var ${left.name} is unsafe`, 'rego_unsafe_var_error', left.loc);
+        }
+        if (!this.isPattern(left, bindings, env)) {
+            yield* this.evalUnify(left, right, bindings, env);
+            return;
+        }
+        if (!this.isPattern(right, bindings, env)) {
+            yield* this.evalUnify(right, left, bindings, env);
+            return;
+        }
+        throw new RegoEvalError('unsupported unification between patterns', 'rego_unsafe_var_error', left.loc);
+    }
+
+    * unifyTermLists(lefts, rights, bindings, env, i) {
+        if (i === lefts.length) {
+            yield bindings;
+            return;
+        }
+        for (const next of this.evalUnify(lefts[i], rights[i], bindings, env)) {
+            yield* this.unifyTermLists(lefts, rights, next, env, i + 1);
+        }
+    }
+
+    /**
+     * Match a term against a value, binding any unbound variables in it.
+     */
+    * unify(pattern, value, bindings, env) {
+        if (value === undefined) return;
+
+        switch (pattern.type) {
+            case 'Var': {
+                if (pattern.name === '_') {
+                    yield bindings;
+                    return;
+                }
+                const current = bindings[pattern.name];
+                if (current === UNBOUND || (current === undefined && !this.resolveGlobal(pattern.name, env))) {
+                    yield bind(bindings, pattern.name, value);
+                    return;
+                }
+                break;
+            }
+            case 'Array':
+                if (Array.isArray(value) && value.length === pattern.items.length && this.isPattern(pattern, bindings, env)) {
+                    yield* this.unifyAll(pattern.items, value, bindings, env);
+                    return;
+                }
+                if (this.isPattern(pattern, bindings, env)) return;
+                break;
+            case 'Object':
+                if (this.isPattern(pattern, bindings, env)) {
+                    if (typeName(value) !== 'object' || Object.keys(value).length !== pattern.entries.length) return;
+                    yield* this.unifyEntries(pattern.entries, value, bindings, env, 0);
+                    return;
+                }
+                break;
+        }
+
+        for (const [actual, next] of this.evalTerm(pattern, bindings, env)) {
+            if (equal(actual, value)) yield next;
+        }
+    }
+
+    * unifyEntries(entries, value, bindings, env, i) {
+        if (i === entries.length) {
+            yield bindings;
+            return;
+        }
+        for (const [key, b1] of this.evalTerm(entries[i].key, bindings, env)) {
+            const member = lookup(value, key);
+            if (member === undefined) continue;
+            for (const b2 of this.unify(entries[i].value, member, b1, env)) {
+                yield* this.unifyEntries(entries, value, b2, env, i + 1);
+            }
+        }
+    }
+
+    /**
+     * A term is a pattern when it is (or structurally contains) an unbound variable.
+     */
+    isPattern(term, bindings, env) {
+        switch (term.type) {
+            case 'Var':
+                return term.name === '_' || bindings[term.name] === UNBOUND ||
+                    (bindings[term.name] === undefined && !this.resolveGlobal(term.name, env));
+            case 'Array':
+                return term.items.some(item => this.isPattern(item, bindings, env));
+            case 'Object':
+                return term.entries.some(entry => this.isPattern(entry.value, bindings, env));
+            default:
+                return false;
+        }
+    }
+
+    applyWith(modifiers, bindings, env) {
+        const ctx = {
+            ...env.ctx,
+            dataOverrides: [...env.ctx.dataOverrides],
+            mocks: new Map(env.ctx.mocks),
+            cache: new Map(),
+            stack: []
+        };
+
+        for (const modifier of modifiers) {
+            const target = modifier.target;
+            const targetPath = refSegments(target);
+
+            if (targetPath && targetPath[0] === 'input') {
+                const value = this.firstValue(modifier.value, bindings, env);
+                ctx.input = targetPath.length === 1 ? value : setPath(ctx.input || {}, targetPath.slice(1), value);
+            } else if (targetPath && targetPath[0] === 'data') {
+                const value = this.firstValue(modifier.value, bindings, env);
+                ctx.dataOverrides.push({ segments: targetPath.slice(1), value });
+            } else if (target.type === 'Var' || target.type === 'Ref') {
+                ctx.mocks.set(callName(target), this.mockFor(modifier.value, bindings, env));
+            } else {
+                throw new RegoEvalError('with target must be input, data or a function', 'rego_type_error', modifier.loc);
+            }
+        }
+
+        return { ctx, module: env.module };
+    }
+
+    mockFor(valueTerm, bindings, env) {
+        if (valueTerm.type === 'Var' || valueTerm.type === 'Ref') {
+            const name = callName(valueTerm);
+            if (BUILTINS[name] || this.findFunction(name, env)) {
+                return { replacement: name };
+            }
+        }
+        return { value: this.firstValue(valueTerm, bindings, env) };
+    }
+
+    firstValue(term, bindings, env) {
+        for (const [value] of this.evalTerm(term, bindings, env)) {
+            return value;
+        }
+        return undefined;
+    }
+
+    // ------------------------------------------------------------------
+    // Terms
+    // ------------------------------------------------------------------
+
+    * evalTerm(term, bindings, env) {
+        switch (term.type) {
+            case 'Null':
+                yield [null, bindings];
+                return;
+            case 'Boolean':
+            case 'Number':
+            case 'String':
+                yield [term.value, bindings];
+                return;
+            case 'Var':
+                yield* this.evalRef({ type: 'Ref', head: term, path: [], loc: term.loc }, bindings, env);
+                return;
+            case 'Ref':
+                yield* this.evalRef(term, bindings, env);
+                return;
+            case 'Call':
+                yield* this.evalCall(term, bindings, env);
+                return;
+            case 'Array':
+                for (const [items, next] of this.evalTerms(term.items, bindings, env)) {
+                    yield [items, next];
+                }
+                return;
+            case 'Set':
+                for (const [items, next] of this.evalTerms(term.items, bindings, env)) {
+                    yield [new RegoSet(items), next];
+                }
+                return;
+            case 'Object': {
+                const terms = term.entries.flatMap(entry => [entry.key, entry.value]);
+                for (const [values, next] of this.evalTerms(terms, bindings, env)) {
+                    const obj = {};
+                    for (let i = 0; i < values.length; i += 2) {
+                        obj[objectKey(values[i])] = values[i + 1];
+                    }
+                    yield [obj, next];
+                }
+                return;
+            }
+            case 'ArrayComprehension': {
+                const items = [];
+                for (const solution of this.evalBody(term.body.literals, 0, bindings, env)) {
+                    for (const [value] of this.evalTerm(term.term, solution, env)) items.push(value);
+                }
+                yield [items, bindings];
+                return;
+            }
+            case 'SetComprehension': {
+                const items = new RegoSet();
+                for (const solution of this.evalBody(term.body.literals, 0, bindings, env)) {
+                    for (const [value] of this.evalTerm(term.term, solution, env)) items.add(value);
+                }
+                yield [items, bindings];
+                return;
+            }
+            case 'ObjectComprehension': {
+                const obj = {};
+                for (const solution of this.evalBody(term.body.literals, 0, bindings, env)) {
+                    for (const [[key, value]] of this.evalTerms([term.key, term.value], solution, env)) {
+                        const k = objectKey(key);
+                        if (Object.prototype.hasOwnProperty.call(obj, k) && !equal(obj[k], value)) {
+                            throw new RegoEvalError('eval_conflict_error: object keys must be unique', 'eval_conflict_error', term.loc);
+                        }
+                        obj[k] = value;
+                    }
+                }
+                yield [obj, bindings];
+                return;
+            }
+            case 'Binary':
+                yield* this.evalBinary(term, bindings, env);
+                return;
+            case 'Unary':
+                for (const [value, next] of this.evalTerm(term.argument, bindings, env)) {
+                    if (typeof value !== 'number') {
+                        this.builtinFailed(new BuiltinError('minus', `operand must be number but got ${typeName(value)}`), term);
+                        continue;
+                    }
+                    yield [-value, next];
+                }
+                return;
+            case 'Membership':
+                for (const [[value, collection], next] of this.evalTerms([term.value, term.collection], bindings, env)) {
+                    yield [isMember(value, collection), next];
+                }
+                return;
+            default:
+                throw new RegoEvalError(`cannot evaluate ${term.type} as a term`, 'eval_error', term.loc);
+        }
+    }
+
+    /**
+     * Evaluate a list of terms, yielding every combination of their values.
+     */
+    * evalTerms(terms, bindings, env, i = 0, acc = []) {
+        if (i === terms.length) {
+            yield [acc, bindings];
+            return;
+        }
+        for (const [value, next] of this.evalTerm(terms[i], bindings, env)) {
+            yield* this.evalTerms(terms, next, env, i + 1, [...acc, value]);
+        }
+    }
+
+    * evalBinary(term, bindings, env) {
+        const name = INFIX_BUILTINS[term.operator];
+        for (const [[left, right], next] of this.evalTerms([term.left, term.right], bindings, env)) {
+            const value = this.invokeBuiltin(name, [left, right], term, env);
+            if (value !== undefined) yield [value, next];
+        }
+    }
+
+    invokeBuiltin(name, args, node, env) {
+        try {
+            const value = callBuiltin(name, args, this.builtinContext(node, env));
+            this.charge(env.ctx, resultWork(value), node);
+            return value;
+        } catch (error) {
+            if (!(error instanceof BuiltinError)) throw error;
+            this.builtinFailed(error, node);
+            return undefined;
+        }
+    }
+
+    /**
+     * What builtins receive besides their arguments; `charge` lets them count work before they
+     * allocate (numbers.range, replace)
+     */
+    builtinContext(node, env) {
+        return { now: this.now, print: this.print, charge: n => this.charge(env.ctx, n, node) };
+    }
+
+    /**
+     * Built-in errors make the expression undefined (OPA's default, non-strict behaviour), except
+     * halting ones such as division by zero, which stop evaluation.
+     */
+    builtinFailed(error, node) {
+        this.trace('error', node, { error });
+        if (error.halt) {
+            throw new RegoEvalError(error.message, error.code, node.loc);
+        }
+    }
+
+    * evalRef(ref, bindings, env) {
+        const head = ref.head;
+
+        if (head.type !== 'Var') {
+            for (const [value, next] of this.evalTerm(head, bindings, env)) {
+                yield* this.indexPath(value, ref.path, 0, next, env);
+            }
+            return;
+        }
+
+        const name = head.name;
+        const local = bindings[name];
+
+        if (local !== undefined && local !== UNBOUND) {
+            yield* this.indexPath(local, ref.path, 0, bindings, env);
+            return;
+        }
+        if (local === UNBOUND || name === '_') {
+            throw new RegoEvalError(`var ${name} is unsafe`, 'rego_unsafe_var_error', head.loc);
+        }
+
+        const global = this.resolveGlobal(name, env);
+        if (!global) {
+            throw new RegoEvalError(`var ${name} is unsafe`, 'rego_unsafe_var_error', head.loc);
+        }
+
+        if (global.kind === 'input') {
+            let value = env.ctx.input;
+            for (const segment of global.segments) {
+                value = value === undefined ? undefined : lookup(value, segment);
+            }
+            if (value === undefined) return;
+            yield* this.indexPath(value, ref.path, 0, bindings, env);
+            return;
+        }
+
+        yield* this.evalDataRef(global.segments, ref.path, 0, bindings, env);
+    }
+
+    /**
+     * Walk a ref into the data document. Path segments that name rules are evaluated
+     * on demand; the rest falls through to the base data document.
+     */
+    * evalDataRef(segments, path, index, bindings, env) {
+        const { ctx } = env;
+        const key = segments.join('.');
+
+        const override = ctx.dataOverrides.slice().reverse().find(o => isPrefix(o.segments, segments));
+        if (override) {
+            let value = override.value;
+            for (const segment of segments.slice(override.segments.length)) {
+                value = value === undefined ? undefined : lookup(value, segment);
+            }
+            if (value !== undefined) yield* this.indexPath(value, path, index, bindings, env);
+            return;
+        }
+
+        const group = this.groups.get(key);
+        if (group) {
+            const value = this.evalGroup(group, env);
+            if (value !== undefined) yield* this.indexPath(value, path, index, bindings, env);
+            return;
+        }
+
+        if (this.prefixes.has(key)) {
+            if (index === path.length) {
+                yield [this.virtualDocument(segments, env), bindings];
+                return;
+            }
+
+            const segment = path[index];
+            if (this.isPattern(segment, bindings, env)) {
+                const children = new Set([...this.prefixes.get(key), ...Object.keys(this.baseData(segments) || {})]);
+                for (const child of [...children].sort()) {
+                    this.charge(ctx, 1, segment);
+                    for (const next of this.unify(segment, child, bindings, env)) {
+                        yield* this.evalDataRef([...segments, child], path, index + 1, next, env);
+                    }
+                }
+                return;
+            }
+
+            for (const [child, next] of this.evalTerm(segment, bindings, env)) {
+                if (typeof child !== 'string') continue;
+                yield* this.evalDataRef([...segments, child], path, index + 1, next, env);
+            }
+            return;
+        }
+
+        const base = this.baseData(segments);
+        if (base !== undefined) {
+            yield* this.indexPath(base, path, index, bindings, env);
+        }
+    }
+
+    baseData(segments) {
+        let value = this.data;
+        for (const segment of segments) {
+            value = value === undefined ? undefined : lookup(value, segment);
+        }
+        return value;
+    }
+
+    /**
+     * Build the object for a package path (e.g. `data.authz`) from its rules and base data.
+     */
+    virtualDocument(segments, env) {
+        const key = segments.join('.');
+        const base = this.baseData(segments);
+        const doc = typeName(base) === 'object' ? { ...base } : {};
+
+        for (const child of this.prefixes.get(key) || []) {
+            const childSegments = [...segments, child];
+            const group = this.groups.get(childSegments.join('.'));
+            if (group && group.kind === 'function') continue;
+            for (const [value] of this.evalDataRef(childSegments, [], 0, Object.create(null), env)) {
+                doc[child] = value;
+            }
+        }
+        return doc;
+    }
+
+    * indexPath(value, path, index, bindings, env) {
+        if (index === path.length) {
+            yield [value, bindings];
+            return;
+        }
+
+        const segment = path[index];
+
+        if (this.isPattern(segment, bindings, env)) {
+            for (const [key, child] of entriesOf(value)) {
+                this.charge(env.ctx, 1, segment);
+                for (const next of this.unify(segment, key, bindings, env)) {
+                    yield* this.indexPath(child, path, index + 1, next, env);
+                }
+            }
+            return;
+        }
+
+        for (const [key, next] of this.evalTerm(segment, bindings, env)) {
+            const child = lookup(value, key);
+            if (child !== undefined) {
+                yield* this.indexPath(child, path, index + 1, next, env);
+            }
+        }
+    }
+
+    /**
+     * Resolve a name that is not bound locally: input, data, an import alias or a rule in
+     * the current package. Returns null for plain (unbound) variables.
+     */
+    resolveGlobal(name, env) {
+        if (name === 'input') return { kind: 'input', segments: [] };
+        if (name === 'data') return { kind: 'data', segments: [] };
+
+        const module = env.module;
+        if (!module) return null;
+
+        for (const imp of module.imports) {
+            const path = refSegments(imp.path);
+            if (!path || (path[0] !== 'data' && path[0] !== 'input')) continue;
+            const alias = imp.alias || path[path.length - 1];
+            if (alias === name) {
+                return { kind: path[0], segments: path.slice(1) };
+            }
+        }
+
+        const pkg = module.package ? packageSegments(module.package) : [];
+        const segments = [...pkg, name];
+        const key = segments.join('.');
+        if (this.groups.has(key) || this.prefixes.has(key)) {
+            return { kind: 'data', segments };
+        }
+        return null;
+    }
+
+    findFunction(name, env) {
+        const parts = name.split('.');
+        const global = this.resolveGlobal(parts[0], env);
+        if (!global || global.kind !== 'data') return null;
+        const group = this.groups.get([...global.segments, ...parts.slice(1)].join('.'));
+        return group && group.kind === 'function' ? group : null;
+    }
+
+    * evalCall(call, bindings, env) {
+        const name = call.name;
+        const mock = env.ctx.mocks.get(name);
+        const target = mock && mock.replacement ? mock.replacement : name;
+
+        if (name === 'print') {
+            for (const [values, next] of this.evalPrintArgs(call.args, bindings, env)) {
+                if (this.print) this.print(values.join(' '));
+                yield [true, next];
+            }
+            return;
+        }
+
+        const fn = mock && mock.value !== undefined ? null : this.findFunction(target, env);
+        const decl = BUILTINS[target];
+
+        if (!fn && !decl && !(mock && mock.value !== undefined)) {
+            throw new RegoEvalError(`undefined function ${name}`, 'rego_type_error', call.loc);
+        }
+
+        // A function may only have its default
+        const arity = fn ? (fn.rules.length ? fn.rules[0].rule : fn.defaultRule).head.args.length
+            : (decl ? decl.args.length : call.args.length);
+        const hasOutput = call.args.length === arity + 1;
+        const inputs = hasOutput ? call.args.slice(0, -1) : call.args;
+
+        for (const [args, next] of this.evalTerms(inputs, bindings, env)) {
+            let results;
+            if (mock && mock.value !== undefined) {
+                results = [mock.value];
+            } else if (fn) {
+                results = [this.callFunction(fn, args, env)];
+            } else if (decl.relation) {
+                try {
+                    results = [...callBuiltin(target, args, this.builtinContext(call, env))];
+                    this.charge(env.ctx, results.reduce((work, result) => work + resultWork(result), results.length), call);
+                } catch (error) {
+                    if (!(error instanceof BuiltinError)) throw error;
+                    this.builtinFailed(error, call);
+                    results = [];
+                }
+            } else {
+                results = [this.invokeBuiltin(target, args, call, env)];
+            }
+
+            for (const result of results) {
+                if (result === undefined) continue;
+                if (hasOutput) {
+                    const output = call.args[call.args.length - 1];
+                    for (const b of this.unify(output, result, declareVars(output, next, true), env)) {
+                        yield [true, b];
+                    }
+                } else {
+                    yield [result, next];
+                }
+            }
+        }
+    }
+
+    * evalPrintArgs(args, bindings, env, i = 0, acc = []) {
+        if (i === args.length) {
+            yield [acc, bindings];
+            return;
+        }
+        let produced = false;
+        for (const [value, next] of this.evalTerm(args[i], bindings, env)) {
+            produced = true;
+            yield* this.evalPrintArgs(args, next, env, i + 1, [...acc, typeof value === 'string' ? value : formatValue(value)]);
+        }
+        if (!produced) {
+            yield* this.evalPrintArgs(args, bindings, env, i + 1, [...acc, '<undefined>']);
+        }
+    }
+}
+
+// ----------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------
+
+/**
+ * Steps charged for a builtin's result: its elements, or one per 16 characters of a string
+ */
+function resultWork(value) {
+    if (typeof value === 'string') return Math.ceil(value.length / 16);
+    if (Array.isArray(value)) return value.length;
+    if (value instanceof RegoSet) return value.size;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return 0;
+}
+
+const INFIX_BUILTINS = Object.fromEntries(
+    Object.values(BUILTINS).filter(decl => decl.infix).map(decl => [decl.infix, decl.name])
+);
+
+function bind(bindings, name, value) {
+    const next = Object.create(bindings);
+    next[name] = value;
+    return next;
+}
+
+/**
+ * Declare every variable in an assignment/pattern as fresh (shadowing outer bindings).
+ * With `onlyUnbound`, variables that already hold a value are left alone.
+ */
+function declareVars(pattern, bindings, onlyUnbound = false) {
+    let next = bindings;
+    const visit = term => {
+        switch (term.type) {
+            case 'Var':
+                if (term.name !== '_' && !(onlyUnbound && bindings[term.name] !== undefined)) {
+                    next = bind(next, term.name, UNBOUND);
+                }
+                break;
+            case 'Array':
+                term.items.forEach(visit);
+                break;
+            case 'Object':
+                term.entries.forEach(entry => visit(entry.value));
+                break;
+        }
+    };
+    visit(pattern);
+    return next;
+}
+
+function first(iterator) {
+    for (const value of iterator) {
+        return value;
+    }
+    return undefined;
+}
+
+function isMember(value, collection) {
+    switch (typeName(collection)) {
+        case 'array':
+            return collection.some(item => equal(item, value));
+        case 'set':
+            return collection.has(value);
+        case 'object':
+            return Object.values(collection).some(item => equal(item, value));
+        default:
+            return false;
+    }
+}
+
+function isPrefix(prefix, segments) {
+    return prefix.length <= segments.length && prefix.every((segment, i) => segment === segments[i]);
+}
+
+function packageSegments(pkg) {
+    return refSegments(pkg.path);
+}
+
+/**
+ * Static segments of a Var or Ref made of string keys (`data.a["b"]` → ['data', 'a', 'b']).
+ * Returns null when the ref contains non-string segments.
+ */
+function refSegments(node) {
+    if (node.type === 'Var') return [node.name];
+    if (node.type !== 'Ref' || node.head.type !== 'Var') return null;
+    const segments = [node.head.name];
+    for (const segment of node.path) {
+        if (segment.type !== 'String') return null;
+        segments.push(segment.value);
+    }
+    return segments;
+}
+
+/**
+ * Path under which a rule is stored (`deny[msg]` and `deny contains msg` → ['deny']).
+ */
+function ruleSegments(rule) {
+    const ref = rule.head.ref;
+    if (ref.type === 'Var') return [ref.name];
+
+    let path = ref.path;
+    if (rule.head.key && !rule.head.contains) {
+        path = path.slice(0, -1);
+    }
+    return [ref.head.name, ...path.map(segment => (segment.type === 'String' ? segment.value : keyOf(segment.value)))];
+}
+
+function callName(node) {
+    return (refSegments(node) || []).join('.');
+}
+
+function setPath(doc, path, value) {
+    if (!path.length) return value;
+    const [head, ...rest] = path;
+    const base = typeName(doc) === 'object' ? doc : {};
+    return { ...base, [head]: setPath(base[head], rest, value) };
+}
+
+function bindingsToJSON(bindings) {
+    const result = {};
+    for (const name in bindings) {
+        const value = bindings[name];
+        if (value !== UNBOUND && !(name in result) && !name.startsWith('$')) {
+            result[name] = toJSON(value);
+        }
+    }
+    return result;
+}
+
+module.exports = { Evaluator, RegoEvalError, ruleSegments, packageSegments, refSegments };
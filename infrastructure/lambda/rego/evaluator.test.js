@@ -0,0 +1,140 @@
+const { evaluatePolicy, RegoEvalError } = require('./index');
+
+const POLICY = `package authz
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+}
+
+allow if {
+    some group in input.user.groups
+    group == data.groups.operators
+}
+
+roles := {role | some role in input.roles}
+
+role_count := count(roles)
+
+shout := upper(input.name)
+
+double(x) := x * 2
+
+answer := double(21)
+
+large := {key: value | some key, value in input.sizes; value > 1}
+
+anonymous if not input.user.name
+`;
+
+const evaluate = (entrypoint, input, options) => evaluatePolicy(POLICY, `data.authz.${entrypoint}`, input, options);
+
+describe('evaluatePolicy', () => {
+    test('evaluates complete rules and their default', () => {
+        expect(evaluate('allow', { user: { role: 'admin' } })).toBe(true);
+        expect(evaluate('allow', { user: { role: 'guest' } })).toBe(false);
+    });
+
+    test('reads base documents from data', () => {
+        const input = { user: { role: 'guest', groups: ['developers', 'ops'] } };
+
+        expect(evaluate('allow', input, { data: { groups: { operators: 'ops' } } })).toBe(true);
+        expect(evaluate('allow', input, { data: { groups: { operators: 'sre' } } })).toBe(false);
+    });
+
+    test('builds set and object comprehensions', () => {
+        expect(evaluate('roles', { roles: ['a', 'b', 'a'] })).toEqual(['a', 'b']);
+        expect(evaluate('large', { sizes: { a: 1, b: 2, c: 3 } })).toEqual({ b: 2, c: 3 });
+    });
+
+    test('calls builtins and user functions', () => {
+        expect(evaluate('role_count', { roles: ['a', 'b', 'a'] })).toBe(2);
+        expect(evaluate('shout', { name: 'bob' })).toBe('BOB');
+        expect(evaluate('answer', {})).toBe(42);
+    });
+
+    test('negates undefined references', () => {
+        expect(evaluate('anonymous', { user: {} })).toBe(true);
+        expect(evaluate('anonymous', { user: { name: 'bob' } })).toBeUndefined();
+    });
+
+    test('leaves a rule undefined when its body does not hold', () => {
+        expect(evaluate('shout', {})).toBeUndefined();
+    });
+
+    test('throws for a policy that does not parse', () => {
+        expect(() => evaluatePolicy('package authz\nallow if {', 'data.authz.allow', {})).toThrow(RegoEvalError);
+    });
+
+    test('throws a conflict error for a complete rule with several values', () => {
+        const policy = 'package authz\n\nvalue := x if { some x in input.values }\n';
+
+        let error;
+        try {
+            evaluatePolicy(policy, 'data.authz.value', { values: [1, 2] });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(RegoEvalError);
+        expect(error.code).toBe('eval_conflict_error');
+        expect(evaluatePolicy(policy, 'data.authz.value', { values: [1] })).toBe(1);
+    });
+
+    test('falls back to a default function when no definition applies', () => {
+        const policy = 'package authz\n\ndefault level(_) := 0\n\nlevel(role) := 2 if role == "admin"\n\nr := [level("admin"), level("guest")]\n';
+
+        expect(evaluatePolicy(policy, 'data.authz.r', {})).toEqual([2, 0]);
+        expect(evaluatePolicy('package authz\n\ndefault f(_, _) := "none"\n\nr := f(1, 2)\n', 'data.authz.r', {})).toBe('none');
+    });
+
+    test('stops with an eval error on division or modulo by zero', () => {
+        for (const expression of ['input.n / 0', 'input.n % 0']) {
+            let error;
+            try {
+                evaluatePolicy(`package authz\n\nallow if ${expression} > 1\n`, 'data.authz.allow', { n: 4 });
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).toBeInstanceOf(RegoEvalError);
+            expect(error).toMatchObject({ code: 'eval_builtin_error', line: 3 });
+        }
+        // Other builtin errors still leave the expression undefined
+        expect(evaluatePolicy('package authz\n\nallow if to_number("x") > 1\n', 'data.authz.allow', {})).toBeUndefined();
+    });
+});
+
+describe('evaluation budget', () => {
+    const cancelled = (policy, entrypoint = 'data.x.r') => {
+        try {
+            evaluatePolicy(policy, entrypoint, {}, { maxSteps: 10000 });
+        } catch (error) {
+            return error.code;
+        }
+        return null;
+    };
+
+    test('charges each element a comprehension iterates', () => {
+        expect(cancelled('package x\n\nr := count({y | y := numbers.range(1, 20000)[_]})')).toBe('eval_cancel_error');
+        expect(cancelled('package x\n\nr := count([a | some a in numbers.range(1, 200); some b in numbers.range(1, 200)])'))
+            .toBe('eval_cancel_error');
+        expect(cancelled('package x\n\nr := count({y | some y in numbers.range(1, 100)})')).toBeNull();
+    });
+
+    test('charges builtin work before it is done', () => {
+        expect(cancelled('package x\n\nr := sprintf("%900000000d", [1])')).toBe('eval_cancel_error');
+        expect(cancelled(`package x\n\nr := replace("${'a'.repeat(100)}", "a", "${'b'.repeat(2000)}")`)).toBe('eval_cancel_error');
+    });
+
+    test('caps the size of numbers.range', () => {
+        expect(evaluatePolicy('package x\n\nr := numbers.range(1, 3000000)', 'data.x.r', {})).toBeUndefined();
+    });
+
+    test('matches regexes without backtracking', () => {
+        const policy = `package x\n\nr := regex.match("(a+)+$", "${'a'.repeat(40)}b")`;
+
+        expect(evaluatePolicy(policy, 'data.x.r', {})).toBe(false);
+    });
+});
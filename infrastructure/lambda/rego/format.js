@@ -0,0 +1,452 @@
+/**
+ * Rego Formatter
+ * Rewrites a module from its AST in the layout `opa fmt` produces: tab indentation, one
+ * expression per line, single spaces around operators, dotted refs where the key allows it and a
+ * blank line between rules. Comments are kept where they were, and formatting is idempotent.
+ */
+
+const { parseModule, FUTURE_KEYWORDS, RESERVED } = require('./parser');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class Formatter {
+    constructor(source, comments) {
+        this.source = source;
+        this.comments = [...comments].sort((a, b) => a.start - b.start);
+        this.lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') this.lineStarts.push(i + 1);
+        }
+        this.lines = [];
+        this.text = null;
+        this.depth = 0;
+        // Set at the start of a block, where no blank line may follow
+        this.fresh = true;
+    }
+
+    // ------------------------------------------------------------------
+    // Output
+    // ------------------------------------------------------------------
+
+    write(text) {
+        if (this.text === null) this.text = '\t'.repeat(this.depth);
+        this.text += text;
+    }
+
+    /**
+     * End the output line; a comment on `sourceLine` after what was written stays at its end
+     */
+    newline(sourceLine) {
+        const comment = this.comments[0];
+        if (comment && comment.line === sourceLine) {
+            this.comments.shift();
+            this.write(` #${comment.text}`);
+        }
+        this.lines.push((this.text || '').trimEnd());
+        this.text = null;
+        this.fresh = false;
+    }
+
+    blankLine() {
+        if (!this.fresh && this.lines.length && this.lines[this.lines.length - 1] !== '') {
+            this.lines.push('');
+        }
+    }
+
+    /**
+     * Keep one blank line where the source had at least one before `offset`
+     */
+    separate(offset) {
+        let newlines = 0;
+        for (let i = offset - 1; i >= 0 && /\s/.test(this.source[i]); i--) {
+            if (this.source[i] === '\n') newlines++;
+        }
+        if (newlines > 1) this.blankLine();
+    }
+
+    /**
+     * Write the comments that start before `offset` on lines of their own
+     */
+    commentsBefore(offset) {
+        while (this.comments.length && this.comments[0].start < offset) {
+            const comment = this.comments.shift();
+            this.separate(comment.start);
+            this.write(`#${comment.text}`);
+            this.newline();
+        }
+    }
+
+    lineAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    }
+
+    endLine(node) {
+        return this.lineAt(node.loc.end - 1);
+    }
+
+    /**
+     * Source line whose end-of-line comment follows literal `index`; none when the next literal
+     * shares that line (`a; b  # comment` keeps the comment after b)
+     */
+    trailingLine(literals, index) {
+        const line = this.endLine(literals[index]);
+        const next = literals[index + 1];
+        return next && next.loc.line === line ? undefined : line;
+    }
+
+    // ------------------------------------------------------------------
+    // Module
+    // ------------------------------------------------------------------
+
+    module(ast) {
+        this.commentsBefore(ast.package.loc.start);
+        this.separate(ast.package.loc.start);
+        this.write('package ');
+        this.staticRef(ast.package.path);
+        this.newline(ast.package.loc.line);
+
+        ast.imports.forEach((imp, index) => {
+            if (index === 0) this.blankLine();
+            this.commentsBefore(imp.loc.start);
+            this.separate(imp.loc.start);
+            this.write('import ');
+            this.staticRef(imp.path);
+            if (imp.alias) this.write(` as ${imp.alias}`);
+            this.newline(imp.loc.line);
+        });
+
+        let previousOneLiner = false;
+        for (const rule of ast.rules) {
+            // Runs of one-line rules, like defaults and constants, stay together as written
+            const oneLiner = this.isOneLiner(rule);
+            const commented = this.comments.length && this.comments[0].start < rule.loc.start;
+            if (!previousOneLiner || !oneLiner || commented) {
+                this.blankLine();
+            }
+            this.commentsBefore(rule.loc.start);
+            this.separate(rule.loc.start);
+            this.rule(rule);
+            this.newline(this.endLine(rule));
+            previousOneLiner = oneLiner;
+        }
+
+        this.commentsBefore(Infinity);
+        return `${this.lines.join('\n')}\n`;
+    }
+
+    isOneLiner(rule) {
+        return this.endLine(rule) === rule.loc.line
+            && [rule, ...rule.elses].every(clause => clause.bodyStyle !== 'braces')
+            && !(rule.body && rule.body.literals[0].expr.type === 'Every');
+    }
+
+    // ------------------------------------------------------------------
+    // Rules
+    // ------------------------------------------------------------------
+
+    rule(rule) {
+        const head = rule.head;
+        if (rule.default) this.write('default ');
+
+        this.staticRef(head.ref);
+        if (head.args) {
+            this.list('(', ')', head.args, head.ref.loc.end, head.loc.end, arg => this.term(arg));
+        }
+        if (head.contains) {
+            this.write(' contains ');
+            this.term(head.key);
+        }
+        if (head.assign) {
+            this.write(` ${head.assign} `);
+            this.term(head.value);
+        }
+        this.clauseBody(rule);
+
+        let previous = rule;
+        for (const clause of rule.elses) {
+            if (previous.bodyStyle === 'braces') {
+                this.write(' ');
+            } else {
+                this.newline(this.endLine(previous.body || (previous === rule ? head : previous)));
+            }
+            this.write('else');
+            if (clause.assign) {
+                this.write(` ${clause.assign} `);
+                this.term(clause.value);
+            }
+            this.clauseBody(clause);
+            previous = clause;
+        }
+    }
+
+    clauseBody(clause) {
+        if (clause.bodyStyle === 'inline') {
+            this.write(' if ');
+            this.literal(clause.body.literals[0]);
+        } else if (clause.bodyStyle === 'braces') {
+            this.write(clause.hasIf ? ' if ' : ' ');
+            this.block(clause.body);
+        }
+    }
+
+    /**
+     * `{`, one literal per line one level deeper, `}`
+     */
+    block(body) {
+        this.write('{');
+        this.newline(body.loc.line);
+        this.depth++;
+        this.fresh = true;
+        body.literals.forEach((literal, index) => {
+            this.commentsBefore(literal.loc.start);
+            this.separate(literal.loc.start);
+            this.literal(literal);
+            this.newline(this.trailingLine(body.literals, index));
+        });
+        this.commentsBefore(body.loc.end - 1);
+        this.depth--;
+        this.write('}');
+    }
+
+    literal(literal) {
+        if (literal.negated) this.write('not ');
+        this.expr(literal.expr);
+        for (const modifier of literal.with) {
+            this.write(' with ');
+            this.term(modifier.target);
+            this.write(' as ');
+            this.term(modifier.value);
+        }
+    }
+
+    expr(expr) {
+        switch (expr.type) {
+            case 'SomeDecl':
+                this.write('some ');
+                expr.vars.forEach((variable, index) => {
+                    if (index) this.write(', ');
+                    this.term(variable);
+                });
+                return;
+            case 'SomeIn':
+            case 'Every':
+                this.write(expr.type === 'SomeIn' ? 'some ' : 'every ');
+                if (expr.key) {
+                    this.term(expr.key);
+                    this.write(', ');
+                }
+                this.term(expr.value);
+                this.write(' in ');
+                this.term(expr.type === 'SomeIn' ? expr.collection : expr.domain);
+                if (expr.type === 'Every') {
+                    this.write(' ');
+                    this.block(expr.body);
+                }
+                return;
+            case 'Assign':
+            case 'Unify':
+                this.term(expr.left);
+                this.write(expr.type === 'Assign' ? ' := ' : ' = ');
+                this.term(expr.right);
+                return;
+            default:
+                this.term(expr);
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Terms
+    // ------------------------------------------------------------------
+
+    term(node) {
+        if (node.parenthesized) this.write('(');
+
+        switch (node.type) {
+            case 'Var':
+                this.write(node.name);
+                break;
+            case 'String':
+            case 'Number':
+                this.write(node.raw);
+                break;
+            case 'Boolean':
+                this.write(String(node.value));
+                break;
+            case 'Null':
+                this.write('null');
+                break;
+            case 'Ref':
+                this.term(node.head);
+                node.path.forEach(segment => this.refSegment(segment, true));
+                break;
+            case 'Call':
+                this.term(node.callee);
+                this.list('(', ')', node.args, node.callee.loc.end, node.loc.end, arg => this.term(arg));
+                break;
+            case 'Array':
+                this.list('[', ']', node.items, node.loc.start, node.loc.end, item => this.term(item));
+                break;
+            case 'Set':
+                this.list('{', '}', node.items, node.loc.start, node.loc.end, item => this.term(item));
+                break;
+            case 'Object':
+                this.list('{', '}', node.entries, node.loc.start, node.loc.end, entry => {
+                    this.term(entry.key);
+                    this.write(': ');
+                    this.term(entry.value);
+                });
+                break;
+            case 'ArrayComprehension':
+            case 'SetComprehension':
+            case 'ObjectComprehension':
+                this.comprehension(node);
+                break;
+            case 'Binary':
+                this.term(node.left);
+                this.write(` ${node.operator} `);
+                this.term(node.right);
+                break;
+            case 'Unary':
+                this.write(node.operator);
+                this.term(node.argument);
+                break;
+            case 'Membership':
+                if (node.key) {
+                    this.term(node.key);
+                    this.write(', ');
+                }
+                this.term(node.value);
+                this.write(' in ');
+                this.term(node.collection);
+                break;
+            default:
+                throw new Error(`cannot format ${node.type} node`);
+        }
+
+        if (node.parenthesized) this.write(')');
+    }
+
+    /**
+     * Package, import and rule head refs, whose bracketed keys are kept as written
+     */
+    staticRef(node) {
+        if (node.type !== 'Ref') {
+            this.term(node);
+            return;
+        }
+        this.term(node.head);
+        node.path.forEach(segment => this.refSegment(segment, false));
+    }
+
+    refSegment(segment, dotted) {
+        const dot = segment.type === 'String' && (segment.dot || (dotted
+            && IDENTIFIER.test(segment.value)
+            && !RESERVED.has(segment.value)
+            && !FUTURE_KEYWORDS.includes(segment.value)));
+        if (dot) {
+            this.write(`.${segment.value}`);
+        } else {
+            this.write('[');
+            this.term(segment);
+            this.write(']');
+        }
+    }
+
+    /**
+     * Comma-separated items on one line, or one per line with trailing commas when the source
+     * put any of them on a line of its own
+     */
+    list(open, close, items, openOffset, endOffset, writeItem) {
+        this.write(open);
+        // Object entries are {key, value} pairs without a location of their own
+        const startOf = item => (item.type ? item : item.key).loc.start;
+        const endOf = item => (item.type ? item : item.value).loc.end;
+        const lines = new Set([this.lineAt(openOffset), ...items.map(item => this.lineAt(startOf(item)))]);
+
+        if (lines.size === 1) {
+            items.forEach((item, index) => {
+                if (index) this.write(', ');
+                writeItem(item);
+            });
+            this.write(close);
+            return;
+        }
+
+        this.newline(this.lineAt(openOffset));
+        this.depth++;
+        this.fresh = true;
+        for (const item of items) {
+            this.commentsBefore(startOf(item));
+            writeItem(item);
+            this.write(',');
+            this.newline(this.lineAt(endOf(item) - 1));
+        }
+        this.commentsBefore(endOffset - 1);
+        this.depth--;
+        this.write(close);
+    }
+
+    comprehension(node) {
+        const [open, close] = node.type === 'ArrayComprehension' ? ['[', ']'] : ['{', '}'];
+        this.write(open);
+        if (node.type === 'ObjectComprehension') {
+            this.term(node.key);
+            this.write(': ');
+            this.term(node.value);
+        } else {
+            this.term(node.term);
+        }
+        this.write(' |');
+
+        if (this.endLine(node) === node.loc.line) {
+            node.body.literals.forEach((literal, index) => {
+                this.write(index ? '; ' : ' ');
+                this.literal(literal);
+            });
+            this.write(close);
+            return;
+        }
+
+        this.newline(node.loc.line);
+        this.depth++;
+        this.fresh = true;
+        node.body.literals.forEach((literal, index) => {
+            this.commentsBefore(literal.loc.start);
+            this.literal(literal);
+            this.newline(this.trailingLine(node.body.literals, index));
+        });
+        this.commentsBefore(node.loc.end - 1);
+        this.depth--;
+        this.write(close);
+    }
+}
+
+/**
+ * Format a policy as `opa fmt` would.
+ * @param {object} options - `regoVersion` ('v0'|'v1') to parse in; both are accepted when omitted
+ * @returns {{valid: boolean, policy: string|null, changed: boolean, errors: object[]}} policy is null
+ *   when the source does not parse
+ */
+function formatPolicy(source, options = {}) {
+    const { ast, errors } = parseModule(source || '', options.regoVersion ? { regoVersion: options.regoVersion } : {});
+    if (!ast || errors.length || !ast.package) {
+        return {
+            valid: false,
+            policy: null,
+            changed: false,
+            errors: errors.length ? errors : [{ type: 'error', code: 'rego_parse_error', message: 'missing package declaration', line: 1, column: 1 }]
+        };
+    }
+
+    const policy = new Formatter(source, ast.comments).module(ast);
+    return { valid: true, policy, changed: policy !== source, errors: [] };
+}
+
+module.exports = { formatPolicy };
@@ -0,0 +1,73 @@
+const { formatPolicy, parseModule, evaluatePolicy } = require('./index');
+
+const MESSY = `package   authz
+import rego.v1
+default allow:=false
+allow if {input.user.role=="admin"
+  input.age   >=  18}
+# deny rules
+deny contains msg if {msg:=sprintf("%v is blocked",[input.user.name])}`;
+
+const FORMATTED = `package authz
+
+import rego.v1
+
+default allow := false
+
+allow if {
+\tinput.user.role == "admin"
+\tinput.age >= 18
+}
+
+# deny rules
+deny contains msg if {
+\tmsg := sprintf("%v is blocked", [input.user.name])
+}
+`;
+
+describe('formatPolicy', () => {
+    test('lays a module out the way opa fmt does', () => {
+        expect(formatPolicy(MESSY)).toEqual({ valid: true, policy: FORMATTED, changed: true, errors: [] });
+    });
+
+    test('is idempotent', () => {
+        const sources = [
+            MESSY,
+            'package x\nr := {"b": 1, "a": [1,2,3]}\ns := {1, 2}\nf(x) = y if { y := x + 1 } else = 0\n',
+            'package x\n\nallow if {\n\t# keep me\n\tinput.a # trailing\n}\n'
+        ];
+        for (const source of sources) {
+            const once = formatPolicy(source).policy;
+            expect(formatPolicy(once)).toMatchObject({ policy: once, changed: false });
+        }
+    });
+
+    test('keeps comments on their lines', () => {
+        const source = 'package x\n\nallow if {\n\t# keep me\n\tinput.a # trailing\n}\n';
+
+        expect(formatPolicy(source)).toMatchObject({ policy: source, changed: false });
+    });
+
+    test('does not change what the policy decides', () => {
+        const input = { user: { role: 'admin', name: 'ann' }, age: 30 };
+
+        expect(evaluatePolicy(FORMATTED, 'data.authz.allow', input)).toBe(evaluatePolicy(MESSY, 'data.authz.allow', input));
+        expect(evaluatePolicy(FORMATTED, 'data.authz.deny', input)).toEqual(evaluatePolicy(MESSY, 'data.authz.deny', input));
+    });
+
+    test('keeps v0 syntax when formatting a v0 module', () => {
+        const { policy } = formatPolicy('package x\nallow { true }', { regoVersion: 'v0' });
+
+        expect(policy).toBe('package x\n\nallow {\n\ttrue\n}\n');
+        expect(parseModule(policy, { regoVersion: 'v0' }).errors).toEqual([]);
+    });
+
+    test('returns the parse errors of a policy it cannot format', () => {
+        expect(formatPolicy('package x\nallow if {')).toEqual({
+            valid: false,
+            policy: null,
+            changed: false,
+            errors: [expect.objectContaining({ line: 2, column: 11 })]
+        });
+    });
+});
@@ -0,0 +1,213 @@
+// Type declarations for the Rego tools consumed by the frontend
+
+export interface Diagnostic {
+  type: 'error' | 'warning' | 'info';
+  code?: string;
+  message: string;
+  line: number;
+  column: number;
+  suggestion?: string;
+}
+
+export interface CheckResult {
+  ast: unknown;
+  valid: boolean;
+  errors: Diagnostic[];
+  warnings: Diagnostic[];
+}
+
+export interface TestCase {
+  description?: string;
+  name?: string;
+  input?: unknown;
+  expected?: unknown;
+  expected_result?: unknown;
+}
+
+export interface TestCaseResult {
+  description: string;
+  expected: unknown;
+  actual: unknown;
+  passed: boolean;
+  error: string | null;
+  violations?: unknown[];
+  rules_exercised?: { rule: string; line: number }[];
+}
+
+export interface RuleCoverage {
+  rule: string;
+  line: number;
+  kind: string;
+  hits: number;
+}
+
+export interface TestRunSummary {
+  entrypoint: string | null;
+  passed: number;
+  failed: number;
+  errors: number;
+  results: TestCaseResult[];
+  coverage?: {
+    rules: RuleCoverage[];
+    covered: number;
+    total: number;
+    percent: number;
+  };
+}
+
+export interface EvalOptions {
+  data?: Record<string, unknown>;
+  now?: number;
+  regoVersion?: 'v0' | 'v1';
+}
+
+export interface BuiltinDecl {
+  name: string;
+  args: string[];
+  result: string;
+  infix?: string;
+  relation?: boolean;
+  deprecated?: boolean;
+}
+
+export const BUILTINS: Record<string, BuiltinDecl>;
+
+export interface CatalogBuiltin {
+  name: string;
+  args: { name: string; type: string }[];
+  result: string;
+  category: string;
+  description: string;
+  infix?: string;
+  relation?: boolean;
+  variadic?: boolean;
+  deprecated?: boolean;
+  replacement?: string;
+}
+
+export interface BuiltinCatalog {
+  opa_version: string;
+  builtins: CatalogBuiltin[];
+  byName: Map<string, CatalogBuiltin>;
+}
+
+export function getCatalog(opaVersion?: string): BuiltinCatalog;
+export function builtinSignature(decl: CatalogBuiltin): string;
+
+export function checkPolicy(
+  source: string,
+  options?: { regoVersion?: 'v0' | 'v1'; inputSchema?: JsonSchema; opaVersion?: string }
+): CheckResult;
+export function formatDiagnostic(diagnostic: Diagnostic, filename?: string): string;
+export function evaluatePolicy(source: string, entrypoint: string, input: unknown, options?: EvalOptions): unknown;
+export function runTestInputs(
+  policy: string,
+  testInputs: TestCase[],
+  options?: EvalOptions & { entrypoint?: string; style?: 'allow' | 'deny'; coverage?: boolean }
+): TestRunSummary;
+export function expectedOf(testCase: TestCase): unknown;
+
+export interface TestSuite {
+  filename: string;
+  package: string;
+  content: string;
+}
+
+export function buildTestSuite(
+  policy: string,
+  testInputs: TestCase[],
+  options?: { filename?: string }
+): TestSuite | null;
+
+export interface TracedExpression {
+  line: number;
+  end_line: number;
+  text: string;
+  outcome: 'succeeded' | 'failed' | 'mixed' | 'not_evaluated';
+  values?: { term: string; value?: unknown; undefined?: boolean }[];
+}
+
+export interface TracedRule {
+  rule: string;
+  kind: string;
+  line: number;
+  end_line: number;
+  outcome: 'succeeded' | 'failed' | 'not_evaluated' | 'default_applied' | 'not_applied';
+  value?: unknown;
+  expressions: TracedExpression[];
+}
+
+export interface DecisionTrace {
+  entrypoint: string;
+  style: 'allow' | 'deny';
+  defined: boolean;
+  result: unknown;
+  allowed: boolean;
+  error: { message: string; code: string; line: number | null } | null;
+  rules: TracedRule[];
+}
+
+export function traceDecision(
+  source: string,
+  input: unknown,
+  options?: EvalOptions & { entrypoint?: string; style?: 'allow' | 'deny' }
+): DecisionTrace;
+
+export interface QueryTrace {
+  query: string;
+  defined: boolean;
+  result: unknown;
+  bindings: Record<string, unknown>[];
+  duration_ms: number;
+  error: { message: string; code: string; line: number | null } | null;
+  rules: TracedRule[];
+}
+
+export function traceQuery(source: string, query: string, input: unknown, options?: EvalOptions): QueryTrace;
+
+export type JsonSchema = { [keyword: string]: unknown };
+
+export interface InputIssue {
+  path: string;
+  message: string;
+}
+
+export function inferInputSchema(policy: string, testInputs?: TestCase[]): JsonSchema;
+export function checkInputPaths(policy: string, schema: JsonSchema): Diagnostic[];
+export function validateInput(schema: JsonSchema, input: unknown): InputIssue[];
+
+export interface MigrationChange {
+  line: number;
+  column: number;
+  message: string;
+}
+
+export interface MigrationResult {
+  valid: boolean;
+  policy: string | null;
+  changes: MigrationChange[];
+  errors: Diagnostic[];
+}
+
+export interface BehaviorComparison {
+  checked: number;
+  unchanged: boolean | null;
+  results: { description: string; same: boolean; before: unknown; after: unknown }[];
+}
+
+export function migrateToV1(source: string): MigrationResult;
+export function compareBehavior(
+  before: string,
+  after: string,
+  testInputs?: TestCase[],
+  options?: { data?: Record<string, unknown>; now?: number; before?: 'v0' | 'v1'; after?: 'v0' | 'v1' }
+): BehaviorComparison;
+
+export interface FormatResult {
+  valid: boolean;
+  policy: string | null;
+  changed: boolean;
+  errors: Diagnostic[];
+}
+
+export function formatPolicy(source: string, options?: { regoVersion?: 'v0' | 'v1' }): FormatResult;
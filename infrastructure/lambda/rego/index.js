@@ -0,0 +1,112 @@
+/**
+ * Rego language tools
+ * Lexer, parser, deterministic checks and evaluator shared by the agent, MCP servers and frontend
+ */
+
+const { parseModule, parseQuery, refToString, isGround } = require('./parser');
+const { checkModule, checkBuiltinCalls, checkRedundantImports, ruleName } = require('./checker');
+const { walk, children, collectVars } = require('./ast');
+const { RegoSyntaxError } = require('./lexer');
+const { Evaluator, RegoEvalError } = require('./evaluator');
+const { BUILTINS } = require('./builtins');
+const { getCatalog, builtinSignature } = require('./builtin-catalog');
+const { RegoSet, toJSON } = require('./values');
+const { runTestInputs, findDecision, expectedOf } = require('./test-runner');
+const { buildTestSuite } = require('./test-suite');
+const { traceDecision, traceQuery } = require('./trace');
+const { inferInputSchema, checkInputPaths, validateInput } = require('./input-schema');
+const { migrateToV1, compareBehavior } = require('./migrate');
+const { formatPolicy } = require('./format');
+
+/**
+ * Parse and check a policy.
+ * Returns the AST plus errors and warnings, each with a 1-based line and column.
+ * With `inputSchema`, references to input fields the schema does not declare are warnings.
+ * With `regoVersion: 'v1'`, so are imports that only enable v1 keywords.
+ * Builtin calls are checked against the catalog of `opaVersion` (default 1.4.2).
+ */
+function checkPolicy(source, options = {}) {
+    const { ast, errors: parseErrors } = parseModule(source, options);
+    const diagnostics = [...parseErrors];
+
+    if (ast) {
+        if (!ast.package && !parseErrors.length) {
+            diagnostics.push({ type: 'error', code: 'rego_parse_error', message: 'missing package declaration', line: 1, column: 1 });
+        }
+        diagnostics.push(...checkModule(ast));
+        diagnostics.push(...checkBuiltinCalls(ast, options));
+        if (options.inputSchema) {
+            diagnostics.push(...checkInputPaths(ast, options.inputSchema));
+        }
+        if (options.regoVersion === 'v1') {
+            diagnostics.push(...checkRedundantImports(ast));
+        }
+    }
+
+    diagnostics.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+
+    const errors = diagnostics.filter(d => d.type === 'error');
+    const warnings = diagnostics.filter(d => d.type !== 'error');
+
+    return {
+        ast,
+        valid: errors.length === 0,
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Evaluate a rule of a single policy against an input, e.g. evaluatePolicy(src, 'data.authz.allow', input).
+ * Throws RegoEvalError when the policy does not parse.
+ */
+function evaluatePolicy(source, entrypoint, input, options = {}) {
+    const { ast, errors } = parseModule(source, options);
+    if (!ast || errors.length) {
+        const first = errors[0] || { message: 'policy does not parse' };
+        throw new RegoEvalError(first.message, first.code || 'rego_parse_error', first);
+    }
+    return new Evaluator([ast], options).evalRule(entrypoint, input);
+}
+
+/**
+ * Format a diagnostic the way `opa check` does: `policy.rego:3:5: rego_parse_error: message`
+ */
+function formatDiagnostic(diagnostic, filename = 'policy.rego') {
+    return `${filename}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.code || diagnostic.type}: ${diagnostic.message}`;
+}
+
+module.exports = {
+    parseModule,
+    parseQuery,
+    checkPolicy,
+    checkModule,
+    formatDiagnostic,
+    refToString,
+    ruleName,
+    isGround,
+    walk,
+    children,
+    collectVars,
+    evaluatePolicy,
+    runTestInputs,
+    findDecision,
+    expectedOf,
+    buildTestSuite,
+    traceDecision,
+    traceQuery,
+    inferInputSchema,
+    checkInputPaths,
+    validateInput,
+    migrateToV1,
+    compareBehavior,
+    formatPolicy,
+    toJSON,
+    Evaluator,
+    RegoSet,
+    BUILTINS,
+    getCatalog,
+    builtinSignature,
+    RegoSyntaxError,
+    RegoEvalError
+};
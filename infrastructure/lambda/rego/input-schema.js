@@ -0,0 +1,416 @@
+/**
+ * Input Schemas
+ * Infers a JSON Schema for a policy's input from its `input.*` references and example inputs,
+ * checks a policy's references against a schema, and checks inputs against a schema.
+ */
+
+const { parseModule } = require('./parser');
+const { walk } = require('./ast');
+const { getCatalog } = require('./builtin-catalog');
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+const COMPARISONS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+const ARITHMETIC = new Set(['*', '/', '%']);
+const LITERAL_TYPES = { String: 'string', Number: 'number', Boolean: 'boolean', Null: 'null' };
+
+// Builtin argument types that fix the type of an input value passed there; collections are read whole
+const SCALAR_TYPES = new Set(['string', 'number', 'boolean']);
+
+/**
+ * Every `input` reference of a module with its static path and what the use says about its type.
+ * Path segments are keys (strings), array indexes (numbers) or null for a variable index.
+ * @returns {{segments: (string|number|null)[], text: string, rule: string|null, line: number,
+ *   column: number, type: string|null, collection: boolean, whole: boolean}[]}
+ */
+function inputReferences(ast) {
+    const references = [];
+    if (!ast) return references;
+
+    for (const rule of ast.rules) {
+        const collect = (node, parent) => {
+            // `with input as ...` replaces the input rather than reading it
+            if (node.type === 'With') {
+                walk(node.value, collect, node);
+                return false;
+            }
+            if (node.type === 'Var' && node.name === 'input' && parent?.type !== 'Ref') {
+                references.push(describeUse(node, parent, [], rule));
+                return;
+            }
+            if (node.type !== 'Ref' || node.head.type !== 'Var' || node.head.name !== 'input') return;
+
+            const segments = node.path.map(element => {
+                if (element.type === 'String') return element.value;
+                if (element.type === 'Number' && Number.isInteger(element.value)) return element.value;
+                return null;
+            });
+            references.push(describeUse(node, parent, segments, rule));
+
+            // References nested in the path (input.a[input.b]) are collected on their own
+            node.path.forEach(element => walk(element, collect, node));
+            return false;
+        };
+        walk(rule, collect);
+    }
+
+    return references;
+}
+
+function describeUse(node, parent, segments, rule) {
+    const use = {
+        segments,
+        rule: rule.head.name,
+        line: node.loc.line,
+        column: node.loc.column,
+        type: null,
+        collection: false,
+        whole: false
+    };
+
+    const other = parent && (parent.left === node ? parent.right : parent.left);
+
+    if (!parent || parent.type === 'Literal') {
+        // A bare reference only tests that the value is defined and not false
+    } else if ((parent.type === 'Binary' && COMPARISONS.has(parent.operator)) || parent.type === 'Unify') {
+        // Compared with a constant it has the constant's type; compared with anything else it is read whole
+        use.type = LITERAL_TYPES[other.type] || null;
+        use.whole = !use.type;
+    } else if (parent.type === 'Binary' && ARITHMETIC.has(parent.operator)) {
+        use.type = 'number';
+    } else if ((parent.type === 'Membership' || parent.type === 'SomeIn') && parent.collection === node) {
+        use.collection = true;
+    } else if (parent.type === 'Call' && getCatalog().byName.has(parent.name)) {
+        const arg = getCatalog().byName.get(parent.name).args[parent.args.indexOf(node)];
+        use.type = arg && SCALAR_TYPES.has(arg.type) ? arg.type : null;
+        use.whole = !use.type;
+    } else if (parent.type === 'Ref') {
+        // Used as a key of another reference, e.g. data.roles[input.user.role]
+    } else {
+        use.whole = true;
+    }
+    return use;
+}
+
+/**
+ * Text form of a reference path, e.g. input.user.roles[_]
+ */
+function pathText(segments) {
+    return segments.reduce((text, segment) => {
+        if (segment === null) return `${text}[_]`;
+        if (typeof segment === 'number') return `${text}[${segment}]`;
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment) ? `${text}.${segment}` : `${text}[${JSON.stringify(segment)}]`;
+    }, 'input');
+}
+
+// ----------------------------------------------------------------------
+// Inference
+// ----------------------------------------------------------------------
+
+function shapeNode() {
+    return { types: new Set(), properties: new Map(), element: null, fromPolicy: false, open: false, collection: false };
+}
+
+function valueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value === 'object' ? 'object' : typeof value;
+}
+
+/**
+ * Infer the input schema of a policy.
+ * The policy's references decide which fields exist; objects it reads only by fixed keys are
+ * closed (additionalProperties: false), while objects it reads whole or by variable keys stay
+ * open and take their fields from the examples. Types come from how the policy uses a value
+ * (compared with a string, passed to startswith, iterated) and otherwise from the examples.
+ * Without a policy the schema describes the examples alone.
+ * @param {string|object} policy - Rego source or a parsed module; '' for examples only
+ * @param {object[]} testInputs - [{description, input, expected}]
+ * @returns {object} JSON Schema (draft-07)
+ */
+function inferInputSchema(policy, testInputs = []) {
+    const ast = typeof policy === 'string' ? (policy ? parseModule(policy).ast : null) : policy;
+    const references = inputReferences(ast);
+    const root = shapeNode();
+
+    if (!references.length) {
+        root.open = true;
+    }
+    for (const reference of references) {
+        addReference(root, reference);
+    }
+
+    for (const testCase of Array.isArray(testInputs) ? testInputs : []) {
+        if (testCase && testCase.input !== undefined) addExample(root, testCase.input);
+    }
+    if (!root.types.size) {
+        root.types.add('object');
+    }
+
+    return { $schema: JSON_SCHEMA_DRAFT, ...toSchema(root) };
+}
+
+function addReference(root, reference) {
+    let node = root;
+    node.fromPolicy = true;
+
+    for (const segment of reference.segments) {
+        if (typeof segment === 'string') {
+            node.types.add('object');
+            if (!node.properties.has(segment)) node.properties.set(segment, shapeNode());
+            node = node.properties.get(segment);
+        } else {
+            if (segment === null) {
+                node.collection = true;
+            } else {
+                node.types.add('array');
+            }
+            node.element = node.element || shapeNode();
+            node = node.element;
+        }
+        node.fromPolicy = true;
+    }
+
+    if (reference.type) node.types.add(reference.type);
+    if (reference.collection) {
+        node.collection = true;
+        node.element = node.element || shapeNode();
+        node.element.fromPolicy = true;
+        node.element.open = true;
+    }
+    if (reference.whole) node.open = true;
+}
+
+/**
+ * Merge one example value into the shape. Closed objects keep only the fields the policy reads;
+ * a value of another type than the policy's use is left for validateInput to report.
+ */
+function addExample(node, value) {
+    const type = valueType(value);
+    const typed = node.fromPolicy && node.types.size > 0 && !node.open;
+    if (typed && !node.types.has(type) && !(node.collection && (type === 'array' || type === 'object'))) {
+        return;
+    }
+    node.types.add(type);
+
+    if (type === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            if (node.properties.has(key)) {
+                addExample(node.properties.get(key), child);
+            } else if (node.collection) {
+                addExample(node.element, child);
+            } else if (!node.fromPolicy || node.open) {
+                const created = shapeNode();
+                created.open = true;
+                node.properties.set(key, created);
+                addExample(created, child);
+            }
+        }
+    } else if (type === 'array') {
+        node.element = node.element || Object.assign(shapeNode(), { open: !node.fromPolicy || node.open });
+        for (const item of value) {
+            addExample(node.element, item);
+        }
+    }
+}
+
+function toSchema(node) {
+    const schema = {};
+    const types = [...node.types].sort();
+    if (types.length === 1) schema.type = types[0];
+    if (types.length > 1) schema.type = types;
+
+    if (node.properties.size) {
+        schema.properties = {};
+        for (const [key, child] of node.properties) {
+            schema.properties[key] = toSchema(child);
+        }
+    }
+    if (node.element) {
+        const element = toSchema(node.element);
+        if (node.types.has('array') || node.collection) schema.items = element;
+        if (node.collection && (node.types.has('object') || !node.types.size)) schema.additionalProperties = element;
+    }
+    if (node.types.has('object') && node.fromPolicy && !node.open && !node.collection) {
+        schema.additionalProperties = false;
+    }
+    return schema;
+}
+
+// ----------------------------------------------------------------------
+// Checking a policy against a schema
+// ----------------------------------------------------------------------
+
+/**
+ * Warnings for `input` references whose path the schema does not declare.
+ * Objects without declared properties or with `additionalProperties: true` accept any key, as do
+ * fields covered by additionalProperties or patternProperties schemas.
+ * @param {string|object} policy - Rego source or a parsed module
+ * @param {object} schema - JSON Schema of the input
+ * @returns {object[]} diagnostics (`input_path_unknown` warnings) with line and column
+ */
+function checkInputPaths(policy, schema) {
+    const ast = typeof policy === 'string' ? parseModule(policy).ast : policy;
+    if (!ast || !schema || typeof schema !== 'object') return [];
+
+    const diagnostics = [];
+    const reported = new Set();
+
+    for (const reference of inputReferences(ast)) {
+        const missing = findMissingSegment(schema, reference.segments, schema);
+        if (!missing) continue;
+
+        const path = pathText(reference.segments.slice(0, missing.index + 1));
+        const key = `${reference.rule}:${path}`;
+        if (reported.has(key)) continue;
+        reported.add(key);
+
+        diagnostics.push({
+            type: 'warning',
+            code: 'input_path_unknown',
+            message: `rule ${reference.rule} reads ${path}, which is not in the input schema`,
+            line: reference.line,
+            column: reference.column,
+            suggestion: missing.known.length
+                ? `Fields at ${pathText(reference.segments.slice(0, missing.index))}: ${missing.known.join(', ')}`
+                : undefined
+        });
+    }
+    return diagnostics;
+}
+
+function findMissingSegment(schema, segments, root) {
+    let current = [schema];
+    for (let index = 0; index < segments.length; index++) {
+        const segment = segments[index];
+        const next = [];
+        const known = new Set();
+        let open = false;
+
+        for (const candidate of current.flatMap(option => alternatives(option, root))) {
+            if (candidate === true || !candidate || typeof candidate !== 'object') {
+                open = true;
+                continue;
+            }
+            const properties = candidate.properties || {};
+            Object.keys(properties).forEach(name => known.add(name));
+
+            if (typeof segment === 'string' && Object.prototype.hasOwnProperty.call(properties, segment)) {
+                next.push(properties[segment]);
+            } else if (segment !== null && typeof segment !== 'string' && candidate.items) {
+                next.push(Array.isArray(candidate.items) ? (candidate.items[segment] || candidate.additionalItems || true) : candidate.items);
+            } else if (segment === null && (candidate.items || candidate.additionalProperties)) {
+                next.push(candidate.items || candidate.additionalProperties);
+            } else if (typeof candidate.additionalProperties === 'object' || candidate.patternProperties) {
+                next.push(candidate.additionalProperties && typeof candidate.additionalProperties === 'object' ? candidate.additionalProperties : true);
+            } else if (candidate.additionalProperties === true || (!candidate.properties && candidate.additionalProperties !== false)) {
+                open = true;
+            }
+        }
+
+        if (open || next.length) {
+            if (open) return null;
+            current = next;
+            continue;
+        }
+        return { index, known: [...known] };
+    }
+    return null;
+}
+
+/**
+ * The subschemas a value may match: the schema itself plus its allOf/anyOf/oneOf branches,
+ * with local `$ref`s resolved
+ */
+function alternatives(schema, root, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > 20) return [schema];
+    const resolved = schema.$ref ? resolveRef(schema.$ref, root) : schema;
+    if (!resolved || resolved === schema && schema.$ref) return [true];
+
+    const branches = [...(resolved.allOf || []), ...(resolved.anyOf || []), ...(resolved.oneOf || [])];
+    if (!branches.length) return [resolved];
+    const own = { ...resolved };
+    delete own.allOf;
+    delete own.anyOf;
+    delete own.oneOf;
+    const hasOwnShape = own.properties || own.items || own.additionalProperties !== undefined;
+    return [...(hasOwnShape ? [own] : []), ...branches.flatMap(branch => alternatives(branch, root, depth + 1))];
+}
+
+function resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    return ref.slice(1).split('/').filter(Boolean)
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), root) || null;
+}
+
+// ----------------------------------------------------------------------
+// Checking an input against a schema
+// ----------------------------------------------------------------------
+
+/**
+ * Ways an input does not conform to a schema (type, enum, required, properties,
+ * additionalProperties, items, allOf/anyOf/oneOf and local $ref).
+ * @returns {{path: string, message: string}[]} empty when the input conforms
+ */
+function validateInput(schema, value, root = schema, path = 'input') {
+    if (schema === true || schema === undefined || schema === null) return [];
+    if (schema === false) return [{ path, message: `${path} is not allowed` }];
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        return target ? validateInput(target, value, root, path) : [];
+    }
+
+    const issues = [];
+    const type = valueType(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.some(expected => expected === type
+            || (expected === 'integer' && type === 'number' && Number.isInteger(value))
+            || (expected === 'number' && type === 'number'));
+        if (!matches) {
+            return [{ path, message: `${path} should be ${allowed.join(' or ')}, not ${type}` }];
+        }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        issues.push({ path, message: `${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+
+    if (type === 'object') {
+        for (const name of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                issues.push({ path: `${path}.${name}`, message: `${path}.${name} is missing` });
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = pathText([key]).replace(/^input/, path);
+            if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+                issues.push(...validateInput(schema.properties[key], child, root, childPath));
+            } else if (schema.additionalProperties === false && !matchesPattern(schema, key)) {
+                issues.push({ path: childPath, message: `${childPath} is not in the schema` });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                issues.push(...validateInput(schema.additionalProperties, child, root, childPath));
+            }
+        }
+    }
+    if (type === 'array' && schema.items && !Array.isArray(schema.items)) {
+        value.forEach((item, index) => issues.push(...validateInput(schema.items, item, root, `${path}[${index}]`)));
+    }
+
+    for (const branch of schema.allOf || []) {
+        issues.push(...validateInput(branch, value, root, path));
+    }
+    for (const keyword of ['anyOf', 'oneOf']) {
+        if (Array.isArray(schema[keyword]) && !schema[keyword].some(branch => !validateInput(branch, value, root, path).length)) {
+            issues.push({ path, message: `${path} matches none of the allowed shapes` });
+        }
+    }
+    return issues;
+}
+
+function matchesPattern(schema, key) {
+    return Object.keys(schema.patternProperties || {}).some(pattern => new RegExp(pattern).test(key));
+}
+
+module.exports = { inferInputSchema, checkInputPaths, validateInput, inputReferences, pathText };
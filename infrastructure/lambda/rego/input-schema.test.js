@@ -0,0 +1,131 @@
+const { inferInputSchema, checkInputPaths, validateInput, checkPolicy } = require('./index');
+
+const POLICY = `package authz
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+    input.request.size < 10
+    some tag in input.user.tags
+    startswith(tag, "team-")
+}
+`;
+
+const EXAMPLE = { user: { role: 'admin', tags: ['team-a'], id: 7 }, request: { size: 3 } };
+
+describe('inferInputSchema', () => {
+    test('types the fields the policy reads and keeps only those', () => {
+        const schema = inferInputSchema(POLICY, [{ description: 'admin', input: EXAMPLE, expected: true }]);
+
+        expect(schema).toEqual({
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: {
+                user: {
+                    type: 'object',
+                    properties: {
+                        role: { type: 'string' },
+                        tags: { type: 'array', items: { type: 'string' } }
+                    },
+                    additionalProperties: false
+                },
+                request: {
+                    type: 'object',
+                    properties: { size: { type: 'number' } },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        });
+    });
+
+    test('describes the examples alone without a policy', () => {
+        const schema = inferInputSchema('', [{ input: { a: 1, b: [true] } }]);
+
+        expect(schema).toEqual({
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            type: 'object',
+            properties: { a: { type: 'number' }, b: { type: 'array', items: { type: 'boolean' } } }
+        });
+    });
+
+    test('leaves a value the policy reads whole open', () => {
+        const schema = inferInputSchema('package authz\n\nallow if input.user == data.users[_]\n', [
+            { input: { user: { name: 'alice' } } }
+        ]);
+
+        expect(schema.properties.user).toEqual({ type: 'object', properties: { name: { type: 'string' } } });
+    });
+});
+
+describe('validateInput', () => {
+    const schema = inferInputSchema(POLICY, [{ input: EXAMPLE }]);
+
+    test('reports type mismatches with their paths', () => {
+        expect(validateInput(schema, { user: { role: 1, tags: 'x' }, request: {} })).toEqual([
+            { path: 'input.user.role', message: 'input.user.role should be string, not number' },
+            { path: 'input.user.tags', message: 'input.user.tags should be array, not string' }
+        ]);
+    });
+
+    test('reports fields the policy never reads', () => {
+        expect(validateInput(schema, EXAMPLE)).toEqual([
+            { path: 'input.user.id', message: 'input.user.id is not in the schema' }
+        ]);
+    });
+
+    test('checks required fields, enums, items and local refs', () => {
+        const declared = {
+            type: 'object',
+            required: ['method'],
+            properties: {
+                method: { enum: ['GET', 'POST'] },
+                groups: { type: 'array', items: { $ref: '#/definitions/group' } }
+            },
+            definitions: { group: { type: 'string' } }
+        };
+
+        expect(validateInput(declared, { groups: ['ops', 3] })).toEqual([
+            { path: 'input.method', message: 'input.method is missing' },
+            { path: 'input.groups[1]', message: 'input.groups[1] should be string, not number' }
+        ]);
+        expect(validateInput(declared, { method: 'PUT' })).toEqual([
+            { path: 'input.method', message: 'input.method should be one of "GET", "POST"' }
+        ]);
+    });
+});
+
+describe('checkInputPaths', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            user: { type: 'object', properties: { role: { type: 'string' } } },
+            request: { type: 'object' }
+        }
+    };
+
+    test('warns about paths the schema does not declare, once per rule', () => {
+        expect(checkInputPaths(POLICY, schema)).toEqual([{
+            type: 'warning',
+            code: 'input_path_unknown',
+            message: 'rule allow reads input.user.tags, which is not in the input schema',
+            line: 8,
+            column: 17,
+            suggestion: 'Fields at input.user: role'
+        }]);
+    });
+
+    test('accepts any key under open objects and additionalProperties schemas', () => {
+        const open = { type: 'object', additionalProperties: { type: 'object', additionalProperties: true } };
+
+        expect(checkInputPaths(POLICY, open)).toEqual([]);
+    });
+
+    test('is run by checkPolicy when given an input schema', () => {
+        const { valid, warnings } = checkPolicy(POLICY, { inputSchema: schema });
+
+        expect(valid).toBe(true);
+        expect(warnings.map(warning => warning.code)).toEqual(['input_path_unknown']);
+    });
+});
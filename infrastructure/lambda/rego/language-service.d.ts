@@ -0,0 +1,50 @@
+// Type declarations for the Rego language service consumed by the frontend's editor worker
+
+import type { CatalogBuiltin, Diagnostic, TestCase } from './index';
+
+export interface Position {
+  line: number;
+  column: number;
+}
+
+export interface Range {
+  line: number;
+  column: number;
+  endLine: number;
+  endColumn: number;
+}
+
+export interface LanguageServiceOptions {
+  regoVersion?: 'v0' | 'v1';
+  opaVersion?: string;
+  testInputs?: TestCase[];
+}
+
+export interface RangedDiagnostic extends Diagnostic {
+  endLine: number;
+  endColumn: number;
+}
+
+export interface CompletionItem {
+  label: string;
+  kind: 'keyword' | 'builtin' | 'namespace' | 'rule' | 'function' | 'field' | 'variable';
+  detail?: string;
+  deprecated?: boolean;
+}
+
+export interface Hover {
+  contents: string;
+  range: Range;
+}
+
+export const KEYWORDS: string[];
+
+export function getDiagnostics(
+  source: string,
+  options?: LanguageServiceOptions
+): { valid: boolean; diagnostics: RangedDiagnostic[] };
+export function getCompletions(source: string, position: Position, options?: LanguageServiceOptions): CompletionItem[];
+export function getHover(source: string, position: Position, options?: LanguageServiceOptions): Hover | null;
+export function getDefinition(source: string, position: Position, options?: LanguageServiceOptions): Range[];
+export function getReferences(source: string, position: Position, options?: LanguageServiceOptions): Range[];
+export function builtinSignature(decl: CatalogBuiltin): string;
@@ -0,0 +1,370 @@
+/**
+ * Rego Language Service
+ * Diagnostics, completion, hover, go-to-definition and find-references for one policy, for
+ * editors. Positions and ranges are 1-based lines and columns; range ends are exclusive.
+ * Loaded by the frontend's language worker rather than through index.js, which it builds on.
+ */
+
+const { refToString } = require('./parser');
+const { walk } = require('./ast');
+const { getCatalog, builtinSignature } = require('./builtin-catalog');
+const { checkPolicy, inferInputSchema } = require('./index');
+
+const KEYWORDS = ['package', 'import', 'default', 'if', 'else', 'not', 'with', 'as', 'some', 'every', 'in', 'contains', 'true', 'false', 'null'];
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_]/;
+
+let cached = null;
+let lastParsed = null;
+
+/**
+ * Parse, check and infer the input schema once per source, options and test inputs. While the
+ * policy is being typed and does not parse, the last version that did supplies rule names and
+ * input fields.
+ */
+function analyze(source, options = {}) {
+    const key = JSON.stringify([source, options.regoVersion || null, options.opaVersion || null, options.testInputs || []]);
+    if (cached && cached.key === key) return cached;
+
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+    const check = checkPolicy(source, { regoVersion: options.regoVersion, opaVersion: options.opaVersion });
+    const ast = check.ast;
+    const analysis = { key, source, lineStarts, check, ast, schema: inferInputSchema(ast, options.testInputs || []) };
+
+    if (check.valid) {
+        lastParsed = analysis;
+    }
+    analysis.fallback = check.valid ? analysis : (lastParsed || analysis);
+    cached = analysis;
+    return analysis;
+}
+
+function offsetAt(analysis, position) {
+    const start = analysis.lineStarts[position.line - 1];
+    if (start === undefined) return analysis.source.length;
+    return Math.min(start + position.column - 1, analysis.source.length);
+}
+
+function positionAt(analysis, offset) {
+    let line = 0;
+    while (line + 1 < analysis.lineStarts.length && analysis.lineStarts[line + 1] <= offset) line++;
+    return { line: line + 1, column: offset - analysis.lineStarts[line] + 1 };
+}
+
+function rangeOf(analysis, loc) {
+    const start = positionAt(analysis, loc.start);
+    const end = positionAt(analysis, loc.end);
+    return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+}
+
+/**
+ * Parse errors, compile errors and lint warnings, each spanning the word it points at
+ * @returns {{valid: boolean, diagnostics: object[]}}
+ */
+function getDiagnostics(source, options = {}) {
+    const analysis = analyze(source, options);
+    const diagnostics = [...analysis.check.errors, ...analysis.check.warnings].map(diagnostic => {
+        const offset = offsetAt(analysis, diagnostic);
+        let end = offset;
+        while (end < source.length && IDENTIFIER_CHAR.test(source[end])) end++;
+        return {
+            ...diagnostic,
+            endLine: diagnostic.line,
+            endColumn: diagnostic.column + Math.max(end - offset, 1)
+        };
+    });
+    return { valid: analysis.check.valid, diagnostics };
+}
+
+/**
+ * Completion candidates at a position: fields of `input.` paths from the inferred schema, rules
+ * of the policy under `data.`, builtins of a namespace after `strings.` and the like, and
+ * otherwise keywords, builtins, rules and the variables of the enclosing rule.
+ * @returns {{label: string, kind: string, detail?: string, deprecated?: boolean}[]} kind is
+ *   keyword, builtin, namespace, rule, function, field or variable
+ */
+function getCompletions(source, position, options = {}) {
+    const analysis = analyze(source, options);
+    const { ast, schema } = analysis.fallback;
+    const lineText = source.slice(analysis.lineStarts[position.line - 1] || 0, offsetAt(analysis, position));
+    const qualifier = /((?:[A-Za-z_][A-Za-z0-9_]*\.)*)[A-Za-z0-9_]*$/.exec(lineText)[1];
+    const segments = qualifier.split('.').slice(0, -1);
+
+    if (segments[0] === 'input') {
+        return schemaFields(schema, segments.slice(1));
+    }
+    if (segments[0] === 'data') {
+        return dataCompletions(ast, segments.slice(1));
+    }
+    if (segments.length) {
+        return builtinCompletions(`${segments.join('.')}.`, options);
+    }
+
+    const rules = ruleCompletions(ast);
+    const variables = localVariables(analysis.ast ? enclosingRule(analysis.ast, offsetAt(analysis, position)) : null)
+        .filter(name => !rules.some(rule => rule.label === name))
+        .map(name => ({ label: name, kind: 'variable' }));
+
+    return [
+        ...KEYWORDS.map(keyword => ({ label: keyword, kind: 'keyword' })),
+        { label: 'input', kind: 'variable', detail: 'The input document' },
+        { label: 'data', kind: 'variable', detail: 'Base and virtual documents' },
+        ...builtinCompletions('', options),
+        ...rules,
+        ...variables
+    ];
+}
+
+function schemaFields(schema, path) {
+    let node = schema;
+    for (const segment of path) {
+        node = node && node.properties ? node.properties[segment] : null;
+    }
+    if (!node || !node.properties) return [];
+    return Object.entries(node.properties).map(([name, property]) => ({
+        label: name,
+        kind: 'field',
+        detail: [].concat(property.type || 'any').join(' | ')
+    }));
+}
+
+function dataCompletions(ast, path) {
+    if (!ast || !ast.package) return [];
+    const packagePath = ast.package.name.split('.');
+    const matches = path.every((segment, index) => packagePath[index] === segment);
+    if (!matches) return [];
+    if (path.length < packagePath.length) {
+        return [{ label: packagePath[path.length], kind: 'namespace', detail: `package ${ast.package.name}` }];
+    }
+    return path.length === packagePath.length ? ruleCompletions(ast) : [];
+}
+
+/**
+ * Catalog builtins under a namespace prefix; namespaces below it complete to their next segment
+ */
+function builtinCompletions(prefix, options) {
+    const items = new Map();
+    for (const decl of getCatalog(options.opaVersion).builtins) {
+        if (decl.infix || !decl.name.startsWith(prefix)) continue;
+        const rest = decl.name.slice(prefix.length);
+        const [label, ...more] = rest.split('.');
+        if (more.length) {
+            if (!items.has(label)) items.set(label, { label, kind: 'namespace' });
+        } else {
+            items.set(label, {
+                label,
+                kind: 'builtin',
+                detail: builtinSignature(decl),
+                ...(decl.deprecated ? { deprecated: true } : {})
+            });
+        }
+    }
+    return [...items.values()];
+}
+
+function ruleCompletions(ast) {
+    if (!ast) return [];
+    const items = new Map();
+    for (const rule of ast.rules) {
+        const name = rule.head.name;
+        if (!items.has(name)) {
+            items.set(name, {
+                label: name,
+                kind: rule.kind === 'function' ? 'function' : 'rule',
+                detail: `${rule.kind.replace('_', ' ')} rule, line ${rule.loc.line}`
+            });
+        }
+    }
+    return [...items.values()];
+}
+
+function enclosingRule(ast, offset) {
+    return ast.rules.find(rule => rule.loc.start <= offset && offset <= rule.loc.end) || null;
+}
+
+/**
+ * Variables a rule declares: function arguments, `:=` targets, `some` and `every` variables.
+ * Inside the rule these shadow rules of the same name.
+ */
+function localVariables(rule) {
+    if (!rule) return [];
+    const names = new Set();
+    const addVars = node => walk(node, child => {
+        if (child.type === 'Var' && child.name !== '_') names.add(child.name);
+    });
+
+    (rule.head.args || []).forEach(addVars);
+    walk(rule, node => {
+        if (node.type === 'Assign') addVars(node.left);
+        if (node.type === 'SomeDecl') node.vars.forEach(addVars);
+        if (node.type === 'SomeIn' || node.type === 'Every') [node.key, node.value].filter(Boolean).forEach(addVars);
+    });
+    return [...names];
+}
+
+/**
+ * Innermost node containing an offset, with its ancestors
+ */
+function nodesAt(ast, offset) {
+    const path = [];
+    walk(ast, node => {
+        if (!node.loc || node.loc.start > offset || offset >= node.loc.end) {
+            return node.type === 'Module' ? undefined : false;
+        }
+        path.push(node);
+    });
+    return path;
+}
+
+/**
+ * The rule or function a position refers to: its name in a rule head, a reference to it in a
+ * body, or a `data.<package>.<name>` path
+ */
+function symbolAt(analysis, position) {
+    const ast = analysis.ast;
+    if (!ast) return null;
+    const offset = offsetAt(analysis, position);
+    const names = new Set(ast.rules.map(rule => rule.head.name));
+    const path = nodesAt(ast, offset);
+    const node = path[path.length - 1];
+    if (!node) return null;
+
+    const rule = path.find(candidate => candidate.type === 'Rule');
+    if (node.type === 'Var' && names.has(node.name)) {
+        const definition = rule && headName(rule) === node;
+        const shadowed = !definition && localVariables(rule).includes(node.name);
+        return shadowed ? null : { name: node.name, node };
+    }
+
+    // `data.pkg.rule` refers to the rule by its path
+    const ref = [...path].reverse().find(candidate => candidate.type === 'Ref');
+    if (node.type === 'String' && ref && ast.package && refToString(ref).startsWith(`data.${ast.package.name}.`)) {
+        const index = ref.path.indexOf(node);
+        const depth = ast.package.name.split('.').length;
+        if (index === depth && names.has(node.value)) {
+            return { name: node.value, node };
+        }
+    }
+    return null;
+}
+
+function headName(rule) {
+    return rule.head.ref.type === 'Var' ? rule.head.ref : rule.head.ref.head;
+}
+
+/**
+ * Hover text (markdown) for a builtin call, a rule or function, or an `input` path
+ * @returns {{contents: string, range: object}|null}
+ */
+function getHover(source, position, options = {}) {
+    const analysis = analyze(source, options);
+    if (!analysis.ast) return null;
+    const offset = offsetAt(analysis, position);
+    const path = nodesAt(analysis.ast, offset);
+
+    const call = [...path].reverse().find(node => node.type === 'Call'
+        && node.callee.loc.start <= offset && offset < node.callee.loc.end);
+    const decl = call && getCatalog(options.opaVersion).byName.get(call.name);
+    if (decl && !analysis.ast.rules.some(rule => rule.kind === 'function' && rule.head.name === call.name)) {
+        return {
+            contents: [
+                `\`\`\`rego\n${builtinSignature(decl)}\n\`\`\``,
+                decl.description[0].toUpperCase() + decl.description.slice(1),
+                ...(decl.deprecated ? [`**Deprecated**${decl.replacement ? `: use ${decl.replacement}` : ''}`] : [])
+            ].join('\n\n'),
+            range: rangeOf(analysis, call.callee.loc)
+        };
+    }
+
+    const symbol = symbolAt(analysis, position);
+    if (symbol) {
+        const definitions = analysis.ast.rules.filter(rule => rule.head.name === symbol.name);
+        const kinds = [...new Set(definitions.map(rule => rule.kind.replace('_', ' ')))].join(', ');
+        return {
+            contents: [
+                `\`\`\`rego\n${definitions.map(rule => source.slice(rule.head.loc.start, rule.head.loc.end)).join('\n')}\n\`\`\``,
+                `${kinds} ${definitions[0].kind === 'function' ? '' : 'rule '}defined at line ${definitions.map(rule => rule.loc.line).join(', ')}`
+            ].join('\n\n'),
+            range: rangeOf(analysis, symbol.node.loc)
+        };
+    }
+
+    const ref = [...path].reverse().find(node => node.type === 'Ref' && node.head.type === 'Var' && node.head.name === 'input');
+    if (ref && analysis.fallback.schema) {
+        const segments = ref.path.filter(segment => segment.loc.start <= offset);
+        let schema = analysis.fallback.schema;
+        for (const segment of segments) {
+            schema = segment.type === 'String'
+                ? schema && schema.properties && schema.properties[segment.value]
+                : schema && schema.items;
+        }
+        if (schema) {
+            const end = segments.length ? segments[segments.length - 1].loc.end : ref.head.loc.end;
+            return {
+                contents: `\`input${segments.map(segment => (segment.type === 'String' ? `.${segment.value}` : '[_]')).join('')}\`: ${[].concat(schema.type || 'any').join(' | ')}`,
+                range: rangeOf(analysis, { start: ref.loc.start, end })
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Ranges of the heads defining the rule or function at a position
+ */
+function getDefinition(source, position, options = {}) {
+    const analysis = analyze(source, options);
+    const symbol = symbolAt(analysis, position);
+    if (!symbol) return [];
+    return analysis.ast.rules
+        .filter(rule => rule.head.name === symbol.name)
+        .map(rule => rangeOf(analysis, headName(rule).loc));
+}
+
+/**
+ * Ranges of every definition of and reference to the rule or function at a position. Inside rules
+ * where a local variable of the same name shadows it, only `data.<package>.<name>` refers to it.
+ */
+function getReferences(source, position, options = {}) {
+    const analysis = analyze(source, options);
+    const symbol = symbolAt(analysis, position);
+    if (!symbol) return [];
+    const ast = analysis.ast;
+    const dataPath = ast.package ? `data.${ast.package.name}.${symbol.name}` : null;
+    const ranges = [];
+
+    for (const rule of ast.rules) {
+        const definition = headName(rule);
+        if (definition.name === symbol.name) {
+            ranges.push(rangeOf(analysis, definition.loc));
+        }
+        const shadowed = localVariables(rule).includes(symbol.name);
+
+        walk(rule, node => {
+            if (node === definition) return;
+            if (node.type === 'Var' && node.name === symbol.name && !shadowed) {
+                ranges.push(rangeOf(analysis, node.loc));
+            }
+            if (node.type === 'Ref' && dataPath && refToString(node).startsWith(dataPath)) {
+                const segment = node.path[dataPath.split('.').length - 2];
+                if (segment && segment.type === 'String' && segment.value === symbol.name) {
+                    ranges.push(rangeOf(analysis, segment.loc));
+                }
+            }
+        });
+    }
+    return ranges.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+}
+
+module.exports = {
+    getDiagnostics,
+    getCompletions,
+    getHover,
+    getDefinition,
+    getReferences,
+    builtinSignature,
+    KEYWORDS
+};
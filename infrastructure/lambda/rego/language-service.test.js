@@ -0,0 +1,135 @@
+const { getDiagnostics, getCompletions, getHover, getDefinition, getReferences } = require('./language-service');
+
+const POLICY = `package authz
+
+default allow := false
+
+is_admin if input.user.role == "admin"
+
+allow if {
+    is_admin
+    name := lower(input.user.name)
+    startswith(name, "a")
+}
+
+allow if data.authz.is_admin
+`;
+
+const OPTIONS = { testInputs: [{ input: { user: { role: 'admin', name: 'Ann', groups: ['ops'] } } }] };
+
+describe('getDiagnostics', () => {
+    test('spans the word a diagnostic points at', () => {
+        const { valid, diagnostics } = getDiagnostics(`${POLICY}\nlegacy if re_match("^a", input.user.name)\n`);
+
+        expect(valid).toBe(true);
+        expect(diagnostics).toEqual([expect.objectContaining({
+            code: 'deprecated_builtin',
+            line: 15,
+            column: 11,
+            endLine: 15,
+            endColumn: 19,
+            suggestion: 'Use regex.match instead'
+        })]);
+    });
+
+    test('reports parse errors', () => {
+        const { valid, diagnostics } = getDiagnostics('package authz\n\nallow if {\n    x := 1\n');
+
+        expect(valid).toBe(false);
+        expect(diagnostics[0]).toMatchObject({ code: 'rego_parse_error', line: 5 });
+    });
+});
+
+describe('getCompletions', () => {
+    test('offers the fields the policy reads after input paths, from the last version that parsed', () => {
+        getDiagnostics(POLICY, OPTIONS);
+        const source = `${POLICY}\nx if input.user.\n`;
+
+        expect(getCompletions(source, { line: 15, column: 12 }, OPTIONS)).toEqual([
+            { label: 'user', kind: 'field', detail: 'object' }
+        ]);
+        expect(getCompletions(source, { line: 15, column: 17 }, OPTIONS)).toEqual([
+            { label: 'role', kind: 'field', detail: 'string' },
+            { label: 'name', kind: 'field', detail: 'string' }
+        ]);
+    });
+
+    test('offers the package\'s rules after data paths', () => {
+        expect(getCompletions(POLICY, { line: 13, column: 21 }).map(item => item.label)).toEqual(['allow', 'is_admin']);
+    });
+
+    test('offers the builtins of a namespace', () => {
+        const items = getCompletions('package authz\n\nx := strings.', { line: 3, column: 14 });
+
+        expect(items.every(item => item.kind === 'builtin')).toBe(true);
+        expect(items.map(item => item.label)).toContain('any_prefix_match');
+        expect(items.find(item => item.label === 'count').detail).toMatch(/^strings\.count\(/);
+    });
+
+    test('offers keywords, builtins, rules and the enclosing rule\'s variables', () => {
+        const items = getCompletions(POLICY, { line: 10, column: 5 }, OPTIONS);
+
+        expect(items).toEqual(expect.arrayContaining([
+            { label: 'if', kind: 'keyword' },
+            { label: 'is_admin', kind: 'rule', detail: 'complete rule, line 5' },
+            { label: 'name', kind: 'variable' }
+        ]));
+        expect(items.find(item => item.label === 're_match')).toMatchObject({ kind: 'builtin', deprecated: true });
+    });
+});
+
+describe('getHover', () => {
+    test('shows a builtin\'s signature', () => {
+        const hover = getHover(POLICY, { line: 9, column: 14 });
+
+        expect(hover.contents).toMatch(/^```rego\nlower\(x: string\) → string\n```/);
+        expect(hover.range).toEqual({ line: 9, column: 13, endLine: 9, endColumn: 18 });
+    });
+
+    test('marks deprecated builtins with their replacement', () => {
+        const hover = getHover('package authz\n\nallow if re_match("^a", input.name)\n', { line: 3, column: 11 });
+
+        expect(hover.contents).toMatch(/\*\*Deprecated\*\*: use regex\.match$/);
+    });
+
+    test('shows where a rule is defined', () => {
+        expect(getHover(POLICY, { line: 8, column: 6 })).toEqual({
+            contents: '```rego\nis_admin\n```\n\ncomplete rule defined at line 5',
+            range: { line: 8, column: 5, endLine: 8, endColumn: 13 }
+        });
+    });
+
+    test('shows the type of an input path', () => {
+        expect(getHover(POLICY, { line: 9, column: 31 }, OPTIONS)).toEqual({
+            contents: '`input.user.name`: string',
+            range: { line: 9, column: 19, endLine: 9, endColumn: 34 }
+        });
+    });
+
+    test('is null away from any symbol', () => {
+        expect(getHover(POLICY, { line: 2, column: 1 })).toBeNull();
+    });
+});
+
+describe('navigation', () => {
+    test('goes to a rule\'s definition', () => {
+        expect(getDefinition(POLICY, { line: 8, column: 6 })).toEqual([{ line: 5, column: 1, endLine: 5, endColumn: 9 }]);
+    });
+
+    test('finds references by name and through data paths', () => {
+        expect(getReferences(POLICY, { line: 5, column: 2 })).toEqual([
+            { line: 5, column: 1, endLine: 5, endColumn: 9 },
+            { line: 8, column: 5, endLine: 8, endColumn: 13 },
+            { line: 13, column: 21, endLine: 13, endColumn: 29 }
+        ]);
+    });
+
+    test('skips a local variable that shadows the rule', () => {
+        const source = 'package authz\n\nadmin if input.admin\n\nallow if {\n    admin := input.x\n    data.authz.admin\n}\n';
+
+        expect(getReferences(source, { line: 3, column: 2 })).toEqual([
+            { line: 3, column: 1, endLine: 3, endColumn: 6 },
+            { line: 7, column: 16, endLine: 7, endColumn: 21 }
+        ]);
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Rego Lexer
+ * Turns Rego source text into a flat list of lexemes with line/column positions
+ */
+
+const PUNCTUATION = [
+    ':=', '==', '!=', '<=', '>=',
+    '{', '}', '[', ']', '(', ')', '.', ',', ';', ':',
+    '=', '<', '>', '+', '-', '*', '/', '%', '|', '&'
+];
+
+const ESCAPES = {
+    '"': '"',
+    '\\': '\\',
+    '/': '/',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t'
+};
+
+class RegoSyntaxError extends Error {
+    constructor(message, location) {
+        super(message);
+        this.name = 'RegoSyntaxError';
+        this.code = 'rego_parse_error';
+        this.line = location.line;
+        this.column = location.column;
+        this.offset = location.offset;
+    }
+}
+
+class Lexer {
+    constructor(source) {
+        this.source = source;
+        this.offset = 0;
+        this.line = 1;
+        this.column = 1;
+        this.lexemes = [];
+        this.comments = [];
+        this.errors = [];
+    }
+
+    /**
+     * Scan the whole source. Invalid input becomes an `invalid` lexeme carrying the
+     * error message so the parser can report it in place and keep going.
+     */
+    scan() {
+        let spaceBefore = true;
+
+        while (this.offset < this.source.length) {
+            const ch = this.source[this.offset];
+
+            if (ch === ' ' || ch === '\t' || ch === '\r') {
+                this.advance();
+                spaceBefore = true;
+                continue;
+            }
+
+            if (ch === '\n') {
+                this.push('newline', '\n', this.position(), spaceBefore);
+                this.advance();
+                spaceBefore = true;
+                continue;
+            }
+
+            if (ch === '#') {
+                this.scanComment();
+                spaceBefore = true;
+                continue;
+            }
+
+            const start = this.position();
+
+            try {
+                this.scanLexeme(ch, start, spaceBefore);
+            } catch (error) {
+                if (!(error instanceof RegoSyntaxError)) throw error;
+                this.errors.push(error);
+                this.scanWhile(c => c !== '\n');
+                this.push('invalid', this.source.slice(start.offset, this.offset), start, spaceBefore, error.message);
+            }
+
+            spaceBefore = false;
+        }
+
+        this.push('eof', '', this.position(), true);
+        return { lexemes: this.lexemes, comments: this.comments, errors: this.errors };
+    }
+
+    scanLexeme(ch, start, spaceBefore) {
+        if (isIdentStart(ch)) {
+            this.push('ident', this.scanWhile(isIdentPart), start, spaceBefore);
+        } else if (isDigit(ch)) {
+            this.push('number', this.scanNumber(), start, spaceBefore);
+        } else if (ch === '"') {
+            const { raw, value } = this.scanString();
+            this.push('string', raw, start, spaceBefore, value);
+        } else if (ch === '`') {
+            const { raw, value } = this.scanRawString();
+            this.push('rawstring', raw, start, spaceBefore, value);
+        } else {
+            const punct = PUNCTUATION.find(p => this.source.startsWith(p, this.offset));
+            if (!punct) {
+                throw new RegoSyntaxError(`illegal character ${JSON.stringify(ch)}`, start);
+            }
+            for (let i = 0; i < punct.length; i++) this.advance();
+            this.push('punct', punct, start, spaceBefore);
+        }
+    }
+
+    position() {
+        return { offset: this.offset, line: this.line, column: this.column };
+    }
+
+    advance() {
+        if (this.source[this.offset] === '\n') {
+            this.line++;
+            this.column = 1;
+        } else {
+            this.column++;
+        }
+        this.offset++;
+    }
+
+    push(kind, text, start, spaceBefore, value) {
+        this.lexemes.push({
+            kind,
+            text,
+            value: value !== undefined ? value : text,
+            line: start.line,
+            column: start.column,
+            start: start.offset,
+            end: this.offset,
+            spaceBefore
+        });
+    }
+
+    scanWhile(predicate) {
+        const begin = this.offset;
+        while (this.offset < this.source.length && predicate(this.source[this.offset])) {
+            this.advance();
+        }
+        return this.source.slice(begin, this.offset);
+    }
+
+    scanComment() {
+        const start = this.position();
+        const text = this.scanWhile(ch => ch !== '\n');
+        this.comments.push({
+            type: 'Comment',
+            text: text.slice(1),
+            line: start.line,
+            column: start.column,
+            start: start.offset,
+            end: this.offset
+        });
+    }
+
+    scanNumber() {
+        const begin = this.offset;
+        this.scanWhile(isDigit);
+
+        if (this.source[this.offset] === '.' && isDigit(this.source[this.offset + 1] || '')) {
+            this.advance();
+            this.scanWhile(isDigit);
+        }
+
+        if (this.source[this.offset] === 'e' || this.source[this.offset] === 'E') {
+            const next = this.source[this.offset + 1];
+            const afterSign = this.source[this.offset + 2];
+            if (isDigit(next || '') || ((next === '+' || next === '-') && isDigit(afterSign || ''))) {
+                this.advance();
+                if (next === '+' || next === '-') this.advance();
+                this.scanWhile(isDigit);
+            }
+        }
+
+        if (isIdentStart(this.source[this.offset] || '')) {
+            throw new RegoSyntaxError('invalid number literal', this.position());
+        }
+
+        return this.source.slice(begin, this.offset);
+    }
+
+    scanString() {
+        const start = this.position();
+        const begin = this.offset;
+        let value = '';
+        this.advance();
+
+        while (true) {
+            const ch = this.source[this.offset];
+
+            if (ch === undefined || ch === '\n') {
+                throw new RegoSyntaxError('non-terminated string', start);
+            }
+
+            if (ch === '"') {
+                this.advance();
+                break;
+            }
+
+            if (ch === '\\') {
+                const escapePos = this.position();
+                this.advance();
+                const esc = this.source[this.offset];
+
+                if (esc === 'u') {
+                    const hex = this.source.slice(this.offset + 1, this.offset + 5);
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                        throw new RegoSyntaxError('invalid unicode escape in string', escapePos);
+                    }
+                    value += String.fromCharCode(parseInt(hex, 16));
+                    for (let i = 0; i < 5; i++) this.advance();
+                    continue;
+                }
+
+                if (!(esc in ESCAPES)) {
+                    throw new RegoSyntaxError(`illegal escape sequence \\${esc || ''} in string`, escapePos);
+                }
+
+                value += ESCAPES[esc];
+                this.advance();
+                continue;
+            }
+
+            value += ch;
+            this.advance();
+        }
+
+        return { raw: this.source.slice(begin, this.offset), value };
+    }
+
+    scanRawString() {
+        const start = this.position();
+        const begin = this.offset;
+        this.advance();
+
+        while (this.source[this.offset] !== '`') {
+            if (this.offset >= this.source.length) {
+                throw new RegoSyntaxError('non-terminated raw string', start);
+            }
+            this.advance();
+        }
+        this.advance();
+
+        const raw = this.source.slice(begin, this.offset);
+        return { raw, value: raw.slice(1, -1) };
+    }
+}
+
+function isIdentStart(ch) {
+    return /[A-Za-z_]/.test(ch);
+}
+
+function isIdentPart(ch) {
+    return /[A-Za-z0-9_]/.test(ch);
+}
+
+function isDigit(ch) {
+    return ch >= '0' && ch <= '9';
+}
+
+/**
+ * Scan Rego source into lexemes and comments
+ */
+function lex(source) {
+    return new Lexer(source).scan();
+}
+
+module.exports = { lex, Lexer, RegoSyntaxError };
@@ -0,0 +1,195 @@
+/**
+ * Rego v1 Migration
+ * Rewrites v0 policies in v1 syntax (the default since OPA 1.0) and checks that the rewritten
+ * policy evaluates the same as the original on sample inputs.
+ */
+
+const { parseModule } = require('./parser');
+const { checkModule, isKeywordImport, ruleName } = require('./checker');
+const { walk, collectVars } = require('./ast');
+const { Evaluator } = require('./evaluator');
+
+/**
+ * Rewrite a policy in Rego v1 syntax:
+ * - `if` before every rule body and `contains` for partial set rules (`p[x] { ... }`)
+ * - `:=` instead of `=` in rule heads defined once, and for body unifications that bind a new variable
+ * - `re_match`, `any` and `all`, removed in OPA 1.0, replaced by equivalent expressions
+ * - `import rego.v1` and `future.keywords` imports removed
+ * @returns {{valid: boolean, policy: string|null, changes: object[], errors: object[]}} policy is
+ *   null when the original does not parse; errors are then the original's, else the rewrite's
+ */
+function migrateToV1(source) {
+    let { ast, errors } = parseModule(source, { regoVersion: 'v0' });
+    if (!ast || errors.length) {
+        // Mixed policies use v1 keywords without importing them; the default mode accepts both
+        ({ ast, errors } = parseModule(source));
+    }
+    if (!ast || errors.length || !ast.package) {
+        return {
+            valid: false,
+            policy: null,
+            changes: [],
+            errors: errors.length ? errors : [{ type: 'error', code: 'rego_parse_error', message: 'missing package declaration', line: 1, column: 1 }]
+        };
+    }
+
+    const edits = [];
+    const edit = (start, end, text, node, message) => {
+        edits.push({ start, end, text, change: { line: node.loc.line, column: node.loc.column, message } });
+    };
+
+    let removedImports = 0;
+    for (const imp of ast.imports) {
+        if (isKeywordImport(imp)) {
+            const end = source[imp.loc.end] === '\n' ? imp.loc.end + 1 : imp.loc.end;
+            edit(imp.loc.start, end, '', imp, `removed import ${imp.name}`);
+            removedImports += end - imp.loc.start;
+        }
+    }
+
+    const definitions = new Map();
+    for (const rule of ast.rules.filter(rule => !rule.default)) {
+        definitions.set(ruleName(rule), (definitions.get(ruleName(rule)) || 0) + 1);
+    }
+    const globals = new Set([
+        'input', 'data',
+        ...ast.rules.map(rule => ruleName(rule).split(/[.[]/)[0]),
+        ...ast.imports.map(imp => imp.alias || imp.name.split('.').pop())
+    ]);
+
+    for (const rule of ast.rules) {
+        const name = ruleName(rule);
+        const head = rule.head;
+
+        if (rule.kind === 'partial_set' && !head.contains) {
+            const open = source.lastIndexOf('[', head.key.loc.start);
+            edit(open, head.ref.loc.end, ` contains ${source.slice(head.key.loc.start, head.key.loc.end)}`, rule,
+                `${name}: partial set rule now uses contains`);
+        }
+
+        // := rules may only be defined once, so rules with several definitions keep =
+        const assign = head.assign === '=' && (rule.default || definitions.get(name) === 1);
+        if (assign) {
+            edit(...assignOperator(source, head.value), rule, `${name}: = replaced by := in the rule head`);
+        }
+
+        for (const clause of [rule, ...rule.elses]) {
+            if (clause !== rule && assign && clause.assign === '=') {
+                edit(...assignOperator(source, clause.value), clause, `${name}: = replaced by := in the else clause`);
+            }
+            if (clause.body && !clause.hasIf) {
+                edit(clause.body.loc.start, clause.body.loc.start, 'if ', clause, `${name}: added if before the rule body`);
+            }
+            if (clause.body) {
+                const bound = new Set([...globals, ...(head.args || []).flatMap(arg => [...collectVars(arg)])]);
+                for (const literal of clause.body.literals) {
+                    const expr = literal.expr;
+                    if (expr.type === 'Unify' && !literal.negated && !literal.with.length
+                        && expr.left.type === 'Var' && expr.left.name !== '_' && !bound.has(expr.left.name)
+                        && !collectVars(expr.right).has(expr.left.name)) {
+                        edit(...assignOperator(source, expr.right), expr,
+                            `${name}: ${expr.left.name} = replaced by ${expr.left.name} :=`);
+                    }
+                    collectVars(literal).forEach(variable => bound.add(variable));
+                }
+            }
+        }
+    }
+
+    walk(ast, node => {
+        if (node.type !== 'Call') return;
+        const callee = [node.callee.loc.start, node.callee.loc.end];
+        if (node.name === 're_match') {
+            edit(...callee, 'regex.match', node, 're_match replaced by regex.match');
+        } else if (node.name === 'any' && node.args.length === 1) {
+            edit(...callee, '(true in ', node, 'any(...) replaced by true in (...)');
+            edit(node.loc.end, node.loc.end, ')', node, null);
+        } else if (node.name === 'all' && node.args.length === 1) {
+            edit(...callee, '(count([item__ | some item__ in ', node, 'all(...) replaced by a count of the elements that are not true');
+            edit(node.loc.end, node.loc.end, '; item__ != true]) == 0)', node, null);
+        }
+    });
+
+    // Apply from the end so earlier offsets stay valid; insertions at one offset keep their order
+    let policy = source;
+    [...edits]
+        .map((item, index) => ({ ...item, index }))
+        .sort((a, b) => (b.start - a.start) || (b.index - a.index))
+        .forEach(item => {
+            policy = policy.slice(0, item.start) + item.text + policy.slice(item.end);
+        });
+
+    // Removed imports can leave a run of blank lines between the package and the rules
+    const rulesStart = (ast.rules.length ? ast.rules[0].loc.start : source.length) - removedImports;
+    policy = policy.slice(0, rulesStart).replace(/\n{3,}/g, '\n\n') + policy.slice(rulesStart);
+
+    const changes = edits
+        .map(item => item.change)
+        .filter(change => change.message)
+        .sort((a, b) => (a.line - b.line) || (a.column - b.column));
+
+    const migrated = parseModule(policy, { regoVersion: 'v1' });
+    const remaining = [...migrated.errors, ...(migrated.ast ? checkModule(migrated.ast) : [])]
+        .filter(diagnostic => diagnostic.type === 'error');
+
+    return { valid: remaining.length === 0, policy, changes, errors: remaining };
+}
+
+/**
+ * [start, end] of the `=` between a rule head or unification and its value, with its replacement
+ */
+function assignOperator(source, value) {
+    const position = source.lastIndexOf('=', value.loc.start - 1);
+    return [position, position + 1, ':='];
+}
+
+/**
+ * Evaluate two versions of a policy on the same inputs and compare the whole package document.
+ * Both run with one fixed clock so time-based rules agree.
+ * @param {object[]} testInputs - [{description, input}]
+ * @param {object} options - `data`, and `regoVersion` of each side (`before`, `after`)
+ */
+function compareBehavior(before, after, testInputs = [], options = {}) {
+    const now = options.now ?? Date.now() * 1e6;
+    const sides = [
+        { source: before, regoVersion: options.before },
+        { source: after, regoVersion: options.after }
+    ].map(({ source, regoVersion }) => parseModule(source || '', regoVersion ? { regoVersion } : {}));
+
+    const evaluate = ({ ast, errors }, input) => {
+        if (!ast || errors.length || !ast.package) {
+            return { error: 'policy does not parse' };
+        }
+        try {
+            const value = new Evaluator([ast], { data: options.data, now }).evalRule(`data.${ast.package.name}`, input);
+            return { value: value === undefined ? null : value };
+        } catch (error) {
+            return { error: error.message };
+        }
+    };
+
+    const results = (Array.isArray(testInputs) ? testInputs : []).map((testCase, index) => {
+        const [was, is] = sides.map(side => evaluate(side, testCase.input));
+        return {
+            description: testCase.description || testCase.name || `Test case ${index + 1}`,
+            same: JSON.stringify(sortKeys(was)) === JSON.stringify(sortKeys(is)),
+            before: was.error ? { error: was.error } : was.value,
+            after: is.error ? { error: is.error } : is.value
+        };
+    });
+
+    return {
+        checked: results.length,
+        // Nothing was compared without inputs
+        unchanged: results.length ? results.every(result => result.same) : null,
+        results
+    };
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+module.exports = { migrateToV1, compareBehavior };
@@ -0,0 +1,161 @@
+const { migrateToV1, compareBehavior, checkPolicy } = require('./index');
+
+const V0_POLICY = `package authz
+
+import future.keywords.in
+
+default allow = false
+
+allow {
+    input.user.role == "admin"
+}
+
+deny[msg] {
+    some name
+    input.users[name].banned
+    msg = sprintf("%s is banned", [name])
+}
+
+admin_like {
+    any([input.user.role == "admin", input.user.role == "root"])
+}
+
+named {
+    re_match("^a", input.user.name)
+}
+`;
+
+const V1_POLICY = `package authz
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+}
+
+deny contains msg if {
+    some name
+    input.users[name].banned
+    msg := sprintf("%s is banned", [name])
+}
+
+admin_like if {
+    (true in ([input.user.role == "admin", input.user.role == "root"]))
+}
+
+named if {
+    regex.match("^a", input.user.name)
+}
+`;
+
+const INPUTS = [
+    { description: 'admin', input: { user: { role: 'admin', name: 'ann' }, users: {} } },
+    { description: 'banned user', input: { user: { role: 'viewer', name: 'bob' }, users: { bob: { banned: true } } } }
+];
+
+describe('migrateToV1', () => {
+    test('rewrites a v0 policy in v1 syntax and lists each change', () => {
+        const migration = migrateToV1(V0_POLICY);
+
+        expect(migration.valid).toBe(true);
+        expect(migration.errors).toEqual([]);
+        expect(migration.policy).toBe(V1_POLICY);
+        expect(migration.changes.map(change => `${change.line}: ${change.message}`)).toEqual([
+            '3: removed import future.keywords.in',
+            '5: allow: = replaced by := in the rule head',
+            '7: allow: added if before the rule body',
+            '11: deny: partial set rule now uses contains',
+            '11: deny: added if before the rule body',
+            '14: deny: msg = replaced by msg :=',
+            '17: admin_like: added if before the rule body',
+            '18: any(...) replaced by true in (...)',
+            '21: named: added if before the rule body',
+            '22: re_match replaced by regex.match'
+        ]);
+    });
+
+    test('keeps = for rules defined more than once and for unifications with bound variables', () => {
+        const migration = migrateToV1(`package authz
+
+level = 1 {
+    input.admin
+}
+
+level = 0 {
+    not input.admin
+}
+
+owner {
+    input.user = input.resource.owner
+}
+`);
+
+        expect(migration.policy).toContain('level = 1 if {');
+        expect(migration.policy).toContain('level = 0 if {');
+        expect(migration.policy).toContain('    input.user = input.resource.owner');
+        expect(migration.valid).toBe(true);
+    });
+
+    test('replaces all() with a count of the elements that are not true', () => {
+        const policy = 'package authz\n\nallow {\n    all([input.a, input.b])\n}\n';
+        const migration = migrateToV1(policy);
+
+        expect(migration.policy).toContain('(count([item__ | some item__ in ([input.a, input.b]); item__ != true]) == 0)');
+        expect(compareBehavior(policy, migration.policy, [
+            { input: { a: true, b: true } },
+            { input: { a: true, b: false } }
+        ], { before: 'v0', after: 'v1' }).unchanged).toBe(true);
+    });
+
+    test('reports the original\'s errors when it does not parse', () => {
+        expect(migrateToV1('package authz\n\nallow {')).toEqual({
+            valid: false,
+            policy: null,
+            changes: [],
+            errors: [expect.objectContaining({ code: 'rego_parse_error', line: 3 })]
+        });
+    });
+});
+
+describe('compareBehavior', () => {
+    test('evaluates the whole package on both sides', () => {
+        const check = compareBehavior(V0_POLICY, V1_POLICY, INPUTS, { before: 'v0', after: 'v1' });
+
+        expect(check.checked).toBe(2);
+        expect(check.unchanged).toBe(true);
+        expect(check.results[1]).toEqual({
+            description: 'banned user',
+            same: true,
+            before: { allow: false, deny: ['bob is banned'] },
+            after: { allow: false, deny: ['bob is banned'] }
+        });
+    });
+
+    test('reports the inputs whose result changed', () => {
+        const check = compareBehavior(V1_POLICY, V1_POLICY.replace('"admin"', '"root"'), INPUTS);
+
+        expect(check.unchanged).toBe(false);
+        expect(check.results.map(result => result.same)).toEqual([false, true]);
+    });
+
+    test('leaves the outcome undecided without inputs', () => {
+        expect(compareBehavior(V0_POLICY, V1_POLICY)).toEqual({ checked: 0, unchanged: null, results: [] });
+    });
+});
+
+describe('syntax versions', () => {
+    test('v1 requires if before rule bodies; v0 accepts a policy without it', () => {
+        const v1 = checkPolicy(V0_POLICY, { regoVersion: 'v1' });
+
+        expect(v1.valid).toBe(false);
+        expect(v1.errors[0]).toMatchObject({ message: '`if` keyword is required before rule body', line: 7 });
+        expect(checkPolicy(V0_POLICY, { regoVersion: 'v0' }).valid).toBe(true);
+    });
+
+    test('deprecated builtins are warnings by default and errors in v1', () => {
+        const policy = 'package authz\n\nallow if re_match("^a", input.name)\n';
+
+        expect(checkPolicy(policy).warnings.map(warning => warning.code)).toContain('deprecated_builtin');
+        expect(checkPolicy(policy, { regoVersion: 'v1' }).errors.map(error => error.line)).toEqual([3]);
+    });
+});
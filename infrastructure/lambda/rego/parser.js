@@ -0,0 +1,1287 @@
+/**
+ * Rego Parser
+ * Recursive descent parser producing an AST for Rego modules and queries.
+ * Understands both v0 (`p { ... }`, `p[x] { ... }`) and v1 (`if`, `contains`) syntax.
+ */
+
+const { lex, RegoSyntaxError } = require('./lexer');
+
+const FUTURE_KEYWORDS = ['if', 'contains', 'in', 'every'];
+
+const RESERVED = new Set([
+    'package', 'import', 'default', 'not', 'with', 'as', 'some', 'else', 'true', 'false', 'null'
+]);
+
+const RELATION_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+
+class Parser {
+    /**
+     * @param {string} source - Rego source text
+     * @param {object} options
+     * @param {'v0'|'v1'} [options.regoVersion] - enforce a syntax version; omit to accept both
+     */
+    constructor(source, options = {}) {
+        this.source = source;
+        this.regoVersion = options.regoVersion || null;
+        this.errors = [];
+        this.pos = 0;
+        this.prev = null;
+        this.newlineModes = [false];
+        this.futureKeywords = new Set(this.regoVersion === 'v0' ? [] : FUTURE_KEYWORDS);
+        this.strictV1 = this.regoVersion === 'v1';
+
+        const { lexemes, comments, errors } = lex(source);
+        this.lexemes = lexemes;
+        this.comments = comments;
+        errors.forEach(error => this.recordError(error));
+    }
+
+    // ------------------------------------------------------------------
+    // Entry points
+    // ------------------------------------------------------------------
+
+    parseModule() {
+        this.skipNewlines();
+        const start = this.peek();
+        let pkg = null;
+
+        try {
+            pkg = this.parsePackage();
+        } catch (error) {
+            if (!(error instanceof RegoSyntaxError)) throw error;
+            this.recordError(error);
+            this.synchronize(error.line);
+        }
+
+        const imports = [];
+        const rules = [];
+
+        while (true) {
+            this.skipNewlines();
+            const next = this.peek();
+            if (next.kind === 'eof') break;
+
+            try {
+                if (this.isIdent(next, 'import')) {
+                    imports.push(this.parseImport());
+                } else if (this.isIdent(next, 'package')) {
+                    this.fail(next, 'unexpected package keyword: only one package declaration is allowed');
+                } else {
+                    rules.push(this.parseRule());
+                }
+                this.expectStatementEnd();
+            } catch (error) {
+                if (!(error instanceof RegoSyntaxError)) throw error;
+                this.recordError(error);
+                this.synchronize(error.line);
+            }
+        }
+
+        return {
+            type: 'Module',
+            package: pkg,
+            imports,
+            rules,
+            comments: this.comments,
+            regoVersion: this.strictV1 ? 'v1' : (this.regoVersion || null),
+            loc: this.loc(start, this.prev || start)
+        };
+    }
+
+    parseQuery() {
+        this.skipNewlines();
+        const start = this.peek();
+        const literals = this.parseLiterals(lexeme => lexeme.kind === 'eof');
+        return { type: 'Body', literals, loc: this.loc(start, this.prev || start) };
+    }
+
+    // ------------------------------------------------------------------
+    // Module level
+    // ------------------------------------------------------------------
+
+    parsePackage() {
+        const keyword = this.peek();
+        if (!this.isIdent(keyword, 'package')) {
+            this.fail(keyword, `${describe(keyword)}: expected package declaration`);
+        }
+        this.next();
+        const path = this.parseStaticRef('package');
+        this.expectStatementEnd();
+
+        return {
+            type: 'Package',
+            path,
+            name: refToString(path),
+            loc: this.loc(keyword, this.prev)
+        };
+    }
+
+    parseImport() {
+        const keyword = this.next();
+        const path = this.parseStaticRef('import');
+        const pathString = refToString(path);
+        const root = pathString.split('.')[0];
+
+        if (!['data', 'input', 'future', 'rego'].includes(root)) {
+            this.fail(path.loc, `invalid import path ${pathString}: must begin with input, data, future or rego`);
+        }
+
+        let alias = null;
+        if (this.isIdent(this.peek(), 'as')) {
+            this.next();
+            const aliasLex = this.peek();
+            if (aliasLex.kind !== 'ident') {
+                this.fail(aliasLex, `${describe(aliasLex)}: expected import alias`);
+            }
+            this.next();
+            alias = aliasLex.text;
+        }
+
+        if (pathString === 'rego.v1') {
+            FUTURE_KEYWORDS.forEach(kw => this.futureKeywords.add(kw));
+            if (this.regoVersion !== 'v0') this.strictV1 = true;
+        } else if (pathString === 'future.keywords') {
+            FUTURE_KEYWORDS.forEach(kw => this.futureKeywords.add(kw));
+        } else if (pathString.startsWith('future.keywords.')) {
+            const kw = pathString.slice('future.keywords.'.length);
+            if (!FUTURE_KEYWORDS.includes(kw)) {
+                this.fail(path.loc, `unexpected keyword ${kw} in future.keywords import`);
+            }
+            this.futureKeywords.add(kw);
+        }
+
+        return {
+            type: 'Import',
+            path,
+            name: pathString,
+            alias,
+            loc: this.loc(keyword, this.prev)
+        };
+    }
+
+    /**
+     * Parse a dotted/bracketed ref made only of identifiers and string keys (package and import paths).
+     */
+    parseStaticRef(context) {
+        const first = this.peek();
+        if (first.kind !== 'ident') {
+            this.fail(first, `${describe(first)}: expected ${context} path`);
+        }
+        this.next();
+
+        const head = { type: 'Var', name: first.text, loc: this.loc(first, first) };
+        const path = [];
+
+        while (true) {
+            const lexeme = this.peekRaw();
+            if (this.isPunct(lexeme, '.') && !lexeme.spaceBefore) {
+                this.next();
+                const field = this.peekRaw();
+                if (field.kind !== 'ident' || field.spaceBefore) {
+                    this.fail(field, `${describe(field)}: expected identifier after .`);
+                }
+                this.next();
+                path.push({ type: 'String', value: field.text, raw: JSON.stringify(field.text), dot: true, loc: this.loc(field, field) });
+            } else if (this.isPunct(lexeme, '[') && !lexeme.spaceBefore) {
+                this.next();
+                const key = this.peek();
+                if (key.kind !== 'string') {
+                    this.fail(key, `${describe(key)}: expected string in ${context} path`);
+                }
+                this.next();
+                path.push({ type: 'String', value: key.value, raw: key.text, loc: this.loc(key, key) });
+                this.expectPunct(']');
+            } else {
+                break;
+            }
+        }
+
+        if (path.length === 0) return head;
+        return { type: 'Ref', head, path, loc: this.loc(first, this.prev) };
+    }
+
+    // ------------------------------------------------------------------
+    // Rules
+    // ------------------------------------------------------------------
+
+    parseRule() {
+        const start = this.peek();
+        let isDefault = false;
+
+        if (this.isIdent(start, 'default')) {
+            this.next();
+            isDefault = true;
+        }
+
+        const head = this.parseRuleHead(isDefault);
+        const rule = {
+            type: 'Rule',
+            default: isDefault,
+            kind: null,
+            head,
+            hasIf: false,
+            body: null,
+            elses: [],
+            loc: null
+        };
+
+        if (isDefault) {
+            if (!head.assign) {
+                this.fail(this.peek(), `${describe(this.peek())}: expected := or = after default rule name`);
+            }
+            if (head.contains || head.key) {
+                this.fail(head.loc, 'default rules must be complete rules or functions');
+            }
+            // default f(_) := 0 applies to any call the function's definitions leave undefined
+            const argument = (head.args || []).find(arg => arg.type !== 'Var');
+            if (argument) {
+                this.fail(argument.loc, 'default function arguments must be variables');
+            }
+            if (!isGround(head.value)) {
+                this.fail(head.value.loc, 'default rule value cannot contain var, ref or call terms');
+            }
+            rule.kind = 'default';
+            rule.loc = this.loc(start, this.prev);
+            return rule;
+        }
+
+        this.parseRuleBody(rule, head.loc);
+        rule.kind = ruleKind(head);
+
+        if (rule.kind === 'partial_set' && !head.contains && this.strictV1) {
+            this.fail(head.loc, '`contains` keyword is required for partial set rules');
+        }
+
+        // else chains may start on the following line
+        while (this.isIdent(this.peekPastNewlines(), 'else')) {
+            this.skipNewlines();
+            rule.elses.push(this.parseElse(rule));
+        }
+
+        rule.loc = this.loc(start, this.prev);
+        return rule;
+    }
+
+    parseRuleHead(isDefault) {
+        const nameLex = this.peek();
+
+        if (nameLex.kind !== 'ident' || RESERVED.has(nameLex.text)) {
+            this.fail(nameLex, `${describe(nameLex)}: expected rule head`);
+        }
+        if (this.isFutureKeyword(nameLex)) {
+            this.fail(nameLex, `unexpected ${nameLex.text} keyword: expected rule head`);
+        }
+        this.next();
+
+        const name = { type: 'Var', name: nameLex.text, loc: this.loc(nameLex, nameLex) };
+        const path = [];
+
+        while (true) {
+            const lexeme = this.peekRaw();
+            if (this.isPunct(lexeme, '.') && !lexeme.spaceBefore) {
+                this.next();
+                const field = this.peekRaw();
+                if (field.kind !== 'ident') {
+                    this.fail(field, `${describe(field)}: expected identifier after .`);
+                }
+                this.next();
+                path.push({ type: 'String', value: field.text, raw: JSON.stringify(field.text), dot: true, loc: this.loc(field, field) });
+            } else if (this.isPunct(lexeme, '[') && !lexeme.spaceBefore) {
+                this.next();
+                this.withNewlines(true, () => {
+                    path.push(this.parseTermExpr());
+                    this.expectPunct(']');
+                });
+            } else {
+                break;
+            }
+        }
+
+        const ref = path.length ? { type: 'Ref', head: name, path, loc: this.loc(nameLex, this.prev) } : name;
+        const head = {
+            type: 'RuleHead',
+            name: nameLex.text,
+            ref,
+            args: null,
+            key: null,
+            value: null,
+            assign: null,
+            contains: false,
+            loc: null
+        };
+
+        const paren = this.peekRaw();
+        if (this.isPunct(paren, '(') && !paren.spaceBefore) {
+            if (path.length) {
+                this.fail(paren, 'unexpected ( token: functions cannot use ref heads with brackets');
+            }
+            this.next();
+            head.args = this.parseTermList(')');
+        }
+
+        if (!isDefault && this.isIdent(this.peek(), 'contains') && !this.isCallStart()) {
+            if (!this.futureKeywords.has('contains')) {
+                this.failFutureKeyword(this.peek());
+            }
+            this.next();
+            head.contains = true;
+            head.key = this.parseTermExpr();
+        }
+
+        const op = this.peek();
+        if (this.isPunct(op, ':=') || this.isPunct(op, '=')) {
+            if (head.contains) {
+                this.fail(op, `unexpected ${op.text} token: multi-value rules cannot have a value`);
+            }
+            this.next();
+            head.assign = op.text;
+            head.value = this.parseTermExpr();
+        }
+
+        if (!head.contains && !head.args && !head.assign && path.length) {
+            const last = path[path.length - 1];
+            if (!last.dot) {
+                head.key = last;
+            }
+        } else if (!head.contains && head.assign && path.length && !path[path.length - 1].dot && !isGround(path[path.length - 1])) {
+            head.key = path[path.length - 1];
+        }
+
+        head.loc = this.loc(nameLex, this.prev);
+        return head;
+    }
+
+    parseRuleBody(node, headLoc) {
+        const lexeme = this.peek();
+
+        if (this.isIdent(lexeme, 'if')) {
+            if (!this.futureKeywords.has('if')) {
+                this.failFutureKeyword(lexeme);
+            }
+            this.next();
+            node.hasIf = true;
+
+            if (this.isPunct(this.peek(), '{')) {
+                node.body = this.parseBraceBody();
+                node.bodyStyle = 'braces';
+            } else {
+                const literal = this.parseLiteral();
+                node.body = { type: 'Body', literals: [literal], loc: literal.loc };
+                node.bodyStyle = 'inline';
+            }
+            return;
+        }
+
+        if (this.isPunct(lexeme, '{')) {
+            if (this.strictV1) {
+                this.fail(lexeme, '`if` keyword is required before rule body');
+            }
+            node.body = this.parseBraceBody();
+            node.bodyStyle = 'braces';
+            return;
+        }
+
+        node.bodyStyle = null;
+        if (headLoc && lexeme.kind === 'ident' && !RESERVED.has(lexeme.text) && lexeme.line === headLoc.line) {
+            this.fail(lexeme, `${describe(lexeme)}: expected \`if\` or { before rule body`);
+        }
+    }
+
+    parseElse(rule) {
+        const start = this.next();
+        const clause = {
+            type: 'Else',
+            assign: null,
+            value: null,
+            hasIf: false,
+            body: null,
+            loc: null
+        };
+
+        if (rule.head.contains || rule.kind === 'partial_set' || rule.kind === 'partial_object') {
+            this.fail(start, 'else keyword cannot be used on multi-value rules');
+        }
+
+        const op = this.peek();
+        if (this.isPunct(op, ':=') || this.isPunct(op, '=')) {
+            this.next();
+            clause.assign = op.text;
+            clause.value = this.parseTermExpr();
+        }
+
+        this.parseRuleBody(clause, null);
+        clause.loc = this.loc(start, this.prev);
+        return clause;
+    }
+
+    parseBraceBody() {
+        const open = this.expectPunct('{');
+        const literals = this.withNewlines(false, () => {
+            this.skipNewlines();
+            if (this.isPunct(this.peek(), '}')) {
+                this.fail(this.peek(), 'found empty body: rule bodies must contain at least one expression');
+            }
+            return this.parseLiterals(lexeme => this.isPunct(lexeme, '}'));
+        });
+        this.expectPunct('}');
+        return { type: 'Body', literals, loc: this.loc(open, this.prev) };
+    }
+
+    /**
+     * Parse literals separated by newlines or semicolons until `isEnd` matches.
+     */
+    parseLiterals(isEnd) {
+        const literals = [];
+
+        while (true) {
+            this.skipNewlines();
+            const lexeme = this.peek();
+            if (isEnd(lexeme)) break;
+            if (lexeme.kind === 'eof') {
+                this.fail(lexeme, 'unexpected eof token: expected }');
+            }
+
+            literals.push(this.parseLiteral());
+
+            const sep = this.peekRaw();
+            if (this.isPunct(sep, ';') || sep.kind === 'newline') {
+                this.next();
+                continue;
+            }
+            if (isEnd(sep)) break;
+            if (sep.kind === 'ident' && FUTURE_KEYWORDS.includes(sep.text) && !this.futureKeywords.has(sep.text)) {
+                this.failFutureKeyword(sep);
+            }
+            this.fail(sep, `${describe(sep)}: expected newline, ; or end of body`);
+        }
+
+        return literals;
+    }
+
+    // ------------------------------------------------------------------
+    // Literals
+    // ------------------------------------------------------------------
+
+    parseLiteral() {
+        const start = this.peek();
+        let negated = false;
+        let expr;
+
+        if (this.isIdent(start, 'some') && !this.isCallStart()) {
+            expr = this.parseSome();
+        } else if (this.isFutureKeyword(start) && start.text === 'every') {
+            expr = this.parseEvery();
+        } else if (this.isIdent(start, 'every') && this.peekAt(1).kind === 'ident') {
+            this.failFutureKeyword(start);
+        } else {
+            if (this.isIdent(start, 'not')) {
+                this.next();
+                negated = true;
+            }
+            expr = this.parseExpr();
+        }
+
+        const modifiers = [];
+        while (this.isIdent(this.peek(), 'with')) {
+            const withLex = this.next();
+            const target = this.parseTermExpr();
+            if (!this.isIdent(this.peek(), 'as')) {
+                this.fail(this.peek(), `${describe(this.peek())}: expected as keyword`);
+            }
+            this.next();
+            const value = this.parseTermExpr();
+            modifiers.push({ type: 'With', target, value, loc: this.loc(withLex, this.prev) });
+        }
+
+        if (expr.type === 'Every' && negated) {
+            this.fail(start, 'unexpected every keyword: every cannot be negated');
+        }
+
+        return { type: 'Literal', negated, expr, with: modifiers, loc: this.loc(start, this.prev) };
+    }
+
+    parseSome() {
+        const start = this.next();
+        const terms = [this.parseTermExpr({ noIn: true })];
+
+        while (this.isPunct(this.peek(), ',')) {
+            this.next();
+            this.skipNewlines();
+            terms.push(this.parseTermExpr({ noIn: true }));
+        }
+
+        if (this.isFutureKeyword(this.peek()) && this.peek().text === 'in') {
+            this.next();
+            if (terms.length > 2) {
+                this.fail(terms[2].loc, 'some ... in can declare at most a key and a value');
+            }
+            const collection = this.parseTermExpr({ noIn: true });
+            return {
+                type: 'SomeIn',
+                key: terms.length === 2 ? terms[0] : null,
+                value: terms[terms.length - 1],
+                collection,
+                loc: this.loc(start, this.prev)
+            };
+        }
+
+        if (this.isIdent(this.peek(), 'in') && !this.futureKeywords.has('in')) {
+            this.failFutureKeyword(this.peek());
+        }
+
+        for (const term of terms) {
+            if (term.type !== 'Var') {
+                this.fail(term.loc, `expected var in some declaration but found ${nodeKind(term)}`);
+            }
+        }
+
+        return { type: 'SomeDecl', vars: terms, loc: this.loc(start, this.prev) };
+    }
+
+    parseEvery() {
+        const start = this.next();
+        const first = this.parseTermExpr({ noIn: true });
+        let key = null;
+        let value = first;
+
+        if (this.isPunct(this.peek(), ',')) {
+            this.next();
+            key = first;
+            value = this.parseTermExpr({ noIn: true });
+        }
+
+        if (!(this.isFutureKeyword(this.peek()) && this.peek().text === 'in')) {
+            this.fail(this.peek(), `${describe(this.peek())}: expected in keyword after every variables`);
+        }
+        this.next();
+
+        for (const term of [key, value].filter(Boolean)) {
+            if (term.type !== 'Var') {
+                this.fail(term.loc, `expected var in every declaration but found ${nodeKind(term)}`);
+            }
+        }
+
+        const domain = this.parseTermExpr({ noIn: true });
+        const body = this.parseBraceBody();
+
+        return { type: 'Every', key, value, domain, body, loc: this.loc(start, this.prev) };
+    }
+
+    parseExpr() {
+        const left = this.parseTermExpr();
+        const op = this.peek();
+
+        if (this.isPunct(op, ':=') || this.isPunct(op, '=')) {
+            this.next();
+            this.skipNewlinesIfContinued();
+            const right = this.parseTermExpr();
+
+            if (op.text === ':=') {
+                assertAssignable(left, this);
+                return { type: 'Assign', left, right, loc: spanNodes(left, right) };
+            }
+            return { type: 'Unify', left, right, loc: spanNodes(left, right) };
+        }
+
+        return left;
+    }
+
+    // ------------------------------------------------------------------
+    // Term expressions (precedence: in < relation < | < & < +- < */% < unary)
+    // ------------------------------------------------------------------
+
+    parseTermExpr(ctx = {}) {
+        return this.parseMembership(ctx);
+    }
+
+    parseMembership(ctx) {
+        let left = this.parseRelation(ctx);
+
+        while (!ctx.noIn && this.isFutureKeyword(this.peek()) && this.peek().text === 'in') {
+            this.next();
+            this.skipNewlinesIfContinued();
+            const collection = this.parseRelation(ctx);
+            left = { type: 'Membership', key: null, value: left, collection, loc: spanNodes(left, collection) };
+        }
+
+        return left;
+    }
+
+    parseRelation(ctx) {
+        let left = this.parseOr(ctx);
+
+        while (this.peek().kind === 'punct' && RELATION_OPERATORS.has(this.peek().text)) {
+            const op = this.next();
+            this.skipNewlinesIfContinued();
+            const right = this.parseOr(ctx);
+            left = { type: 'Binary', operator: op.text, left, right, loc: spanNodes(left, right) };
+        }
+
+        return left;
+    }
+
+    parseOr(ctx) {
+        let left = this.parseAnd(ctx);
+
+        while (!ctx.noOr && this.isPunct(this.peek(), '|')) {
+            const op = this.next();
+            this.skipNewlinesIfContinued();
+            const right = this.parseAnd(ctx);
+            left = { type: 'Binary', operator: op.text, left, right, loc: spanNodes(left, right) };
+        }
+
+        return left;
+    }
+
+    parseAnd(ctx) {
+        let left = this.parseArith(ctx);
+
+        while (this.isPunct(this.peek(), '&')) {
+            const op = this.next();
+            this.skipNewlinesIfContinued();
+            const right = this.parseArith(ctx);
+            left = { type: 'Binary', operator: op.text, left, right, loc: spanNodes(left, right) };
+        }
+
+        return left;
+    }
+
+    parseArith(ctx) {
+        let left = this.parseFactor(ctx);
+
+        while (this.isPunct(this.peek(), '+') || this.isPunct(this.peek(), '-')) {
+            const op = this.next();
+            this.skipNewlinesIfContinued();
+            const right = this.parseFactor(ctx);
+            left = { type: 'Binary', operator: op.text, left, right, loc: spanNodes(left, right) };
+        }
+
+        return left;
+    }
+
+    parseFactor(ctx) {
+        let left = this.parseUnary(ctx);
+
+        while (this.isPunct(this.peek(), '*') || this.isPunct(this.peek(), '/') || this.isPunct(this.peek(), '%')) {
+            const op = this.next();
+            this.skipNewlinesIfContinued();
+            const right = this.parseUnary(ctx);
+            left = { type: 'Binary', operator: op.text, left, right, loc: spanNodes(left, right) };
+        }
+
+        return left;
+    }
+
+    parseUnary(ctx) {
+        const lexeme = this.peek();
+
+        if (this.isPunct(lexeme, '-')) {
+            this.next();
+            const operand = this.peekRaw();
+            if (operand.kind === 'number' && !operand.spaceBefore) {
+                this.next();
+                const raw = `-${operand.text}`;
+                return this.parsePostfix({ type: 'Number', value: Number(raw), raw, loc: this.loc(lexeme, operand) });
+            }
+            const argument = this.parseUnary(ctx);
+            return { type: 'Unary', operator: '-', argument, loc: this.loc(lexeme, this.prev) };
+        }
+
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const lexeme = this.peek();
+
+        switch (lexeme.kind) {
+            case 'number':
+                this.next();
+                return { type: 'Number', value: Number(lexeme.text), raw: lexeme.text, loc: this.loc(lexeme, lexeme) };
+
+            case 'string':
+            case 'rawstring':
+                this.next();
+                return this.parsePostfix({
+                    type: 'String',
+                    value: lexeme.value,
+                    raw: lexeme.text,
+                    rawString: lexeme.kind === 'rawstring',
+                    loc: this.loc(lexeme, lexeme)
+                });
+
+            case 'ident':
+                return this.parseIdentTerm();
+
+            case 'punct':
+                if (lexeme.text === '[') return this.parsePostfix(this.parseArray());
+                if (lexeme.text === '{') return this.parsePostfix(this.parseBraceTerm());
+                if (lexeme.text === '(') {
+                    this.next();
+                    const inner = this.withNewlines(true, () => {
+                        const expr = this.parseExprInParens();
+                        this.expectPunct(')');
+                        return expr;
+                    });
+                    return this.parsePostfix({ ...inner, parenthesized: true, loc: this.loc(lexeme, this.prev) });
+                }
+                break;
+        }
+
+        this.fail(lexeme, `${describe(lexeme)}: expected term`);
+    }
+
+    parseExprInParens() {
+        const expr = this.parseTermExpr();
+        if (this.isPunct(this.peek(), ':=') || this.isPunct(this.peek(), '=')) {
+            this.fail(this.peek(), `unexpected ${this.peek().text} token: assignment is not allowed inside parentheses`);
+        }
+        return expr;
+    }
+
+    parseIdentTerm() {
+        const lexeme = this.next();
+
+        if (lexeme.text === 'true' || lexeme.text === 'false') {
+            return { type: 'Boolean', value: lexeme.text === 'true', loc: this.loc(lexeme, lexeme) };
+        }
+        if (lexeme.text === 'null') {
+            return { type: 'Null', loc: this.loc(lexeme, lexeme) };
+        }
+
+        const paren = this.peekRaw();
+        const isCall = this.isPunct(paren, '(') && !paren.spaceBefore;
+
+        if (!isCall && (RESERVED.has(lexeme.text) || this.isFutureKeyword(lexeme))) {
+            this.fail(lexeme, `unexpected ${lexeme.text} keyword: expected term`);
+        }
+
+        return this.parsePostfix({ type: 'Var', name: lexeme.text, loc: this.loc(lexeme, lexeme) });
+    }
+
+    /**
+     * Parse ref segments (`.x`, `[t]`) and call arguments following a term.
+     */
+    parsePostfix(term) {
+        let node = term;
+
+        while (true) {
+            const lexeme = this.peekRaw();
+            if (lexeme.spaceBefore) break;
+
+            if (this.isPunct(lexeme, '.')) {
+                if (!isRefHead(node)) break;
+                this.next();
+                const field = this.peekRaw();
+                if (field.kind !== 'ident' || field.spaceBefore) {
+                    this.fail(field, `${describe(field)}: expected identifier after .`);
+                }
+                this.next();
+                const segment = { type: 'String', value: field.text, raw: JSON.stringify(field.text), dot: true, loc: this.loc(field, field) };
+                node = appendRef(node, segment, this.loc(lexeme, field));
+            } else if (this.isPunct(lexeme, '[')) {
+                if (!isRefHead(node)) break;
+                this.next();
+                const key = this.withNewlines(true, () => {
+                    const term = this.parseTermExpr();
+                    this.expectPunct(']');
+                    return term;
+                });
+                node = appendRef(node, key, this.loc(lexeme, this.prev));
+            } else if (this.isPunct(lexeme, '(')) {
+                if (!isCallable(node)) break;
+                this.next();
+                const args = this.parseTermList(')');
+                node = {
+                    type: 'Call',
+                    callee: node,
+                    name: refToString(node),
+                    args,
+                    loc: { ...node.loc, end: this.prev.end }
+                };
+            } else {
+                break;
+            }
+        }
+
+        return node;
+    }
+
+    parseTermList(close) {
+        return this.withNewlines(true, () => {
+            const items = [];
+            if (this.isPunct(this.peek(), close)) {
+                this.next();
+                return items;
+            }
+            while (true) {
+                items.push(this.parseTermExpr());
+                if (this.isPunct(this.peek(), ',')) {
+                    this.next();
+                    if (this.isPunct(this.peek(), close)) {
+                        this.next();
+                        return items;
+                    }
+                    continue;
+                }
+                this.expectPunct(close);
+                return items;
+            }
+        });
+    }
+
+    parseArray() {
+        const open = this.next();
+
+        return this.withNewlines(true, () => {
+            if (this.isPunct(this.peek(), ']')) {
+                this.next();
+                return { type: 'Array', items: [], loc: this.loc(open, this.prev) };
+            }
+
+            const first = this.parseTermExpr({ noOr: true });
+
+            if (this.isPunct(this.peek(), '|')) {
+                this.next();
+                const body = this.parseComprehensionBody(']');
+                return { type: 'ArrayComprehension', term: first, body, loc: this.loc(open, this.prev) };
+            }
+
+            const items = [first];
+            while (this.isPunct(this.peek(), ',')) {
+                this.next();
+                if (this.isPunct(this.peek(), ']')) break;
+                items.push(this.parseTermExpr());
+            }
+            this.expectPunct(']');
+            return { type: 'Array', items, loc: this.loc(open, this.prev) };
+        });
+    }
+
+    parseBraceTerm() {
+        const open = this.next();
+
+        return this.withNewlines(true, () => {
+            if (this.isPunct(this.peek(), '}')) {
+                this.next();
+                return { type: 'Object', entries: [], loc: this.loc(open, this.prev) };
+            }
+
+            const first = this.parseTermExpr({ noOr: true });
+
+            if (this.isPunct(this.peek(), ':')) {
+                this.next();
+                const firstValue = this.parseTermExpr({ noOr: true });
+
+                if (this.isPunct(this.peek(), '|')) {
+                    this.next();
+                    const body = this.parseComprehensionBody('}');
+                    return { type: 'ObjectComprehension', key: first, value: firstValue, body, loc: this.loc(open, this.prev) };
+                }
+
+                const entries = [{ key: first, value: firstValue }];
+                while (this.isPunct(this.peek(), ',')) {
+                    this.next();
+                    if (this.isPunct(this.peek(), '}')) break;
+                    const key = this.parseTermExpr();
+                    this.expectPunct(':');
+                    entries.push({ key, value: this.parseTermExpr() });
+                }
+                this.expectPunct('}');
+                return { type: 'Object', entries, loc: this.loc(open, this.prev) };
+            }
+
+            if (this.isPunct(this.peek(), '|')) {
+                this.next();
+                const body = this.parseComprehensionBody('}');
+                return { type: 'SetComprehension', term: first, body, loc: this.loc(open, this.prev) };
+            }
+
+            const items = [first];
+            while (this.isPunct(this.peek(), ',')) {
+                this.next();
+                if (this.isPunct(this.peek(), '}')) break;
+                items.push(this.parseTermExpr());
+            }
+            this.expectPunct('}');
+            return { type: 'Set', items, loc: this.loc(open, this.prev) };
+        });
+    }
+
+    parseComprehensionBody(close) {
+        const start = this.peek();
+        const literals = this.withNewlines(false, () => {
+            this.skipNewlines();
+            if (this.isPunct(this.peek(), close)) {
+                this.fail(this.peek(), 'found empty body: comprehension bodies must contain at least one expression');
+            }
+            return this.parseLiterals(lexeme => this.isPunct(lexeme, close));
+        });
+        this.expectPunct(close);
+        return { type: 'Body', literals, loc: this.loc(start, this.prev) };
+    }
+
+    // ------------------------------------------------------------------
+    // Lexeme helpers
+    // ------------------------------------------------------------------
+
+    withNewlines(ignore, fn) {
+        this.newlineModes.push(ignore);
+        try {
+            return fn();
+        } finally {
+            this.newlineModes.pop();
+        }
+    }
+
+    ignoringNewlines() {
+        return this.newlineModes[this.newlineModes.length - 1];
+    }
+
+    peekRaw() {
+        if (this.ignoringNewlines()) return this.peek();
+        return this.lexemes[this.pos];
+    }
+
+    peek() {
+        if (this.ignoringNewlines()) {
+            let i = this.pos;
+            while (this.lexemes[i].kind === 'newline') i++;
+            return this.lexemes[i];
+        }
+        return this.lexemes[this.pos];
+    }
+
+    peekAt(distance) {
+        return this.lexemes[Math.min(this.pos + distance, this.lexemes.length - 1)];
+    }
+
+    peekPastNewlines() {
+        let i = this.pos;
+        while (this.lexemes[i].kind === 'newline') i++;
+        return this.lexemes[i];
+    }
+
+    next() {
+        if (this.ignoringNewlines()) {
+            while (this.lexemes[this.pos].kind === 'newline') this.pos++;
+        }
+        const lexeme = this.lexemes[this.pos];
+        if (lexeme.kind !== 'eof') this.pos++;
+        this.prev = lexeme;
+        return lexeme;
+    }
+
+    skipNewlines() {
+        while (this.lexemes[this.pos].kind === 'newline') this.pos++;
+    }
+
+    /**
+     * Binary operators at the end of a line continue the expression on the next line.
+     */
+    skipNewlinesIfContinued() {
+        this.skipNewlines();
+    }
+
+    isIdent(lexeme, text) {
+        return lexeme.kind === 'ident' && lexeme.text === text;
+    }
+
+    isPunct(lexeme, text) {
+        return lexeme.kind === 'punct' && lexeme.text === text;
+    }
+
+    isFutureKeyword(lexeme) {
+        return lexeme.kind === 'ident' && FUTURE_KEYWORDS.includes(lexeme.text) && this.futureKeywords.has(lexeme.text);
+    }
+
+    isCallStart() {
+        const following = this.lexemes[this.pos + 1];
+        return following && this.isPunct(following, '(') && !following.spaceBefore;
+    }
+
+    expectPunct(text) {
+        const lexeme = this.peek();
+        if (!this.isPunct(lexeme, text)) {
+            this.fail(lexeme, `${describe(lexeme)}: expected ${text}`);
+        }
+        return this.next();
+    }
+
+    expectStatementEnd() {
+        const lexeme = this.peekRaw();
+        if (lexeme.kind === 'newline' || lexeme.kind === 'eof' || this.isPunct(lexeme, ';')) {
+            return;
+        }
+        this.fail(lexeme, `${describe(lexeme)}: expected newline after statement`);
+    }
+
+    loc(start, end) {
+        return {
+            start: start.start,
+            end: end.end,
+            line: start.line,
+            column: start.column
+        };
+    }
+
+    fail(where, message) {
+        throw new RegoSyntaxError(message, {
+            line: where.line,
+            column: where.column,
+            offset: where.start
+        });
+    }
+
+    failFutureKeyword(lexeme) {
+        this.fail(lexeme, `\`${lexeme.text}\` keyword requires \`import future.keywords.${lexeme.text}\` or \`import rego.v1\` in Rego v0`);
+    }
+
+    recordError(error) {
+        const duplicate = this.errors.some(e => e.line === error.line && e.column === error.column);
+        if (!duplicate) {
+            this.errors.push(toDiagnostic(error));
+        }
+    }
+
+    /**
+     * Skip to the next line that starts a new top-level statement.
+     */
+    synchronize(errorLine) {
+        while (true) {
+            const lexeme = this.lexemes[this.pos];
+            if (lexeme.kind === 'eof') return;
+            if (lexeme.line > errorLine && lexeme.column === 1 && lexeme.kind === 'ident') return;
+            this.pos++;
+        }
+    }
+}
+
+// ----------------------------------------------------------------------
+// AST helpers
+// ----------------------------------------------------------------------
+
+function describe(lexeme) {
+    switch (lexeme.kind) {
+        case 'eof':
+            return 'unexpected eof token';
+        case 'newline':
+            return 'unexpected newline';
+        case 'ident':
+            if (RESERVED.has(lexeme.text) || FUTURE_KEYWORDS.includes(lexeme.text)) {
+                return `unexpected ${lexeme.text} keyword`;
+            }
+            return `unexpected identifier ${lexeme.text}`;
+        case 'number':
+            return `unexpected number ${lexeme.text}`;
+        case 'string':
+        case 'rawstring':
+            return 'unexpected string token';
+        case 'invalid':
+            return lexeme.value;
+        default:
+            return `unexpected ${lexeme.text} token`;
+    }
+}
+
+function nodeKind(node) {
+    switch (node.type) {
+        case 'Ref':
+            return 'ref';
+        case 'Call':
+            return 'call';
+        case 'Var':
+            return 'var';
+        case 'String':
+            return 'string';
+        case 'Number':
+            return 'number';
+        case 'Boolean':
+            return 'boolean';
+        case 'Null':
+            return 'null';
+        case 'Array':
+            return 'array';
+        case 'Object':
+            return 'object';
+        case 'Set':
+            return 'set';
+        case 'ArrayComprehension':
+        case 'SetComprehension':
+        case 'ObjectComprehension':
+            return 'comprehension';
+        default:
+            return 'expression';
+    }
+}
+
+function spanNodes(left, right) {
+    return {
+        start: left.loc.start,
+        end: right.loc.end,
+        line: left.loc.line,
+        column: left.loc.column
+    };
+}
+
+function isRefHead(node) {
+    return ['Var', 'Ref', 'Call', 'Array', 'Object', 'Set',
+        'ArrayComprehension', 'SetComprehension', 'ObjectComprehension'].includes(node.type) && !node.parenthesized;
+}
+
+function isCallable(node) {
+    if (node.type === 'Var') return true;
+    if (node.type !== 'Ref' || node.head.type !== 'Var') return false;
+    return node.path.every(segment => segment.type === 'String' && segment.dot);
+}
+
+function appendRef(node, segment, segmentLoc) {
+    if (node.type === 'Ref') {
+        return {
+            type: 'Ref',
+            head: node.head,
+            path: [...node.path, segment],
+            loc: { ...node.loc, end: segmentLoc.end }
+        };
+    }
+    return {
+        type: 'Ref',
+        head: node,
+        path: [segment],
+        loc: { ...node.loc, end: segmentLoc.end }
+    };
+}
+
+/**
+ * Render a Var or Ref as dotted text (`data.x["y"]` → `data.x.y`)
+ */
+function refToString(node) {
+    if (!node) return '';
+    if (node.type === 'Var') return node.name;
+    if (node.type !== 'Ref') return '';
+
+    let text = refToString(node.head);
+    for (const segment of node.path) {
+        if (segment.type === 'String' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment.value)) {
+            text += `.${segment.value}`;
+        } else if (segment.type === 'String') {
+            text += `[${JSON.stringify(segment.value)}]`;
+        } else if (segment.type === 'Var') {
+            text += `[${segment.name}]`;
+        } else if (segment.type === 'Number') {
+            text += `[${segment.raw}]`;
+        } else {
+            text += '[_]';
+        }
+    }
+    return text;
+}
+
+/**
+ * True when the term contains no vars, refs, calls or comprehensions.
+ */
+function isGround(node) {
+    if (!node) return true;
+    switch (node.type) {
+        case 'Null':
+        case 'Boolean':
+        case 'Number':
+        case 'String':
+            return true;
+        case 'Array':
+        case 'Set':
+            return node.items.every(isGround);
+        case 'Object':
+            return node.entries.every(entry => isGround(entry.key) && isGround(entry.value));
+        default:
+            return false;
+    }
+}
+
+function assertAssignable(node, parser) {
+    switch (node.type) {
+        case 'Var':
+            if (node.parenthesized) break;
+            return;
+        case 'Array':
+            node.items.forEach(item => assertPattern(item, parser));
+            return;
+        case 'Object':
+            node.entries.forEach(entry => assertPattern(entry.value, parser));
+            return;
+    }
+    parser.fail(node.loc, `cannot assign to ${nodeKind(node)}: the left-hand side of := must be a variable or array/object pattern`);
+}
+
+function assertPattern(node, parser) {
+    if (isGround(node) || node.type === 'Var') return;
+    assertAssignable(node, parser);
+}
+
+function ruleKind(head) {
+    if (head.args) return 'function';
+    if (head.contains) return 'partial_set';
+    if (head.key && !head.assign) return 'partial_set';
+    if (head.key && head.assign) return 'partial_object';
+    return 'complete';
+}
+
+function toDiagnostic(error) {
+    return {
+        type: 'error',
+        code: error.code || 'rego_parse_error',
+        message: error.message,
+        line: error.line,
+        column: error.column
+    };
+}
+
+/**
+ * Parse a Rego module.
+ * Returns the AST (null when the package declaration itself is unparseable) and all errors found.
+ */
+function parseModule(source, options = {}) {
+    let parser;
+    try {
+        parser = new Parser(source, options);
+    } catch (error) {
+        if (error instanceof RegoSyntaxError) {
+            return { ast: null, errors: [toDiagnostic(error)] };
+        }
+        throw error;
+    }
+
+    try {
+        const ast = parser.parseModule();
+        return { ast, errors: parser.errors };
+    } catch (error) {
+        if (error instanceof RegoSyntaxError) {
+            return { ast: null, errors: [...parser.errors, toDiagnostic(error)] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Parse a Rego query (one or more literals).
+ */
+function parseQuery(source, options = {}) {
+    try {
+        const parser = new Parser(source, options);
+        const body = parser.parseQuery();
+        return { ast: body, errors: parser.errors };
+    } catch (error) {
+        if (error instanceof RegoSyntaxError) {
+            return { ast: null, errors: [toDiagnostic(error)] };
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    parseModule,
+    parseQuery,
+    refToString,
+    isGround,
+    FUTURE_KEYWORDS,
+    RESERVED
+};
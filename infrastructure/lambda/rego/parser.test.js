@@ -0,0 +1,111 @@
+const { parseModule, parseQuery, refToString } = require('./parser');
+const { ruleName } = require('./checker');
+
+const POLICY = `package authz
+
+import rego.v1
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+}
+
+violations contains msg if {
+    some item in input.items
+    not item.approved
+    msg := sprintf("%s is not approved", [item.name])
+}
+`;
+
+describe('parseModule', () => {
+    test('parses the package, imports and rules', () => {
+        const { ast, errors } = parseModule(POLICY);
+
+        expect(errors).toEqual([]);
+        expect(ast.package.name).toBe('authz');
+        expect(ast.imports).toHaveLength(1);
+        expect(ast.rules.map(ruleName)).toEqual(['allow', 'allow', 'violations']);
+        expect(ast.rules.map(rule => rule.kind)).toEqual(['default', 'complete', 'partial_set']);
+        expect(ast.rules[0].default).toBe(true);
+    });
+
+    test('records where each rule starts', () => {
+        const { ast } = parseModule(POLICY);
+
+        expect(ast.rules.map(rule => rule.loc.line)).toEqual([5, 7, 11]);
+        expect(ast.rules[1].loc.column).toBe(1);
+    });
+
+    test('parses default functions, whose arguments must be variables', () => {
+        const { ast, errors } = parseModule('package authz\n\ndefault level(_) := 0\n');
+
+        expect(errors).toEqual([]);
+        expect(ast.rules[0]).toMatchObject({ kind: 'default', default: true });
+        expect(ast.rules[0].head.args).toHaveLength(1);
+        expect(parseModule('package authz\n\ndefault level("admin") := 0\n').errors[0])
+            .toMatchObject({ message: 'default function arguments must be variables', line: 3, column: 15 });
+    });
+
+    test('reports a parse error with its line and column', () => {
+        const { errors } = parseModule('package authz\n\n\nallow if { 1 == }');
+
+        expect(errors).toEqual([{
+            type: 'error',
+            code: 'rego_parse_error',
+            message: 'unexpected } token: expected term',
+            line: 4,
+            column: 17
+        }]);
+    });
+
+    test('reports an unterminated body at the end of the source', () => {
+        const { errors } = parseModule('package authz\nallow if {');
+
+        expect(errors[0]).toMatchObject({ message: 'unexpected eof token: expected }', line: 2, column: 11 });
+    });
+
+    test('reports lexer errors', () => {
+        const { errors } = parseModule('package authz\nallow if { "abc }');
+
+        expect(errors[0]).toMatchObject({ message: 'non-terminated string', line: 2, column: 12 });
+    });
+
+    test('requires a package declaration', () => {
+        const { ast, errors } = parseModule('allow if true');
+
+        expect(ast.package).toBeNull();
+        expect(errors[0]).toMatchObject({ code: 'rego_parse_error', line: 1, column: 1 });
+    });
+
+    describe('rego versions', () => {
+        test('v1 requires if before a rule body', () => {
+            const { errors } = parseModule('package authz\nallow { true }', { regoVersion: 'v1' });
+
+            expect(errors[0]).toMatchObject({ message: '`if` keyword is required before rule body', line: 2, column: 7 });
+        });
+
+        test('v0 requires a future keywords import for if', () => {
+            const { errors } = parseModule('package authz\nallow if { true }', { regoVersion: 'v0' });
+
+            expect(errors[0].message).toMatch(/requires `import future\.keywords\.if` or `import rego\.v1`/);
+        });
+
+        test('v0 accepts if after import rego.v1', () => {
+            const { errors } = parseModule('package authz\nimport rego.v1\nallow if true', { regoVersion: 'v0' });
+
+            expect(errors).toEqual([]);
+        });
+    });
+});
+
+describe('parseQuery', () => {
+    test('parses a reference comparison', () => {
+        const { ast, errors } = parseQuery('data.authz.allow == true');
+
+        expect(errors).toEqual([]);
+        expect(ast.literals).toHaveLength(1);
+        expect(ast.literals[0].expr.operator).toBe('==');
+        expect(refToString(ast.literals[0].expr.left)).toBe('data.authz.allow');
+    });
+});
@@ -0,0 +1,683 @@
+/**
+ * Linear-time Regular Expressions
+ * RE2 syntax, as OPA's regex builtins accept it, matched by a Pike VM: every input position is
+ * visited once per program instruction, so no pattern can backtrack exponentially the way a
+ * JavaScript RegExp can (`(a+)+$`). Backreferences and lookaround are rejected, as RE2 does.
+ * Positions are in code points; matching is leftmost-first, like RE2 and Go's regexp.
+ */
+
+// RE2's limits on counted repetition and on the size of a compiled program
+const MAX_REPEAT = 1000;
+const MAX_PROGRAM_SIZE = 20000;
+
+class RegexSyntaxError extends Error {
+    constructor(message, pattern) {
+        super(`error parsing regexp: ${message}: \`${pattern}\``);
+        this.name = 'RegexSyntaxError';
+    }
+}
+
+const range = (from, to) => ({ from: from.codePointAt(0), to: to.codePointAt(0) });
+
+const PERL_CLASSES = {
+    d: [range('0', '9')],
+    s: [range('\t', '\n'), range('\f', '\r'), range(' ', ' ')],
+    w: [range('0', '9'), range('A', 'Z'), range('a', 'z'), range('_', '_')]
+};
+
+const POSIX_CLASSES = {
+    alnum: [range('0', '9'), range('A', 'Z'), range('a', 'z')],
+    alpha: [range('A', 'Z'), range('a', 'z')],
+    ascii: [{ from: 0, to: 0x7f }],
+    blank: [range('\t', '\t'), range(' ', ' ')],
+    cntrl: [{ from: 0, to: 0x1f }, { from: 0x7f, to: 0x7f }],
+    digit: [range('0', '9')],
+    graph: [range('!', '~')],
+    lower: [range('a', 'z')],
+    print: [range(' ', '~')],
+    punct: [range('!', '/'), range(':', '@'), range('[', '`'), range('{', '~')],
+    space: [range('\t', '\r'), range(' ', ' ')],
+    upper: [range('A', 'Z')],
+    word: PERL_CLASSES.w,
+    xdigit: [range('0', '9'), range('A', 'F'), range('a', 'f')]
+};
+
+const CONTROL_ESCAPES = { a: 7, f: 12, n: 10, r: 13, t: 9, v: 11 };
+
+const isWordChar = cp => cp !== undefined && PERL_CLASSES.w.some(r => cp >= r.from && cp <= r.to);
+
+/**
+ * Test for a character class: ranges, Unicode properties and negation. Case-insensitive
+ * classes also accept the other case of a character.
+ */
+function classTest({ ranges, properties, negated }, fold) {
+    const inClass = cp => ranges.some(r => cp >= r.from && cp <= r.to) || properties.some(property => property.test(String.fromCodePoint(cp)));
+    const test = fold ? cp => caseVariants(cp).some(inClass) : inClass;
+    return negated ? cp => !test(cp) : test;
+}
+
+function caseVariants(cp) {
+    const char = String.fromCodePoint(cp);
+    return [...new Set([char, char.toLowerCase(), char.toUpperCase()])]
+        .filter(variant => [...variant].length === 1)
+        .map(variant => variant.codePointAt(0));
+}
+
+function unicodeProperty(name, negated, pattern) {
+    if (name === 'Any') return { test: () => !negated };
+    for (const source of [`\\p{${name}}`, `\\p{Script=${name}}`]) {
+        try {
+            const property = new RegExp(`^${source}$`, 'u');
+            return negated ? { test: char => !property.test(char) } : property;
+        } catch (error) {
+            // Not a general category; try it as a script
+        }
+    }
+    throw new RegexSyntaxError(`invalid character class range: \\p{${name}}`, pattern);
+}
+
+/**
+ * Parses RE2 syntax into a tree of `char`, `cat`, `alt`, `repeat`, `group`, `assert` and
+ * `empty` nodes. Flags (`i`, `m`, `s`, `U`) are resolved while parsing.
+ */
+class Parser {
+    constructor(pattern) {
+        this.pattern = pattern;
+        this.chars = Array.from(pattern);
+        this.pos = 0;
+        this.groupCount = 0;
+        this.names = {};
+    }
+
+    error(message) {
+        throw new RegexSyntaxError(message, this.pattern);
+    }
+
+    peek(offset = 0) {
+        return this.chars[this.pos + offset];
+    }
+
+    parse() {
+        const node = this.parseAlternation({ i: false, m: false, s: false, U: false });
+        if (this.pos < this.chars.length) this.error('unexpected )');
+        return node;
+    }
+
+    parseAlternation(flags) {
+        const branches = [this.parseConcatenation(flags)];
+        while (this.peek() === '|') {
+            this.pos++;
+            branches.push(this.parseConcatenation(flags));
+        }
+        return branches.length === 1 ? branches[0] : { type: 'alt', items: branches };
+    }
+
+    parseConcatenation(flags) {
+        const items = [];
+        while (this.pos < this.chars.length && this.peek() !== '|' && this.peek() !== ')') {
+            const char = this.peek();
+            if ('*+?'.includes(char) || (char === '{' && this.repeatSpec())) {
+                const last = items[items.length - 1];
+                if (!last) this.error(`missing argument to repetition operator: ${char}`);
+                if (last.type === 'repeat') this.error(`invalid nested repetition operator: \`${char}\``);
+                items[items.length - 1] = this.parseRepeat(last, flags);
+                continue;
+            }
+            if (char === '(' && this.peek(1) === '?' && !['P', '<', ':'].includes(this.peek(2)) && this.flagGroupEnd() === ')') {
+                // (?flags) changes the flags for the rest of the enclosing group
+                Object.assign(flags, this.parseFlags());
+                continue;
+            }
+            items.push(...this.parseAtom(flags));
+        }
+        if (!items.length) return { type: 'empty' };
+        return items.length === 1 ? items[0] : { type: 'cat', items };
+    }
+
+    // The character closing a (?flags) or (?flags: group, or undefined when there is none
+    flagGroupEnd() {
+        for (let i = this.pos + 2; i < this.chars.length; i++) {
+            if (this.chars[i] === ')' || this.chars[i] === ':') return this.chars[i];
+            if (!'imsU-'.includes(this.chars[i])) return undefined;
+        }
+        return undefined;
+    }
+
+    parseFlags() {
+        const start = this.pos;
+        this.pos += 2;
+        const changed = {};
+        let value = true;
+        let sawFlag = false;
+        const invalid = () => this.error(`invalid or unsupported Perl syntax: \`${this.chars.slice(start, this.pos + 1).join('')}\``);
+        while (this.peek() !== ')' && this.peek() !== ':') {
+            const char = this.chars[this.pos++];
+            if (char === '-') {
+                if (!value) invalid();
+                value = false;
+                sawFlag = false;
+                continue;
+            }
+            changed[char] = value;
+            sawFlag = true;
+        }
+        // Flags must follow `(?` and `-`: (?) and (?i-) are errors
+        if (!sawFlag) invalid();
+        this.pos++;
+        return changed;
+    }
+
+    // Repetition bounds at the current `{`, or null when the brace is a literal
+    repeatSpec() {
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(this.chars.slice(this.pos, this.pos + 16).join(''));
+        if (!match) return null;
+        const min = Number(match[1]);
+        const max = match[2] === undefined ? min : match[3] === '' ? Infinity : Number(match[3]);
+        return { min, max, length: [...match[0]].length };
+    }
+
+    parseRepeat(node, flags) {
+        const char = this.peek();
+        let min;
+        let max;
+        if (char === '{') {
+            const spec = this.repeatSpec();
+            if (spec.min > MAX_REPEAT || (spec.max !== Infinity && (spec.max > MAX_REPEAT || spec.max < spec.min))) {
+                this.error(`invalid repeat count: \`${this.chars.slice(this.pos, this.pos + spec.length).join('')}\``);
+            }
+            ({ min, max } = spec);
+            this.pos += spec.length;
+        } else {
+            this.pos++;
+            [min, max] = char === '*' ? [0, Infinity] : char === '+' ? [1, Infinity] : [0, 1];
+        }
+        let greedy = true;
+        if (this.peek() === '?') {
+            this.pos++;
+            greedy = false;
+        }
+        if (flags.U) greedy = !greedy;
+        return { type: 'repeat', node, min, max, greedy };
+    }
+
+    parseAtom(flags) {
+        const char = this.chars[this.pos++];
+        switch (char) {
+            case '(':
+                return [this.parseGroup(flags)];
+            case '[':
+                return [{ type: 'char', test: classTest(this.parseClass(), flags.i) }];
+            case '.':
+                return [{ type: 'char', test: flags.s ? () => true : cp => cp !== 10 }];
+            case '^':
+                return [{ type: 'assert', kind: flags.m ? 'bol' : 'bot' }];
+            case '$':
+                return [{ type: 'assert', kind: flags.m ? 'eol' : 'eot' }];
+            case '\\':
+                return this.parseEscape(flags);
+            default:
+                return [this.literal(char.codePointAt(0), flags)];
+        }
+    }
+
+    literal(cp, flags) {
+        if (!flags.i) return { type: 'char', test: actual => actual === cp };
+        const variants = caseVariants(cp);
+        return { type: 'char', test: actual => variants.includes(actual) };
+    }
+
+    parseGroup(flags) {
+        let index = null;
+        let scoped = { ...flags };
+
+        if (this.peek() === '?') {
+            if (this.peek(1) === 'P' && this.peek(2) === '<' || this.peek(1) === '<' && !'=!'.includes(this.peek(2))) {
+                this.pos += this.peek(1) === 'P' ? 3 : 2;
+                const end = this.chars.indexOf('>', this.pos);
+                const name = end < 0 ? '' : this.chars.slice(this.pos, end).join('');
+                if (!/^[A-Za-z0-9_]+$/.test(name)) this.error(`invalid named capture: \`${this.pattern}\``);
+                if (this.names[name] !== undefined) this.error(`duplicate capture group name: \`${name}\``);
+                index = ++this.groupCount;
+                this.names[name] = index;
+                this.pos = end + 1;
+            } else if (this.peek(1) === ':') {
+                this.pos += 2;
+            } else if (this.flagGroupEnd() === ':') {
+                this.pos--;
+                scoped = { ...flags, ...this.parseFlags() };
+            } else {
+                this.error(`invalid or unsupported Perl syntax: \`(?${this.peek(1) || ''}\``);
+            }
+        } else {
+            index = ++this.groupCount;
+        }
+
+        const node = this.parseAlternation(scoped);
+        if (this.peek() !== ')') this.error(`missing closing ): \`${this.pattern}\``);
+        this.pos++;
+        return { type: 'group', node, index };
+    }
+
+    parseEscape(flags) {
+        const char = this.chars[this.pos++];
+        if (char === undefined) this.error('trailing backslash at end of expression');
+
+        switch (char) {
+            case 'A':
+                return [{ type: 'assert', kind: 'bot' }];
+            case 'z':
+                return [{ type: 'assert', kind: 'eot' }];
+            case 'b':
+                return [{ type: 'assert', kind: 'word' }];
+            case 'B':
+                return [{ type: 'assert', kind: 'nonword' }];
+            case 'Q': {
+                const end = this.chars.indexOf('\\', this.pos);
+                const stop = end >= 0 && this.chars[end + 1] === 'E' ? end : this.chars.length;
+                const literals = this.chars.slice(this.pos, stop).map(quoted => this.literal(quoted.codePointAt(0), flags));
+                this.pos = stop === this.chars.length ? stop : stop + 2;
+                return literals;
+            }
+            default: {
+                const set = { ranges: [], properties: [], negated: false };
+                this.classEscape(char, set);
+                if (set.ranges.length === 1 && set.ranges[0].from === set.ranges[0].to && !set.properties.length) {
+                    return [this.literal(set.ranges[0].from, flags)];
+                }
+                return [{ type: 'char', test: classTest(set, flags.i) }];
+            }
+        }
+    }
+
+    /**
+     * Add the characters of the escape after a backslash to a class
+     */
+    classEscape(char, set) {
+        const lower = char.toLowerCase();
+        if (PERL_CLASSES[lower] && /[a-z]/i.test(char)) {
+            if (char === lower) {
+                set.ranges.push(...PERL_CLASSES[lower]);
+            } else {
+                set.properties.push({ test: other => !PERL_CLASSES[lower].some(r => other.codePointAt(0) >= r.from && other.codePointAt(0) <= r.to) });
+            }
+            return;
+        }
+        if (lower === 'p') {
+            let name = this.chars[this.pos++];
+            if (name === '{') {
+                const end = this.chars.indexOf('}', this.pos);
+                if (end < 0) this.error('invalid character class range: missing }');
+                name = this.chars.slice(this.pos, end).join('');
+                this.pos = end + 1;
+            }
+            let negated = char === 'P';
+            if (name && name.startsWith('^')) {
+                negated = !negated;
+                name = name.slice(1);
+            }
+            if (!name) this.error('invalid character class range');
+            set.properties.push(unicodeProperty(name, negated, this.pattern));
+            return;
+        }
+        const cp = this.escapedCodePoint(char);
+        set.ranges.push({ from: cp, to: cp });
+    }
+
+    escapedCodePoint(char) {
+        if (CONTROL_ESCAPES[char] !== undefined) return CONTROL_ESCAPES[char];
+        if (char === 'x') {
+            let digits;
+            if (this.peek() === '{') {
+                const end = this.chars.indexOf('}', this.pos);
+                digits = end < 0 ? '' : this.chars.slice(this.pos + 1, end).join('');
+                this.pos = end + 1;
+            } else {
+                digits = this.chars.slice(this.pos, this.pos + 2).join('');
+                this.pos += 2;
+            }
+            const cp = parseInt(digits, 16);
+            if (!/^[0-9a-fA-F]+$/.test(digits) || cp > 0x10ffff) this.error('invalid escape sequence: \\x');
+            return cp;
+        }
+        if (/[0-7]/.test(char) && (char === '0' || /[0-7]/.test(this.peek() || ''))) {
+            // Octal escapes; \1 to \9 alone would be backreferences, which RE2 does not have
+            let digits = char;
+            while (digits.length < 3 && /[0-7]/.test(this.peek() || '')) digits += this.chars[this.pos++];
+            return parseInt(digits, 8);
+        }
+        if (/[\p{L}\p{N}_]/u.test(char)) this.error(`invalid escape sequence: \\${char}`);
+        return char.codePointAt(0);
+    }
+
+    parseClass() {
+        const set = { ranges: [], properties: [], negated: false };
+        if (this.peek() === '^') {
+            set.negated = true;
+            this.pos++;
+        }
+
+        let first = true;
+        while (this.peek() !== ']' || first) {
+            if (this.pos >= this.chars.length) this.error(`missing closing ]: \`${this.pattern}\``);
+            first = false;
+
+            if (this.peek() === '[' && this.peek(1) === ':') {
+                const end = this.chars.indexOf(']', this.pos);
+                const name = this.chars.slice(this.pos + 2, end - 1).join('');
+                const negated = name.startsWith('^');
+                const ranges = POSIX_CLASSES[negated ? name.slice(1) : name];
+                if (end < 0 || this.chars[end - 1] !== ':' || !ranges) this.error('invalid character class range');
+                if (negated) {
+                    set.properties.push({ test: other => !ranges.some(r => other.codePointAt(0) >= r.from && other.codePointAt(0) <= r.to) });
+                } else {
+                    set.ranges.push(...ranges);
+                }
+                this.pos = end + 1;
+                continue;
+            }
+
+            const from = this.classChar(set);
+            if (from === null) continue;
+            if (this.peek() === '-' && this.peek(1) !== ']' && this.peek(1) !== undefined) {
+                this.pos++;
+                const to = this.classChar(set);
+                if (to === null || to < from) this.error('invalid character class range');
+                set.ranges.push({ from, to });
+            } else {
+                set.ranges.push({ from, to: from });
+            }
+        }
+        this.pos++;
+        return set;
+    }
+
+    // Code point of the next class member, or null when it was a class escape like \d
+    classChar(set) {
+        const char = this.chars[this.pos++];
+        if (char !== '\\') return char.codePointAt(0);
+        const escaped = this.chars[this.pos++];
+        if (escaped === undefined) this.error('trailing backslash at end of expression');
+        if (/[dswDSWpP]/.test(escaped)) {
+            this.classEscape(escaped, set);
+            return null;
+        }
+        return this.escapedCodePoint(escaped);
+    }
+}
+
+/**
+ * Compiles the tree into Pike VM instructions: `char`, `split` (x preferred over y), `jmp`,
+ * `save` (capture slot), `assert` and `match`
+ */
+function compileProgram(tree, pattern) {
+    const program = [];
+    const emit = instruction => {
+        program.push(instruction);
+        if (program.length > MAX_PROGRAM_SIZE) throw new RegexSyntaxError('expression too large', pattern);
+        return program.length - 1;
+    };
+
+    const compile = node => {
+        switch (node.type) {
+            case 'empty':
+                return;
+            case 'char':
+                emit({ op: 'char', test: node.test });
+                return;
+            case 'assert':
+                emit({ op: 'assert', kind: node.kind });
+                return;
+            case 'cat':
+                node.items.forEach(compile);
+                return;
+            case 'group':
+                if (node.index === null) {
+                    compile(node.node);
+                    return;
+                }
+                emit({ op: 'save', slot: node.index * 2 });
+                compile(node.node);
+                emit({ op: 'save', slot: node.index * 2 + 1 });
+                return;
+            case 'alt': {
+                const jumps = [];
+                node.items.forEach((item, i) => {
+                    if (i === node.items.length - 1) {
+                        compile(item);
+                        return;
+                    }
+                    const split = emit({ op: 'split' });
+                    program[split].x = program.length;
+                    compile(item);
+                    jumps.push(emit({ op: 'jmp' }));
+                    program[split].y = program.length;
+                });
+                for (const jump of jumps) program[jump].x = program.length;
+                return;
+            }
+            case 'repeat':
+                compileRepeat(node);
+                return;
+            default:
+                throw new Error(`unknown regex node ${node.type}`);
+        }
+    };
+
+    const optional = (node, greedy) => {
+        const split = emit({ op: 'split' });
+        const body = program.length;
+        compile(node);
+        Object.assign(program[split], greedy ? { x: body, y: program.length } : { x: program.length, y: body });
+    };
+
+    const compileRepeat = ({ node, min, max, greedy }) => {
+        for (let i = 0; i < min; i++) compile(node);
+        if (max === Infinity) {
+            const split = emit({ op: 'split' });
+            const body = program.length;
+            compile(node);
+            emit({ op: 'jmp', x: split });
+            Object.assign(program[split], greedy ? { x: body, y: program.length } : { x: program.length, y: body });
+            return;
+        }
+        for (let i = min; i < max; i++) optional(node, greedy);
+    };
+
+    emit({ op: 'save', slot: 0 });
+    compile(tree);
+    emit({ op: 'save', slot: 1 });
+    emit({ op: 'match' });
+    return program;
+}
+
+class Regex {
+    /**
+     * @param {string} pattern - RE2 syntax
+     * @throws {RegexSyntaxError} for invalid or unsupported syntax
+     */
+    constructor(pattern) {
+        const parser = new Parser(pattern);
+        const tree = parser.parse();
+        this.pattern = pattern;
+        this.groupCount = parser.groupCount;
+        this.names = parser.names;
+        this.program = compileProgram(tree, pattern);
+        this.marks = new Int32Array(this.program.length).fill(-1);
+        this.generation = 0;
+    }
+
+    /**
+     * Capture positions (code point offsets, -1 when unset) of the leftmost-first match at or
+     * after `start`, or null. `charge(n)` is called with the work done at each position.
+     */
+    exec(cps, start = 0, charge) {
+        const slots = (this.groupCount + 1) * 2;
+        let matched = null;
+        let threads = [];
+        this.generation++;
+
+        for (let pos = start; pos <= cps.length; pos++) {
+            if (!matched) {
+                // A new attempt starting here has the lowest priority
+                this.addThread(threads, 0, new Array(slots).fill(-1), cps, pos, this.generation);
+            }
+            if (!threads.length) break;
+            if (charge) charge(threads.length);
+
+            const next = [];
+            const generation = ++this.generation;
+            for (const { pc, caps } of threads) {
+                const instruction = this.program[pc];
+                if (instruction.op === 'match') {
+                    matched = caps;
+                    break;
+                }
+                if (pos < cps.length && instruction.test(cps[pos])) {
+                    this.addThread(next, pc + 1, caps, cps, pos + 1, generation);
+                }
+            }
+            threads = next;
+        }
+
+        return matched;
+    }
+
+    // Follow the empty transitions from `pc`, adding the char and match instructions reached
+    addThread(threads, pc, caps, cps, pos, generation) {
+        const stack = [[pc, caps]];
+        while (stack.length) {
+            const [at, current] = stack.pop();
+            if (this.marks[at] === generation) continue;
+            this.marks[at] = generation;
+            const instruction = this.program[at];
+            switch (instruction.op) {
+                case 'jmp':
+                    stack.push([instruction.x, current]);
+                    break;
+                case 'split':
+                    stack.push([instruction.y, current], [instruction.x, current]);
+                    break;
+                case 'save': {
+                    const saved = current.slice();
+                    saved[instruction.slot] = pos;
+                    stack.push([at + 1, saved]);
+                    break;
+                }
+                case 'assert':
+                    if (assertionHolds(instruction.kind, cps, pos)) stack.push([at + 1, current]);
+                    break;
+                default:
+                    threads.push({ pc: at, caps: current });
+            }
+        }
+    }
+
+    test(text, charge) {
+        return this.exec(codePoints(text), 0, charge) !== null;
+    }
+
+    /**
+     * Matches as Go's FindAll: up to `n` (all when negative), no empty match right after a
+     * previous match. Each match is its capture positions.
+     */
+    findAll(cps, n = -1, charge) {
+        const matches = [];
+        let previousEnd = -1;
+        for (let pos = 0; pos <= cps.length && (n < 0 || matches.length < n);) {
+            const caps = this.exec(cps, pos, charge);
+            if (!caps) break;
+            let accept = true;
+            if (caps[1] === pos) {
+                if (caps[0] === previousEnd) accept = false;
+                pos++;
+            } else {
+                pos = caps[1];
+            }
+            previousEnd = caps[1];
+            if (accept) matches.push(caps);
+        }
+        return matches;
+    }
+
+    /**
+     * Up to `n` matched strings (all when negative)
+     */
+    find(text, n = -1, charge) {
+        const chars = Array.from(text);
+        return this.findAll(codePoints(chars), n, charge).map(caps => chars.slice(caps[0], caps[1]).join(''));
+    }
+
+    /**
+     * The text between matches, as Go's Regexp.Split(s, -1)
+     */
+    split(text, charge) {
+        const chars = Array.from(text);
+        if (!chars.length) return [''];
+        const parts = [];
+        let begin = 0;
+        let end = 0;
+        for (const caps of this.findAll(codePoints(chars), -1, charge)) {
+            end = caps[0];
+            if (caps[1] !== 0) parts.push(chars.slice(begin, end).join(''));
+            begin = caps[1];
+        }
+        if (end !== chars.length) parts.push(chars.slice(begin).join(''));
+        return parts;
+    }
+
+    /**
+     * Replace every match as Go's ReplaceAllString: `$1`, `${1}` and `${name}` in the
+     * replacement expand to captures, `$$` to `$`
+     */
+    replace(text, replacement, charge) {
+        const chars = Array.from(text);
+        const cps = codePoints(chars);
+        let output = '';
+        let lastEnd = 0;
+        for (let pos = 0; pos <= cps.length;) {
+            const caps = this.exec(cps, pos, charge);
+            if (!caps) break;
+            output += chars.slice(lastEnd, caps[0]).join('');
+            if (caps[1] > lastEnd || caps[0] === 0) {
+                output += this.expand(replacement, chars, caps);
+            }
+            lastEnd = caps[1];
+            pos = pos + 1 > caps[1] ? pos + 1 : caps[1];
+        }
+        return output + chars.slice(lastEnd).join('');
+    }
+
+    expand(template, chars, caps) {
+        return template.replace(/\$(\$|\{([A-Za-z0-9_]+)\}|([A-Za-z0-9_]+))?/g, (whole, escaped, braced, bare) => {
+            if (escaped === '$') return '$';
+            const name = braced || bare;
+            if (!name) return whole;
+            const index = /^\d+$/.test(name) ? Number(name) : this.names[name];
+            if (index === undefined || index > this.groupCount || caps[index * 2] < 0) return '';
+            return chars.slice(caps[index * 2], caps[index * 2 + 1]).join('');
+        });
+    }
+}
+
+function codePoints(text) {
+    return (typeof text === 'string' ? Array.from(text) : text).map(char => char.codePointAt(0));
+}
+
+function assertionHolds(kind, cps, pos) {
+    switch (kind) {
+        case 'bot':
+            return pos === 0;
+        case 'eot':
+            return pos === cps.length;
+        case 'bol':
+            return pos === 0 || cps[pos - 1] === 10;
+        case 'eol':
+            return pos === cps.length || cps[pos] === 10;
+        case 'word':
+            return isWordChar(cps[pos - 1]) !== isWordChar(cps[pos]);
+        default:
+            return isWordChar(cps[pos - 1]) === isWordChar(cps[pos]);
+    }
+}
+
+module.exports = { Regex, RegexSyntaxError };
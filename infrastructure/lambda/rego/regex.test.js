@@ -0,0 +1,53 @@
+const { Regex, RegexSyntaxError } = require('./regex');
+
+const matches = (pattern, text) => new Regex(pattern).test(text);
+
+describe('Regex', () => {
+    test('matches RE2 syntax', () => {
+        expect(matches('^a.c$', 'abc')).toBe(true);
+        expect(matches('^[[:alpha:]]+$', 'abc1')).toBe(false);
+        expect(matches('\\d{2,3}', 'x12')).toBe(true);
+        expect(matches('(?i)hello', 'HeLLo')).toBe(true);
+        expect(matches('\\bfoo\\b', 'a foo b')).toBe(true);
+        expect(matches('\\p{Greek}', 'λ')).toBe(true);
+        expect(matches('^\\Qa.b\\E$', 'a.b')).toBe(true);
+    });
+
+    test('anchors $ at the end of the text unless (?m) is set', () => {
+        expect(matches('a$', 'a\n')).toBe(false);
+        expect(matches('(?m)a$', 'a\nb')).toBe(true);
+    });
+
+    test('runs patterns that backtrack exponentially in linear time', () => {
+        const started = Date.now();
+
+        expect(matches('(a+)+$', `${'a'.repeat(5000)}b`)).toBe(false);
+        expect(matches('(x+x+)+y', 'x'.repeat(5000))).toBe(false);
+        expect(Date.now() - started).toBeLessThan(2000);
+    });
+
+    test('charges the work of each input position', () => {
+        let work = 0;
+        new Regex('a*b').test('aaaa', steps => {
+            work += steps;
+        });
+
+        expect(work).toBeGreaterThanOrEqual(5);
+    });
+
+    test('rejects backreferences, lookaround and oversized repeats as RE2 does', () => {
+        for (const pattern of ['(a)\\1', '(?=a)', '(?<!a)b', 'a**', 'x{1001}', '(a', 'a)', '[a']) {
+            expect(() => new Regex(pattern)).toThrow(RegexSyntaxError);
+        }
+    });
+
+    test('finds, splits and replaces like Go', () => {
+        expect(new Regex('a(b*)').find('abbcaab')).toEqual(['abb', 'a', 'ab']);
+        expect(new Regex('a(b*)').find('abbcaab', 2)).toEqual(['abb', 'a']);
+        expect(new Regex('a|ab').find('ab')).toEqual(['a']);
+        expect(new Regex('x*').split('abc')).toEqual(['a', 'b', 'c']);
+        expect(new Regex(',').split('a,b,,c')).toEqual(['a', 'b', '', 'c']);
+        expect(new Regex('x*').replace('abc', '-')).toBe('-a-b-c-');
+        expect(new Regex('(?P<user>\\w+)@(\\w+)').replace('joe@example', '${2}: $user $$')).toBe('example: joe $');
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Rego Test Runner
+ * Evaluates generated test_inputs against a policy and records actual vs. expected decisions.
+ */
+
+const { parseModule } = require('./parser');
+const { Evaluator, packageSegments } = require('./evaluator');
+const { RegoSet, equal, fromJSON } = require('./values');
+
+const SET_DECISIONS = ['deny', 'violation', 'violations', 'denied'];
+
+/**
+ * Pick the rule that represents the policy decision.
+ * Prefers `allow`; otherwise uses a deny-style partial set where an empty set means allowed.
+ */
+function findDecision(ast) {
+    if (!ast || !ast.package) return null;
+
+    const pkg = packageSegments(ast.package).join('.');
+    const names = new Set(ast.rules.filter(rule => rule.kind !== 'function').map(rule => rule.head.name));
+
+    if (names.has('allow')) {
+        return { entrypoint: `data.${pkg}.allow`, path: `${pkg}.allow`, style: 'allow' };
+    }
+    const denyName = SET_DECISIONS.find(name => names.has(name));
+    if (denyName) {
+        return { entrypoint: `data.${pkg}.${denyName}`, path: `${pkg}.${denyName}`, style: 'deny' };
+    }
+    return null;
+}
+
+/**
+ * Whether the rule at `path` (e.g. `authz.deny`) is a partial set, whose value has no order
+ */
+function isPartialSet(ast, path) {
+    const pkg = packageSegments(ast.package).join('.');
+    return ast.rules.some(rule => rule.kind === 'partial_set' && `${pkg}.${rule.head.name}` === path);
+}
+
+/**
+ * Expected value of a test case; generated cases use `expected`, older ones `expected_result`.
+ */
+function expectedOf(testCase) {
+    if (testCase.expected !== undefined) return testCase.expected;
+    if (testCase.expected_result !== undefined) return testCase.expected_result;
+    return testCase.expected_decision;
+}
+
+/**
+ * Run each test input against the policy.
+ * @param {string} policy - Rego source
+ * @param {object[]} testInputs - [{description, input, expected}]
+ * @param {object} options - `entrypoint` to override decision detection, `data`, `now`, `tracer`,
+ *   `coverage` to record the rules each case exercised
+ */
+function runTestInputs(policy, testInputs = [], options = {}) {
+    const summary = {
+        entrypoint: null,
+        passed: 0,
+        failed: 0,
+        errors: 0,
+        results: []
+    };
+
+    const { ast, errors } = parseModule(policy || '', options.regoVersion ? { regoVersion: options.regoVersion } : {});
+    const decision = options.entrypoint
+        ? { entrypoint: options.entrypoint, path: options.entrypoint.replace(/^data\./, ''), style: options.style || 'allow' }
+        : findDecision(ast);
+
+    let setupError = null;
+    if (!ast || errors.length) {
+        const first = errors[0];
+        setupError = first ? `policy does not parse: ${first.line}:${first.column}: ${first.message}` : 'policy does not parse';
+    } else if (!decision) {
+        setupError = 'no decision rule found (expected allow, deny or violation)';
+    }
+
+    summary.entrypoint = decision ? decision.entrypoint : null;
+    const setValued = Boolean(decision && !setupError && isPartialSet(ast, decision.path));
+
+    const rules = options.coverage && ast ? listRules(ast) : null;
+    if (rules) {
+        summary.coverage = { rules: [], covered: 0, total: rules.length, percent: 0 };
+    }
+
+    for (const testCase of Array.isArray(testInputs) ? testInputs : []) {
+        const expected = expectedOf(testCase);
+        const result = {
+            description: testCase.description || testCase.name || 'Test case',
+            expected,
+            actual: null,
+            passed: false,
+            error: null
+        };
+
+        if (setupError) {
+            result.error = setupError;
+        } else {
+            const exercised = new Set();
+            const tracer = rules ? coverageTracer(rules, exercised, options.tracer) : options.tracer;
+            try {
+                const evaluator = new Evaluator([ast], { data: options.data, now: options.now, tracer });
+                const outcome = evaluateDecision(evaluator, decision, testCase.input);
+                result.actual = outcome.actual;
+                if (outcome.violations) result.violations = outcome.violations;
+                result.passed = matchesExpected(expected, outcome, setValued);
+            } catch (error) {
+                result.error = error.message;
+            }
+            if (rules) {
+                result.rules_exercised = rules.filter(rule => exercised.has(rule)).map(({ rule, line }) => ({ rule, line }));
+                exercised.forEach(rule => rule.hits++);
+            }
+        }
+
+        if (result.error) {
+            summary.errors++;
+        } else if (result.passed) {
+            summary.passed++;
+        } else {
+            summary.failed++;
+        }
+        summary.results.push(result);
+    }
+
+    if (rules) {
+        summary.coverage.rules = rules.map(({ rule, line, kind, hits }) => ({ rule, line, kind, hits }));
+        summary.coverage.covered = rules.filter(rule => rule.hits > 0).length;
+        summary.coverage.percent = rules.length ? Math.round((summary.coverage.covered / rules.length) * 100) : 0;
+    }
+
+    return summary;
+}
+
+/**
+ * Every rule, else clause and default of a module, keyed by its AST node for trace lookups.
+ */
+function listRules(ast) {
+    const rules = [];
+    for (const rule of ast.rules) {
+        rules.push({ rule: rule.head.name, line: rule.loc.line, kind: rule.kind, hits: 0, node: rule });
+        for (const clause of rule.elses || []) {
+            rules.push({ rule: rule.head.name, line: clause.loc.line, kind: 'else', hits: 0, node: clause });
+        }
+    }
+    return rules;
+}
+
+/**
+ * A rule counts as exercised when its body succeeds (or its default value is used).
+ */
+function coverageTracer(rules, exercised, next) {
+    const byNode = new Map(rules.map(rule => [rule.node, rule]));
+    return (event) => {
+        if (event.op === 'exit' || event.op === 'default') {
+            const rule = byNode.get(event.node);
+            if (rule) exercised.add(rule);
+        }
+        if (next) next(event);
+    };
+}
+
+function evaluateDecision(evaluator, decision, input) {
+    const value = evaluator.evalRule(decision.path, input === undefined ? {} : input);
+
+    if (decision.style === 'deny') {
+        const violations = Array.isArray(value) ? value : [];
+        return { actual: violations.length === 0, raw: value, violations };
+    }
+    return { actual: value === undefined ? null : value, raw: value };
+}
+
+/**
+ * Boolean expectations compare against the decision (undefined counts as not allowed);
+ * any other expected value must equal the rule's value. A partial set's value is compared as
+ * a set, so an expected array matches in any order.
+ */
+function matchesExpected(expected, outcome, setValued = false) {
+    if (typeof expected === 'boolean') {
+        return (outcome.actual === true) === expected;
+    }
+    if (expected === undefined) return false;
+    if (setValued && Array.isArray(expected) && Array.isArray(outcome.raw)) {
+        return equal(new RegoSet(fromJSON(expected)), new RegoSet(fromJSON(outcome.raw)));
+    }
+    return equal(fromJSON(expected), fromJSON(outcome.raw));
+}
+
+module.exports = { runTestInputs, findDecision, expectedOf, isPartialSet };
@@ -0,0 +1,100 @@
+const { runTestInputs, findDecision, expectedOf, parseModule } = require('./index');
+
+const ALLOW_POLICY = `package authz
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+}
+
+allow if {
+    input.user.role == "owner"
+}
+`;
+
+const DENY_POLICY = `package authz
+
+deny contains "missing owner" if not input.owner
+`;
+
+describe('findDecision', () => {
+    test('prefers allow', () => {
+        const { ast } = parseModule(`${ALLOW_POLICY}\ndeny contains "x" if false\n`);
+
+        expect(findDecision(ast)).toEqual({ entrypoint: 'data.authz.allow', path: 'authz.allow', style: 'allow' });
+    });
+
+    test('falls back to a deny-style set', () => {
+        const { ast } = parseModule(DENY_POLICY);
+
+        expect(findDecision(ast)).toMatchObject({ entrypoint: 'data.authz.deny', style: 'deny' });
+    });
+
+    test('finds nothing without a decision rule', () => {
+        expect(findDecision(parseModule('package authz\n\nx := 1\n').ast)).toBeNull();
+    });
+});
+
+describe('expectedOf', () => {
+    test('reads expected, then the older expected_result', () => {
+        expect(expectedOf({ expected: false, expected_result: true })).toBe(false);
+        expect(expectedOf({ expected_result: true })).toBe(true);
+    });
+});
+
+describe('runTestInputs', () => {
+    test('compares each decision with the expected value', () => {
+        const summary = runTestInputs(ALLOW_POLICY, [
+            { description: 'Admin is allowed', input: { user: { role: 'admin' } }, expected: true },
+            { description: 'Guest is denied', input: { user: { role: 'guest' } }, expected: false },
+            { description: 'Guest is allowed', input: { user: { role: 'guest' } }, expected: true }
+        ]);
+
+        expect(summary).toMatchObject({ entrypoint: 'data.authz.allow', passed: 2, failed: 1, errors: 0 });
+        expect(summary.results[2]).toMatchObject({ description: 'Guest is allowed', expected: true, actual: false, passed: false });
+    });
+
+    test('treats an empty deny set as allowed', () => {
+        const summary = runTestInputs(DENY_POLICY, [
+            { description: 'Owned resource', input: { owner: 'alice' }, expected: true },
+            { description: 'Unowned resource', input: {}, expected: false }
+        ]);
+
+        expect(summary.passed).toBe(2);
+        expect(summary.results.map(result => result.violations)).toEqual([[], ['missing owner']]);
+    });
+
+    test('records rule coverage', () => {
+        const summary = runTestInputs(ALLOW_POLICY, [
+            { description: 'Admin is allowed', input: { user: { role: 'admin' } }, expected: true }
+        ], { coverage: true });
+
+        expect(summary.results[0].rules_exercised).toEqual([{ rule: 'allow', line: 5 }]);
+        expect(summary.coverage).toMatchObject({ covered: 1, total: 3 });
+        expect(summary.coverage.rules.find(rule => rule.line === 9).hits).toBe(0);
+    });
+
+    test('compares an array expected of a partial set as a set', () => {
+        const policy = `package authz
+
+deny contains "missing owner" if not input.owner
+
+deny contains "missing team" if not input.team
+`;
+        const summary = runTestInputs(policy, [
+            { description: 'Any order', input: {}, expected: ['missing team', 'missing owner'] },
+            { description: 'Duplicates', input: {}, expected: ['missing owner', 'missing team', 'missing owner'] },
+            { description: 'Missing a message', input: {}, expected: ['missing owner'] }
+        ]);
+
+        expect(summary.results.map(result => result.passed)).toEqual([true, true, false]);
+    });
+
+    test('reports every case as an error when the policy does not parse', () => {
+        const summary = runTestInputs('package authz\nallow if {', [{ input: {}, expected: true }]);
+
+        expect(summary.errors).toBe(1);
+        expect(summary.results[0].error).toBe('policy does not parse: 2:11: unexpected eof token: expected }');
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Rego Test Suite Generator
+ * Turns JSON test inputs into a `_test.rego` module that `opa test` can run next to the policy.
+ */
+
+const { parseModule } = require('./parser');
+const { packageSegments } = require('./evaluator');
+const { findDecision, expectedOf, isPartialSet } = require('./test-runner');
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Build the companion test module for a policy.
+ * Returns {filename, package, content}, or null when the policy has no parseable decision rule.
+ * @param {string} policy - Rego source
+ * @param {object[]} testInputs - [{description, input, expected}]
+ * @param {object} options - `filename` of the policy (default policy.rego)
+ */
+function buildTestSuite(policy, testInputs = [], options = {}) {
+    const { ast, errors } = parseModule(policy || '');
+    if (!ast || !ast.package || errors.length) return null;
+
+    const decision = findDecision(ast);
+    if (!decision) return null;
+
+    const segments = packageSegments(ast.package);
+    const alias = segments[segments.length - 1];
+    const decisionName = decision.path.split('.').pop();
+    const testPackage = `${segments.join('.')}_test`;
+    const usesIf = ast.regoVersion === 'v1' || ast.rules.some(rule => rule.hasIf);
+    const setValued = isPartialSet(ast, decision.path);
+
+    // Carry over the keyword imports so the test module parses with the same syntax as the policy
+    const keywordImports = ast.imports
+        .filter(imp => imp.name === 'rego.v1' || imp.name.startsWith('future.keywords'))
+        .map(imp => `import ${imp.name}`);
+
+    const lines = [`package ${testPackage}`, ''];
+    if (keywordImports.length) {
+        lines.push(...keywordImports, '');
+    }
+    lines.push(`import data.${segments.join('.')}`, '');
+
+    const names = new Set();
+    (Array.isArray(testInputs) ? testInputs : []).forEach((testCase, index) => {
+        const description = testCase.description || testCase.name || `case ${index + 1}`;
+        const name = uniqueName(testName(description, index), names);
+        const assertion = assertionFor(`${alias}.${decisionName}`, decision.style, expectedOf(testCase), setValued);
+        if (!assertion) return;
+
+        lines.push(`# ${description.replace(/\s*\n\s*/g, ' ')}`);
+        lines.push(`${name}${usesIf ? ' if' : ''} {`);
+        lines.push(`\t${assertion} with input as ${regoTerm(testCase.input === undefined ? {} : testCase.input, 1)}`);
+        lines.push('}', '');
+    });
+
+    return {
+        filename: (options.filename || 'policy.rego').replace(/\.rego$/, '_test.rego'),
+        package: testPackage,
+        content: `${lines.join('\n').trimEnd()}\n`
+    };
+}
+
+/**
+ * The literal asserting the expected decision; booleans on deny-style policies mean "no violations".
+ * An array expected of a partial set is compared as a set literal, since the set has no order.
+ */
+function assertionFor(ref, style, expected, setValued = false) {
+    if (expected === undefined) return null;
+    if (typeof expected === 'boolean') {
+        if (style === 'deny') {
+            return expected ? `count(${ref}) == 0` : `count(${ref}) > 0`;
+        }
+        return expected ? ref : `not ${ref}`;
+    }
+    if (setValued && Array.isArray(expected)) {
+        return `${ref} == ${regoSetTerm(expected, 1)}`;
+    }
+    return `${ref} == ${regoTerm(expected, 1)}`;
+}
+
+function testName(description, index) {
+    const slug = description
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, MAX_NAME_LENGTH)
+        .replace(/_+$/, '');
+    return `test_${slug || `case_${index + 1}`}`;
+}
+
+function uniqueName(name, names) {
+    let candidate = name;
+    for (let n = 2; names.has(candidate); n++) {
+        candidate = `${name}_${n}`;
+    }
+    names.add(candidate);
+    return candidate;
+}
+
+/**
+ * Render a JSON value as a Rego term, indented with tabs like `opa fmt`.
+ */
+function regoTerm(value, depth) {
+    const indent = '\t'.repeat(depth + 1);
+    const closing = '\t'.repeat(depth);
+
+    if (Array.isArray(value)) {
+        if (!value.length) return '[]';
+        return `[\n${value.map(item => `${indent}${regoTerm(item, depth + 1)}`).join(',\n')},\n${closing}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined);
+        if (!keys.length) return '{}';
+        return `{\n${keys.map(key => `${indent}${JSON.stringify(key)}: ${regoTerm(value[key], depth + 1)}`).join(',\n')},\n${closing}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Render a JSON array as a Rego set literal; the empty set is `set()`.
+ */
+function regoSetTerm(values, depth) {
+    if (!values.length) return 'set()';
+    const indent = '\t'.repeat(depth + 1);
+    return `{\n${values.map(item => `${indent}${regoTerm(item, depth + 1)}`).join(',\n')},\n${'\t'.repeat(depth)}}`;
+}
+
+module.exports = { buildTestSuite };
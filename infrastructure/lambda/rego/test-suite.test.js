@@ -0,0 +1,38 @@
+const { buildTestSuite, parseModule } = require('./index');
+
+const DENY_POLICY = `package authz
+
+deny contains "missing owner" if not input.owner
+`;
+
+describe('buildTestSuite', () => {
+    test('asserts boolean expectations on the decision', () => {
+        const suite = buildTestSuite('package authz\n\nallow if input.admin\n', [
+            { description: 'Admin is allowed', input: { admin: true }, expected: true },
+            { description: 'Guest is denied', input: {}, expected: false }
+        ]);
+
+        expect(suite).toMatchObject({ filename: 'policy_test.rego', package: 'authz_test' });
+        expect(suite.content).toContain('test_admin_is_allowed if {\n\tauthz.allow with input as {\n\t\t"admin": true,\n\t}\n}');
+        expect(suite.content).toContain('test_guest_is_denied if {\n\tnot authz.allow with input as {}\n}');
+    });
+
+    test('writes the expected value of a partial set as a set literal', () => {
+        const suite = buildTestSuite(DENY_POLICY, [
+            { description: 'Unowned', input: {}, expected: ['missing owner'] },
+            { description: 'Owned', input: { owner: 'alice' }, expected: [] }
+        ]);
+
+        expect(suite.content).toContain('\tauthz.deny == {\n\t\t"missing owner",\n\t} with input as {}');
+        expect(suite.content).toContain('\tauthz.deny == set() with input as {');
+        expect(parseModule(suite.content).errors).toEqual([]);
+    });
+
+    test('keeps array literals for rules whose value is an array', () => {
+        const suite = buildTestSuite('package authz\n\ndeny := ["missing owner"] if not input.owner\n', [
+            { description: 'Unowned', input: {}, expected: ['missing owner'] }
+        ]);
+
+        expect(suite.content).toContain('\tauthz.deny == [\n\t\t"missing owner",\n\t] with input as {}');
+    });
+});
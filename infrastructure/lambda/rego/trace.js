@@ -0,0 +1,332 @@
+/**
+ * Decision Trace
+ * Evaluates a policy's decision, or any query, for one input and records, rule by rule, which
+ * expressions succeeded, failed or were never reached, with source lines for each.
+ */
+
+const { parseModule, parseQuery } = require('./parser');
+const { Evaluator, RegoEvalError } = require('./evaluator');
+const { walk, collectVars } = require('./ast');
+const { toJSON } = require('./values');
+const { findDecision } = require('./test-runner');
+
+/**
+ * Trace the decision for an input.
+ * Throws RegoEvalError when the policy does not parse or has no decision rule; errors raised
+ * while evaluating are reported in the trace's `error` instead.
+ * @param {string} source - Rego policy
+ * @param {*} input - the input document
+ * @param {object} options - `entrypoint` to override decision detection, `data`, `now`, `regoVersion`
+ * @returns {{entrypoint: string, style: string, defined: boolean, result: *, allowed: boolean,
+ *   error: object|null, rules: object[]}}
+ */
+function traceDecision(source, input, options = {}) {
+    const ast = parsePolicy(source, options);
+    const decision = options.entrypoint
+        ? { entrypoint: options.entrypoint, path: options.entrypoint.replace(/^data\./, ''), style: options.style || 'allow' }
+        : findDecision(ast);
+    if (!decision) {
+        throw new RegoEvalError('no decision rule found (expected allow, deny or violation)', 'rego_type_error');
+    }
+
+    const { tracer, summarize } = traceRules(ast, source);
+    const evaluator = new Evaluator([ast], { data: options.data, now: options.now, tracer });
+    let value;
+    let error = null;
+    try {
+        value = evaluator.evalRule(decision.path, input === undefined ? {} : input);
+    } catch (evalError) {
+        error = evalErrorOf(evalError);
+    }
+
+    const allowed = decision.style === 'deny'
+        ? !error && Array.isArray(value) && value.length === 0
+        : value === true;
+
+    return {
+        entrypoint: decision.entrypoint,
+        style: decision.style,
+        defined: value !== undefined,
+        result: value === undefined ? null : value,
+        allowed,
+        error,
+        rules: summarize(input, options)
+    };
+}
+
+// Holds the value of a query that is a single expression
+const RESULT_VAR = '__result__';
+
+/**
+ * Evaluate a query against a policy, as the OPA Playground does, and trace the rules it reaches.
+ * Without a query the policy's package document, `data.<package>`, is evaluated. A query that
+ * is one expression reports its value in `result`; `bindings` has the query's variables for
+ * each solution.
+ * Throws RegoEvalError when the policy or the query does not parse; errors raised while
+ * evaluating are reported in `error`.
+ * @param {object} options - `data`, `now`, `regoVersion`
+ * @returns {{query: string, defined: boolean, result: *, bindings: object[], duration_ms: number,
+ *   error: object|null, rules: object[]}}
+ */
+function traceQuery(source, query, input, options = {}) {
+    const ast = parsePolicy(source, options);
+    const text = (query || '').trim() || `data.${ast.package.name}`;
+    const { ast: body, errors } = parseQuery(text);
+    if (errors.length) {
+        throw new RegoEvalError(errors[0].message, errors[0].code, errors[0]);
+    }
+
+    const [literal] = body.literals;
+    const single = body.literals.length === 1 && !literal.negated && !literal.with.length
+        && !['Assign', 'Unify', 'SomeDecl', 'SomeIn', 'Every'].includes(literal.expr.type);
+    // Comparisons, membership tests and calls that are false leave the query undefined, as in OPA
+    const condition = single && (['Membership', 'Call'].includes(literal.expr.type)
+        || (literal.expr.type === 'Binary' && ['==', '!=', '<', '<=', '>', '>='].includes(literal.expr.operator)));
+    if (single) {
+        const loc = literal.expr.loc;
+        literal.expr = { type: 'Assign', left: { type: 'Var', name: RESULT_VAR, loc }, right: literal.expr, loc };
+    }
+
+    const { tracer, summarize } = traceRules(ast, source);
+    const evaluator = new Evaluator([ast], { data: options.data, now: options.now, tracer });
+    let solutions = [];
+    let error = null;
+    const started = performance.now();
+    try {
+        solutions = evaluator.evalQuery(body, input === undefined ? {} : input);
+    } catch (evalError) {
+        error = evalErrorOf(evalError);
+    }
+    const duration = performance.now() - started;
+    if (condition) {
+        solutions = solutions.filter(solution => solution.bindings[RESULT_VAR] !== false);
+    }
+
+    return {
+        query: text,
+        defined: solutions.length > 0,
+        result: single && solutions.length ? solutions[0].bindings[RESULT_VAR] : null,
+        bindings: solutions.map(solution => Object.fromEntries(
+            Object.entries(solution.bindings).filter(([name]) => name !== RESULT_VAR)
+        )),
+        duration_ms: Math.round(duration * 1000) / 1000,
+        error,
+        rules: summarize(input, options)
+    };
+}
+
+function parsePolicy(source, options) {
+    const { ast, errors } = parseModule(source || '', options.regoVersion ? { regoVersion: options.regoVersion } : {});
+    if (!ast || errors.length) {
+        const first = errors[0] || { message: 'policy does not parse' };
+        throw new RegoEvalError(first.message, first.code || 'rego_parse_error', first);
+    }
+    if (!ast.package) {
+        throw new RegoEvalError('missing package declaration', 'rego_parse_error');
+    }
+    return ast;
+}
+
+function evalErrorOf(error) {
+    return {
+        message: error.message,
+        code: error.code || 'eval_error',
+        line: error.line || null
+    };
+}
+
+/**
+ * A tracer for the Evaluator that records each rule's outcome and each expression's, and
+ * `summarize(input, options)` to report them once evaluation is done
+ */
+function traceRules(ast, source) {
+    const lineOf = lineIndex(source);
+    const { rules, byNode } = listTraceRules(ast, source, lineOf);
+    const failures = [];
+
+    const tracer = (event) => {
+        const entry = byNode.get(event.node);
+        if (!entry) return;
+
+        if (entry.expressions) {
+            // A rule, else clause or default
+            if (event.op === 'enter') entry.entered = true;
+            if (event.op === 'exit' || event.op === 'default') {
+                entry.succeeded = true;
+                if (entry.value === undefined && event.value !== undefined && event.value !== true) {
+                    entry.value = toJSON(event.value);
+                }
+            }
+            return;
+        }
+
+        // A literal of a rule body
+        if (event.op === 'eval') entry.succeeded++;
+        if (event.op === 'fail') {
+            if (!entry.failed) failures.push({ entry, bindings: event.bindings });
+            entry.failed++;
+        }
+    };
+
+    const summarize = (input, options) => {
+        // Values behind each failed expression, looked up without tracing
+        const lookup = new Evaluator([ast], { data: options.data, now: options.now });
+        const ruleNames = new Set(ast.rules.filter(rule => rule.kind !== 'function').map(rule => rule.head.name));
+        for (const { entry, bindings } of failures) {
+            entry.values = failedValues(entry, bindings, { evaluator: lookup, input, source, ruleNames, pkg: ast.package.name });
+        }
+        return rules.map(summarizeRule);
+    };
+
+    return { tracer, summarize };
+}
+
+/**
+ * One entry per rule, else clause and default, each with the literals of its body
+ */
+function listTraceRules(ast, source, lineOf) {
+    const rules = [];
+    const byNode = new Map();
+
+    const addBranch = (node, rule, kind, body) => {
+        const entry = {
+            rule: rule.head.name,
+            kind,
+            line: node.loc.line,
+            end_line: lineOf(node.loc.end),
+            entered: false,
+            succeeded: false,
+            value: undefined,
+            expressions: []
+        };
+        walk(body, literal => {
+            if (literal.type !== 'Literal') return;
+            const expression = {
+                node: literal,
+                line: literal.loc.line,
+                end_line: lineOf(literal.loc.end),
+                text: source.slice(literal.loc.start, literal.loc.end),
+                succeeded: 0,
+                failed: 0,
+                values: null
+            };
+            entry.expressions.push(expression);
+            byNode.set(literal, expression);
+        });
+        rules.push(entry);
+        byNode.set(node, entry);
+    };
+
+    for (const rule of ast.rules) {
+        addBranch(rule, rule, rule.default ? 'default' : rule.kind, rule.body);
+        for (const clause of rule.elses || []) {
+            addBranch(clause, rule, 'else', clause.body);
+        }
+    }
+
+    return { rules, byNode };
+}
+
+function summarizeRule(entry) {
+    let outcome = 'not_evaluated';
+    if (entry.kind === 'default') {
+        outcome = entry.succeeded ? 'default_applied' : 'not_applied';
+    } else if (entry.succeeded) {
+        outcome = 'succeeded';
+    } else if (entry.entered) {
+        outcome = 'failed';
+    }
+
+    return {
+        rule: entry.rule,
+        kind: entry.kind,
+        line: entry.line,
+        end_line: entry.end_line,
+        outcome,
+        ...(entry.value !== undefined ? { value: entry.value } : {}),
+        expressions: entry.expressions.map(expression => ({
+            line: expression.line,
+            end_line: expression.end_line,
+            text: expression.text,
+            outcome: expressionOutcome(expression),
+            ...(expression.values && expression.values.length ? { values: expression.values } : {})
+        }))
+    };
+}
+
+/**
+ * `mixed` means the expression held for some bindings of an iteration and not for others
+ */
+function expressionOutcome({ succeeded, failed }) {
+    if (succeeded && failed) return 'mixed';
+    if (succeeded) return 'succeeded';
+    if (failed) return 'failed';
+    return 'not_evaluated';
+}
+
+/**
+ * The bound variables, rules and input/data references of a failed expression, at its first failure
+ */
+function failedValues(entry, bindings, { evaluator, input, source, ruleNames, pkg }) {
+    const values = [];
+    const seen = new Set();
+    const query = (term, ref) => {
+        let result;
+        try {
+            [result] = evaluator.evalQuery(`__value := ${ref}`, input === undefined ? {} : input);
+        } catch (error) {
+            return;
+        }
+        values.push(result ? { term, value: result.bindings.__value } : { term, undefined: true });
+    };
+
+    for (const name of collectVars(entry.node)) {
+        if (name === 'input' || name === 'data') continue;
+        if (bindings && name in bindings) {
+            const bound = bindings[name];
+            if (typeof bound === 'symbol') continue;
+            seen.add(name);
+            values.push({ term: name, value: toJSON(bound) });
+        } else if (ruleNames.has(name)) {
+            seen.add(name);
+            query(name, `data.${pkg}.${name}`);
+        }
+    }
+
+    walk(entry.node, node => {
+        if (node.type !== 'Ref' || !['input', 'data'].includes(node.head.name)) return;
+        const vars = collectVars(node);
+        vars.delete(node.head.name);
+        if (vars.size) return false;
+
+        const term = source.slice(node.loc.start, node.loc.end);
+        if (!seen.has(term)) {
+            seen.add(term);
+            query(term, term);
+        }
+        return false;
+    });
+
+    return values;
+}
+
+/**
+ * Offset -> 1-based line number
+ */
+function lineIndex(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') starts.push(i + 1);
+    }
+    return (offset) => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (starts[mid] <= offset) low = mid; else high = mid - 1;
+        }
+        return low + 1;
+    };
+}
+
+module.exports = { traceDecision, traceQuery };
@@ -0,0 +1,89 @@
+const { traceDecision, RegoEvalError } = require('./index');
+
+const POLICY = `package authz
+
+default allow := false
+
+allow if {
+    input.user.role == "admin"
+    input.method == "GET"
+}
+
+allow if {
+    some group in input.user.groups
+    group == "ops"
+}
+`;
+
+function ruleAt(trace, line) {
+    return trace.rules.find(rule => rule.line === line);
+}
+
+describe('traceDecision', () => {
+    test('reports each rule\'s outcome and the values behind a failed expression', () => {
+        const trace = traceDecision(POLICY, { user: { role: 'viewer', groups: [] }, method: 'GET' });
+
+        expect(trace).toMatchObject({ entrypoint: 'data.authz.allow', style: 'allow', defined: true, result: false, allowed: false, error: null });
+        expect(ruleAt(trace, 3)).toMatchObject({ kind: 'default', outcome: 'default_applied' });
+        expect(ruleAt(trace, 5)).toMatchObject({ end_line: 8, outcome: 'failed' });
+        expect(ruleAt(trace, 5).expressions).toEqual([
+            {
+                line: 6,
+                end_line: 6,
+                text: 'input.user.role == "admin"',
+                outcome: 'failed',
+                values: [{ term: 'input.user.role', value: 'viewer' }]
+            },
+            { line: 7, end_line: 7, text: 'input.method == "GET"', outcome: 'not_evaluated' }
+        ]);
+    });
+
+    test('marks an expression that holds for some iterations only as mixed', () => {
+        const trace = traceDecision(POLICY, { user: { role: 'viewer', groups: ['dev', 'ops'] } });
+
+        expect(trace.allowed).toBe(true);
+        expect(ruleAt(trace, 3).outcome).toBe('not_applied');
+        expect(ruleAt(trace, 10)).toMatchObject({ outcome: 'succeeded' });
+        expect(ruleAt(trace, 10).expressions[1]).toMatchObject({
+            text: 'group == "ops"',
+            outcome: 'mixed',
+            values: [{ term: 'group', value: 'dev' }]
+        });
+    });
+
+    test('allows a deny-style policy only when the set is empty', () => {
+        const trace = traceDecision(`package checks
+
+deny contains msg if {
+    not input.user
+    msg := "no user"
+}
+`, {});
+
+        expect(trace).toMatchObject({ entrypoint: 'data.checks.deny', style: 'deny', result: ['no user'], allowed: false });
+        expect(trace.rules[0]).toMatchObject({ kind: 'partial_set', outcome: 'succeeded', value: 'no user' });
+    });
+
+    test('reports an evaluation error in the trace', () => {
+        const trace = traceDecision(`package authz
+
+allow := input.a if input.a
+
+allow := false if input.b
+`, { a: true, b: true });
+
+        expect(trace.defined).toBe(false);
+        expect(trace.error).toMatchObject({ code: 'eval_conflict_error', line: 3 });
+    });
+
+    test('throws for a policy that does not parse or has no decision rule', () => {
+        expect(() => traceDecision('package authz\n\nallow if {', {})).toThrow(RegoEvalError);
+        expect(() => traceDecision('package authz\n\nx := 1\n', {})).toThrow('no decision rule found');
+    });
+
+    test('traces the entrypoint it is given', () => {
+        const trace = traceDecision('package authz\n\nx := input.n + 1\n', { n: 1 }, { entrypoint: 'data.authz.x' });
+
+        expect(trace).toMatchObject({ entrypoint: 'data.authz.x', defined: true, result: 2 });
+    });
+});
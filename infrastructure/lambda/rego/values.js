@@ -0,0 +1,229 @@
+/**
+ * Rego Values
+ * Runtime value model for the evaluator. JSON values map onto plain JavaScript values;
+ * sets use RegoSet so that membership follows Rego equality rather than identity.
+ */
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object', 'set'];
+
+class RegoSet {
+    constructor(items = []) {
+        this.items = new Map();
+        for (const item of items) {
+            this.add(item);
+        }
+    }
+
+    add(value) {
+        const key = keyOf(value);
+        if (!this.items.has(key)) {
+            this.items.set(key, value);
+        }
+        return this;
+    }
+
+    has(value) {
+        return this.items.has(keyOf(value));
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    values() {
+        return [...this.items.values()];
+    }
+
+    /**
+     * Members in Rego sort order, so iteration is deterministic.
+     */
+    sorted() {
+        return this.values().sort(compare);
+    }
+
+    [Symbol.iterator]() {
+        return this.items.values();
+    }
+
+    toJSON() {
+        return this.sorted();
+    }
+}
+
+function typeName(value) {
+    if (value === null) return 'null';
+    if (value instanceof RegoSet) return 'set';
+    if (Array.isArray(value)) return 'array';
+    switch (typeof value) {
+        case 'boolean':
+            return 'boolean';
+        case 'number':
+            return 'number';
+        case 'string':
+            return 'string';
+        case 'object':
+            return 'object';
+        default:
+            return 'undefined';
+    }
+}
+
+/**
+ * Canonical string for a value, used as the identity of set members and object keys.
+ */
+function keyOf(value) {
+    switch (typeName(value)) {
+        case 'null':
+        case 'boolean':
+            return String(value);
+        case 'number':
+            return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(15)));
+        case 'string':
+            return JSON.stringify(value);
+        case 'array':
+            return `[${value.map(keyOf).join(',')}]`;
+        case 'object':
+            return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${keyOf(value[k])}`).join(',')}}`;
+        case 'set':
+            return `#{${[...value.items.keys()].sort().join(',')}}`;
+        default:
+            return 'undefined';
+    }
+}
+
+function equal(a, b) {
+    if (a === b) return true;
+    if (typeName(a) !== typeName(b)) return false;
+    return keyOf(a) === keyOf(b);
+}
+
+/**
+ * Total order over values: null < boolean < number < string < array < object < set.
+ */
+function compare(a, b) {
+    const ta = typeName(a);
+    const tb = typeName(b);
+    if (ta !== tb) {
+        return TYPE_ORDER.indexOf(ta) - TYPE_ORDER.indexOf(tb);
+    }
+
+    switch (ta) {
+        case 'null':
+            return 0;
+        case 'boolean':
+        case 'number':
+            return a === b ? 0 : (a < b ? -1 : 1);
+        case 'string':
+            return a === b ? 0 : (a < b ? -1 : 1);
+        case 'array':
+            return compareSequences(a, b);
+        case 'object': {
+            const keysA = Object.keys(a).sort();
+            const keysB = Object.keys(b).sort();
+            const byKeys = compareSequences(keysA, keysB);
+            if (byKeys !== 0) return byKeys;
+            return compareSequences(keysA.map(k => a[k]), keysB.map(k => b[k]));
+        }
+        case 'set':
+            return compareSequences(a.sorted(), b.sorted());
+        default:
+            return 0;
+    }
+}
+
+function compareSequences(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const c = compare(a[i], b[i]);
+        if (c !== 0) return c;
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Convert a JSON document (e.g. input) into runtime values.
+ */
+function fromJSON(value) {
+    if (value === undefined) return undefined;
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof RegoSet) return value;
+    if (Array.isArray(value)) return value.map(fromJSON);
+
+    const result = {};
+    for (const [k, v] of Object.entries(value)) {
+        if (v !== undefined) result[k] = fromJSON(v);
+    }
+    return result;
+}
+
+/**
+ * Convert a runtime value back into plain JSON (sets become sorted arrays).
+ */
+function toJSON(value) {
+    if (value === undefined) return undefined;
+    if (value instanceof RegoSet) return value.sorted().map(toJSON);
+    if (Array.isArray(value)) return value.map(toJSON);
+    if (value !== null && typeof value === 'object') {
+        const result = {};
+        for (const [k, v] of Object.entries(value)) {
+            result[k] = toJSON(v);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Object keys must be strings; other scalar keys are stored in their JSON form.
+ */
+function objectKey(value) {
+    return typeof value === 'string' ? value : keyOf(value);
+}
+
+/**
+ * Iterate [key, value] pairs of a collection (array indexes, object keys, set members).
+ */
+function* entriesOf(collection) {
+    switch (typeName(collection)) {
+        case 'array':
+            for (let i = 0; i < collection.length; i++) yield [i, collection[i]];
+            break;
+        case 'object':
+            for (const key of Object.keys(collection).sort()) yield [key, collection[key]];
+            break;
+        case 'set':
+            for (const member of collection.sorted()) yield [member, member];
+            break;
+    }
+}
+
+/**
+ * Look up a single key in a collection; returns undefined when absent.
+ */
+function lookup(collection, key) {
+    switch (typeName(collection)) {
+        case 'array':
+            return Number.isInteger(key) && key >= 0 && key < collection.length ? collection[key] : undefined;
+        case 'object': {
+            if (typeName(key) === 'undefined') return undefined;
+            const k = objectKey(key);
+            return Object.prototype.hasOwnProperty.call(collection, k) ? collection[k] : undefined;
+        }
+        case 'set':
+            return collection.has(key) ? key : undefined;
+        default:
+            return undefined;
+    }
+}
+
+module.exports = {
+    RegoSet,
+    typeName,
+    keyOf,
+    equal,
+    compare,
+    fromJSON,
+    toJSON,
+    objectKey,
+    entriesOf,
+    lookup
+};
@@ -0,0 +1,160 @@
+/**
+ * Request Body Schemas
+ * JSON Schemas for the bodies of the policy routes, published as the input schemas of the
+ * agent's own MCP tools (mcp-server.js).
+ */
+
+const { TARGETS } = require('./deployment');
+const { PRESETS } = require('./presets');
+
+const CONTEXT_SCHEMA = {
+    type: 'object',
+    description: 'Optional request context',
+    properties: {
+        session_id: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9_-]{1,128}$',
+            description: 'Conversation to continue; a new session is started when omitted'
+        },
+        user_id: { type: 'string' },
+        domain: { type: 'string', description: 'Policy domain, e.g. "kubernetes admission"' },
+        complexity: { type: 'string', enum: ['basic', 'intermediate', 'advanced'] },
+        max_iterations: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10,
+            description: 'Correction rounds for parse errors and failing tests'
+        },
+        rego_version: {
+            type: 'string',
+            enum: ['v0', 'v1'],
+            description: 'Rego syntax version (default v1): generated code, validation and test runs use it'
+        },
+        target: {
+            type: 'string',
+            enum: Object.keys(PRESETS),
+            description: 'Target platform preset: its input shape, decision rule and test conventions guide generation and validation'
+        },
+        input_schema: {
+            type: ['object', 'string'],
+            description: 'JSON Schema of the policy input (object, JSON or YAML); generated policies may only read the fields it declares, and validation warns about others'
+        },
+        openapi: {
+            type: ['object', 'string'],
+            description: 'OpenAPI document of the API the policy guards (object, JSON or YAML); its operations and parameters shape the input'
+        },
+        environment: { type: 'string', description: 'Where the policy will run, e.g. "envoy gateway" (deployment planning)' },
+        history_token_budget: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Prompt space for earlier turns when refining'
+        },
+        llm: {
+            type: 'object',
+            description: 'Per-request model selection, within LLM_ALLOWED_PROVIDERS',
+            properties: {
+                provider: { type: 'string' },
+                model: { type: 'string' },
+                temperature: { type: 'number' },
+                max_tokens: { type: 'integer', minimum: 1 }
+            }
+        }
+    }
+};
+
+const GENERATE_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        instructions: { type: 'string', minLength: 1, description: 'Natural language policy requirements' },
+        context: CONTEXT_SCHEMA
+    },
+    required: ['instructions']
+};
+
+const REFINE_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        instructions: { type: 'string', minLength: 1, description: 'Changes to make to the policy' },
+        existing_policy: { type: 'string', minLength: 1, description: 'Rego policy to refine' },
+        context: CONTEXT_SCHEMA
+    },
+    required: ['instructions', 'existing_policy']
+};
+
+const POLICY_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        policy: { type: 'string', minLength: 1, description: 'Rego policy source' },
+        context: CONTEXT_SCHEMA
+    },
+    required: ['policy']
+};
+
+const EXPLAIN_DECISION_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        policy: { type: 'string', minLength: 1, description: 'Rego policy; defaults to the session\'s current policy' },
+        input: { description: 'The input document whose decision should be explained' },
+        data: { type: 'object', description: 'Base data document the policy reads' },
+        entrypoint: {
+            type: 'string',
+            description: 'Decision rule, e.g. data.authz.allow; the policy\'s allow, deny or violation rule when omitted'
+        },
+        context: CONTEXT_SCHEMA
+    },
+    required: ['input']
+};
+
+const DEPLOYMENT_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        policy: { type: 'string', minLength: 1, description: 'Rego policy to deploy; defaults to the session\'s current policy' },
+        target: {
+            type: 'string',
+            enum: Object.keys(TARGETS),
+            description: 'Deployment target; when omitted, the platform of the context.target preset or one suggested from context.environment'
+        },
+        options: {
+            type: 'object',
+            description: 'Artifact settings',
+            properties: {
+                app_name: { type: 'string' },
+                namespace: { type: 'string' },
+                app_image: { type: 'string' },
+                app_port: { type: 'integer', minimum: 1, maximum: 65535 },
+                app_host: { type: 'string' },
+                opa_host: { type: 'string' },
+                opa_version: { type: 'string' },
+                constraint_kind: { type: 'string', pattern: '^[A-Z][A-Za-z0-9]*$' },
+                match_kinds: { type: 'array', items: { type: 'object' } }
+            }
+        },
+        context: CONTEXT_SCHEMA
+    }
+};
+
+const MIGRATE_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        policy: { type: 'string', minLength: 1, description: 'Rego v0 policy to rewrite; defaults to the session\'s current policy' },
+        test_inputs: {
+            type: 'array',
+            items: { type: 'object' },
+            description: 'Inputs ({description, input}) on which the original and migrated policies must decide the same'
+        },
+        data: { type: 'object', description: 'Base data document the policy reads' },
+        context: CONTEXT_SCHEMA
+    }
+};
+
+module.exports = {
+    CONTEXT_SCHEMA,
+    GENERATE_REQUEST_SCHEMA,
+    REFINE_REQUEST_SCHEMA,
+    VALIDATE_REQUEST_SCHEMA: POLICY_REQUEST_SCHEMA,
+    EXPLAIN_REQUEST_SCHEMA: POLICY_REQUEST_SCHEMA,
+    FORMAT_REQUEST_SCHEMA: POLICY_REQUEST_SCHEMA,
+    EXPLAIN_DECISION_REQUEST_SCHEMA,
+    DEPLOYMENT_REQUEST_SCHEMA,
+    MIGRATE_REQUEST_SCHEMA
+};
@@ -0,0 +1,178 @@
+/**
+ * Response Schemas
+ * The JSON contracts for generated and refined policies and for decision explanations. Providers
+ * pass them to the model's structured-output support; responses are validated before they are used.
+ */
+
+const Ajv = require('ajv');
+
+const GENERATION_SCHEMA_NAME = 'opa_policy_response';
+
+const GENERATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        policy: {
+            type: 'string',
+            minLength: 1,
+            pattern: '^\\s*(#[^\\n]*\\n\\s*)*package\\s',
+            description: 'Complete Rego policy source, starting with its package declaration'
+        },
+        explanation: {
+            type: 'string',
+            minLength: 1,
+            description: 'Plain-language explanation of what the policy does (and, when refining, what changed)'
+        },
+        test_inputs: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    description: { type: 'string', minLength: 1 },
+                    input: { type: 'object', description: 'The OPA input document for this case' },
+                    expected: { description: 'Expected decision, e.g. true/false for an allow rule' }
+                },
+                required: ['description', 'input', 'expected'],
+                additionalProperties: false
+            }
+        },
+        changes: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Each fix or modification made and why'
+        },
+        requirements: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            description: 'Every requirement the policy implements after this turn, earlier ones included'
+        },
+        contradictions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    instruction: { type: 'string', description: 'The new instruction' },
+                    conflicts_with: { type: 'string', description: 'The earlier requirement it contradicts' },
+                    resolution: { type: 'string', description: 'What the policy does now' }
+                },
+                required: ['instruction', 'conflicts_with', 'resolution'],
+                additionalProperties: false
+            },
+            description: 'New instructions that contradict an earlier requirement'
+        }
+    },
+    required: ['policy', 'explanation', 'test_inputs'],
+    additionalProperties: false
+};
+
+const DECISION_EXPLANATION_SCHEMA_NAME = 'opa_decision_explanation';
+
+const DECISION_EXPLANATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        summary: {
+            type: 'string',
+            minLength: 1,
+            description: 'One sentence answering why the decision came out the way it did'
+        },
+        sentences: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string', minLength: 1, description: 'One plain-English sentence' },
+                    lines: {
+                        type: 'array',
+                        minItems: 1,
+                        items: { type: 'integer', minimum: 1 },
+                        description: 'Policy line numbers the sentence is based on'
+                    }
+                },
+                required: ['text', 'lines'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['summary', 'sentences'],
+    additionalProperties: false
+};
+
+class StructuredOutputError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.code = 'invalid_structured_output';
+        this.errors = errors;
+    }
+}
+
+const ajv = new Ajv({ allErrors: true });
+const validateGeneration = ajv.compile(GENERATION_SCHEMA);
+const validateDecisionExplanation = ajv.compile(DECISION_EXPLANATION_SCHEMA);
+
+/**
+ * Parse a model response and check it against GENERATION_SCHEMA.
+ * @returns {{valid: boolean, value: object|null, errors: string[]}}
+ */
+function checkGenerationResponse(text) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, value: null, errors: [`response is not valid JSON: ${error.message}`] };
+    }
+
+    if (validateGeneration(value)) {
+        return { valid: true, value, errors: [] };
+    }
+    return { valid: false, value, errors: validateGeneration.errors.map(formatError) };
+}
+
+/**
+ * Parse a model response and check it against DECISION_EXPLANATION_SCHEMA.
+ * Every cited line must exist in the policy, which has `lineCount` lines.
+ * @returns {{valid: boolean, value: object|null, errors: string[]}}
+ */
+function checkDecisionExplanation(text, lineCount) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, value: null, errors: [`response is not valid JSON: ${error.message}`] };
+    }
+
+    if (!validateDecisionExplanation(value)) {
+        return { valid: false, value, errors: validateDecisionExplanation.errors.map(formatError) };
+    }
+
+    const errors = [];
+    value.sentences.forEach((sentence, index) => {
+        const outside = sentence.lines.filter(line => line > lineCount);
+        if (outside.length) {
+            errors.push(`sentences.${index}.lines: ${outside.join(', ')} not in the policy (lines 1-${lineCount})`);
+        }
+    });
+    return { valid: errors.length === 0, value, errors };
+}
+
+function formatError(error) {
+    const location = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : 'response';
+    if (error.keyword === 'additionalProperties') {
+        return `${location}: unexpected property "${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'pattern' && error.instancePath === '/policy') {
+        return 'policy: must start with a package declaration';
+    }
+    return `${location}: ${error.message}`;
+}
+
+module.exports = {
+    GENERATION_SCHEMA,
+    GENERATION_SCHEMA_NAME,
+    DECISION_EXPLANATION_SCHEMA,
+    DECISION_EXPLANATION_SCHEMA_NAME,
+    StructuredOutputError,
+    checkGenerationResponse,
+    checkDecisionExplanation
+};
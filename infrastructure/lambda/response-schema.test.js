@@ -0,0 +1,141 @@
+const {
+    GENERATION_SCHEMA_NAME,
+    StructuredOutputError,
+    checkGenerationResponse,
+    checkDecisionExplanation
+} = require('./response-schema');
+const { OPAPolicyAgent } = require('./agent-core-simple');
+const { MockProvider } = require('./providers/mock');
+const { traceDecision } = require('./rego');
+
+const RESPONSE = {
+    policy: 'package authz\n\ndefault allow := false\n\nallow if input.user.role == "admin"\n',
+    explanation: 'Only admins are allowed.',
+    test_inputs: [
+        { description: 'Admin user is allowed', input: { user: { role: 'admin' } }, expected: true },
+        { description: 'Guest user is denied', input: { user: { role: 'guest' } }, expected: false }
+    ]
+};
+
+function agentWith(script) {
+    const agent = new OPAPolicyAgent();
+    agent.llm = new MockProvider({ script });
+    agent.initialized = true;
+    return agent;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('checkGenerationResponse', () => {
+    test('accepts a response matching the schema', () => {
+        const checked = checkGenerationResponse(JSON.stringify(RESPONSE));
+
+        expect(checked).toEqual({ valid: true, value: RESPONSE, errors: [] });
+    });
+
+    test('rejects a response that is not JSON', () => {
+        const checked = checkGenerationResponse('```rego\npackage authz\n```');
+
+        expect(checked.valid).toBe(false);
+        expect(checked.value).toBeNull();
+        expect(checked.errors[0]).toMatch(/^response is not valid JSON/);
+    });
+
+    test('names missing fields, unexpected properties and a policy without a package', () => {
+        const checked = checkGenerationResponse(JSON.stringify({
+            policy: 'allow := true',
+            explanation: 'Allows everything.',
+            confidence: 'high'
+        }));
+
+        expect(checked.valid).toBe(false);
+        expect(checked.errors).toEqual(expect.arrayContaining([
+            'response: must have required property \'test_inputs\'',
+            'response: unexpected property "confidence"',
+            'policy: must start with a package declaration'
+        ]));
+    });
+
+    test('locates errors inside test inputs', () => {
+        const checked = checkGenerationResponse(JSON.stringify({
+            ...RESPONSE,
+            test_inputs: [{ description: 'No input', expected: true }]
+        }));
+
+        expect(checked.errors).toEqual(['test_inputs.0: must have required property \'input\'']);
+    });
+});
+
+describe('requestGeneration', () => {
+    test('sends a mismatching response back with its errors and uses the repaired one', async () => {
+        const agent = agentWith(['not json', RESPONSE]);
+
+        const result = await agent.generatePolicy('Only admins may access');
+
+        expect(result.policy).toBe(RESPONSE.policy);
+        expect(agent.llm.calls).toHaveLength(2);
+        expect(agent.llm.calls[0].schema).toBe(GENERATION_SCHEMA_NAME);
+        const repair = agent.llm.calls[1].messages;
+        expect(repair.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+        expect(repair[1].content).toBe('not json');
+        expect(repair[2].content).toContain('does not match the required JSON schema');
+    });
+
+    test('gives up with a StructuredOutputError after the retries', async () => {
+        const agent = agentWith(['not json', '{}', '{"policy": ""}']);
+
+        const error = await agent.generatePolicy('Only admins may access').catch(thrown => thrown);
+
+        expect(error).toBeInstanceOf(StructuredOutputError);
+        expect(error.code).toBe('invalid_structured_output');
+        expect(error.message).toMatch(/after 3 attempts/);
+        expect(agent.llm.calls).toHaveLength(3);
+    });
+});
+
+describe('checkDecisionExplanation', () => {
+    test('rejects sentences citing lines outside the policy', () => {
+        const checked = checkDecisionExplanation(JSON.stringify({
+            summary: 'Denied because the user is not an admin.',
+            sentences: [
+                { text: 'Nothing allows a guest.', lines: [3] },
+                { text: 'The default applies.', lines: [3, 12] }
+            ]
+        }), 5);
+
+        expect(checked.valid).toBe(false);
+        expect(checked.errors).toEqual(['sentences.1.lines: 12 not in the policy (lines 1-5)']);
+    });
+});
+
+describe('explainDecision', () => {
+    const input = { user: { role: 'guest' } };
+    const trace = traceDecision(RESPONSE.policy, input);
+    const explanation = {
+        summary: 'The guest is denied because only admins are allowed.',
+        sentences: [{ text: 'allow holds only for the admin role.', lines: [5] }]
+    };
+
+    test('sends the numbered policy and the trace, and retries a sentence citing a missing line', async () => {
+        const agent = agentWith([
+            { summary: explanation.summary, sentences: [{ text: 'See line 40.', lines: [40] }] },
+            explanation
+        ]);
+
+        const result = await agent.explainDecision(RESPONSE.policy, trace, input);
+
+        expect(result).toEqual(explanation);
+        const prompt = agent.llm.calls[0].messages[0].content;
+        expect(prompt).toContain('  5 | allow if input.user.role == "admin"');
+        expect(prompt).toContain('Decision: data.authz.allow = false (not allowed)');
+        expect(agent.llm.calls[1].messages[2].content).toContain('sentences.0.lines: 40 not in the policy');
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Local HTTP Server
+ * Serves the Lambda routes over plain Node http so streamed generation reaches the client
+ * as it is produced, e.g. behind a container or for local development.
+ */
+
+const http = require('http');
+const { streamPolicyResponse } = require('./index');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+
+/**
+ * Adapt a Node request into the API Gateway event shape the handler expects.
+ */
+function toLambdaEvent(req, body) {
+    const url = new URL(req.url, 'http://localhost');
+    return {
+        httpMethod: req.method,
+        path: url.pathname,
+        queryStringParameters: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body
+    };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    try {
+        const event = toLambdaEvent(req, await readBody(req));
+        await streamPolicyResponse(event, {
+            start: (statusCode, headers) => res.writeHead(statusCode, headers),
+            write: text => res.write(text),
+            end: () => res.end()
+        });
+    } catch (error) {
+        console.error('Unhandled server error:', error);
+        if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+        }
+        res.end(JSON.stringify({ error: 'Internal server error', code: 'INTERNAL_ERROR' }));
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`OPA policy agent listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, toLambdaEvent };
@@ -0,0 +1,352 @@
+/**
+ * Session Store
+ * Per-session conversation state (history and current policy), so callers sharing a Lambda
+ * container or server process never see each other's turns.
+ *
+ * Stores expose async `get(id)`, `put(session)` and `delete(id)`. Writes are versioned: `put` only
+ * succeeds when the stored `version` still matches the session's, and throws SessionConflictError
+ * otherwise, so two concurrent turns on one session cannot silently overwrite each other.
+ * - MemorySessionStore: process memory, bounded by count and age, lost on cold start
+ * - FileSessionStore: one JSON file per session, e.g. for the local server
+ * - DynamoDBSessionStore: a table keyed by `session_id`, through any client with DocumentClient-style
+ *   `get`/`put`/`delete` methods, so it runs against a local stand-in as well as DynamoDB
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_HISTORY = 10;
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MEMORY_LIMIT = 500;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * The session was written by another request since it was read
+ */
+class SessionConflictError extends Error {
+    constructor(sessionId) {
+        super(`Session ${sessionId} was modified concurrently`);
+        this.name = 'SessionConflictError';
+        this.code = 'session_conflict';
+        this.sessionId = sessionId;
+    }
+}
+
+function isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function createSession(id = crypto.randomUUID(), userId = null) {
+    const now = new Date().toISOString();
+    return {
+        session_id: id,
+        user_id: userId,
+        created_at: now,
+        updated_at: now,
+        version: 0,
+        current_policy: null,
+        requirements: [],
+        conversation_history: []
+    };
+}
+
+/**
+ * Append one generation/refinement turn, keeping the last MAX_HISTORY turns.
+ * The model's requirement list replaces the session's; without one the instruction is added to it
+ * (a generation starts a new policy, so it starts a new list).
+ */
+function recordTurn(session, operation, instructions, result) {
+    session.conversation_history.push({
+        operation,
+        instructions,
+        policy: result.policy || null,
+        explanation: result.explanation || null,
+        ...(result.contradictions?.length ? { contradictions: result.contradictions } : {}),
+        timestamp: new Date().toISOString()
+    });
+    if (session.conversation_history.length > MAX_HISTORY) {
+        session.conversation_history = session.conversation_history.slice(-MAX_HISTORY);
+    }
+    if (result.policy) {
+        session.current_policy = result.policy;
+    }
+    if (Array.isArray(result.requirements) && result.requirements.length) {
+        session.requirements = result.requirements;
+    } else {
+        session.requirements = [...(operation === 'generation' ? [] : session.requirements || []), instructions];
+    }
+    session.updated_at = new Date().toISOString();
+    return session;
+}
+
+/**
+ * Merge a session that lost a write race into the stored one: turns recorded by this request are
+ * added to the stored history, and its current policy and requirements (the newest) are kept.
+ * The session takes the stored version, so the next `put` can succeed.
+ */
+function mergeSession(session, latest) {
+    if (!latest) {
+        session.version = 0;
+        return session;
+    }
+    const turnKey = turn => `${turn.timestamp}\n${turn.operation}\n${turn.instructions}`;
+    const stored = latest.conversation_history || [];
+    const known = new Set(stored.map(turnKey));
+    session.conversation_history = [...stored, ...session.conversation_history.filter(turn => !known.has(turnKey(turn)))]
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        .slice(-MAX_HISTORY);
+    session.created_at = latest.created_at;
+    session.version = latest.version || 0;
+    return session;
+}
+
+function nextVersion(session, storedVersion, id) {
+    const expected = session.version || 0;
+    if ((storedVersion || 0) !== expected) {
+        throw new SessionConflictError(id);
+    }
+    return expected + 1;
+}
+
+class MemorySessionStore {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxSessions] - the least recently written sessions are evicted beyond this
+     * @param {number} [options.ttlHours] - sessions not written for this long are dropped
+     */
+    constructor({ maxSessions = DEFAULT_MEMORY_LIMIT, ttlHours = DEFAULT_TTL_HOURS } = {}) {
+        this.sessions = new Map();
+        this.maxSessions = maxSessions;
+        this.ttlHours = ttlHours;
+    }
+
+    async get(id) {
+        const session = this.current(id);
+        return session ? structuredClone(session) : null;
+    }
+
+    // Synchronous, so that put's compare and write cannot interleave with another put
+    current(id) {
+        const entry = this.sessions.get(id);
+        if (entry && entry.expiresAt < Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        return entry ? entry.session : null;
+    }
+
+    async put(session) {
+        const id = session.session_id;
+        const version = nextVersion(session, this.current(id)?.version, id);
+
+        // Re-inserting keeps the Map in write order, oldest first
+        this.sessions.delete(id);
+        this.sessions.set(id, {
+            session: structuredClone({ ...session, version }),
+            expiresAt: Date.now() + this.ttlHours * 3600 * 1000
+        });
+        session.version = version;
+        this.sweep();
+        return session;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [id, entry] of this.sessions) {
+            if (this.sessions.size > this.maxSessions || entry.expiresAt < now) {
+                this.sessions.delete(id);
+            } else {
+                break;
+            }
+        }
+    }
+
+    async delete(id) {
+        this.sessions.delete(id);
+    }
+}
+
+class FileSessionStore {
+    /**
+     * @param {string} directory - created on first write
+     */
+    constructor(directory) {
+        this.directory = directory;
+        // Last pending write per session, so writes from this process compare and write one at a time
+        this.writes = new Map();
+    }
+
+    fileFor(id) {
+        if (!isValidSessionId(id)) {
+            throw new Error(`Invalid session id: ${id}`);
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async get(id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.fileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async put(session) {
+        const id = session.session_id;
+        const previous = this.writes.get(id) || Promise.resolve();
+        const write = previous.catch(() => {}).then(() => this.write(session));
+        this.writes.set(id, write);
+        try {
+            return await write;
+        } finally {
+            if (this.writes.get(id) === write) this.writes.delete(id);
+        }
+    }
+
+    async write(session) {
+        const id = session.session_id;
+        const file = this.fileFor(id);
+        const stored = await this.get(id);
+        const version = nextVersion(session, stored?.version, id);
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        // Write then rename so a concurrent reader never sees a partial file
+        const partial = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(partial, JSON.stringify({ ...session, version }, null, 2));
+        await fs.promises.rename(partial, file);
+        session.version = version;
+        return session;
+    }
+
+    async delete(id) {
+        await fs.promises.rm(this.fileFor(id), { force: true });
+    }
+}
+
+class DynamoDBSessionStore {
+    /**
+     * @param {object} options
+     * @param {string} options.tableName - table with string partition key `session_id`
+     * @param {object} [options.client] - `{get, put, delete}` taking DocumentClient command input;
+     *   defaults to the AWS SDK document client (DYNAMODB_ENDPOINT points it at DynamoDB Local)
+     * @param {number} [options.ttlHours] - sets `expires_at` for the table's TTL attribute
+     */
+    constructor({ tableName, client = null, endpoint = null, ttlHours = DEFAULT_TTL_HOURS }) {
+        this.tableName = tableName;
+        this.client = client;
+        this.endpoint = endpoint;
+        this.ttlHours = ttlHours;
+    }
+
+    getClient() {
+        if (!this.client) {
+            const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+            const { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+            const documentClient = DynamoDBDocumentClient.from(
+                new DynamoDBClient(this.endpoint ? { endpoint: this.endpoint } : {}),
+                { marshallOptions: { removeUndefinedValues: true } }
+            );
+            this.client = {
+                get: params => documentClient.send(new GetCommand(params)),
+                put: params => documentClient.send(new PutCommand(params)),
+                delete: params => documentClient.send(new DeleteCommand(params))
+            };
+        }
+        return this.client;
+    }
+
+    async get(id) {
+        const { Item } = await this.getClient().get({ TableName: this.tableName, Key: { session_id: id } });
+        if (!Item) return null;
+
+        // TTL deletion runs lazily, so expired items can still be read for a while
+        if (Item.expires_at && Item.expires_at * 1000 < Date.now()) return null;
+
+        const { expires_at, ...session } = Item;
+        return session;
+    }
+
+    async put(session) {
+        const expected = session.version || 0;
+        const now = Math.floor(Date.now() / 1000);
+        // A new session may replace an expired item TTL has not deleted yet; items written before
+        // sessions were versioned have no version and count as 0
+        const condition = expected
+            ? {
+                ConditionExpression: '#version = :version',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ExpressionAttributeValues: { ':version': expected }
+            }
+            : {
+                ConditionExpression: 'attribute_not_exists(#version) OR #expires_at < :now',
+                ExpressionAttributeNames: { '#version': 'version', '#expires_at': 'expires_at' },
+                ExpressionAttributeValues: { ':now': now }
+            };
+        try {
+            await this.getClient().put({
+                TableName: this.tableName,
+                Item: {
+                    ...session,
+                    version: expected + 1,
+                    expires_at: now + Math.round(this.ttlHours * 3600)
+                },
+                ...condition
+            });
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                throw new SessionConflictError(session.session_id);
+            }
+            throw error;
+        }
+        session.version = expected + 1;
+        return session;
+    }
+
+    async delete(id) {
+        await this.getClient().delete({ TableName: this.tableName, Key: { session_id: id } });
+    }
+}
+
+/**
+ * Build the store selected by SESSION_STORE (memory, file or dynamodb; default memory).
+ */
+function createSessionStore(env = process.env) {
+    const kind = (env.SESSION_STORE || 'memory').toLowerCase();
+
+    switch (kind) {
+        case 'memory':
+            return new MemorySessionStore({
+                maxSessions: Number(env.SESSION_MEMORY_LIMIT) || DEFAULT_MEMORY_LIMIT,
+                ttlHours: Number(env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS
+            });
+        case 'file':
+            return new FileSessionStore(env.SESSION_DIR || path.join(os.tmpdir(), 'opa-sessions'));
+        case 'dynamodb':
+            if (!env.SESSION_TABLE) {
+                throw new Error('SESSION_TABLE is required when SESSION_STORE is dynamodb');
+            }
+            return new DynamoDBSessionStore({
+                tableName: env.SESSION_TABLE,
+                endpoint: env.DYNAMODB_ENDPOINT || null,
+                ttlHours: Number(env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS
+            });
+        default:
+            throw new Error(`Unknown SESSION_STORE: ${kind}`);
+    }
+}
+
+module.exports = {
+    MemorySessionStore,
+    FileSessionStore,
+    DynamoDBSessionStore,
+    createSessionStore,
+    SessionConflictError,
+    createSession,
+    recordTurn,
+    mergeSession,
+    isValidSessionId,
+    MAX_HISTORY
+};
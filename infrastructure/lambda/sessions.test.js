@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MemorySessionStore,
+    FileSessionStore,
+    DynamoDBSessionStore,
+    SessionConflictError,
+    createSessionStore,
+    createSession,
+    recordTurn,
+    mergeSession,
+    isValidSessionId,
+    MAX_HISTORY
+} = require('./sessions');
+
+/**
+ * In-memory stand-in for the DocumentClient calls the store makes, evaluating the two condition
+ * expressions it writes with
+ */
+function localDocumentClient() {
+    const items = new Map();
+    const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+        name: 'ConditionalCheckFailedException'
+    });
+
+    return {
+        items,
+        get: async ({ Key }) => ({ Item: items.has(Key.session_id) ? structuredClone(items.get(Key.session_id)) : undefined }),
+        put: async ({ Item, ConditionExpression, ExpressionAttributeValues }) => {
+            const current = items.get(Item.session_id);
+            if (ConditionExpression === '#version = :version') {
+                if (!current || current.version !== ExpressionAttributeValues[':version']) throw conditionFailed();
+            } else if (ConditionExpression === 'attribute_not_exists(#version) OR #expires_at < :now') {
+                if (current && current.version !== undefined && !(current.expires_at < ExpressionAttributeValues[':now'])) {
+                    throw conditionFailed();
+                }
+            } else {
+                throw new Error(`Unexpected condition: ${ConditionExpression}`);
+            }
+            items.set(Item.session_id, structuredClone(Item));
+        },
+        delete: async ({ Key }) => {
+            items.delete(Key.session_id);
+        }
+    };
+}
+
+describe('recordTurn', () => {
+    test('keeps the last MAX_HISTORY turns and the current policy', () => {
+        const session = createSession('history');
+        for (let turn = 1; turn <= MAX_HISTORY + 2; turn++) {
+            recordTurn(session, 'refinement', `turn ${turn}`, { policy: `package p${turn}` });
+        }
+
+        expect(session.conversation_history).toHaveLength(MAX_HISTORY);
+        expect(session.conversation_history[0].instructions).toBe('turn 3');
+        expect(session.current_policy).toBe(`package p${MAX_HISTORY + 2}`);
+    });
+
+    test('starts a new requirement list on generation', () => {
+        const session = createSession('requirements');
+        recordTurn(session, 'generation', 'admins only', { policy: 'package a' });
+        recordTurn(session, 'refinement', 'also auditors', { policy: 'package a' });
+        expect(session.requirements).toEqual(['admins only', 'also auditors']);
+
+        recordTurn(session, 'generation', 'owners only', { policy: 'package b' });
+        expect(session.requirements).toEqual(['owners only']);
+    });
+});
+
+describe('isValidSessionId', () => {
+    test('accepts letters, digits, - and _ only', () => {
+        expect(isValidSessionId('a-b_C9')).toBe(true);
+        expect(isValidSessionId('../etc')).toBe(false);
+        expect(isValidSessionId('x'.repeat(129))).toBe(false);
+        expect(isValidSessionId(42)).toBe(false);
+    });
+});
+
+describe('mergeSession', () => {
+    test('adds this request\'s turns to the stored history in time order', () => {
+        const base = createSession('merge');
+        base.conversation_history = [{ operation: 'generation', instructions: 'first', timestamp: '2026-01-01T00:00:00.000Z' }];
+        base.version = 1;
+        const stored = structuredClone(base);
+        stored.conversation_history.push({ operation: 'refinement', instructions: 'theirs', timestamp: '2026-01-01T00:00:02.000Z' });
+        stored.version = 2;
+        const ours = structuredClone(base);
+        ours.conversation_history.push({ operation: 'refinement', instructions: 'ours', timestamp: '2026-01-01T00:00:01.000Z' });
+        ours.current_policy = 'package ours';
+
+        mergeSession(ours, stored);
+
+        expect(ours.conversation_history.map(turn => turn.instructions)).toEqual(['first', 'ours', 'theirs']);
+        expect(ours.current_policy).toBe('package ours');
+        expect(ours.version).toBe(2);
+    });
+
+    test('writes a deleted session afresh', () => {
+        const session = Object.assign(createSession('gone'), { version: 4 });
+
+        expect(mergeSession(session, null).version).toBe(0);
+    });
+});
+
+const stores = {
+    memory: () => new MemorySessionStore(),
+    file: () => new FileSessionStore(fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'))),
+    dynamodb: () => new DynamoDBSessionStore({ tableName: 'sessions', client: localDocumentClient() })
+};
+
+describe.each(Object.keys(stores))('%s store', kind => {
+    let store;
+
+    beforeEach(() => {
+        store = stores[kind]();
+    });
+
+    afterEach(() => {
+        if (store instanceof FileSessionStore) {
+            fs.rmSync(store.directory, { recursive: true, force: true });
+        }
+    });
+
+    test('round-trips a session and bumps its version', async () => {
+        const session = createSession('round-trip', 'alice');
+        recordTurn(session, 'generation', 'admins only', { policy: 'package authz' });
+
+        await store.put(session);
+        const loaded = await store.get('round-trip');
+
+        expect(session.version).toBe(1);
+        expect(loaded).toMatchObject({ session_id: 'round-trip', user_id: 'alice', version: 1, current_policy: 'package authz' });
+        expect(loaded.conversation_history).toHaveLength(1);
+    });
+
+    test('returns null for an unknown session', async () => {
+        expect(await store.get('unknown')).toBeNull();
+    });
+
+    test('rejects a write based on a stale version', async () => {
+        await store.put(createSession('stale'));
+        const first = await store.get('stale');
+        const second = await store.get('stale');
+
+        recordTurn(first, 'refinement', 'first', { policy: 'package first' });
+        await store.put(first);
+        recordTurn(second, 'refinement', 'second', { policy: 'package second' });
+
+        await expect(store.put(second)).rejects.toThrow(SessionConflictError);
+        expect((await store.get('stale')).current_policy).toBe('package first');
+    });
+
+    test('rejects creating a session that already exists', async () => {
+        await store.put(createSession('taken'));
+
+        await expect(store.put(createSession('taken'))).rejects.toMatchObject({ code: 'session_conflict' });
+    });
+
+    test('accepts a write after merging the stored session', async () => {
+        await store.put(createSession('merged'));
+        const first = await store.get('merged');
+        const second = await store.get('merged');
+        recordTurn(first, 'refinement', 'first', { policy: 'package first' });
+        await store.put(first);
+        recordTurn(second, 'refinement', 'second', { policy: 'package second' });
+        await expect(store.put(second)).rejects.toThrow(SessionConflictError);
+
+        mergeSession(second, await store.get('merged'));
+        await store.put(second);
+
+        const loaded = await store.get('merged');
+        expect(loaded.conversation_history.map(turn => turn.instructions)).toEqual(['first', 'second']);
+        expect(loaded.version).toBe(3);
+    });
+
+    test('deletes a session', async () => {
+        await store.put(createSession('deleted'));
+        await store.delete('deleted');
+
+        expect(await store.get('deleted')).toBeNull();
+    });
+});
+
+describe('MemorySessionStore', () => {
+    test('evicts the least recently written sessions beyond maxSessions', async () => {
+        const store = new MemorySessionStore({ maxSessions: 2 });
+        const first = await store.put(createSession('first'));
+        await store.put(createSession('second'));
+        await store.put(first);
+        await store.put(createSession('third'));
+
+        expect(await store.get('second')).toBeNull();
+        expect(await store.get('first')).not.toBeNull();
+        expect(await store.get('third')).not.toBeNull();
+    });
+
+    test('drops sessions older than ttlHours', async () => {
+        const store = new MemorySessionStore({ ttlHours: 1 });
+        await store.put(createSession('old'));
+        const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 3600 * 1000);
+
+        try {
+            expect(await store.get('old')).toBeNull();
+            expect(store.sessions.size).toBe(0);
+        } finally {
+            now.mockRestore();
+        }
+    });
+});
+
+describe('FileSessionStore', () => {
+    test('refuses ids that are not valid session ids', async () => {
+        const store = new FileSessionStore(os.tmpdir());
+
+        await expect(store.get('../escape')).rejects.toThrow('Invalid session id');
+    });
+});
+
+describe('DynamoDBSessionStore', () => {
+    test('writes expires_at for the table TTL and hides expired items', async () => {
+        const client = localDocumentClient();
+        const store = new DynamoDBSessionStore({ tableName: 'sessions', client, ttlHours: 1 });
+
+        await store.put(createSession('ttl'));
+        const item = client.items.get('ttl');
+        expect(item.expires_at - Math.floor(Date.now() / 1000)).toBeGreaterThan(3500);
+        expect(await store.get('ttl')).not.toHaveProperty('expires_at');
+
+        item.expires_at = Math.floor(Date.now() / 1000) - 60;
+        expect(await store.get('ttl')).toBeNull();
+        // A new session may take the id of an expired item TTL has not deleted yet
+        await expect(store.put(createSession('ttl'))).resolves.toMatchObject({ version: 1 });
+    });
+
+    test('treats items written before versioning as version 0', async () => {
+        const client = localDocumentClient();
+        const legacy = createSession('legacy');
+        delete legacy.version;
+        client.items.set('legacy', { ...legacy, expires_at: Math.floor(Date.now() / 1000) + 3600 });
+        const store = new DynamoDBSessionStore({ tableName: 'sessions', client });
+
+        const loaded = await store.get('legacy');
+        recordTurn(loaded, 'refinement', 'more', { policy: 'package more' });
+
+        await expect(store.put(loaded)).resolves.toMatchObject({ version: 1 });
+    });
+});
+
+describe('createSessionStore', () => {
+    test('selects the store from SESSION_STORE', () => {
+        expect(createSessionStore({})).toBeInstanceOf(MemorySessionStore);
+        expect(createSessionStore({ SESSION_STORE: 'file', SESSION_DIR: '/tmp/sessions' })).toBeInstanceOf(FileSessionStore);
+        expect(createSessionStore({ SESSION_STORE: 'dynamodb', SESSION_TABLE: 'sessions' })).toBeInstanceOf(DynamoDBSessionStore);
+    });
+
+    test('applies the memory limits', () => {
+        const store = createSessionStore({ SESSION_MEMORY_LIMIT: '5', SESSION_TTL_HOURS: '2' });
+
+        expect(store).toMatchObject({ maxSessions: 5, ttlHours: 2 });
+    });
+
+    test('requires SESSION_TABLE for dynamodb', () => {
+        expect(() => createSessionStore({ SESSION_STORE: 'dynamodb' })).toThrow('SESSION_TABLE is required');
+        expect(() => createSessionStore({ SESSION_STORE: 'redis' })).toThrow('Unknown SESSION_STORE: redis');
+    });
+});
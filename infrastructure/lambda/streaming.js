@@ -0,0 +1,183 @@
+/**
+ * Incremental Streaming Support
+ * Turns the model's streamed JSON answer ({policy, explanation, test_inputs}) into delta events
+ * while it is still being produced, and formats them as Server-Sent Events.
+ */
+
+const STREAMED_TEXT_FIELDS = ['policy', 'explanation'];
+const STREAMED_ARRAY_FIELD = 'test_inputs';
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+/**
+ * Scans the JSON text as it arrives. String values of `policy` and `explanation` are decoded and
+ * emitted as `policy_delta` / `explanation_delta`; each complete element of `test_inputs` is
+ * emitted as a `test_input` event. Text before the first `{` (e.g. a code fence) is ignored.
+ */
+class GenerationStreamParser {
+    constructor() {
+        this.text = '';
+        this.pos = 0;
+        this.stack = [];
+        this.inString = false;
+        this.escape = false;
+        this.unicode = null;
+        this.stringRole = null;
+        this.keyBuffer = '';
+        this.expectKey = false;
+        this.currentKey = null;
+        this.inTestInputs = false;
+        this.elementStart = -1;
+        this.testInputCount = 0;
+    }
+
+    /**
+     * Feed the next chunk; returns the events it completed, with adjacent deltas merged.
+     */
+    push(chunk) {
+        this.text += chunk;
+        const events = [];
+
+        for (; this.pos < this.text.length; this.pos++) {
+            if (this.inString) {
+                this.scanString(this.text[this.pos], events);
+            } else {
+                this.scanStructure(this.text[this.pos], events);
+            }
+        }
+
+        return mergeDeltas(events);
+    }
+
+    scanStructure(char, events) {
+        const depth = this.stack.length;
+
+        switch (char) {
+            case '{':
+            case '[':
+                if (depth === 0 && char !== '{') return;
+                if (depth === 1 && char === '[' && !this.expectKey && this.currentKey === STREAMED_ARRAY_FIELD) {
+                    this.inTestInputs = true;
+                }
+                if (depth === 2 && this.inTestInputs) {
+                    this.elementStart = this.pos;
+                }
+                this.stack.push(char);
+                if (this.stack.length === 1) {
+                    this.expectKey = true;
+                }
+                return;
+            case '}':
+            case ']':
+                if (!depth) return;
+                this.stack.pop();
+                if (this.inTestInputs && this.stack.length === 2 && this.elementStart >= 0) {
+                    this.emitTestInput(events);
+                } else if (this.inTestInputs && this.stack.length === 1) {
+                    this.inTestInputs = false;
+                }
+                return;
+            case '"':
+                if (!depth) return;
+                this.inString = true;
+                if (depth === 1 && this.expectKey) {
+                    this.stringRole = 'key';
+                    this.keyBuffer = '';
+                } else if (depth === 1 && STREAMED_TEXT_FIELDS.includes(this.currentKey)) {
+                    this.stringRole = this.currentKey;
+                } else {
+                    this.stringRole = null;
+                }
+                return;
+            case ':':
+                if (depth === 1) this.expectKey = false;
+                return;
+            case ',':
+                if (depth === 1) this.expectKey = true;
+                return;
+            default:
+                return;
+        }
+    }
+
+    scanString(char, events) {
+        let decoded;
+
+        if (this.unicode !== null) {
+            this.unicode += char;
+            if (this.unicode.length < 4) return;
+            decoded = String.fromCharCode(parseInt(this.unicode, 16));
+            this.unicode = null;
+        } else if (this.escape) {
+            this.escape = false;
+            if (char === 'u') {
+                this.unicode = '';
+                return;
+            }
+            decoded = ESCAPES[char] ?? char;
+        } else if (char === '\\') {
+            this.escape = true;
+            return;
+        } else if (char === '"') {
+            this.inString = false;
+            if (this.stringRole === 'key') {
+                this.currentKey = this.keyBuffer;
+            }
+            this.stringRole = null;
+            return;
+        } else {
+            decoded = char;
+        }
+
+        if (this.stringRole === 'key') {
+            this.keyBuffer += decoded;
+        } else if (this.stringRole) {
+            events.push({ type: `${this.stringRole}_delta`, data: { delta: decoded } });
+        }
+    }
+
+    emitTestInput(events) {
+        const raw = this.text.slice(this.elementStart, this.pos + 1);
+        this.elementStart = -1;
+        try {
+            events.push({
+                type: 'test_input',
+                data: { index: this.testInputCount++, test_input: JSON.parse(raw) }
+            });
+        } catch (error) {
+            // The final response is parsed again as a whole; a malformed element only loses its early preview
+            console.warn('Skipping unparseable streamed test input:', error.message);
+        }
+    }
+}
+
+function mergeDeltas(events) {
+    const merged = [];
+    for (const event of events) {
+        const last = merged[merged.length - 1];
+        if (last && last.type === event.type && event.type.endsWith('_delta')) {
+            last.data.delta += event.data.delta;
+        } else {
+            merged.push(event);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Format one event as a Server-Sent Events message.
+ */
+function toSSE(event) {
+    return `data: ${JSON.stringify(event)}\n\n`;
+}
+
+const SSE_HEADERS = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+module.exports = { GenerationStreamParser, toSSE, SSE_HEADERS };
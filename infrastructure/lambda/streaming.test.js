@@ -0,0 +1,171 @@
+/**
+ * Streaming tests: the model's JSON answer fed in pieces, SSE frames split across reads and
+ * errors reported as events, offline against the mock provider
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_ALLOWED_PROVIDERS = 'mock';
+process.env.SESSION_STORE = 'memory';
+delete process.env.MCP_ENABLED;
+
+const { GenerationStreamParser, toSSE } = require('./streaming');
+const { AnthropicProvider } = require('./providers/anthropic');
+const { LLMProviderError } = require('./providers/base');
+const { streamPolicyResponse } = require('./index');
+
+const ANSWER = JSON.stringify({
+    policy: 'package authz\n\nallow if input.user.name == "émile"\n',
+    explanation: 'Tab\there, quote " and backslash \\',
+    test_inputs: [
+        { description: 'Émile is allowed', input: { user: { name: 'émile', policy: 'x' } }, expected: true },
+        { description: 'Others are denied', input: { user: { name: 'bob' } }, expected: false }
+    ]
+}).replace('é', '\\u00e9');
+
+// All events of a parser fed the chunks, with the deltas of each field joined
+function parse(chunks) {
+    const parser = new GenerationStreamParser();
+    const events = chunks.flatMap(chunk => parser.push(chunk));
+    const joined = type => events.filter(event => event.type === type).map(event => event.data.delta).join('');
+    return {
+        events,
+        policy: joined('policy_delta'),
+        explanation: joined('explanation_delta'),
+        testInputs: events.filter(event => event.type === 'test_input').map(event => event.data)
+    };
+}
+
+// A fetch Response whose body arrives in the given pieces
+function streamedResponse(pieces) {
+    const encoder = new TextEncoder();
+    return new Response(new ReadableStream({
+        start(controller) {
+            for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+            controller.close();
+        }
+    }), { status: 200 });
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('GenerationStreamParser', () => {
+    const expected = JSON.parse(ANSWER);
+
+    test('decodes the text fields and test inputs of a whole answer', () => {
+        const { policy, explanation, testInputs } = parse(['```json\n', ANSWER, '\n```']);
+
+        expect(policy).toBe(expected.policy);
+        expect(explanation).toBe(expected.explanation);
+        expect(testInputs).toEqual(expected.test_inputs.map((testInput, index) => ({ index, test_input: testInput })));
+    });
+
+    test('gives the same result for any split of the answer', () => {
+        const whole = parse([ANSWER]);
+
+        for (let size = 1; size <= 7; size++) {
+            const chunks = [];
+            for (let i = 0; i < ANSWER.length; i += size) chunks.push(ANSWER.slice(i, i + size));
+            const split = parse(chunks);
+
+            expect([split.policy, split.explanation, split.testInputs]).toEqual([whole.policy, whole.explanation, whole.testInputs]);
+        }
+    });
+
+    test('holds back an escape split across chunks', () => {
+        const parser = new GenerationStreamParser();
+
+        expect(parser.push('{"policy": "a\\')).toEqual([{ type: 'policy_delta', data: { delta: 'a' } }]);
+        expect(parser.push('u00')).toEqual([]);
+        expect(parser.push('e9\\nb"}')).toEqual([{ type: 'policy_delta', data: { delta: 'é\nb' } }]);
+    });
+
+    test('sends a test input only once its closing brace arrives', () => {
+        const parser = new GenerationStreamParser();
+
+        expect(parser.push('{"test_inputs": [{"input": {"user": ')).toEqual([]);
+        expect(parser.push('"a"}, "expected": true')).toEqual([]);
+        expect(parser.push('}, {')).toEqual([{ type: 'test_input', data: { index: 0, test_input: { input: { user: 'a' }, expected: true } } }]);
+    });
+
+    test('does not stream strings nested under a policy key', () => {
+        const { events } = parse([ANSWER]);
+
+        expect(events.filter(event => event.type === 'policy_delta').map(event => event.data.delta).join('')).not.toContain('x');
+    });
+});
+
+describe('provider SSE streams', () => {
+    const { fetch } = global;
+
+    afterEach(() => {
+        global.fetch = fetch;
+    });
+
+    test('yield the deltas of frames split across reads', async () => {
+        const frames = [
+            { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{"policy": "pack' } },
+            { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: 'age authz"}' } }
+        ].map(toSSE).join('');
+        global.fetch = jest.fn(async () => streamedResponse([frames.slice(0, 17), frames.slice(17, 90), frames.slice(90)]));
+        const provider = new AnthropicProvider({ apiKey: 'test' });
+
+        const deltas = [];
+        for await (const delta of provider.stream({ messages: [{ role: 'user', content: 'policy' }] })) deltas.push(delta);
+
+        expect(deltas).toEqual(['{"policy": "pack', 'age authz"}']);
+    });
+
+    test('throw an error event as a provider error', async () => {
+        global.fetch = jest.fn(async () => streamedResponse([toSSE({ type: 'error', error: { message: 'Overloaded' } })]));
+        const provider = new AnthropicProvider({ apiKey: 'test' });
+
+        const consume = async () => {
+            for await (const delta of provider.stream({ messages: [{ role: 'user', content: 'policy' }] })) void delta;
+        };
+
+        await expect(consume()).rejects.toThrow(LLMProviderError);
+        await expect(consume()).rejects.toThrow('Overloaded');
+    });
+});
+
+describe('streamPolicyResponse', () => {
+    // The events a streamed request writes, split back into frames
+    async function streamed(body) {
+        const written = [];
+        const sink = { start: jest.fn(), write: text => written.push(text), end: jest.fn() };
+        await streamPolicyResponse({
+            httpMethod: 'POST',
+            path: '/generate-policy',
+            headers: { accept: 'text/event-stream' },
+            body: JSON.stringify(body)
+        }, sink);
+
+        expect(sink.end).toHaveBeenCalledTimes(1);
+        return written.join('').split('\n\n').filter(Boolean).map(frame => JSON.parse(frame.slice('data: '.length)));
+    }
+
+    test('writes deltas while generating and ends with complete', async () => {
+        const events = await streamed({ instructions: 'Only admins may access' });
+
+        expect(events[0].type).toBe('start');
+        expect(events.filter(event => event.type === 'policy_delta').length).toBeGreaterThan(1);
+        expect(events[events.length - 1]).toMatchObject({ type: 'complete', data: { policy: expect.stringMatching(/^package mock\.policy/) } });
+    });
+
+    test('reports a failure after the stream started as an error event', async () => {
+        const events = await streamed({ instructions: 'Only admins may access', context: { llm: { provider: 'anthropic' } } });
+
+        expect(events[events.length - 1]).toEqual({
+            type: 'error',
+            data: expect.objectContaining({ code: 'LLM_PROVIDER_NOT_ALLOWED' })
+        });
+    });
+});
@@ -0,0 +1,255 @@
+/**
+ * Tool Registry and Dispatcher
+ * Maps tool names used by the workflows (e.g. `gather-opa-docs`, `validate-rego-syntax`) to
+ * handlers, either in-process implementations or calls routed to an MCP server, and runs
+ * each call with a timeout and retries.
+ */
+
+const { checkPolicy } = require('./rego');
+const { runTestInputs, traceDecision } = require('./evaluation');
+const { gatherDocs } = require('./docs');
+const { resolvePreset, checkPreset } = require('./presets');
+const {
+    analyzeDeploymentNeeds,
+    generateDeploymentConfig,
+    generateIntegrationGuide,
+    generateMonitoringConfig
+} = require('./deployment');
+
+const DEFAULT_TOOL_TIMEOUT_MS = 60000;
+const DEFAULT_TOOL_RETRIES = 1;
+// Wait before retry n is n * RETRY_DELAY_MS
+const RETRY_DELAY_MS = 250;
+// Network failures worth another attempt
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+// JSON-RPC code the MCP SDK rejects pending calls with when a server exits
+const MCP_CONNECTION_CLOSED = -32000;
+
+class ToolError extends Error {
+    /**
+     * @param {Error} [cause] - the handler's error from the last attempt
+     */
+    constructor(message, tool, code = 'tool_failed', attempts = 0, cause = undefined) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ToolError';
+        this.code = code;
+        this.tool = tool;
+        this.attempts = attempts;
+    }
+}
+
+class ToolRegistry {
+    /**
+     * @param {object} [defaults] - timeoutMs and retries for tools registered without their own
+     *   (TOOL_TIMEOUT_MS and TOOL_RETRIES env)
+     */
+    constructor(defaults = {}) {
+        this.tools = new Map();
+        this.timeoutMs = defaults.timeoutMs ?? (Number(process.env.TOOL_TIMEOUT_MS) || DEFAULT_TOOL_TIMEOUT_MS);
+        this.retries = defaults.retries ?? (process.env.TOOL_RETRIES !== undefined
+            ? Number(process.env.TOOL_RETRIES)
+            : DEFAULT_TOOL_RETRIES);
+    }
+
+    /**
+     * Register (or replace) a tool.
+     * @param {string} name
+     * @param {function(object, object): Promise<any>} handler - called with the tool arguments and
+     *   call options (e.g. `onEvent`, plus the attempt's `timeoutMs`)
+     * @param {object} [options] - source ('in-process' or 'mcp:<server>'), description, timeoutMs, retries
+     */
+    register(name, handler, options = {}) {
+        this.tools.set(name, {
+            name,
+            handler,
+            source: options.source || 'in-process',
+            description: options.description || '',
+            timeoutMs: options.timeoutMs,
+            retries: options.retries
+        });
+    }
+
+    unregister(name) {
+        this.tools.delete(name);
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    list() {
+        return [...this.tools.values()].map(({ name, source, description }) => ({ name, source, description }));
+    }
+
+    /**
+     * Run a tool. Each attempt is limited to `timeoutMs`; attempts that fail with a transient error
+     * (isTransientError) are retried up to `retries` times. A timed-out handler is not cancelled,
+     * its late result is ignored, so timeouts are not retried.
+     * @returns {Promise<{result: any, source: string, attempts: number, duration_ms: number}>}
+     */
+    async call(name, args = {}, options = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new ToolError(`No handler registered for tool ${name}`, name, 'tool_not_found');
+        }
+
+        const timeoutMs = options.timeoutMs ?? tool.timeoutMs ?? this.timeoutMs;
+        const retries = options.retries ?? tool.retries ?? this.retries;
+        const started = Date.now();
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            try {
+                const result = await withTimeout(tool.handler(args, { ...options, timeoutMs }), timeoutMs, name);
+                return { result, source: tool.source, attempts: attempt, duration_ms: Date.now() - started };
+            } catch (error) {
+                console.warn(`Tool ${name} attempt ${attempt} failed:`, error.message);
+                if (attempt > retries || !isTransientError(error)) {
+                    throw new ToolError(
+                        error.message,
+                        name,
+                        error instanceof ToolError ? error.code : 'tool_failed',
+                        attempt,
+                        error
+                    );
+                }
+                await new Promise(resolve => setTimeout(resolve, attempt * RETRY_DELAY_MS));
+            }
+        }
+    }
+}
+
+/**
+ * Whether another attempt may get past an error: errors that say so (`retryable`, e.g. LLM rate
+ * limits and dropped connections), network failures, and an MCP server exiting mid-call (the
+ * retry waits for its restart). Invalid requests and schema mismatches fail again the same way.
+ */
+function isTransientError(error) {
+    if (typeof error.retryable === 'boolean') {
+        return error.retryable;
+    }
+    return TRANSIENT_ERROR_CODES.has(error.code) || error.code === MCP_CONNECTION_CLOSED;
+}
+
+function withTimeout(promise, timeoutMs, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(new ToolError(`Tool ${name} timed out after ${timeoutMs}ms`, name, 'tool_timeout')),
+            timeoutMs
+        );
+    });
+    return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Register the tools the agent implements itself, on top of its LLM provider and the Rego toolkit
+ */
+function registerInProcessTools(registry, agent) {
+    registry.register('gather-opa-docs', async args => gatherDocs(args), {
+        description: 'OPA documentation passages, patterns and best practices ranked for a query'
+    });
+
+    registry.register('generate-rego-policy', async (args, { onEvent } = {}) => {
+        return agent.generatePolicy(args.instructions, args.context || {}, onEvent || null);
+    }, {
+        description: 'Generate, test and correct a policy from natural language requirements'
+    });
+
+    registry.register('refine-rego-code', async (args, { onEvent } = {}) => {
+        const issues = (args.issues || []).map(issue => `- ${issue.line ? `line ${issue.line}: ` : ''}${issue.message}`);
+        const instructions = issues.length ? `${args.instructions}\n${issues.join('\n')}` : args.instructions;
+        return agent.refinePolicy(instructions, args.policy, args.context || {}, onEvent || null);
+    }, {
+        description: 'Modify an existing policy to meet new requirements or fix reported issues'
+    });
+
+    registry.register('correct-rego-code', async args => {
+        return agent.correctPolicy(args.instructions, args.result, args.context || {});
+    }, {
+        description: 'Further correction rounds for a generated policy, without recording a conversation turn'
+    });
+
+    registry.register('validate-rego-syntax', async args => {
+        const { ast, valid, errors, warnings } = checkPolicy(args.policy || '', {
+            regoVersion: args.regoVersion,
+            inputSchema: args.inputSchema
+        });
+        const preset = resolvePreset(args.target);
+        if (preset && valid) {
+            warnings.push(...checkPreset(preset, ast));
+        }
+        return {
+            valid,
+            errors,
+            warnings,
+            issues: [...errors, ...warnings].map(({ type, line, column, message }) => ({ type, line, column, message }))
+        };
+    }, {
+        description: 'Parse and compile checks with line and column diagnostics'
+    });
+
+    registry.register('run-policy-tests', async args => {
+        return runTestInputs(args.policy, args.testCases || [], {
+            coverage: true,
+            entrypoint: args.entrypoint,
+            regoVersion: args.regoVersion
+        });
+    }, {
+        description: 'Evaluate test inputs against the policy and report rule coverage'
+    });
+
+    registry.register('analyze-policy-structure', async args => agent.analyzeStructure(args.policy || ''), {
+        description: 'Package name, rules and complexity of a policy'
+    });
+
+    registry.register('explain-policy-logic', async args => agent.explainPolicy(args.policy, args.context || {}), {
+        description: 'Plain-English explanation of a policy'
+    });
+
+    registry.register('trace-policy-decision', async args => {
+        return traceDecision(args.policy, args.input, {
+            data: args.data,
+            entrypoint: args.entrypoint,
+            regoVersion: args.regoVersion
+        });
+    }, {
+        description: 'Evaluate the decision for one input and trace which expressions succeeded or failed'
+    });
+
+    registry.register('explain-policy-decision', async args => {
+        return agent.explainDecision(args.policy, args.trace, args.input, args.context || {});
+    }, {
+        description: 'Plain-English answer to why an input got its decision, each sentence citing policy lines'
+    });
+
+    registry.register('analyze-deployment-needs', async args => analyzeDeploymentNeeds(args), {
+        description: 'Decision rule, data dependencies and a suggested deployment target for a policy'
+    });
+
+    registry.register('generate-opa-deployment-config', async args => generateDeploymentConfig(args), {
+        description: 'Schema-validated deployment artifacts (OPA sidecar, Envoy ext_authz, Gatekeeper, docker-compose)'
+    });
+
+    registry.register('generate-integration-guide', async args => generateIntegrationGuide(args), {
+        description: 'Steps for applying and querying generated deployment artifacts'
+    });
+
+    registry.register('generate-monitoring-config', async args => generateMonitoringConfig(args), {
+        description: 'OPA decision log settings and a Prometheus scrape job'
+    });
+
+    registry.register('generate-validation-report', async args => {
+        const review = await agent.reviewPolicy(args.policy, args.context || {});
+        return { explanation: review };
+    }, {
+        description: 'Model review of syntax, best practices and security'
+    });
+}
+
+module.exports = {
+    ToolRegistry,
+    ToolError,
+    registerInProcessTools,
+    isTransientError,
+    DEFAULT_TOOL_TIMEOUT_MS
+};
@@ -3,9 +3,17 @@
  * Coordinates multiple tools to accomplish complex tasks
  */
 
+// Generation and refinement run the agent's test-and-correct loop, which can take several model calls
+const GENERATION_TIMEOUT_MS = 300000;
+
 class BaseWorkflow {
-    constructor(agent) {
+    /**
+     * @param {object} agent - OPAPolicyAgent whose tool registry runs each step
+     * @param {object} [session] - the request's session, read for the current policy and updated with results
+     */
+    constructor(agent, session = null) {
         this.agent = agent;
+        this.session = session;
         this.steps = [];
         this.results = {};
     }
@@ -14,23 +22,42 @@ class BaseWorkflow {
         throw new Error('Execute method must be implemented by subclass');
     }
 
+    /**
+     * Run one tool call and record it in the step log.
+     * Options: timeoutMs and retries override the tool's defaults, onEvent is passed to tools that
+     * stream, continueOnError returns null instead of throwing, and optional skips the step when
+     * no handler for the tool is registered (e.g. its MCP server is not running).
+     */
     async executeStep(stepName, toolName, args, options = {}) {
+        if (options.optional && !this.agent.hasTool(toolName)) {
+            this.steps.push({ stepName, toolName, success: false, skipped: true, error: 'tool not available', timestamp: new Date().toISOString() });
+            return null;
+        }
+
         try {
             console.log(`Executing step: ${stepName} with tool: ${toolName}`);
             
-            const result = await this.agent.callTool(toolName, {
-                ...args,
-                context: this.agent.getContext(),
-                previousResults: this.results
+            const { result, source, attempts, duration_ms } = await this.agent.callTool(toolName, args, {
+                timeoutMs: options.timeoutMs,
+                retries: options.retries,
+                onEvent: options.onEvent
             });
             
             this.results[stepName] = result;
-            this.steps.push({ stepName, toolName, success: true, timestamp: new Date().toISOString() });
+            this.steps.push({ stepName, toolName, source, success: true, attempts, duration_ms, timestamp: new Date().toISOString() });
             
             return result;
         } catch (error) {
             console.error(`Step ${stepName} failed:`, error);
-            this.steps.push({ stepName, toolName, success: false, error: error.message, timestamp: new Date().toISOString() });
+            this.steps.push({
+                stepName,
+                toolName,
+                success: false,
+                error: error.message,
+                code: error.code,
+                attempts: error.attempts,
+                timestamp: new Date().toISOString()
+            });
             
             if (!options.continueOnError) {
                 throw error;
@@ -41,8 +68,15 @@ class BaseWorkflow {
 }
 
 class PolicyGenerationWorkflow extends BaseWorkflow {
+    /**
+     * @param {object} [options] - onEvent streams the model's answer (see agent.generatePolicy)
+     */
     async execute(instructions, context, options = {}) {
         try {
+            // Never retried: the agent already retries schema mismatches, a timed-out generation keeps
+            // running, and a retried step would stream its deltas a second time
+            const retries = 0;
+
             // Step 1: Gather relevant documentation and best practices
             const docsResult = await this.executeStep(
                 'gatherDocs',
@@ -50,12 +84,13 @@ class PolicyGenerationWorkflow extends BaseWorkflow {
                 {
                     query: instructions,
                     includeExamples: true,
-                    includeBestPractices: true
+                    includeBestPractices: true,
+                    target: context.target
                 },
                 { continueOnError: true }
             );
 
-            // Step 2: Generate initial policy
+            // Step 2: Generate the policy; the agent tests and corrects it before returning
             const generationResult = await this.executeStep(
                 'generatePolicy',
                 'generate-rego-policy',
@@ -64,297 +99,110 @@ class PolicyGenerationWorkflow extends BaseWorkflow {
                     context: {
                         ...context,
                         documentation: docsResult?.content || null
-                    },
-                    requirements: {
-                        includeComments: true,
-                        generateTests: true,
-                        followBestPractices: true
                     }
-                }
+                },
+                { timeoutMs: GENERATION_TIMEOUT_MS, retries, onEvent: options.onEvent }
             );
 
             // Step 3: Validate the generated policy
-            const validationResult = await this.executeStep(
+            let validationResult = await this.executeStep(
                 'validatePolicy',
                 'validate-rego-syntax',
                 {
                     policy: generationResult.policy,
-                    checkBestPractices: true,
-                    checkSecurity: true
+                    regoVersion: context.rego_version,
+                    target: context.target
                 },
                 { continueOnError: true }
             );
 
-            // Step 4: Generate comprehensive test cases
-            const testResult = await this.executeStep(
-                'generateTests',
-                'generate-test-cases',
-                {
-                    policy: generationResult.policy,
-                    instructions,
-                    coverageTarget: 'comprehensive',
-                    includeEdgeCases: true
-                }
-            );
-
-            // Step 5: Run tests to validate correctness
-            const testValidationResult = await this.executeStep(
+            // Step 4: Run the test inputs with rule coverage
+            let testValidationResult = await this.executeStep(
                 'runTests',
                 'run-policy-tests',
                 {
                     policy: generationResult.policy,
-                    testCases: testResult.testCases
+                    testCases: generationResult.test_inputs,
+                    regoVersion: context.rego_version
                 },
                 { continueOnError: true }
             );
 
-            // Step 6: Generate explanation
-            const explanationResult = await this.executeStep(
-                'explainPolicy',
-                'explain-policy-logic',
-                {
-                    policy: generationResult.policy,
-                    context: instructions,
-                    includeExamples: true
-                }
-            );
-
-            // Step 7: Refine policy if validation found issues
-            let finalPolicy = generationResult.policy;
-            let finalTests = testResult.testCases;
+            // Step 5: More correction rounds if the policy still does not validate. They are part of
+            // this generation, so they add to its iterations and record no turn of their own.
+            let finalResult = generationResult;
             
-            if (validationResult && validationResult.issues && validationResult.issues.length > 0) {
-                const refinementResult = await this.executeStep(
-                    'refinePolicy',
-                    'refine-rego-code',
+            if (validationResult && !validationResult.valid) {
+                const correctionResult = await this.executeStep(
+                    'correctPolicy',
+                    'correct-rego-code',
                     {
-                        policy: generationResult.policy,
-                        issues: validationResult.issues,
-                        instructions: 'Fix validation issues while maintaining functionality'
+                        instructions,
+                        result: generationResult,
+                        context
                     },
-                    { continueOnError: true }
+                    { continueOnError: true, timeoutMs: GENERATION_TIMEOUT_MS, retries }
                 );
                 
-                if (refinementResult && refinementResult.policy) {
-                    finalPolicy = refinementResult.policy;
-                    
-                    // Re-generate tests for refined policy
-                    const refinedTestResult = await this.executeStep(
-                        'regenerateTests',
-                        'generate-test-cases',
+                if (correctionResult && correctionResult.policy) {
+                    finalResult = correctionResult;
+
+                    validationResult = await this.executeStep(
+                        'revalidatePolicy',
+                        'validate-rego-syntax',
                         {
-                            policy: finalPolicy,
-                            instructions,
-                            coverageTarget: 'comprehensive'
+                            policy: finalResult.policy,
+                            regoVersion: context.rego_version,
+                            target: context.target
                         },
                         { continueOnError: true }
                     );
                     
-                    if (refinedTestResult) {
-                        finalTests = refinedTestResult.testCases;
-                    }
+                    testValidationResult = await this.executeStep(
+                        'rerunTests',
+                        'run-policy-tests',
+                        {
+                            policy: finalResult.policy,
+                            testCases: finalResult.test_inputs,
+                            regoVersion: context.rego_version
+                        },
+                        { continueOnError: true }
+                    );
                 }
             }
 
             // Update agent context
             this.agent.updatePolicyContext({
-                currentPolicy: finalPolicy,
-                requirements: [instructions],
-                testCases: finalTests,
+                currentPolicy: finalResult.policy,
+                testCases: finalResult.test_inputs,
                 validationResults: validationResult?.issues || [],
                 lastGenerated: new Date().toISOString()
-            });
+            }, this.session);
 
-            // Prepare streaming-compatible result
-            const result = {
-                type: 'complete',
-                policy: finalPolicy,
-                test_inputs: this.formatTestInputs(finalTests),
-                explanation: explanationResult?.explanation || 'Policy generated successfully',
+            // Keep the agent's response fields and add the workflow's findings
+            return {
+                ...finalResult,
                 metadata: {
+                    ...finalResult.metadata,
                     instructions,
                     generated_at: new Date().toISOString(),
-                    model: 'mcp-agent',
-                    workflow_steps: this.steps,
-                    validation_issues: validationResult?.issues || [],
-                    test_results: testValidationResult?.results || []
-                },
-                timestamp: new Date().toISOString()
-            };
-
-            return result;
-        } catch (error) {
-            console.error('Policy generation workflow failed:', error);
-            throw error;
-        }
-    }
-
-    formatTestInputs(testCases) {
-        if (!testCases || !Array.isArray(testCases)) {
-            return [{
-                description: "Basic test case",
-                input: { user: { role: "user" }, action: "access" },
-                expected_result: false
-            }];
-        }
-
-        return testCases.map(test => ({
-            description: test.description || test.name || 'Test case',
-            input: test.input || test.data || {},
-            expected_result: test.expected !== undefined ? test.expected : test.expected_result
-        }));
-    }
-}
-
-class PolicyRefinementWorkflow extends BaseWorkflow {
-    async execute(instructions, context, options = {}) {
-        try {
-            const existingPolicy = context.existing_policy;
-            if (!existingPolicy) {
-                throw new Error('Existing policy required for refinement');
-            }
-
-            // Step 1: Analyze existing policy
-            const analysisResult = await this.executeStep(
-                'analyzePolicy',
-                'analyze-policy-structure',
-                {
-                    policy: existingPolicy,
-                    analysisType: 'comprehensive'
-                }
-            );
-
-            // Step 2: Gather relevant docs for new requirements
-            const docsResult = await this.executeStep(
-                'gatherDocs',
-                'gather-opa-docs',
-                {
-                    query: instructions,
-                    includeExamples: true,
-                    context: 'refinement'
-                },
-                { continueOnError: true }
-            );
-
-            // Step 3: Refine the policy
-            const refinementResult = await this.executeStep(
-                'refinePolicy',
-                'refine-rego-code',
-                {
-                    policy: existingPolicy,
-                    instructions,
-                    context: {
-                        ...context,
-                        analysis: analysisResult,
-                        documentation: docsResult?.content || null
-                    },
-                    preserveStructure: true
-                }
-            );
-
-            // Step 4: Validate refined policy
-            const validationResult = await this.executeStep(
-                'validateRefinedPolicy',
-                'validate-rego-syntax',
-                {
-                    policy: refinementResult.policy,
-                    originalPolicy: existingPolicy,
-                    checkBestPractices: true,
-                    checkBackwardCompatibility: true
-                },
-                { continueOnError: true }
-            );
-
-            // Step 5: Generate updated test cases
-            const testResult = await this.executeStep(
-                'generateUpdatedTests',
-                'generate-test-cases',
-                {
-                    policy: refinementResult.policy,
-                    instructions: `Original: ${existingPolicy}\n\nRefinement: ${instructions}`,
-                    coverageTarget: 'comprehensive',
-                    includeRegressionTests: true
-                }
-            );
-
-            // Step 6: Run tests
-            const testValidationResult = await this.executeStep(
-                'runRefinedTests',
-                'run-policy-tests',
-                {
-                    policy: refinementResult.policy,
-                    testCases: testResult.testCases
-                },
-                { continueOnError: true }
-            );
-
-            // Step 7: Generate explanation of changes
-            const explanationResult = await this.executeStep(
-                'explainRefinement',
-                'explain-policy-changes',
-                {
-                    originalPolicy: existingPolicy,
-                    refinedPolicy: refinementResult.policy,
-                    instructions,
-                    includeImpactAnalysis: true
-                }
-            );
-
-            // Update agent context
-            this.agent.updatePolicyContext({
-                currentPolicy: refinementResult.policy,
-                requirements: [...(this.agent.policyContext.requirements || []), instructions],
-                testCases: testResult.testCases,
-                validationResults: validationResult?.issues || [],
-                lastRefined: new Date().toISOString()
-            });
-
-            const result = {
-                type: 'complete',
-                policy: refinementResult.policy,
-                test_inputs: this.formatTestInputs(testResult.testCases),
-                explanation: explanationResult?.explanation || 'Policy refined successfully',
-                refinement: true,
-                metadata: {
-                    instructions,
-                    refined_at: new Date().toISOString(),
-                    model: 'mcp-agent',
                     workflow_steps: this.steps,
                     validation_issues: validationResult?.issues || [],
                     test_results: testValidationResult?.results || [],
-                    changes_summary: explanationResult?.changesSummary || []
-                },
-                timestamp: new Date().toISOString()
+                    coverage: testValidationResult?.coverage || null
+                }
             };
-
-            return result;
         } catch (error) {
-            console.error('Policy refinement workflow failed:', error);
+            console.error('Policy generation workflow failed:', error);
             throw error;
         }
     }
-
-    formatTestInputs(testCases) {
-        if (!testCases || !Array.isArray(testCases)) {
-            return [{
-                description: "Basic test case",
-                input: { user: { role: "user" }, action: "access" },
-                expected_result: false
-            }];
-        }
-
-        return testCases.map(test => ({
-            description: test.description || test.name || 'Test case',
-            input: test.input || test.data || {},
-            expected_result: test.expected !== undefined ? test.expected : test.expected_result
-        }));
-    }
 }
 
 class PolicyValidationWorkflow extends BaseWorkflow {
     async execute(instructions, context, options = {}) {
         try {
-            const policy = context.policy || this.agent.policyContext.currentPolicy;
+            const policy = context.policy || this.agent.getContext(this.session).currentPolicy;
             if (!policy) {
                 throw new Error('Policy required for validation');
             }
@@ -365,6 +213,9 @@ class PolicyValidationWorkflow extends BaseWorkflow {
                 'validate-rego-syntax',
                 {
                     policy,
+                    regoVersion: context.rego_version,
+                    inputSchema: context.input_schema,
+                    target: context.target,
                     strictMode: true
                 }
             );
@@ -378,7 +229,7 @@ class PolicyValidationWorkflow extends BaseWorkflow {
                     includeSecurityChecks: true,
                     includePerformanceChecks: true
                 },
-                { continueOnError: true }
+                { continueOnError: true, optional: true }
             );
 
             // Step 3: Security analysis
@@ -390,10 +241,10 @@ class PolicyValidationWorkflow extends BaseWorkflow {
                     checkForVulnerabilities: true,
                     checkForBypass: true
                 },
-                { continueOnError: true }
+                { continueOnError: true, optional: true }
             );
 
-            // Step 4: Generate validation report
+            // Step 4: Generate validation report (a model review; without it the checks above still stand)
             const reportResult = await this.executeStep(
                 'generateValidationReport',
                 'generate-validation-report',
@@ -401,20 +252,25 @@ class PolicyValidationWorkflow extends BaseWorkflow {
                     policy,
                     syntaxResults: syntaxResult,
                     bestPracticesResults: bestPracticesResult,
-                    securityResults: securityResult
-                }
+                    securityResults: securityResult,
+                    context
+                },
+                { continueOnError: true, optional: true }
             );
 
             const result = {
                 type: 'validation_complete',
                 policy,
                 validation_results: {
-                    syntax: syntaxResult,
-                    best_practices: bestPracticesResult,
-                    security: securityResult,
-                    overall_score: reportResult?.score || 0,
-                    recommendations: reportResult?.recommendations || []
+                    syntax_valid: syntaxResult.valid,
+                    syntax_errors: syntaxResult.errors,
+                    syntax_warnings: syntaxResult.warnings,
+                    best_practices: bestPracticesResult?.priority_fixes || [],
+                    security_analysis: securityResult?.vulnerabilities || [],
+                    recommendations: securityResult?.recommendations || [],
+                    overall_score: bestPracticesResult?.overall_score ?? null
                 },
+                explanation: reportResult?.explanation || null,
                 metadata: {
                     validated_at: new Date().toISOString(),
                     workflow_steps: this.steps
@@ -433,7 +289,7 @@ class PolicyValidationWorkflow extends BaseWorkflow {
 class PolicyExplanationWorkflow extends BaseWorkflow {
     async execute(instructions, context, options = {}) {
         try {
-            const policy = context.policy || this.agent.policyContext.currentPolicy;
+            const policy = context.policy || this.agent.getContext(this.session).currentPolicy;
             if (!policy) {
                 throw new Error('Policy required for explanation');
             }
@@ -454,7 +310,7 @@ class PolicyExplanationWorkflow extends BaseWorkflow {
                 'explain-policy-logic',
                 {
                     policy,
-                    context: instructions,
+                    context,
                     includeExamples: true,
                     includeFlowDiagram: true,
                     structure: structureResult
@@ -470,7 +326,7 @@ class PolicyExplanationWorkflow extends BaseWorkflow {
                     explanation: explanationResult.explanation,
                     includeEdgeCases: true
                 },
-                { continueOnError: true }
+                { continueOnError: true, optional: true }
             );
 
             const result = {
@@ -494,10 +350,71 @@ class PolicyExplanationWorkflow extends BaseWorkflow {
     }
 }
 
+class DecisionExplanationWorkflow extends BaseWorkflow {
+    /**
+     * @param {object} context - policy, input, and optionally data, entrypoint and rego_version
+     */
+    async execute(instructions, context, options = {}) {
+        try {
+            const policy = context.policy || this.agent.getContext(this.session).currentPolicy;
+            if (!policy) {
+                throw new Error('Policy required for decision explanation');
+            }
+
+            // Step 1: Evaluate the decision with a rule-by-rule trace
+            const trace = await this.executeStep(
+                'traceDecision',
+                'trace-policy-decision',
+                {
+                    policy,
+                    input: context.input,
+                    data: context.data,
+                    entrypoint: context.entrypoint,
+                    regoVersion: context.rego_version
+                }
+            );
+
+            // Step 2: Turn the trace into sentences anchored to policy lines
+            const explanation = await this.executeStep(
+                'explainDecision',
+                'explain-policy-decision',
+                {
+                    policy,
+                    trace,
+                    input: context.input,
+                    context
+                }
+            );
+
+            return {
+                type: 'decision_explanation_complete',
+                decision: {
+                    entrypoint: trace.entrypoint,
+                    result: trace.result,
+                    allowed: trace.allowed,
+                    defined: trace.defined,
+                    error: trace.error
+                },
+                summary: explanation.summary,
+                sentences: explanation.sentences,
+                trace: trace.rules,
+                metadata: {
+                    explained_at: new Date().toISOString(),
+                    workflow_steps: this.steps
+                },
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Decision explanation workflow failed:', error);
+            throw error;
+        }
+    }
+}
+
 class PolicyDeploymentWorkflow extends BaseWorkflow {
     async execute(instructions, context, options = {}) {
         try {
-            const policy = context.policy || this.agent.policyContext.currentPolicy;
+            const policy = context.policy || this.agent.getContext(this.session).currentPolicy;
             if (!policy) {
                 throw new Error('Policy required for deployment assistance');
             }
@@ -508,19 +425,21 @@ class PolicyDeploymentWorkflow extends BaseWorkflow {
                 'analyze-deployment-needs',
                 {
                     policy,
+                    target: context.target,
                     targetEnvironment: context.environment || 'kubernetes',
                     instructions
                 }
             );
 
-            // Step 2: Generate deployment configuration
+            // Step 2: Generate deployment configuration (artifacts validated against their schemas)
             const configResult = await this.executeStep(
                 'generateDeploymentConfig',
                 'generate-opa-deployment-config',
                 {
                     policy,
-                    requirements: requirementsResult,
-                    platform: context.platform || 'kubernetes'
+                    target: requirementsResult.target,
+                    options: context.deployment_options || {},
+                    requirements: requirementsResult
                 }
             );
 
@@ -550,7 +469,9 @@ class PolicyDeploymentWorkflow extends BaseWorkflow {
             const result = {
                 type: 'deployment_complete',
                 policy,
+                target: configResult.target,
                 deployment_config: configResult,
+                artifacts: [...configResult.artifacts, ...(monitoringResult?.artifacts || [])],
                 integration_guide: integrationResult?.guide || 'Integration guide not available',
                 monitoring_setup: monitoringResult?.config || null,
                 requirements: requirementsResult,
@@ -571,8 +492,8 @@ class PolicyDeploymentWorkflow extends BaseWorkflow {
 
 module.exports = {
     PolicyGenerationWorkflow,
-    PolicyRefinementWorkflow,
     PolicyValidationWorkflow,
     PolicyExplanationWorkflow,
+    DecisionExplanationWorkflow,
     PolicyDeploymentWorkflow
 };
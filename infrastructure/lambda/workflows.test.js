@@ -0,0 +1,99 @@
+/**
+ * Workflow tests, run offline against a scripted mock provider
+ */
+
+const { OPAPolicyAgent } = require('./agent-core-simple');
+const { MockProvider } = require('./providers/mock');
+const { createSession } = require('./sessions');
+const { PolicyGenerationWorkflow, PolicyValidationWorkflow } = require('./workflows');
+
+// Does not parse, so it fails every correction round the script answers with it
+const BROKEN = {
+    policy: 'package authz\n\nallow if {\n',
+    explanation: 'Unfinished policy.',
+    test_inputs: [
+        { description: 'Admin user is allowed', input: { user: { role: 'admin' } }, expected: true },
+        { description: 'Guest user is denied', input: { user: { role: 'guest' } }, expected: false }
+    ]
+};
+
+function agentWith(script) {
+    const agent = new OPAPolicyAgent();
+    agent.llm = new MockProvider({ script });
+    agent.initialized = true;
+    return agent;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('PolicyGenerationWorkflow', () => {
+    test('records the turn in the session', async () => {
+        const agent = agentWith([]);
+        const session = createSession('workflow-session');
+
+        const result = await new PolicyGenerationWorkflow(agent, session).execute('Only admins may access', { session });
+
+        expect(session.current_policy).toBe(result.policy);
+        expect(session.conversation_history).toHaveLength(1);
+        expect(session.conversation_history[0]).toMatchObject({ operation: 'generation', instructions: 'Only admins may access' });
+    });
+
+    test('adds the correction step\'s rounds to the iterations without recording a turn', async () => {
+        // Generation uses both rounds on the broken policy; the correction step's second round fixes it
+        const agent = agentWith([BROKEN, BROKEN]);
+        const session = createSession('workflow-correction');
+
+        const result = await new PolicyGenerationWorkflow(agent, session).execute('Only admins may access', {
+            session,
+            max_iterations: 2
+        });
+
+        expect(result.metadata.workflow_steps.map(step => step.stepName)).toContain('correctPolicy');
+        expect(result.iterations.map(iteration => [iteration.iteration, iteration.clean])).toEqual([
+            [1, false],
+            [2, false],
+            [3, true]
+        ]);
+        expect(result.metadata.validation_issues).toEqual([]);
+        expect(result.metadata.test_results.every(test => test.passed)).toBe(true);
+        expect(session.current_policy).toBe(result.policy);
+        expect(session.conversation_history).toHaveLength(1);
+        expect(session.conversation_history[0].operation).toBe('generation');
+        expect(agent.llm.calls).toHaveLength(3);
+    });
+
+    test('runs generation once when the provider fails', async () => {
+        const agent = agentWith([]);
+        const complete = jest.spyOn(agent.llm, 'complete').mockRejectedValue(new Error('model unavailable'));
+
+        await expect(new PolicyGenerationWorkflow(agent).execute('Only admins may access', {})).rejects.toThrow('model unavailable');
+        expect(complete).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('PolicyValidationWorkflow', () => {
+    test('validates without the optional report', async () => {
+        const agent = agentWith([]);
+        agent.tools.unregister('generate-validation-report');
+
+        const result = await new PolicyValidationWorkflow(agent).execute('', {
+            policy: 'package authz\n\nallow if {'
+        });
+
+        expect(result.validation_results.syntax_valid).toBe(false);
+        expect(result.validation_results.syntax_errors[0].line).toBe(3);
+        expect(result.explanation).toBeNull();
+        expect(result.metadata.workflow_steps).toContainEqual(expect.objectContaining({
+            stepName: 'generateValidationReport',
+            skipped: true
+        }));
+    });
+});